@@ -13,8 +13,15 @@ const VirtualConsole = require("./jsdom/virtual-console.js");
 const { createWindow } = require("./jsdom/browser/Window.js");
 const { parseIntoDocument } = require("./jsdom/browser/parser");
 const { fragmentSerialization } = require("./jsdom/living/domparsing/serialization.js");
+const { fireAnEvent } = require("./jsdom/living/helpers/events.js");
+const { reportMediaQueryChanges } = require("./jsdom/living/helpers/media-queries.js");
 const ResourceLoader = require("./jsdom/browser/resources/resource-loader.js");
 const NoOpResourceLoader = require("./jsdom/browser/resources/no-op-resource-loader.js");
+const LayoutEngine = require("./jsdom/browser/layout/layout-engine.js");
+const BasicLayoutEngine = require("./jsdom/browser/layout/basic-layout-engine.js");
+const { RealClock, VirtualClock } = require("./jsdom/browser/clock.js");
+const { InputDriver } = require("./jsdom/browser/input-driver.js");
+const { createEmptyImportMap, parseImportMapString } = require("./jsdom/living/helpers/import-maps.js");
 
 class CookieJar extends toughCookie.CookieJar {
   constructor(store, options) {
@@ -24,6 +31,7 @@ class CookieJar extends toughCookie.CookieJar {
 }
 
 const window = Symbol("window");
+const inputDriver = Symbol("input driver");
 let sharedFragmentDocument = null;
 
 class JSDOM {
@@ -34,6 +42,7 @@ class JSDOM {
     options = transformOptions(options, encoding, mimeType);
 
     this[window] = createWindow(options.windowOptions);
+    this[inputDriver] = new InputDriver(this[window]);
 
     const documentImpl = idlUtils.implForWrapper(this[window]._document);
 
@@ -54,6 +63,14 @@ class JSDOM {
     return this[window]._virtualConsole;
   }
 
+  get clock() {
+    return this[window]._clock instanceof VirtualClock ? this[window]._clock : null;
+  }
+
+  get input() {
+    return this[inputDriver];
+  }
+
   get cookieJar() {
     // TODO NEWAPI move _cookieJar to window probably
     return idlUtils.implForWrapper(this[window]._document)._cookieJar;
@@ -96,6 +113,24 @@ class JSDOM {
       document._URL = url;
       document._origin = whatwgURL.serializeURLOrigin(document._URL);
     }
+
+    if ("viewport" in settings || "colorScheme" in settings) {
+      const oldViewport = this[window]._viewport;
+      const viewport = "viewport" in settings ? normalizeViewport(settings.viewport) : oldViewport;
+      const colorScheme = "colorScheme" in settings ?
+                          normalizeColorScheme(settings.colorScheme) :
+                          this[window]._colorScheme;
+
+      this[window]._viewport = viewport;
+      this[window]._colorScheme = colorScheme;
+
+      // https://drafts.csswg.org/cssom-view/#run-the-resize-steps
+      if (viewport.width !== oldViewport.width || viewport.height !== oldViewport.height) {
+        fireAnEvent("resize", this[window]);
+      }
+
+      reportMediaQueryChanges(idlUtils.implForWrapper(this[window]._document));
+    }
   }
 
   static fragment(string = "") {
@@ -212,9 +247,14 @@ function transformOptions(options, encoding, mimeType) {
       encoding,
       pretendToBeVisual: false,
       storageQuota: 5000000,
+      viewport: { width: 1024, height: 768 },
+      colorScheme: "light",
 
       // Defaults filled in later
       resourceLoader: undefined,
+      layoutEngine: undefined,
+      clock: undefined,
+      importMap: undefined,
       virtualConsole: undefined,
       cookieJar: undefined
     },
@@ -261,6 +301,12 @@ function transformOptions(options, encoding, mimeType) {
 
   transformed.windowOptions.resourceLoader = resourcesToResourceLoader(options.resources);
 
+  transformed.windowOptions.layoutEngine = layoutToLayoutEngine(options.layout);
+
+  transformed.windowOptions.clock = clockOptionToClock(options.clock);
+
+  transformed.windowOptions.importMap = importMapOptionToImportMap(options.importMap, transformed.windowOptions.url);
+
   if (options.runScripts !== undefined) {
     transformed.windowOptions.runScripts = String(options.runScripts);
     if (transformed.windowOptions.runScripts === "dangerously") {
@@ -282,11 +328,38 @@ function transformOptions(options, encoding, mimeType) {
     transformed.windowOptions.storageQuota = Number(options.storageQuota);
   }
 
+  if (options.viewport !== undefined) {
+    transformed.windowOptions.viewport = normalizeViewport(options.viewport);
+  }
+
+  if (options.colorScheme !== undefined) {
+    transformed.windowOptions.colorScheme = normalizeColorScheme(options.colorScheme);
+  }
+
   // concurrentNodeIterators??
 
   return transformed;
 }
 
+function normalizeViewport(viewport) {
+  const width = Number(viewport.width);
+  const height = Number(viewport.height);
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 0 || height < 0) {
+    throw new RangeError("viewport must be an object with non-negative integer width and height properties");
+  }
+
+  return { width, height };
+}
+
+function normalizeColorScheme(colorScheme) {
+  colorScheme = String(colorScheme);
+  if (colorScheme !== "light" && colorScheme !== "dark") {
+    throw new RangeError(`colorScheme must be undefined, "light", or "dark"`);
+  }
+
+  return colorScheme;
+}
+
 function normalizeHTML(html = "", mimeType) {
   let encoding = "UTF-8";
 
@@ -309,6 +382,29 @@ function normalizeHTML(html = "", mimeType) {
   return { html, encoding };
 }
 
+function clockOptionToClock(clock) {
+  switch (clock) {
+    case undefined:
+    case "real":
+      return new RealClock();
+    case "virtual":
+      return new VirtualClock();
+    default:
+      throw new RangeError(`clock must be undefined, "real", or "virtual"`);
+  }
+}
+
+// The import map can be given as an object, or as a JSON string like the contents of a <script type="importmap">. Its
+// URLs are relative to the document's URL.
+function importMapOptionToImportMap(importMap, url) {
+  if (importMap === undefined) {
+    return createEmptyImportMap();
+  }
+
+  const input = typeof importMap === "string" ? importMap : JSON.stringify(importMap);
+  return parseImportMapString(input, whatwgURL.parseURL(url), global);
+}
+
 function resourcesToResourceLoader(resources) {
   switch (resources) {
     case undefined: {
@@ -326,10 +422,32 @@ function resourcesToResourceLoader(resources) {
   }
 }
 
+function layoutToLayoutEngine(layout) {
+  if (layout === undefined) {
+    return new LayoutEngine();
+  }
+
+  if (layout === "basic") {
+    return new BasicLayoutEngine();
+  }
+
+  if (typeof layout === "function") {
+    const layoutEngine = new LayoutEngine();
+    layoutEngine.getBox = layout;
+    return layoutEngine;
+  }
+
+  if (!(layout instanceof LayoutEngine)) {
+    throw new TypeError(`layout must be undefined, "basic", a function, or an instance of LayoutEngine`);
+  }
+  return layout;
+}
+
 exports.JSDOM = JSDOM;
 
 exports.VirtualConsole = VirtualConsole;
 exports.CookieJar = CookieJar;
 exports.ResourceLoader = ResourceLoader;
+exports.LayoutEngine = LayoutEngine;
 
 exports.toughCookie = toughCookie;
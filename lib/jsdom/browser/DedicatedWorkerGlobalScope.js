@@ -0,0 +1,435 @@
+"use strict";
+const vm = require("vm");
+const webIDLConversions = require("webidl-conversions");
+const { parseURL, serializeURL, serializeURLOrigin } = require("whatwg-url");
+const DOMException = require("domexception/webidl2js-wrapper");
+const { btoa, atob } = require("abab");
+const { define } = require("../utils");
+const EventTarget = require("../living/generated/EventTarget");
+const MessagePort = require("../living/generated/MessagePort");
+const Performance = require("../living/generated/Performance");
+const WorkerLocation = require("../living/generated/WorkerLocation");
+const WorkerNavigator = require("../living/generated/WorkerNavigator");
+const idlUtils = require("../living/generated/utils");
+const { fetch } = require("../living/fetch/fetching");
+const { installStaticOperations: installResponseStaticOperations } = require("../living/fetch/Response-impl");
+const { structuredSerializeWithTransfer, structuredDeserializeWithTransfer } =
+  require("../living/helpers/structured-clone");
+const { setupForSimpleEventAccessors } = require("../living/helpers/create-event-accessor");
+const reportException = require("../living/helpers/runtime-script-errors");
+const { prepareToRunCallback, cleanUpAfterRunningCallback } = require("../living/helpers/incumbent");
+const RequestManager = require("./resources/request-manager");
+const jsGlobals = require("./js-globals.json");
+
+// Not destructured, since interfaces.js itself requires this module through the generated Worker wrapper.
+const interfaces = require("../living/interfaces");
+
+const jsGlobalEntriesToInstall = Object.entries(jsGlobals).filter(([name]) => name in global);
+
+// These are exposed in dedicated workers according to their IDL, but their impls need a document, or the list of
+// windows in the same origin, so they are not available in workers yet.
+const unsupportedInterfaces = [
+  "XMLHttpRequest",
+  "XMLHttpRequestEventTarget",
+  "XMLHttpRequestUpload",
+  "WebSocket",
+  "Worker",
+  "BroadcastChannel"
+];
+
+// https://html.spec.whatwg.org/multipage/workers.html#dedicated-workers-and-the-dedicatedworkerglobalscope-interface
+// Like a Window, the global object is its own wrapper, and all of its properties are own properties. The worker's
+// script runs in a vm context of its own, in the same Node.js process as the window that created it.
+exports.createDedicatedWorkerGlobalScope = ({ worker, url, name }) => {
+  const globalObject = {};
+  const ownerWindow = worker._globalObject;
+  const ownerDocument = worker._ownerDocument;
+
+  setupGlobalObject(globalObject);
+
+  globalObject._clock = ownerWindow._clock;
+  globalObject._clock._installDate(globalObject);
+
+  const rawPerformance = globalObject._clock._createPerformance();
+
+  ///// PRIVATE DATA PROPERTIES
+
+  globalObject._globalProxy = vm.runInContext("this", globalObject);
+  Object.defineProperty(idlUtils.implForWrapper(globalObject), idlUtils.wrapperSymbol, {
+    get: () => globalObject._globalProxy
+  });
+
+  // The Worker object that this global scope belongs to, which uncaught errors are propagated to.
+  globalObject._worker = worker;
+  globalObject._virtualConsole = ownerWindow._virtualConsole;
+  globalObject._closing = false;
+
+  globalObject._environmentSettings = {
+    apiBaseURL: url,
+    origin: serializeURLOrigin(url),
+    creationURL: url,
+    cookieJar: ownerDocument._cookieJar,
+    resourceLoader: ownerWindow._resourceLoader,
+    requestManager: new RequestManager()
+  };
+
+  // The worker's end of the implicit message channel between it and its Worker object.
+  globalObject._insidePort = MessagePort.createImpl(globalObject, []);
+  globalObject._insidePort._messageEventTarget = idlUtils.implForWrapper(globalObject);
+
+  ///// GETTERS
+
+  const location = WorkerLocation.create(globalObject, [], { url });
+  const navigator = WorkerNavigator.create(globalObject, [], { userAgent: ownerWindow._resourceLoader._userAgent });
+  const performance = Performance.create(globalObject, [], { rawPerformance });
+  globalObject._performance = idlUtils.implForWrapper(performance);
+
+  define(globalObject, {
+    get self() {
+      return globalObject._globalProxy;
+    },
+    get location() {
+      return location;
+    },
+    get navigator() {
+      return navigator;
+    },
+    get performance() {
+      return performance;
+    },
+    get origin() {
+      return globalObject._environmentSettings.origin;
+    },
+    get name() {
+      return name;
+    }
+  });
+
+  setupForSimpleEventAccessors(globalObject, ["error", "message", "messageerror"]);
+
+  ///// METHODS
+
+  // https://html.spec.whatwg.org/multipage/workers.html#importing-scripts-and-libraries
+  // Scripts are fetched with a synchronous XMLHttpRequest of the window that created the worker, since resource loaders
+  // can only fetch asynchronously. So unlike the worker's own script, they do not go through a custom resource loader.
+  globalObject.importScripts = function (...urls) {
+    urls = urls.map(u => webIDLConversions.USVString(u));
+
+    const urlRecords = urls.map(u => {
+      const urlRecord = parseURL(u, { baseURL: url });
+      if (urlRecord === null) {
+        throw DOMException.create(globalObject, [`The URL "${u}" is invalid.`, "SyntaxError"]);
+      }
+      return urlRecord;
+    });
+
+    for (const urlRecord of urlRecords) {
+      const scriptURL = serializeURL(urlRecord);
+      let source = null;
+      if (ownerWindow._document) {
+        const xhr = new ownerWindow.XMLHttpRequest();
+        try {
+          xhr.open("GET", scriptURL, false);
+          xhr.send();
+          if (xhr.status >= 200 && xhr.status <= 299) {
+            source = xhr.responseText;
+          }
+        } catch (e) {
+          // Network errors are reported below, along with non-ok responses.
+        }
+      }
+
+      if (source === null) {
+        throw DOMException.create(globalObject, [`Failed to load the script at "${scriptURL}".`, "NetworkError"]);
+      }
+
+      vm.runInContext(source, globalObject, { filename: scriptURL, displayErrors: false });
+    }
+  };
+
+  // https://html.spec.whatwg.org/multipage/timers-and-user-prompts.html#timers
+  // The same as the window's timers, except that they stop when the worker is closed or terminated.
+
+  const listOfActiveTimers = new Map();
+  let latestTimerId = 0;
+
+  globalObject.setTimeout = function (handler, timeout = 0, ...args) {
+    if (typeof handler !== "function") {
+      handler = webIDLConversions.DOMString(handler);
+    }
+    timeout = webIDLConversions.long(timeout);
+
+    return timerInitializationSteps(handler, timeout, args, { repeat: false });
+  };
+  globalObject.setInterval = function (handler, timeout = 0, ...args) {
+    if (typeof handler !== "function") {
+      handler = webIDLConversions.DOMString(handler);
+    }
+    timeout = webIDLConversions.long(timeout);
+
+    return timerInitializationSteps(handler, timeout, args, { repeat: true });
+  };
+
+  globalObject.clearTimeout = function (handle = 0) {
+    handle = webIDLConversions.long(handle);
+
+    const clockTimer = listOfActiveTimers.get(handle);
+    if (clockTimer) {
+      globalObject._clock._clearTimeout(clockTimer);
+      listOfActiveTimers.delete(handle);
+    }
+  };
+  globalObject.clearInterval = globalObject.clearTimeout;
+
+  function timerInitializationSteps(handler, timeout, args, { repeat, previousHandle }) {
+    if (globalObject._closing) {
+      return 0;
+    }
+
+    const handle = previousHandle !== undefined ? previousHandle : ++latestTimerId;
+
+    function task() {
+      if (!listOfActiveTimers.has(handle)) {
+        return;
+      }
+
+      prepareToRunCallback(globalObject);
+      try {
+        if (typeof handler === "function") {
+          handler.apply(globalObject._globalProxy, args);
+        } else {
+          vm.runInContext(handler, globalObject, { filename: location.href, displayErrors: false });
+        }
+      } catch (e) {
+        reportException(globalObject, e, location.href);
+      } finally {
+        cleanUpAfterRunningCallback();
+      }
+
+      if (listOfActiveTimers.has(handle)) {
+        if (repeat) {
+          timerInitializationSteps(handler, timeout, args, { repeat: true, previousHandle: handle });
+        } else {
+          listOfActiveTimers.delete(handle);
+        }
+      }
+    }
+
+    if (timeout < 0) {
+      timeout = 0;
+    }
+
+    const clockTimer = globalObject._clock._setTimeout(task, timeout);
+    listOfActiveTimers.set(handle, clockTimer);
+
+    return handle;
+  }
+
+  // Like the window's, tasks that jsdom queues itself are scheduled on the clock, and dropped when the worker closes.
+  const queuedTasks = new Set();
+
+  globalObject._queueTask = function (task, timeout = 0) {
+    if (globalObject._closing) {
+      return null;
+    }
+
+    const clockTimer = globalObject._clock._setTimeout(() => {
+      queuedTasks.delete(clockTimer);
+      task();
+    }, timeout);
+    queuedTasks.add(clockTimer);
+
+    return clockTimer;
+  };
+
+  globalObject._cancelTask = function (clockTimer) {
+    if (queuedTasks.delete(clockTimer)) {
+      globalObject._clock._clearTimeout(clockTimer);
+    }
+  };
+
+  globalObject.atob = function (str) {
+    const result = atob(str);
+    if (result === null) {
+      throw DOMException.create(globalObject, [
+        "The string to be decoded contains invalid characters.",
+        "InvalidCharacterError"
+      ]);
+    }
+    return result;
+  };
+
+  globalObject.btoa = function (str) {
+    const result = btoa(str);
+    if (result === null) {
+      throw DOMException.create(globalObject, [
+        "The string to be encoded contains invalid characters.",
+        "InvalidCharacterError"
+      ]);
+    }
+    return result;
+  };
+
+  // https://fetch.spec.whatwg.org/#fetch-method
+  globalObject.fetch = function (input, init = {}) {
+    let requestObject;
+    try {
+      requestObject = idlUtils.implForWrapper(new globalObject.Request(input, init));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    return fetch(globalObject, requestObject);
+  };
+
+  // https://html.spec.whatwg.org/multipage/structured-data.html#dom-structuredclone
+  globalObject.structuredClone = function (value, structuredSerializeOptions = undefined) {
+    if (arguments.length < 1) {
+      throw new TypeError("Failed to execute 'structuredClone' on 'DedicatedWorkerGlobalScope': 1 argument required, " +
+        "but only 0 present.");
+    }
+
+    const transfer = transferFromOptions("structuredClone", structuredSerializeOptions);
+    const serializeWithTransferResult = structuredSerializeWithTransfer(value, transfer, globalObject);
+    return structuredDeserializeWithTransfer(serializeWithTransferResult, globalObject).deserialized;
+  };
+
+  // https://html.spec.whatwg.org/multipage/workers.html#dom-dedicatedworkerglobalscope-postmessage
+  globalObject.postMessage = function (message, transferOrOptions = undefined) {
+    if (arguments.length < 1) {
+      throw new TypeError("Failed to execute 'postMessage' on 'DedicatedWorkerGlobalScope': 1 argument required, but " +
+        "only 0 present.");
+    }
+
+    globalObject._insidePort.postMessage(message, transferFromOptions("postMessage", transferOrOptions));
+  };
+
+  // Accepts a transfer list, or a dictionary with a transfer member, and returns the transfer list as an array.
+  function transferFromOptions(methodName, transferOrOptions) {
+    if (transferOrOptions === undefined || transferOrOptions === null) {
+      return [];
+    }
+    if (typeof transferOrOptions !== "object" && typeof transferOrOptions !== "function") {
+      throw new TypeError(`Failed to execute '${methodName}' on 'DedicatedWorkerGlobalScope': parameter 2 is not ` +
+        "an object.");
+    }
+    if (typeof transferOrOptions[Symbol.iterator] === "function") {
+      return [...transferOrOptions];
+    }
+    return transferOrOptions.transfer === undefined ? [] : [...transferOrOptions.transfer];
+  }
+
+  // https://html.spec.whatwg.org/multipage/workers.html#dom-dedicatedworkerglobalscope-close
+  globalObject.close = function () {
+    globalObject._terminate();
+  };
+
+  // Shared by close() and the Worker object's terminate(). Messages that the worker has already posted are still
+  // delivered, but nothing in the worker runs anymore.
+  globalObject._terminate = function () {
+    globalObject._closing = true;
+
+    for (const clockTimer of listOfActiveTimers.values()) {
+      globalObject._clock._clearTimeout(clockTimer);
+    }
+    listOfActiveTimers.clear();
+
+    for (const clockTimer of queuedTasks) {
+      globalObject._clock._clearTimeout(clockTimer);
+    }
+    queuedTasks.clear();
+
+    globalObject._insidePort.close();
+    globalObject._environmentSettings.requestManager.close();
+  };
+
+  ///// PUBLIC DATA PROPERTIES (TODO: should be getters)
+
+  function wrapConsoleMethod(method) {
+    return (...args) => {
+      globalObject._virtualConsole.emit(method, ...args);
+    };
+  }
+
+  globalObject.console = {};
+  for (const method of Object.keys(ownerWindow.console)) {
+    globalObject.console[method] = wrapConsoleMethod(method);
+  }
+
+  return globalObject;
+};
+
+// Runs the worker's script, then starts delivering the messages that were posted to the worker in the meantime.
+exports.runWorkerScript = (globalObject, source) => {
+  const filename = globalObject.location.href;
+
+  prepareToRunCallback(globalObject);
+  try {
+    vm.runInContext(source, globalObject, { filename, displayErrors: false });
+  } catch (e) {
+    reportException(globalObject, e, filename);
+  } finally {
+    cleanUpAfterRunningCallback();
+  }
+
+  globalObject._insidePort.start();
+};
+
+function setupGlobalObject(globalObject) {
+  vm.createContext(globalObject);
+
+  // See the comment in Window.js's setupWindow().
+  for (const [globalName, globalPropDesc] of jsGlobalEntriesToInstall) {
+    const propDesc = { ...globalPropDesc, value: vm.runInContext(globalName, globalObject) };
+    Object.defineProperty(globalObject, globalName, propDesc);
+  }
+
+  interfaces.installInterfaces(globalObject, ["Worker", "DedicatedWorker"]);
+  installResponseStaticOperations(globalObject);
+  for (const interfaceName of unsupportedInterfaces) {
+    delete globalObject[interfaceName];
+  }
+
+  // eslint-disable-next-line func-name-matching, func-style
+  const workerGlobalScopeConstructor = function WorkerGlobalScope() {
+    throw new TypeError("Illegal constructor");
+  };
+  // eslint-disable-next-line func-name-matching, func-style
+  const dedicatedWorkerGlobalScopeConstructor = function DedicatedWorkerGlobalScope() {
+    throw new TypeError("Illegal constructor");
+  };
+
+  defineGlobalInterface(globalObject, workerGlobalScopeConstructor, globalObject.EventTarget);
+  defineGlobalInterface(globalObject, dedicatedWorkerGlobalScopeConstructor, workerGlobalScopeConstructor);
+  Object.setPrototypeOf(globalObject, dedicatedWorkerGlobalScopeConstructor.prototype);
+
+  EventTarget.setup(globalObject, globalObject);
+
+  globalObject._globalObject = globalObject;
+}
+
+// Installs an interface object that cannot be constructed, set up like the Window interface in Window.js.
+function defineGlobalInterface(globalObject, interfaceConstructor, parentConstructor) {
+  Object.setPrototypeOf(interfaceConstructor, parentConstructor);
+
+  Object.defineProperty(globalObject, interfaceConstructor.name, {
+    configurable: true,
+    writable: true,
+    value: interfaceConstructor
+  });
+
+  const interfacePrototype = Object.create(parentConstructor.prototype);
+  Object.defineProperties(interfacePrototype, {
+    constructor: {
+      value: interfaceConstructor,
+      writable: true,
+      configurable: true
+    },
+    [Symbol.toStringTag]: {
+      value: interfaceConstructor.name,
+      configurable: true
+    }
+  });
+
+  interfaceConstructor.prototype = interfacePrototype;
+}
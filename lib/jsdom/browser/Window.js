@@ -2,7 +2,6 @@
 const vm = require("vm");
 const webIDLConversions = require("webidl-conversions");
 const { CSSStyleDeclaration } = require("cssstyle");
-const { Performance: RawPerformance } = require("w3c-hr-time");
 const notImplemented = require("./not-implemented");
 const { installInterfaces } = require("../living/interfaces");
 const { define, mixin } = require("../utils");
@@ -11,23 +10,32 @@ const EventTarget = require("../living/generated/EventTarget");
 const PageTransitionEvent = require("../living/generated/PageTransitionEvent");
 const namedPropertiesWindow = require("../living/named-properties-window");
 const postMessage = require("../living/post-message");
+const { fetch } = require("../living/fetch/fetching");
+const { structuredSerializeWithTransfer, structuredDeserializeWithTransfer } =
+  require("../living/helpers/structured-clone");
+const { installStaticOperations: installResponseStaticOperations } = require("../living/fetch/Response-impl");
 const DOMException = require("domexception/webidl2js-wrapper");
 const { btoa, atob } = require("abab");
 const idlUtils = require("../living/generated/utils");
 const WebSocketImpl = require("../living/websockets/WebSocket-impl").implementation;
+const WorkerImpl = require("../living/workers/Worker-impl").implementation;
 const BarProp = require("../living/generated/BarProp");
 const documents = require("../living/documents.js");
 const External = require("../living/generated/External");
 const Navigator = require("../living/generated/Navigator");
 const Performance = require("../living/generated/Performance");
+const PerformanceNavigationTiming = require("../living/generated/PerformanceNavigationTiming");
 const Screen = require("../living/generated/Screen");
+const MediaQueryList = require("../living/generated/MediaQueryList");
 const Storage = require("../living/generated/Storage");
 const Selection = require("../living/generated/Selection");
 const reportException = require("../living/helpers/runtime-script-errors");
 const { fireAnEvent } = require("../living/helpers/events");
+const { prepareToRunCallback, cleanUpAfterRunningCallback } = require("../living/helpers/incumbent");
+const { createEmptyImportMap } = require("../living/helpers/import-maps");
 const SessionHistory = require("../living/window/SessionHistory");
-const { forEachMatchingSheetRuleOfElement, getResolvedValue, propertiesWithResolvedValueImplemented,
-  SHADOW_DOM_PSEUDO_REGEXP } = require("../living/helpers/style-rules.js");
+const { getResolvedValues, parsePseudoElementSelector, SHADOW_DOM_PSEUDO_REGEXP } =
+  require("../living/helpers/style-rules.js");
 const CustomElementRegistry = require("../living/generated/CustomElementRegistry");
 const jsGlobals = require("./js-globals.json");
 
@@ -61,6 +69,12 @@ function setupWindow(windowInstance, { runScripts }) {
   }
 
   installInterfaces(windowInstance, ["Window"]);
+  installResponseStaticOperations(windowInstance);
+
+  // Workers run scripts of their own, so they are only available when the window's scripts are run.
+  if (runScripts !== "dangerously") {
+    delete windowInstance.Worker;
+  }
 
   const EventTargetConstructor = windowInstance.EventTarget;
 
@@ -106,7 +120,11 @@ function setupWindow(windowInstance, { runScripts }) {
 function Window(options) {
   setupWindow(this, { runScripts: options.runScripts });
 
-  const rawPerformance = new RawPerformance();
+  // Shared with the window's frames and workers.
+  this._clock = options.clock;
+  this._clock._installDate(this);
+
+  const rawPerformance = this._clock._createPerformance();
   const windowInitialized = rawPerformance.now();
 
   const window = this;
@@ -114,6 +132,7 @@ function Window(options) {
   ///// PRIVATE DATA PROPERTIES
 
   this._resourceLoader = options.resourceLoader;
+  this._layoutEngine = options.layoutEngine;
 
   // vm initialization is deferred until script processing is activated
   this._globalProxy = this;
@@ -139,6 +158,11 @@ function Window(options) {
     documentImpl._defaultView = window._globalProxy = vm.runInContext("this", window);
   }
 
+  idlUtils.implForWrapper(this._document)._navigationTiming = PerformanceNavigationTiming.createImpl(window, [], {
+    name: this._document.URL,
+    startTime: 0
+  });
+
   const documentOrigin = idlUtils.implForWrapper(this._document)._origin;
   this._origin = documentOrigin;
 
@@ -149,10 +173,21 @@ function Window(options) {
     stateObject: null
   }, this);
 
+  // The pending request of a cross-document navigation, which gets canceled if another navigation starts.
+  this._navigationRequest = null;
+
   this._virtualConsole = options.virtualConsole;
 
   this._runScripts = options.runScripts;
 
+  // https://html.spec.whatwg.org/multipage/webappapis.html#module-map
+  // From URLs to promises for the modules fetched from them. See living/helpers/module-scripts.js.
+  this._moduleMap = new Map();
+
+  // https://html.spec.whatwg.org/multipage/webappapis.html#concept-global-import-map
+  // See living/helpers/import-maps.js. Frames start out with an empty one.
+  this._importMap = options.importMap || createEmptyImportMap();
+
   // Set up the window as if it's a top level window.
   // If it's not, then references will be corrected by frame/iframe code.
   this._parent = this._top = this._globalProxy;
@@ -166,6 +201,10 @@ function Window(options) {
   this._pretendToBeVisual = options.pretendToBeVisual;
   this._storageQuota = options.storageQuota;
 
+  // The size of the viewport and the preferred color scheme, which media queries are evaluated against.
+  this._viewport = options.viewport === undefined ? { width: 1024, height: 768 } : options.viewport;
+  this._colorScheme = options.colorScheme === undefined ? "light" : options.colorScheme;
+
   // Some properties (such as localStorage and sessionStorage) share data
   // between windows in the same origin. This object is intended
   // to contain such data.
@@ -221,6 +260,7 @@ function Window(options) {
   const external = External.create(window);
   const navigator = Navigator.create(window, [], { userAgent: this._resourceLoader._userAgent });
   const performance = Performance.create(window, [], { rawPerformance });
+  this._performance = idlUtils.implForWrapper(performance);
   const screen = Screen.create(window);
   const customElementRegistry = CustomElementRegistry.create(window);
 
@@ -249,6 +289,30 @@ function Window(options) {
     get document() {
       return window._document;
     },
+    get innerWidth() {
+      return window._viewport.width;
+    },
+    set innerWidth(value) {
+      replaceWithDataProperty(this, "innerWidth", value);
+    },
+    get innerHeight() {
+      return window._viewport.height;
+    },
+    set innerHeight(value) {
+      replaceWithDataProperty(this, "innerHeight", value);
+    },
+    get outerWidth() {
+      return window._viewport.width;
+    },
+    set outerWidth(value) {
+      replaceWithDataProperty(this, "outerWidth", value);
+    },
+    get outerHeight() {
+      return window._viewport.height;
+    },
+    set outerHeight(value) {
+      replaceWithDataProperty(this, "outerHeight", value);
+    },
     get external() {
       return external;
     },
@@ -288,14 +352,8 @@ function Window(options) {
     get origin() {
       return window._origin;
     },
-    // The origin IDL attribute is defined with [Replaceable].
     set origin(value) {
-      Object.defineProperty(this, "origin", {
-        value,
-        writable: true,
-        enumerable: true,
-        configurable: true
-      });
+      replaceWithDataProperty(this, "origin", value);
     },
     get localStorage() {
       if (idlUtils.implForWrapper(this._document)._origin === "null") {
@@ -328,8 +386,8 @@ function Window(options) {
 
   // https://html.spec.whatwg.org/multipage/timers-and-user-prompts.html#timers
 
-  // In the spec the list of active timers is a set of IDs. We make it a map of IDs to Node.js timer objects, so that
-  // we can call Node.js-side clearTimeout() when clearing, and thus allow process shutdown faster.
+  // In the spec the list of active timers is a set of IDs. We make it a map of IDs to the clock's timers (by default,
+  // Node.js timer objects), so that we can clear them on the clock's side, and thus allow process shutdown faster.
   const listOfActiveTimers = new Map();
   let latestTimerId = 0;
 
@@ -353,19 +411,19 @@ function Window(options) {
   this.clearTimeout = function (handle = 0) {
     handle = webIDLConversions.long(handle);
 
-    const nodejsTimer = listOfActiveTimers.get(handle);
-    if (nodejsTimer) {
-      clearTimeout(nodejsTimer);
+    const clockTimer = listOfActiveTimers.get(handle);
+    if (clockTimer) {
+      window._clock._clearTimeout(clockTimer);
       listOfActiveTimers.delete(handle);
     }
   };
   this.clearInterval = function (handle = 0) {
     handle = webIDLConversions.long(handle);
 
-    const nodejsTimer = listOfActiveTimers.get(handle);
-    if (nodejsTimer) {
-      // We use setTimeout() in timerInitializationSteps even for this.setInterval().
-      clearTimeout(nodejsTimer);
+    const clockTimer = listOfActiveTimers.get(handle);
+    if (clockTimer) {
+      // We use the clock's timeouts in timerInitializationSteps even for this.setInterval().
+      window._clock._clearTimeout(clockTimer);
       listOfActiveTimers.delete(handle);
     }
   };
@@ -386,6 +444,7 @@ function Window(options) {
         return;
       }
 
+      prepareToRunCallback(window);
       try {
         if (typeof handler === "function") {
           handler.apply(methodContextProxy, args);
@@ -394,6 +453,8 @@ function Window(options) {
         }
       } catch (e) {
         reportException(window, e, window.location.href);
+      } finally {
+        cleanUpAfterRunningCallback();
       }
 
       if (listOfActiveTimers.has(handle)) {
@@ -409,8 +470,8 @@ function Window(options) {
       timeout = 0;
     }
 
-    const nodejsTimer = setTimeout(task, timeout);
-    listOfActiveTimers.set(handle, nodejsTimer);
+    const clockTimer = window._clock._setTimeout(task, timeout);
+    listOfActiveTimers.set(handle, clockTimer);
 
     return handle;
   }
@@ -419,11 +480,10 @@ function Window(options) {
 
   let animationFrameCallbackId = 0;
   const mapOfAnimationFrameCallbacks = new Map();
-  let animationFrameNodejsInterval = null;
 
   // Unlike the spec, where an animation frame happens every 60 Hz regardless, we optimize so that if there are no
-  // requestAnimationFrame() calls outstanding, we don't fire the timer. This helps us track that.
-  let numberOfOngoingAnimationFrameCallbacks = 0;
+  // requestAnimationFrame() calls outstanding, we don't schedule the next frame. This is the clock's timer for it.
+  let animationFrameClockTimer = null;
 
   if (this._pretendToBeVisual) {
     this.requestAnimationFrame = function (callback) {
@@ -432,9 +492,9 @@ function Window(options) {
       const handle = ++animationFrameCallbackId;
       mapOfAnimationFrameCallbacks.set(handle, callback);
 
-      ++numberOfOngoingAnimationFrameCallbacks;
-      if (numberOfOngoingAnimationFrameCallbacks === 1) {
-        animationFrameNodejsInterval = setInterval(() => {
+      if (animationFrameClockTimer === null) {
+        animationFrameClockTimer = window._clock._setTimeout(() => {
+          animationFrameClockTimer = null;
           runAnimationFrameCallbacks(rawPerformance.now() - windowInitialized);
         }, 1000 / 60);
       }
@@ -456,36 +516,73 @@ function Window(options) {
         if (mapOfAnimationFrameCallbacks.has(handle)) {
           const callback = mapOfAnimationFrameCallbacks.get(handle);
           removeAnimationFrameCallback(handle);
+          prepareToRunCallback(window);
           try {
             callback(now);
           } catch (e) {
             reportException(window, e, window.location.href);
+          } finally {
+            cleanUpAfterRunningCallback();
           }
         }
       }
     }
 
     function removeAnimationFrameCallback(handle) {
-      if (mapOfAnimationFrameCallbacks.has(handle)) {
-        --numberOfOngoingAnimationFrameCallbacks;
-        if (numberOfOngoingAnimationFrameCallbacks === 0) {
-          clearInterval(animationFrameNodejsInterval);
-        }
-      }
-
       mapOfAnimationFrameCallbacks.delete(handle);
+
+      if (mapOfAnimationFrameCallbacks.size === 0 && animationFrameClockTimer !== null) {
+        window._clock._clearTimeout(animationFrameClockTimer);
+        animationFrameClockTimer = null;
+      }
     }
   }
 
+  // Tasks that jsdom queues itself, for example to fire events asynchronously, are scheduled on the clock as well, so
+  // that a virtual clock controls them too. They are dropped along with the timers when the document is unloaded or the
+  // window is closed.
+  const queuedTasks = new Set();
+
+  this._queueTask = function (task, timeout = 0) {
+    if (!window._document) {
+      return null;
+    }
+
+    const clockTimer = window._clock._setTimeout(() => {
+      queuedTasks.delete(clockTimer);
+      task();
+    }, timeout);
+    queuedTasks.add(clockTimer);
+
+    return clockTimer;
+  };
+
+  this._cancelTask = function (clockTimer) {
+    if (queuedTasks.delete(clockTimer)) {
+      window._clock._clearTimeout(clockTimer);
+    }
+  };
+
   function stopAllTimers() {
-    for (const nodejsTimer of listOfActiveTimers.values()) {
-      clearTimeout(nodejsTimer);
+    for (const clockTimer of listOfActiveTimers.values()) {
+      window._clock._clearTimeout(clockTimer);
     }
     listOfActiveTimers.clear();
 
-    clearInterval(animationFrameNodejsInterval);
+    for (const clockTimer of queuedTasks) {
+      window._clock._clearTimeout(clockTimer);
+    }
+    queuedTasks.clear();
+
+    mapOfAnimationFrameCallbacks.clear();
+    if (animationFrameClockTimer !== null) {
+      window._clock._clearTimeout(animationFrameClockTimer);
+      animationFrameClockTimer = null;
+    }
   }
 
+  this._stopAllTimers = stopAllTimers;
+
   function Option(text, value, defaultSelected, selected) {
     if (text === undefined) {
       text = "";
@@ -638,6 +735,7 @@ function Window(options) {
 
     stopAllTimers();
     WebSocketImpl.cleanUpWindow(this);
+    WorkerImpl.cleanUpWindow(this);
   };
 
   this.getComputedStyle = function (elt) {
@@ -647,39 +745,32 @@ function Window(options) {
       pseudoElt = webIDLConversions.DOMString(pseudoElt);
     }
 
-    if (pseudoElt !== undefined && pseudoElt !== null && pseudoElt !== "") {
-      // TODO: Parse pseudoElt
+    const declaration = new CSSStyleDeclaration();
 
+    let pseudoElement = null;
+    if (pseudoElt !== undefined && pseudoElt !== null && pseudoElt.startsWith(":")) {
       if (SHADOW_DOM_PSEUDO_REGEXP.test(pseudoElt)) {
         throw new TypeError("Tried to get the computed style of a Shadow DOM pseudo-element.");
       }
 
-      notImplemented("window.computedStyle(elt, pseudoElt)", this);
+      pseudoElement = parsePseudoElementSelector(pseudoElt);
+      if (pseudoElement === null) {
+        return declaration;
+      }
     }
 
-    const declaration = new CSSStyleDeclaration();
-    const { forEach } = Array.prototype;
-    const { style } = elt;
-
-    forEachMatchingSheetRuleOfElement(elt, rule => {
-      forEach.call(rule.style, property => {
-        declaration.setProperty(
-          property,
-          rule.style.getPropertyValue(property),
-          rule.style.getPropertyPriority(property)
-        );
-      });
-    });
-
     // https://drafts.csswg.org/cssom/#dom-window-getcomputedstyle
-    const declarations = Object.keys(propertiesWithResolvedValueImplemented);
-    forEach.call(declarations, property => {
-      declaration.setProperty(property, getResolvedValue(elt, property));
-    });
-
-    forEach.call(style, property => {
-      declaration.setProperty(property, style.getPropertyValue(property), style.getPropertyPriority(property));
-    });
+    // Elements of documents without a browsing context have no computed style.
+    if (elt._ownerDocument._defaultView) {
+      // cssstyle serializes the whole declaration each time a property is set, to pass it to the change callback, which
+      // makes setting every resolved value quadratic. This declaration has no change callback, so the serialization is
+      // skipped while it is filled in.
+      Object.defineProperty(declaration, "cssText", { value: "", configurable: true });
+      for (const [property, value] of getResolvedValues(elt, pseudoElement)) {
+        declaration.setProperty(property, value);
+      }
+      delete declaration.cssText;
+    }
 
     return declaration;
   };
@@ -688,6 +779,45 @@ function Window(options) {
     return window._document.getSelection();
   };
 
+  // https://drafts.csswg.org/cssom-view/#dom-window-matchmedia
+  this.matchMedia = function (query) {
+    query = webIDLConversions.DOMString(query);
+
+    return MediaQueryList.create(window, [], { document: idlUtils.implForWrapper(window._document), media: query });
+  };
+
+  // https://fetch.spec.whatwg.org/#fetch-method
+  this.fetch = function (input, init = {}) {
+    let requestObject;
+    try {
+      requestObject = idlUtils.implForWrapper(new window.Request(input, init));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    return fetch(window, requestObject);
+  };
+
+  // https://html.spec.whatwg.org/multipage/structured-data.html#dom-structuredclone
+  this.structuredClone = function (value, structuredSerializeOptions = undefined) {
+    if (arguments.length < 1) {
+      throw new TypeError("Failed to execute 'structuredClone' on 'Window': 1 argument required, but only 0 present.");
+    }
+
+    let transfer = [];
+    if (structuredSerializeOptions !== undefined && structuredSerializeOptions !== null) {
+      if (typeof structuredSerializeOptions !== "object" && typeof structuredSerializeOptions !== "function") {
+        throw new TypeError("Failed to execute 'structuredClone' on 'Window': parameter 2 is not an object.");
+      }
+      if (structuredSerializeOptions.transfer !== undefined) {
+        transfer = [...structuredSerializeOptions.transfer];
+      }
+    }
+
+    const serializeWithTransferResult = structuredSerializeWithTransfer(value, transfer, window);
+    return structuredDeserializeWithTransfer(serializeWithTransferResult, window).deserialized;
+  };
+
   // The captureEvents() and releaseEvents() methods must do nothing
   this.captureEvents = function () {};
 
@@ -733,10 +863,6 @@ function Window(options) {
     name: "",
     status: "",
     devicePixelRatio: 1,
-    innerWidth: 1024,
-    innerHeight: 768,
-    outerWidth: 1024,
-    outerHeight: 768,
     pageXOffset: 0,
     pageYOffset: 0,
     screenX: 0,
@@ -769,18 +895,31 @@ function Window(options) {
       return; // window might've been closed already
     }
 
-    if (window.document.readyState === "complete") {
+    function fireLoadEvents() {
       fireAnEvent("load", window, undefined, {}, window.document);
-    } else {
-      window.document.addEventListener("load", () => {
-        fireAnEvent("load", window, undefined, {}, window.document);
 
-        if (!idlUtils.implForWrapper(window._document)._pageShowingFlag) {
-          idlUtils.implForWrapper(window._document)._pageShowingFlag = true;
-          fireAnEvent("pageshow", window, PageTransitionEvent, { persisted: false }, window.document);
-        }
-      });
+      if (!idlUtils.implForWrapper(window._document)._pageShowingFlag) {
+        idlUtils.implForWrapper(window._document)._pageShowingFlag = true;
+        fireAnEvent("pageshow", window, PageTransitionEvent, { persisted: false }, window.document);
+      }
     }
+
+    if (window.document.readyState === "complete") {
+      fireLoadEvents();
+    } else {
+      window.document.addEventListener("load", fireLoadEvents);
+    }
+  });
+}
+
+// The setter of [Replaceable] attributes, which shadows the attribute with an own data property of the window.
+// https://webidl.spec.whatwg.org/#Replaceable
+function replaceWithDataProperty(window, name, value) {
+  Object.defineProperty(window, name, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true
   });
 }
 
@@ -0,0 +1,167 @@
+"use strict";
+const { Performance: RawPerformance } = require("w3c-hr-time");
+
+// A jsdom's clock schedules its windows' timers and animation frames, and provides the time for their Date and
+// performance objects. Frames and workers use the clock of the window that created them.
+
+// The default clock, which uses Node.js's timers and the real time.
+exports.RealClock = class RealClock {
+  _setTimeout(callback, timeout) {
+    return setTimeout(callback, timeout);
+  }
+
+  _clearTimeout(handle) {
+    clearTimeout(handle);
+  }
+
+  _createPerformance() {
+    return new RawPerformance();
+  }
+
+  _installDate() {}
+};
+
+// Timers scheduled by running more than this many timers at once are assumed to come from an infinite loop.
+const LOOP_LIMIT = 1000;
+
+// The clock for the clock: "virtual" option, which is exposed as dom.clock. Time only passes when it is told to, and
+// timers run synchronously as it passes.
+exports.VirtualClock = class VirtualClock {
+  constructor() {
+    // The time that Date gives, which can be changed with setSystemTime(), and the time since the clock was created,
+    // which performance.now() and timers are based on and which only moves forward.
+    this._systemTime = Date.now();
+    this._monotonicTime = 0;
+
+    this._timers = new Map();
+    this._latestTimerId = 0;
+  }
+
+  now() {
+    return this._systemTime;
+  }
+
+  setSystemTime(time) {
+    time = Number(time);
+    if (!Number.isFinite(time)) {
+      throw new TypeError("setSystemTime() must be given a Date or a number of milliseconds since the epoch");
+    }
+    this._systemTime = time;
+  }
+
+  tick(ms) {
+    ms = Number(ms);
+    if (!(ms >= 0) || ms === Infinity) {
+      throw new TypeError("tick() must be given a non-negative number of milliseconds");
+    }
+
+    const targetTime = this._monotonicTime + ms;
+    this._runTimers(timer => timer.time <= targetTime);
+    this._advanceTo(targetTime);
+  }
+
+  runAll() {
+    this._runTimers(() => true);
+  }
+
+  runToLastTimer() {
+    let lastTime = this._monotonicTime;
+    for (const timer of this._timers.values()) {
+      lastTime = Math.max(lastTime, timer.time);
+    }
+    this.tick(lastTime - this._monotonicTime);
+  }
+
+  _runTimers(shouldRun) {
+    for (let count = 0; ; ++count) {
+      const timer = this._nextTimer();
+      if (timer === null || !shouldRun(timer)) {
+        return;
+      }
+      if (count === LOOP_LIMIT) {
+        throw new Error(`Aborting after running ${LOOP_LIMIT} timers, assuming an infinite loop`);
+      }
+
+      this._timers.delete(timer.id);
+      this._advanceTo(timer.time);
+      timer.callback();
+    }
+  }
+
+  _nextTimer() {
+    let next = null;
+    for (const timer of this._timers.values()) {
+      if (next === null || timer.time < next.time) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  _advanceTo(time) {
+    this._systemTime += time - this._monotonicTime;
+    this._monotonicTime = time;
+  }
+
+  _setTimeout(callback, timeout) {
+    const id = ++this._latestTimerId;
+    this._timers.set(id, { id, callback, time: this._monotonicTime + Math.max(timeout, 0) });
+    return id;
+  }
+
+  _clearTimeout(id) {
+    this._timers.delete(id);
+  }
+
+  // Creates an object like w3c-hr-time's Performance, whose time origin is the current time.
+  _createPerformance() {
+    const timeOrigin = this._systemTime;
+    const start = this._monotonicTime;
+    return {
+      timeOrigin,
+      now: () => this._monotonicTime - start,
+      toJSON: () => ({ timeOrigin })
+    };
+  }
+
+  // Replaces the global object's Date with one whose current time comes from this clock. Date objects still inherit
+  // from the original Date.prototype, which is pointed at the new constructor unless it is shared with Node.js, as it
+  // is for windows whose scripts are not run.
+  _installDate(globalObject) {
+    const clock = this;
+    const OriginalDate = globalObject.Date;
+
+    // eslint-disable-next-line func-style, func-name-matching, no-shadow
+    const Date = function Date(...args) {
+      if (new.target === undefined) {
+        return new OriginalDate(clock.now()).toString();
+      }
+      return Reflect.construct(OriginalDate, args.length === 0 ? [clock.now()] : args, new.target);
+    };
+    Object.setPrototypeOf(Date, Object.getPrototypeOf(OriginalDate));
+
+    const methods = {
+      now() {
+        return clock.now();
+      },
+      parse: OriginalDate.parse,
+      UTC: OriginalDate.UTC
+    };
+    for (const [name, value] of Object.entries(methods)) {
+      Object.defineProperty(Date, name, { configurable: true, writable: true, value });
+    }
+    Object.defineProperties(Date, {
+      length: { configurable: true, value: OriginalDate.length },
+      prototype: { writable: false, value: OriginalDate.prototype }
+    });
+
+    if (OriginalDate !== global.Date) {
+      Object.defineProperty(OriginalDate.prototype, "constructor", { configurable: true, writable: true, value: Date });
+    }
+
+    Object.defineProperty(globalObject, "Date", {
+      ...Object.getOwnPropertyDescriptor(globalObject, "Date"),
+      value: Date
+    });
+  }
+};
@@ -124,10 +124,19 @@ q {
     display: inline
 }
 
-/* nwmatcher does not support ::before and ::after, so we can't render q
-correctly: https://html.spec.whatwg.org/multipage/rendering.html#phrasing-content-3
-TODO: add q::before and q::after selectors
-*/
+/* https://html.spec.whatwg.org/multipage/rendering.html#phrasing-content-3 */
+q::before {
+    content: open-quote
+}
+
+q::after {
+    content: close-quote
+}
+
+/* https://html.spec.whatwg.org/multipage/rendering.html#form-controls */
+::placeholder {
+    color: darkgray
+}
 
 center {
     display: block;
@@ -751,6 +760,10 @@ template {
     display: none
 }
 
+[hidden] {
+    display: none
+}
+
 bdi, output {
     unicode-bidi: -webkit-isolate;
 }
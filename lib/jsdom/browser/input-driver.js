@@ -0,0 +1,465 @@
+"use strict";
+const idlUtils = require("../living/generated/utils");
+const InputEvent = require("../living/generated/InputEvent");
+const KeyboardEvent = require("../living/generated/KeyboardEvent");
+const MouseEvent = require("../living/generated/MouseEvent");
+const { fireAnEvent } = require("../living/helpers/events");
+const focusing = require("../living/helpers/focusing");
+const { editingHostOf } = require("../living/helpers/editing");
+const editingCommands = require("../living/helpers/editing-commands");
+const { isButton, isDisabled, isSubmitButton, isTextControl, formOwner } = require("../living/helpers/form-controls");
+const { flatTreeParent } = require("../living/helpers/shadow-dom");
+const { HTML_NS } = require("../living/helpers/namespaces");
+const { parseNonNegativeInteger } = require("../living/helpers/strings");
+const NODE_TYPE = require("../living/node-type");
+
+// The driver behind dom.input, which acts like a user of the window: its events are trusted, and it takes the default
+// actions that browsers take for them, such as editing the focused text control, moving the focus, and activating
+// buttons. Only text inputs, textareas and editing hosts can be typed into.
+
+// https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#field-that-blocks-implicit-submission
+const implicitSubmissionBlockingTypes = new Set([
+  "text", "search", "url", "tel", "email", "password",
+  "date", "month", "week", "time", "datetime-local", "number"
+]);
+
+// The key codes of https://w3c.github.io/uievents/#legacy-key-attributes, for the keys that are not characters.
+const namedKeyCodes = new Map([
+  ["Backspace", 8], ["Tab", 9], ["Enter", 13], ["Shift", 16], ["Control", 17], ["Alt", 18], ["Escape", 27],
+  ["PageUp", 33], ["PageDown", 34], ["End", 35], ["Home", 36], ["ArrowLeft", 37], ["ArrowUp", 38],
+  ["ArrowRight", 39], ["ArrowDown", 40], ["Delete", 46], ["Meta", 91]
+]);
+const modifierKeys = new Set(["Shift", "Control", "Alt", "Meta"]);
+
+// The shortcuts of editing hosts, given as the commands that they execute.
+const editingShortcuts = new Map([
+  ["a", "selectAll"],
+  ["b", "bold"],
+  ["i", "italic"],
+  ["u", "underline"],
+  ["y", "redo"]
+]);
+
+// Returns the code and legacy keyCode of a key, as if it was pressed on a US keyboard.
+function keyCodes(key) {
+  if (namedKeyCodes.has(key)) {
+    return { code: modifierKeys.has(key) ? `${key}Left` : key, keyCode: namedKeyCodes.get(key) };
+  }
+  if (key === " ") {
+    return { code: "Space", keyCode: 32 };
+  }
+  if (/^[a-z]$/i.test(key)) {
+    return { code: `Key${key.toUpperCase()}`, keyCode: key.toUpperCase().charCodeAt(0) };
+  }
+  if (/^[0-9]$/.test(key)) {
+    return { code: `Digit${key}`, keyCode: key.charCodeAt(0) };
+  }
+  return { code: "", keyCode: 0 };
+}
+
+function toElementImpl(value, methodName) {
+  const impl = value !== null && typeof value === "object" ? idlUtils.implForWrapper(value) : undefined;
+  if (!impl || impl.nodeType !== NODE_TYPE.ELEMENT_NODE) {
+    throw new TypeError(`${methodName}() must be given an element`);
+  }
+  return impl;
+}
+
+function isHTMLElement(node, localName) {
+  return node.nodeType === NODE_TYPE.ELEMENT_NODE && node._namespaceURI === HTML_NS && node._localName === localName;
+}
+
+function isActivatedByEnter(element) {
+  return ((isHTMLElement(element, "button") || isHTMLElement(element, "input")) && isButton(element)) ||
+    ((isHTMLElement(element, "a") || isHTMLElement(element, "area")) && element.hasAttributeNS(null, "href"));
+}
+
+function isActivatedBySpace(element) {
+  return isHTMLElement(element, "button") ||
+    (isHTMLElement(element, "input") && (isButton(element) || element.type === "checkbox" || element.type === "radio"));
+}
+
+// The element that clicking on element focuses, which is its nearest focusable inclusive ancestor in the flat tree, if
+// any. Shadow hosts that delegate focus pass it on when they are focused.
+function focusTargetOf(element) {
+  let node = element;
+  while (node !== null && !(node.nodeType === NODE_TYPE.ELEMENT_NODE &&
+         (focusing.isFocusableAreaElement(node) || focusing.delegatesFocus(node)))) {
+    node = flatTreeParent(node);
+  }
+  return node;
+}
+
+function fireClick(element, detail) {
+  return fireAnEvent("click", element, MouseEvent, {
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    view: element._ownerDocument._defaultView,
+    detail,
+    button: 0
+  });
+}
+
+// https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#implicit-submission
+function submitImplicitly(control) {
+  const form = formOwner(control);
+  if (form === null) {
+    return;
+  }
+  focusing.commitUserChanges(control);
+
+  const controls = form._getElementNodes();
+  const defaultButton = controls.find(isSubmitButton);
+  if (defaultButton !== undefined) {
+    if (!isDisabled(defaultButton)) {
+      fireClick(defaultButton, 0);
+    }
+    return;
+  }
+
+  const blockingFields = controls.filter(element => {
+    return isHTMLElement(element, "input") && implicitSubmissionBlockingTypes.has(element.type);
+  });
+  if (blockingFields.length <= 1) {
+    form._doRequestSubmit();
+  }
+}
+
+// https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#attr-fe-maxlength
+function maximumLength(control) {
+  const attribute = isHTMLElement(control, "textarea") ?
+    control.getAttributeNS(null, "maxlength") :
+    control._getAttributeIfApplies("maxlength");
+  const value = attribute === null ? null : parseNonNegativeInteger(attribute);
+  return value === null ? Infinity : value;
+}
+
+function isHighSurrogate(codeUnit) {
+  return codeUnit >= 0xD800 && codeUnit <= 0xDBFF;
+}
+
+function isLowSurrogate(codeUnit) {
+  return codeUnit >= 0xDC00 && codeUnit <= 0xDFFF;
+}
+
+// The offsets of the code points before and after offset in value, so that surrogate pairs are never split.
+function previousOffset(value, offset) {
+  if (offset >= 2 && isLowSurrogate(value.charCodeAt(offset - 1)) && isHighSurrogate(value.charCodeAt(offset - 2))) {
+    return offset - 2;
+  }
+  return Math.max(offset - 1, 0);
+}
+
+function nextOffset(value, offset) {
+  if (isHighSurrogate(value.charCodeAt(offset)) && isLowSurrogate(value.charCodeAt(offset + 1))) {
+    return offset + 2;
+  }
+  return Math.min(offset + 1, value.length);
+}
+
+function setCaret(control, offset) {
+  control._selectionStart = control._selectionEnd = offset;
+  control._selectionDirection = "none";
+}
+
+// Replaces the text between start and end in the value of a text control, as the user does, with beforeinput and input
+// events.
+function replaceInTextControl(control, start, end, text, inputType) {
+  const data = inputType.startsWith("insert") ? text : null;
+  if (!fireAnEvent("beforeinput", control, InputEvent, {
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    inputType,
+    data
+  })) {
+    return;
+  }
+
+  const { value } = control;
+  const newValue = value.slice(0, start) + text + value.slice(end);
+  if (isHTMLElement(control, "textarea")) {
+    control._rawValue = newValue;
+  } else {
+    control._value = newValue;
+  }
+  control._dirtyValue = true;
+  control._valueChangedByUser = true;
+  setCaret(control, start + text.length);
+
+  fireAnEvent("input", control, InputEvent, { bubbles: true, composed: true, inputType, data });
+}
+
+function insertIntoTextControl(control, text, inputType) {
+  if (!control._mutable) {
+    return;
+  }
+  if (isHTMLElement(control, "input")) {
+    text = text.replace(/[\r\n]/g, "");
+  }
+
+  const start = control._selectionStart;
+  const end = control._selectionEnd;
+  const room = maximumLength(control) - (control.value.length - (end - start));
+  if (text.length > room) {
+    let length = Math.max(room, 0);
+    if (length > 0 && isHighSurrogate(text.charCodeAt(length - 1))) {
+      --length;
+    }
+    text = text.slice(0, length);
+  }
+
+  if (text !== "" || start !== end) {
+    replaceInTextControl(control, start, end, text, inputType);
+  }
+}
+
+function deleteFromTextControl(control, forward) {
+  if (!control._mutable) {
+    return;
+  }
+
+  const { value } = control;
+  let start = control._selectionStart;
+  let end = control._selectionEnd;
+  if (start === end) {
+    if (forward) {
+      end = nextOffset(value, end);
+    } else {
+      start = previousOffset(value, start);
+    }
+  }
+
+  if (start !== end) {
+    replaceInTextControl(control, start, end, "", forward ? "deleteContentForward" : "deleteContentBackward");
+  }
+}
+
+// Moves the caret of a text control for the arrow keys and Home and End. Home and End move to the start and end of the
+// line in textareas.
+function moveCaret(control, key) {
+  const { value } = control;
+  const start = control._selectionStart;
+  const end = control._selectionEnd;
+  const isTextarea = isHTMLElement(control, "textarea");
+
+  switch (key) {
+    case "ArrowLeft":
+      setCaret(control, start !== end ? start : previousOffset(value, start));
+      break;
+    case "ArrowRight":
+      setCaret(control, start !== end ? end : nextOffset(value, end));
+      break;
+    case "Home":
+      setCaret(control, isTextarea && start > 0 ? value.lastIndexOf("\n", start - 1) + 1 : 0);
+      break;
+    case "End": {
+      const lineEnd = isTextarea ? value.indexOf("\n", end) : -1;
+      setCaret(control, lineEnd === -1 ? value.length : lineEnd);
+      break;
+    }
+  }
+}
+
+class InputDriver {
+  constructor(window) {
+    this._window = window;
+  }
+
+  type(element, text) {
+    element = toElementImpl(element, "type");
+    text = String(text);
+
+    if (focusTargetOf(element) !== element._ownerDocument._lastFocusedElement) {
+      this._click(element);
+    }
+
+    for (const character of text) {
+      this._press(character === "\n" ? "Enter" : character, {});
+    }
+  }
+
+  press(key, { shiftKey = false, ctrlKey = false, altKey = false, metaKey = false } = {}) {
+    key = String(key);
+    if (key === "") {
+      throw new TypeError("press() must be given a key");
+    }
+
+    this._press(key, {
+      shiftKey: Boolean(shiftKey),
+      ctrlKey: Boolean(ctrlKey),
+      altKey: Boolean(altKey),
+      metaKey: Boolean(metaKey)
+    });
+  }
+
+  click(element) {
+    this._click(toElementImpl(element, "click"));
+  }
+
+  tab({ shiftKey = false } = {}) {
+    this._press("Tab", { shiftKey: Boolean(shiftKey) });
+  }
+
+  paste(text) {
+    text = String(text);
+
+    const target = this._keyEventTarget();
+    if (!fireAnEvent("paste", target, undefined, { bubbles: true, cancelable: true, composed: true })) {
+      return;
+    }
+
+    if (isTextControl(target)) {
+      insertIntoTextControl(target, text, "insertFromPaste");
+    } else if (editingHostOf(target) !== null) {
+      editingCommands.execCommand(target._ownerDocument, "insertText", text, "insertFromPaste");
+    }
+  }
+
+  // Key events go to the focused element, which can be in a frame, or to the body if nothing is focused.
+  _keyEventTarget() {
+    let document = idlUtils.implForWrapper(this._window._document);
+    let element = document._lastFocusedElement;
+    while (element !== null && element._contentDocument) {
+      document = element._contentDocument;
+      element = document._lastFocusedElement;
+    }
+
+    if (element !== null) {
+      return element;
+    }
+    return document.body || document.documentElement || document;
+  }
+
+  // https://w3c.github.io/uievents/#keys-keyboard-event-order
+  _press(key, modifiers) {
+    const { ctrlKey = false, metaKey = false } = modifiers;
+    const target = this._keyEventTarget();
+    const init = {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: target._ownerDocument._defaultView,
+      key,
+      ...keyCodes(key),
+      ...modifiers
+    };
+
+    let runDefaultAction = fireAnEvent("keydown", target, KeyboardEvent, init);
+
+    const isCharacter = [...key].length === 1 && !ctrlKey && !metaKey;
+    if (runDefaultAction && (isCharacter || key === "Enter")) {
+      const charCode = key === "Enter" ? 13 : key.codePointAt(0);
+      runDefaultAction = fireAnEvent("keypress", target, KeyboardEvent, { ...init, keyCode: charCode, charCode });
+    }
+
+    const activateOnKeyUp = runDefaultAction && this._runKeyDefaultAction(target, key, modifiers, isCharacter);
+
+    // The default action can move the focus, which moves the keyup event too.
+    const keyUpTarget = this._keyEventTarget();
+    const keyUpNotCanceled = fireAnEvent("keyup", keyUpTarget, KeyboardEvent, {
+      ...init,
+      view: keyUpTarget._ownerDocument._defaultView
+    });
+    if (activateOnKeyUp && keyUpNotCanceled && keyUpTarget === target) {
+      fireClick(target, 0);
+    }
+  }
+
+  // Returns whether the target is to be activated when the key is released, as buttons and checkboxes are by Space.
+  _runKeyDefaultAction(target, key, modifiers, isCharacter) {
+    const { shiftKey = false, ctrlKey = false, metaKey = false } = modifiers;
+    const document = target._ownerDocument;
+    const isEditable = editingHostOf(target) !== null;
+
+    if (ctrlKey || metaKey) {
+      const shortcut = key.toLowerCase();
+      if (isTextControl(target) && shortcut === "a") {
+        target.select();
+      } else if (isEditable && shortcut === "z") {
+        editingCommands.execCommand(document, shiftKey ? "redo" : "undo");
+      } else if (isEditable && editingShortcuts.has(shortcut)) {
+        editingCommands.execCommand(document, editingShortcuts.get(shortcut));
+      }
+      return false;
+    }
+
+    if (isCharacter) {
+      if (isTextControl(target)) {
+        insertIntoTextControl(target, key, "insertText");
+      } else if (isEditable) {
+        editingCommands.execCommand(document, "insertText", key);
+      }
+      return key === " " && isActivatedBySpace(target);
+    }
+
+    switch (key) {
+      case "Enter":
+        if (isHTMLElement(target, "textarea")) {
+          insertIntoTextControl(target, "\n", "insertLineBreak");
+        } else if (isActivatedByEnter(target)) {
+          fireClick(target, 0);
+        } else if (isHTMLElement(target, "input")) {
+          submitImplicitly(target);
+        } else if (isEditable) {
+          editingCommands.execCommand(document, "insertParagraph");
+        }
+        break;
+
+      case "Backspace":
+      case "Delete": {
+        const forward = key === "Delete";
+        if (isTextControl(target)) {
+          deleteFromTextControl(target, forward);
+        } else if (isEditable) {
+          editingCommands.execCommand(document, forward ? "forwardDelete" : "delete");
+        }
+        break;
+      }
+
+      case "ArrowLeft":
+      case "ArrowRight":
+      case "Home":
+      case "End":
+        if (isTextControl(target) && !shiftKey) {
+          moveCaret(target, key);
+        }
+        break;
+    }
+    return false;
+  }
+
+  // https://w3c.github.io/uievents/#events-mouseevent-event-order
+  _click(element) {
+    if (isDisabled(element)) {
+      return;
+    }
+
+    const document = element._ownerDocument;
+    const init = {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: document._defaultView,
+      detail: 1,
+      button: 0
+    };
+
+    if (fireAnEvent("mousedown", element, MouseEvent, { ...init, buttons: 1 })) {
+      const focusTarget = focusTargetOf(element);
+      if (focusTarget === null) {
+        if (document._lastFocusedElement !== null) {
+          document._lastFocusedElement.blur();
+        }
+      } else if (document._lastFocusedElement !== focusTarget) {
+        focusing.focusFromUserInteraction(focusTarget);
+      }
+    }
+
+    fireAnEvent("mouseup", element, MouseEvent, init);
+    fireClick(element, 1);
+  }
+}
+
+exports.InputDriver = InputDriver;
@@ -0,0 +1,601 @@
+"use strict";
+const idlUtils = require("../../living/generated/utils");
+const NODE_TYPE = require("../../living/node-type");
+const { domSymbolTree } = require("../../living/helpers/internal-constants");
+const { HTML_NS } = require("../../living/helpers/namespaces");
+const { getCascadedPropertyValues } = require("../../living/helpers/style-rules");
+const { parseNonNegativeInteger } = require("../../living/helpers/strings");
+const LayoutEngine = require("./layout-engine");
+
+// All text is measured as if it were set in a monospace font of this size, in which every character has the same
+// advance width, so that the results do not depend on the fonts installed.
+const FONT_SIZE = 16;
+const CHARACTER_WIDTH = 8;
+const LINE_HEIGHT = 16;
+
+const BORDER_WIDTH_KEYWORDS = { thin: 1, medium: 3, thick: 5 };
+
+const sides = ["top", "right", "bottom", "left"];
+
+// The default style sheet uses the WebKit names of the logical margin and padding properties.
+const logicalNames = { top: "before", right: "end", bottom: "after", left: "start" };
+
+const styleProperties = [
+  "display",
+  "white-space",
+  "box-sizing",
+  "width",
+  "height",
+  ...sides.map(side => `margin-${side}`),
+  ...sides.map(side => `-webkit-margin-${logicalNames[side]}`),
+  ...sides.map(side => `padding-${side}`),
+  ...sides.map(side => `-webkit-padding-${logicalNames[side]}`),
+  ...sides.map(side => `border-${side}-width`),
+  ...sides.map(side => `border-${side}-style`)
+];
+
+// A deliberately simple implementation of CSS block and inline layout, in a viewport of the window's innerWidth:
+//
+// - Block-level boxes are stacked vertically and fill the width of their containing block, unless they have an
+//   explicit width. Their margins do not collapse.
+// - Text and inline boxes are broken into lines, and inline-block boxes shrink to fit their contents. Everything on a
+//   line is aligned to its top.
+// - Everything that is neither `none`, `contents`, `inline` nor `inline-*` is laid out like `block`, so that flex
+//   containers and tables stack their children vertically.
+// - Positioning, floats, transforms and scrolling are ignored.
+//
+// The layout of a document is cached until its tree, its style sheets or its viewport change. Changes jsdom does not
+// track, such as edits to CSSOM rules or the checkedness of inputs, are picked up once the current task is over: the
+// cache is dropped at the next microtask checkpoint.
+module.exports = class BasicLayoutEngine extends LayoutEngine {
+  constructor() {
+    super();
+    this._layouts = new WeakMap();
+  }
+
+  getBox(element) {
+    const elementImpl = idlUtils.implForWrapper(element);
+    const document = elementImpl._ownerDocument;
+
+    let context = this._layouts.get(document);
+    if (context === undefined || !isUpToDate(context, document)) {
+      context = layOutDocument(document);
+      this._layouts.set(document, context);
+
+      Promise.resolve().then(() => {
+        if (this._layouts.get(document) === context) {
+          this._layouts.delete(document);
+        }
+      });
+    }
+
+    return context.boxes.get(elementImpl) || null;
+  }
+};
+
+function layOutDocument(document) {
+  const window = document._defaultView;
+  const root = document.documentElement;
+
+  const context = {
+    version: document._version,
+    styleSheets: [...document.styleSheets._list],
+    viewport: window._viewport,
+    colorScheme: window._colorScheme,
+    boxes: new Map(),
+    styles: new Map(),
+    maxContentWidths: new Map()
+  };
+  if (root !== null && getStyle(context, root).display !== "none") {
+    layOutBlock(context, root, 0, 0, window._viewport.width, false);
+  }
+
+  return context;
+}
+
+// Whether the layout in the context was computed for the current tree, style sheets and viewport of the document. The
+// viewport is replaced, rather than changed, when the JSDOM is reconfigured.
+function isUpToDate(context, document) {
+  const window = document._defaultView;
+  const styleSheets = document.styleSheets._list;
+
+  return context.version === document._version &&
+    context.viewport === window._viewport &&
+    context.colorScheme === window._colorScheme &&
+    context.styleSheets.length === styleSheets.length &&
+    context.styleSheets.every((sheet, i) => sheet === styleSheets[i]);
+}
+
+function getStyle(context, element) {
+  let style = context.styles.get(element);
+  if (style !== undefined) {
+    return style;
+  }
+
+  const values = getCascadedPropertyValues(element, styleProperties);
+  const { parentElement } = element;
+
+  const margin = {};
+  const padding = {};
+  const border = {};
+  for (const side of sides) {
+    margin[side] = values[`margin-${side}`] || values[`-webkit-margin-${logicalNames[side]}`] || "0";
+    padding[side] = values[`padding-${side}`] || values[`-webkit-padding-${logicalNames[side]}`] || "0";
+    border[side] = resolveBorderWidth(values[`border-${side}-width`], values[`border-${side}-style`]);
+  }
+
+  style = {
+    display: element === element._ownerDocument.documentElement ?
+      blockify(displayType(values.display)) :
+      displayType(values.display),
+    whiteSpace: values["white-space"] ||
+      (parentElement === null ? "normal" : getStyle(context, parentElement).whiteSpace),
+    boxSizing: values["box-sizing"] || "content-box",
+    width: values.width || "auto",
+    height: values.height || "auto",
+    margin,
+    padding,
+    border
+  };
+  context.styles.set(element, style);
+  return style;
+}
+
+// Reduces the value of the display property to the types of boxes we know how to lay out.
+function displayType(value) {
+  switch (value.trim().toLowerCase()) {
+    case "none":
+    case "contents":
+    case "inline-block":
+      return value.trim().toLowerCase();
+    case "":
+    case "inline":
+    case "initial":
+      return "inline";
+    case "inline-flex":
+    case "inline-grid":
+    case "inline-table":
+      return "inline-block";
+    default:
+      return "block";
+  }
+}
+
+function blockify(display) {
+  return display === "inline" || display === "inline-block" ? "block" : display;
+}
+
+// Returns the length in pixels, or null for `auto`, for percentages without a basis, and for values we do not
+// understand.
+function resolveLength(value, percentageBasis) {
+  const match = /^(-?(?:\d+\.?\d*|\.\d+))(px|pt|em|rem|__qem|%)?$/i.exec(value.trim());
+  if (match === null) {
+    return null;
+  }
+
+  const number = Number(match[1]);
+  switch (match[2] && match[2].toLowerCase()) {
+    case undefined:
+      return number === 0 ? 0 : null;
+    case "px":
+      return number;
+    case "pt":
+      return number * 4 / 3;
+    case "%":
+      return percentageBasis === null ? null : number * percentageBasis / 100;
+    default:
+      return number * FONT_SIZE;
+  }
+}
+
+function resolveBorderWidth(width, style) {
+  if (style === "" || style === "none" || style === "hidden") {
+    return 0;
+  }
+  if (width === "") {
+    return BORDER_WIDTH_KEYWORDS.medium;
+  }
+  if (width in BORDER_WIDTH_KEYWORDS) {
+    return BORDER_WIDTH_KEYWORDS[width];
+  }
+  return Math.max(resolveLength(width, null) || 0, 0);
+}
+
+function resolvePadding(style, percentageBasis) {
+  const padding = {};
+  for (const side of sides) {
+    padding[side] = Math.max(resolveLength(style.padding[side], percentageBasis) || 0, 0);
+  }
+  return padding;
+}
+
+// The natural size of replaced elements, and of form controls, whose contents are not laid out. Returns null for all
+// other elements.
+function getIntrinsicSize(element) {
+  if (element._namespaceURI !== HTML_NS) {
+    return null;
+  }
+
+  switch (element._localName) {
+    case "img":
+      return { width: dimensionAttribute(element, "width", 0), height: dimensionAttribute(element, "height", 0) };
+    case "canvas":
+    case "embed":
+    case "iframe":
+    case "object":
+    case "video":
+      return { width: dimensionAttribute(element, "width", 300), height: dimensionAttribute(element, "height", 150) };
+    case "input":
+      if (element.type === "checkbox" || element.type === "radio") {
+        return { width: 13, height: 13 };
+      }
+      return { width: dimensionAttribute(element, "size", 20) * CHARACTER_WIDTH, height: LINE_HEIGHT };
+    case "textarea":
+      return {
+        width: dimensionAttribute(element, "cols", 20) * CHARACTER_WIDTH,
+        height: dimensionAttribute(element, "rows", 2) * LINE_HEIGHT
+      };
+    case "select":
+      return { width: 20 * CHARACTER_WIDTH, height: LINE_HEIGHT };
+    default:
+      return null;
+  }
+}
+
+function dimensionAttribute(element, name, defaultValue) {
+  const value = element.getAttributeNS(null, name);
+  const parsed = value === null ? null : parseNonNegativeInteger(value);
+  return parsed === null ? defaultValue : parsed;
+}
+
+// Resolves the horizontal dimensions of a block-level box, or, when shrinkToFit is true, of an inline-block box. The
+// containing block width is Infinity while measuring the max-content width of an ancestor.
+function resolveHorizontal(context, element, containingWidth, shrinkToFit) {
+  const style = getStyle(context, element);
+  const percentageBasis = Number.isFinite(containingWidth) ? containingWidth : null;
+  const { border } = style;
+  const padding = resolvePadding(style, percentageBasis);
+  const extras = border.left + padding.left + padding.right + border.right;
+
+  let marginLeft = resolveLength(style.margin.left, percentageBasis);
+  let marginRight = resolveLength(style.margin.right, percentageBasis);
+
+  let width = resolveLength(style.width, percentageBasis);
+  if (width !== null && style.boxSizing === "border-box") {
+    width = Math.max(width - extras, 0);
+  }
+
+  const intrinsicSize = getIntrinsicSize(element);
+  const available = Math.max(containingWidth - (marginLeft || 0) - (marginRight || 0) - extras, 0);
+  if (width === null) {
+    if (intrinsicSize !== null) {
+      width = intrinsicSize.width;
+    } else if (shrinkToFit) {
+      width = Math.min(maxContentWidth(context, element), available);
+    } else {
+      width = available;
+    }
+  }
+
+  const remaining = Number.isFinite(containingWidth) ?
+    Math.max(containingWidth - width - extras - (marginLeft || 0) - (marginRight || 0), 0) :
+    0;
+  if (shrinkToFit) {
+    marginLeft = marginLeft || 0;
+    marginRight = marginRight || 0;
+  } else if (marginLeft === null && marginRight === null) {
+    marginLeft = remaining / 2;
+    marginRight = remaining / 2;
+  } else if (marginLeft === null) {
+    marginLeft = remaining;
+  } else if (marginRight === null) {
+    marginRight = remaining;
+  }
+
+  return { marginLeft, marginRight, border, padding, width };
+}
+
+function outerWidth({ marginLeft, marginRight, border, padding, width }) {
+  return marginLeft + border.left + padding.left + width + padding.right + border.right + marginRight;
+}
+
+// Lays out a block-level box, or, when shrinkToFit is true, an inline-block box, whose margin box starts at (x, y),
+// together with its contents. Returns the size of the margin box.
+function layOutBlock(context, element, x, y, containingWidth, shrinkToFit) {
+  const style = getStyle(context, element);
+  const { marginLeft, marginRight, border, padding, width } =
+    resolveHorizontal(context, element, containingWidth, shrinkToFit);
+  const marginTop = resolveLength(style.margin.top, containingWidth) || 0;
+  const marginBottom = resolveLength(style.margin.bottom, containingWidth) || 0;
+
+  const borderX = x + marginLeft;
+  const borderY = y + marginTop;
+
+  const intrinsicSize = getIntrinsicSize(element);
+  const content = intrinsicSize === null ?
+    layOutFlow(context, element, borderX + border.left + padding.left, borderY + border.top + padding.top, width) :
+    { width: 0, height: 0 };
+
+  let height = resolveLength(style.height, null);
+  if (height !== null && style.boxSizing === "border-box") {
+    height = Math.max(height - border.top - padding.top - padding.bottom - border.bottom, 0);
+  }
+  if (height === null) {
+    height = intrinsicSize === null ? content.height : intrinsicSize.height;
+  }
+
+  const paddingBoxWidth = padding.left + width + padding.right;
+  const paddingBoxHeight = padding.top + height + padding.bottom;
+  const box = {
+    x: borderX,
+    y: borderY,
+    width: border.left + paddingBoxWidth + border.right,
+    height: border.top + paddingBoxHeight + border.bottom,
+    borderTop: border.top,
+    borderRight: border.right,
+    borderBottom: border.bottom,
+    borderLeft: border.left,
+    scrollWidth: Math.max(paddingBoxWidth, padding.left + content.width + padding.right),
+    scrollHeight: Math.max(paddingBoxHeight, padding.top + content.height + padding.bottom)
+  };
+  context.boxes.set(element, box);
+
+  return { width: marginLeft + box.width + marginRight, height: marginTop + box.height + marginBottom };
+}
+
+// Splits text into words, runs of spaces and, if they are preserved, newlines, each measured in characters.
+function tokenize(text, preserveNewlines) {
+  const tokens = [];
+  const regexp = preserveNewlines ? /(\n)|([\t\f\r ]+)|([^\t\n\f\r ]+)/g : /()([\t\n\f\r ]+)|([^\t\n\f\r ]+)/g;
+
+  let match;
+  while ((match = regexp.exec(text)) !== null) {
+    if (match[1]) {
+      tokens.push({ type: "newline" });
+    } else if (match[2]) {
+      tokens.push({ type: "space", length: match[2].length });
+    } else {
+      tokens.push({ type: "word", length: [...match[3]].length });
+    }
+  }
+
+  return tokens;
+}
+
+// The state of laying out a sequence of block-level boxes and lines. When measuring, nothing is recorded, and the
+// resulting width is the max-content width of the contents.
+class Flow {
+  constructor(context, x, y, width, measuring) {
+    this.context = context;
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.measuring = measuring;
+
+    // The extent of what has been laid out, relative to (x, y).
+    this.contentWidth = 0;
+    this.contentHeight = 0;
+
+    this.lineX = 0;
+    this.lineHeight = 0;
+    this.lineHasContent = false;
+    this.pendingSpace = false;
+    this.afterSpace = true;
+    this.openInlines = [];
+  }
+
+  addChildren(element) {
+    for (const child of domSymbolTree.childrenIterator(element)) {
+      if (child.nodeType === NODE_TYPE.TEXT_NODE) {
+        this.addText(child.data, getStyle(this.context, element).whiteSpace);
+      } else if (child.nodeType === NODE_TYPE.ELEMENT_NODE) {
+        this.addElement(child);
+      }
+    }
+  }
+
+  addElement(element) {
+    switch (getStyle(this.context, element).display) {
+      case "none":
+        break;
+      case "contents":
+        this.addChildren(element);
+        break;
+      case "block":
+        this.addBlock(element);
+        break;
+      case "inline-block":
+        this.addAtomicInline(element);
+        break;
+      default:
+        if (getIntrinsicSize(element) === null) {
+          this.addInline(element);
+        } else {
+          this.addAtomicInline(element);
+        }
+    }
+  }
+
+  addBlock(element) {
+    this.endLine(false);
+
+    if (this.measuring) {
+      const horizontal = resolveHorizontal(this.context, element, Infinity, true);
+      this.contentWidth = Math.max(this.contentWidth, outerWidth(horizontal));
+      return;
+    }
+
+    const size = layOutBlock(this.context, element, this.x, this.y + this.contentHeight, this.width, false);
+    this.contentWidth = Math.max(this.contentWidth, size.width);
+    this.contentHeight += size.height;
+  }
+
+  addAtomicInline(element) {
+    const horizontal = resolveHorizontal(this.context, element, this.width, true);
+    this.breakLineBefore(outerWidth(horizontal), getStyle(this.context, element).whiteSpace);
+
+    if (this.measuring) {
+      this.lineX += outerWidth(horizontal);
+    } else {
+      const size = layOutBlock(
+        this.context,
+        element,
+        this.x + this.lineX,
+        this.y + this.contentHeight,
+        this.width,
+        true
+      );
+      this.lineX += size.width;
+      this.lineHeight = Math.max(this.lineHeight, size.height);
+    }
+
+    this.markContent();
+    this.afterSpace = false;
+  }
+
+  addInline(element) {
+    const style = getStyle(this.context, element);
+    const percentageBasis = this.measuring ? null : this.width;
+    const { border } = style;
+    const padding = resolvePadding(style, percentageBasis);
+    const marginLeft = resolveLength(style.margin.left, percentageBasis) || 0;
+    const marginRight = resolveLength(style.margin.right, percentageBasis) || 0;
+
+    this.flushSpace();
+    this.lineX += marginLeft;
+    const inline = { startX: this.lineX, hasContent: false, border, padding, fragments: [] };
+    this.openInlines.push(inline);
+    this.lineX += border.left + padding.left;
+    if (marginLeft + border.left + padding.left > 0) {
+      this.markContent();
+    }
+
+    this.addChildren(element);
+
+    this.lineX += padding.right + border.right;
+    this.openInlines.pop();
+    this.addFragment(inline);
+    this.lineX += marginRight;
+
+    if (!this.measuring) {
+      const [first] = inline.fragments;
+      this.context.boxes.set(element, {
+        ...first,
+        borderTop: border.top,
+        borderRight: border.right,
+        borderBottom: border.bottom,
+        borderLeft: border.left,
+        rects: inline.fragments
+      });
+    }
+  }
+
+  addText(text, whiteSpace) {
+    const collapseSpaces = whiteSpace === "normal" || whiteSpace === "nowrap" || whiteSpace === "pre-line";
+
+    for (const token of tokenize(text, whiteSpace !== "normal" && whiteSpace !== "nowrap")) {
+      if (token.type === "newline") {
+        this.pendingSpace = false;
+        this.endLine(true);
+      } else if (token.type === "space" && collapseSpaces) {
+        if (!this.afterSpace) {
+          this.pendingSpace = true;
+          this.afterSpace = true;
+        }
+      } else if (token.type === "space") {
+        // Preserved spaces hang at the end of the line instead of wrapping.
+        this.breakLineBefore(0, whiteSpace);
+        this.lineX += token.length * CHARACTER_WIDTH;
+        this.markContent();
+      } else {
+        this.breakLineBefore(token.length * CHARACTER_WIDTH, whiteSpace);
+        this.lineX += token.length * CHARACTER_WIDTH;
+        this.markContent();
+        this.afterSpace = false;
+      }
+    }
+  }
+
+  // Starts a new line if something of the given width does not fit on the current one, and wrapping is allowed.
+  breakLineBefore(width, whiteSpace) {
+    const canWrap = whiteSpace !== "nowrap" && whiteSpace !== "pre";
+    const spaceWidth = this.pendingSpace ? CHARACTER_WIDTH : 0;
+
+    if (canWrap && this.lineHasContent && this.lineX + spaceWidth + width > this.width) {
+      this.pendingSpace = false;
+      this.endLine(false);
+    } else {
+      this.flushSpace();
+    }
+  }
+
+  flushSpace() {
+    if (this.pendingSpace) {
+      this.lineX += CHARACTER_WIDTH;
+      this.pendingSpace = false;
+    }
+  }
+
+  markContent() {
+    this.lineHasContent = true;
+    this.lineHeight = Math.max(this.lineHeight, LINE_HEIGHT);
+    for (const inline of this.openInlines) {
+      inline.hasContent = true;
+    }
+  }
+
+  addFragment(inline) {
+    const { border, padding } = inline;
+    inline.fragments.push({
+      x: this.x + inline.startX,
+      y: this.y + this.contentHeight - padding.top - border.top,
+      width: this.lineX - inline.startX,
+      height: border.top + padding.top + LINE_HEIGHT + padding.bottom + border.bottom
+    });
+  }
+
+  endLine(forced) {
+    if (this.lineHasContent || forced) {
+      for (const inline of this.openInlines) {
+        if (inline.hasContent) {
+          this.addFragment(inline);
+        }
+      }
+      this.contentWidth = Math.max(this.contentWidth, this.lineX);
+      this.contentHeight += Math.max(this.lineHeight, LINE_HEIGHT);
+    }
+
+    for (const inline of this.openInlines) {
+      inline.startX = 0;
+      inline.hasContent = false;
+    }
+    this.lineX = 0;
+    this.lineHeight = 0;
+    this.lineHasContent = false;
+    this.pendingSpace = false;
+    this.afterSpace = true;
+  }
+
+  finish() {
+    this.endLine(false);
+    return { width: this.contentWidth, height: this.contentHeight };
+  }
+}
+
+// Lays out the children of a block container, whose content box starts at (x, y). Returns the size of the content.
+function layOutFlow(context, element, x, y, width) {
+  const flow = new Flow(context, x, y, width, false);
+  flow.addChildren(element);
+  return flow.finish();
+}
+
+function maxContentWidth(context, element) {
+  let width = context.maxContentWidths.get(element);
+  if (width === undefined) {
+    const flow = new Flow(context, 0, 0, Infinity, true);
+    flow.addChildren(element);
+    width = flow.finish().width;
+    context.maxContentWidths.set(element, width);
+  }
+  return width;
+}
@@ -0,0 +1,20 @@
+"use strict";
+
+/**
+ * Computes the boxes used by the CSSOM View APIs, such as getBoundingClientRect() and offsetWidth. jsdom does not do
+ * any layout by itself, so by default no element has a box, and all of those APIs return zeros.
+ *
+ * Subclasses override getBox(element), which receives an element and returns either null, if the element does not
+ * generate a box, or an object describing its border box relative to the viewport:
+ *
+ *   { x, y, width, height, borderTop, borderRight, borderBottom, borderLeft, scrollWidth, scrollHeight, rects }
+ *
+ * Only x, y, width and height are required. The borders default to 0, scrollWidth and scrollHeight default to the size
+ * of the padding box, and rects (the border boxes of each fragment, as { x, y, width, height }, for elements that are
+ * split across lines) defaults to the border box.
+ */
+module.exports = class LayoutEngine {
+  getBox() {
+    return null;
+  }
+};
@@ -0,0 +1,214 @@
+"use strict";
+const { URL } = require("whatwg-url");
+const packageVersion = require("../../../../package.json").version;
+
+// Support for recording requests into, and replaying responses from, HTTP Archive (HAR) 1.2 logs.
+// http://www.softwareishard.com/blog/har-12-spec/
+
+function headersToHAR(headers) {
+  if (Array.isArray(headers)) {
+    const result = [];
+    for (let i = 0; i < headers.length; i += 2) {
+      result.push({ name: headers[i], value: String(headers[i + 1]) });
+    }
+    return result;
+  }
+
+  const result = [];
+  for (const name of Object.keys(headers)) {
+    const values = Array.isArray(headers[name]) ? headers[name] : [headers[name]];
+    for (const value of values) {
+      result.push({ name, value: String(value) });
+    }
+  }
+  return result;
+}
+
+function findHeader(harHeaders, name) {
+  const header = harHeaders.find(h => h.name.toLowerCase() === name);
+  return header === undefined ? undefined : header.value;
+}
+
+// Bodies are stored as text when they are valid UTF-8, and in base64 otherwise.
+function bodyToHAR(body) {
+  const text = body.toString();
+  if (Buffer.from(text).equals(body)) {
+    return { text };
+  }
+  return { text: body.toString("base64"), encoding: "base64" };
+}
+
+function queryStringToHAR(urlString) {
+  try {
+    return [...new URL(urlString).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    return [];
+  }
+}
+
+exports.HARRecorder = class HARRecorder {
+  constructor() {
+    this._entries = [];
+  }
+
+  // Records one request and its response. The request and response headers can be given as objects, or as arrays
+  // of alternating names and values, like Node.js's rawHeaders. A request that failed has an error instead of a
+  // response; such entries have a status of 0, and the error's message as a custom _error field.
+  record({ startedDateTime, timings, request, response = null, error = null }) {
+    const requestHeaders = headersToHAR(request.headers);
+    const entry = {
+      startedDateTime: startedDateTime.toISOString(),
+      time: 0,
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: "HTTP/1.1",
+        cookies: [],
+        headers: requestHeaders,
+        queryString: queryStringToHAR(request.url),
+        headersSize: -1,
+        bodySize: request.body ? request.body.length : 0
+      },
+      response: {
+        status: 0,
+        statusText: "",
+        httpVersion: "",
+        cookies: [],
+        headers: [],
+        content: { size: 0, mimeType: "" },
+        redirectURL: "",
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: {
+        blocked: -1,
+        dns: -1,
+        connect: -1,
+        send: 0,
+        wait: 0,
+        receive: 0,
+        ssl: -1
+      }
+    };
+
+    if (request.body) {
+      entry.request.postData = {
+        mimeType: findHeader(requestHeaders, "content-type") || "",
+        text: request.body.toString()
+      };
+    }
+
+    if (response !== null) {
+      const responseHeaders = headersToHAR(response.headers);
+      entry.response.status = response.status;
+      entry.response.statusText = response.statusText || "";
+      entry.response.httpVersion = response.httpVersion ? `HTTP/${response.httpVersion}` : "";
+      entry.response.headers = responseHeaders;
+      entry.response.content = {
+        size: response.body.length,
+        mimeType: findHeader(responseHeaders, "content-type") || "",
+        ...bodyToHAR(response.body)
+      };
+      entry.response.redirectURL = findHeader(responseHeaders, "location") || "";
+      entry.response.bodySize = response.body.length;
+
+      // The resource loader follows redirects by itself, so each request gets one entry, with the URL that the
+      // response actually came from.
+      if (response.url !== undefined && response.url !== request.url) {
+        entry.response._url = response.url;
+      }
+    } else {
+      entry.response._error = error && error.message !== undefined ? error.message : String(error);
+    }
+
+    // Node.js's request package provides timing phases if it is asked to; otherwise, all the time is spent waiting.
+    const elapsed = Date.now() - startedDateTime.getTime();
+    if (timings) {
+      Object.assign(entry.timings, {
+        blocked: timings.wait,
+        dns: timings.dns,
+        connect: timings.tcp,
+        wait: timings.firstByte,
+        receive: timings.download
+      });
+      entry.time = timings.total;
+    } else {
+      entry.timings.wait = elapsed;
+      entry.time = elapsed;
+    }
+
+    this._entries.push(entry);
+  }
+
+  toHAR() {
+    return {
+      log: {
+        version: "1.2",
+        creator: { name: "jsdom", version: packageVersion },
+        pages: [],
+        entries: JSON.parse(JSON.stringify(this._entries))
+      }
+    };
+  }
+};
+
+// Creates a route (in the form that ResourceLoader keeps them) that answers every request from the given HAR log.
+// Entries are matched on their method and URL, and, if there are several, on their request body; each is used once,
+// in the order in which they were recorded, except that the last one is used for any further matching requests.
+// Requests that match no entry fail.
+exports.createHARReplayRoute = har => {
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new TypeError("replayHAR must be a HAR object, with a log.entries array");
+  }
+
+  const entriesByKey = new Map();
+  for (const entry of har.log.entries) {
+    const key = `${entry.request.method} ${entry.request.url}`;
+    if (!entriesByKey.has(key)) {
+      entriesByKey.set(key, []);
+    }
+    entriesByKey.get(key).push(entry);
+  }
+
+  function handler({ method, url, body }) {
+    const entries = entriesByKey.get(`${method} ${url}`);
+    if (entries === undefined) {
+      throw new Error(`No entry in the HAR being replayed matches the request ${method} ${url}`);
+    }
+
+    const bodyText = body ? body.toString() : undefined;
+    let entry = entries.find(e => (e.request.postData ? e.request.postData.text : undefined) === bodyText);
+    if (entry === undefined) {
+      [entry] = entries;
+    }
+    if (entries.length > 1) {
+      entries.splice(entries.indexOf(entry), 1);
+    }
+
+    const { response } = entry;
+    if (response._error !== undefined) {
+      throw new Error(response._error);
+    }
+
+    const headers = {};
+    for (const { name, value } of response.headers) {
+      if (headers[name] === undefined) {
+        headers[name] = [];
+      }
+      headers[name].push(value);
+    }
+
+    const { content } = response;
+    const text = content.text || "";
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body: content.encoding === "base64" ? Buffer.from(text, "base64") : Buffer.from(text),
+      url: response._url
+    };
+  }
+
+  return { pattern: "HAR", matches: () => true, handler };
+};
@@ -25,6 +25,7 @@ module.exports = class PerDocumentResourceLoader {
     }
 
     this._requestManager.add(request);
+    this._markResourceTiming(request, url, element);
 
     const onErrorWrapped = error => {
       this._requestManager.remove(request);
@@ -77,6 +78,47 @@ module.exports = class PerDocumentResourceLoader {
     return request;
   }
 
+  // Fetches a resource whose result the caller handles by itself, such as a module imported by a module script. Unlike
+  // fetch(), this does not go through the document's queues, or fire events at the element.
+  fetchUnqueued(url, { element }) {
+    const request = this._resourceLoader.fetch(url, {
+      cookieJar: this._document._cookieJar,
+      element: idlUtils.wrapperForImpl(element),
+      referrer: this._document.URL
+    });
+
+    if (request === null) {
+      return null;
+    }
+
+    this._requestManager.add(request);
+    this._markResourceTiming(request, url, element);
+
+    return request.then(data => {
+      this._requestManager.remove(request);
+      this._addCookies(url, request.response ? request.response.headers : {});
+      return { data, response: request.response };
+    }, error => {
+      this._requestManager.remove(request);
+      throw error;
+    });
+  }
+
+  // Records a PerformanceResourceTiming entry once the request completes, whether or not its status was successful.
+  _markResourceTiming(request, url, element) {
+    const performance = this._document._defaultView._performance;
+    const fetchStart = performance.now();
+    const initiatorType = element ? element.localName : "other";
+
+    request.then(body => {
+      performance._markResourceTiming(url, initiatorType, fetchStart, request.response, byteLength(body));
+    }, error => {
+      if (error.name === "StatusCodeError") {
+        performance._markResourceTiming(url, initiatorType, fetchStart, error.response, byteLength(error.error));
+      }
+    });
+  }
+
   _addCookies(url, headers) {
     let cookies = headers["set-cookie"];
 
@@ -93,3 +135,7 @@ module.exports = class PerDocumentResourceLoader {
     });
   }
 };
+
+function byteLength(body) {
+  return Buffer.isBuffer(body) ? body.length : Buffer.byteLength(String(body || ""));
+}
@@ -4,6 +4,10 @@ const { parseURL } = require("whatwg-url");
 const dataURLFromRecord = require("data-urls").fromURLRecord;
 const request = require("request-promise-native");
 const wrapCookieJarForRequest = require("../../living/helpers/wrap-cookie-jar-for-request");
+const {
+  createRouteMatcher, lowerCaseHeaders, runRoutes, runRoutesSync, createMockedResponse
+} = require("./routes");
+const { HARRecorder, createHARReplayRoute } = require("./har");
 const packageVersion = require("../../../../package.json").version;
 const IS_BROWSER = Object.prototype.toString.call(process) !== "[object process]";
 
@@ -12,11 +16,44 @@ module.exports = class ResourceLoader {
     strictSSL = true,
     proxy = undefined,
     userAgent = `Mozilla/5.0 (${process.platform || "unknown OS"}) AppleWebKit/537.36 ` +
-                `(KHTML, like Gecko) jsdom/${packageVersion}`
+                `(KHTML, like Gecko) jsdom/${packageVersion}`,
+    recordHAR = false,
+    replayHAR = undefined
   } = {}) {
     this._strictSSL = strictSSL;
     this._proxy = proxy;
     this._userAgent = userAgent;
+    this._routes = [];
+    this._harRecorder = recordHAR ? new HARRecorder() : null;
+    this._harReplayRoute = replayHAR === undefined ? null : createHARReplayRoute(replayHAR);
+  }
+
+  getHAR() {
+    if (this._harRecorder === null) {
+      throw new Error("getHAR() can only be used with resource loaders that were created with recordHAR: true");
+    }
+    return this._harRecorder.toHAR();
+  }
+
+  route(pattern, handler) {
+    if (typeof handler !== "function") {
+      throw new TypeError("The route handler must be a function");
+    }
+
+    this._routes.push({ pattern, matches: createRouteMatcher(pattern), handler });
+    return this;
+  }
+
+  unroute(pattern, handler) {
+    this._routes = this._routes.filter(route => {
+      return !(String(route.pattern) === String(pattern) && (handler === undefined || route.handler === handler));
+    });
+    return this;
+  }
+
+  // When replaying a HAR, it answers every request that the routes added with route() pass on.
+  _activeRoutes() {
+    return this._harReplayRoute === null ? this._routes : [...this._routes, this._harReplayRoute];
   }
 
   _readDataURL(urlRecord) {
@@ -69,18 +106,23 @@ module.exports = class ResourceLoader {
     return promise;
   }
 
-  _getRequestOptions({ cookieJar, referrer, accept = "*/*" }) {
+  _getRequestOptions({ cookieJar, referrer, accept = "*/*", method = "GET", body, headers }) {
     const requestOptions = {
+      method,
+      body,
       encoding: null,
       gzip: true,
       jar: wrapCookieJarForRequest(cookieJar),
       strictSSL: this._strictSSL,
       proxy: this._proxy,
       forever: true,
+      // The timings are used for the performance timeline, and for HAR recording.
+      time: true,
       headers: {
         "User-Agent": this._userAgent,
         "Accept-Language": "en",
-        Accept: accept
+        Accept: accept,
+        ...headers
       }
     };
 
@@ -92,6 +134,122 @@ module.exports = class ResourceLoader {
   }
 
   fetch(urlString, options = {}) {
+    const startedDateTime = new Date();
+    const routes = this._activeRoutes();
+    const promise = routes.length === 0 ?
+      this._fetchWithoutRoutes(urlString, options) :
+      this._fetchThroughRoutes(routes, urlString, options);
+
+    if (this._harRecorder !== null) {
+      this._recordHAREntry(promise, startedDateTime, urlString, options);
+    }
+
+    return promise;
+  }
+
+  _recordHAREntry(promise, startedDateTime, urlString, options) {
+    const harRequest = {
+      method: options.method || "GET",
+      url: urlString,
+      headers: this._getRequestOptions(options).headers,
+      body: options.body
+    };
+
+    const record = (body, response) => {
+      // Responses from the network know the headers that were actually sent, including cookies.
+      if (response && response.request && response.request.headers) {
+        harRequest.headers = response.request.headers;
+      }
+
+      this._harRecorder.record({
+        startedDateTime,
+        timings: response ? response.timingPhases : undefined,
+        request: harRequest,
+        response: {
+          status: response ? response.statusCode : 200,
+          statusText: response ? response.statusMessage : "OK",
+          httpVersion: response ? response.httpVersion : undefined,
+          headers: response ? response.rawHeaders : [],
+          body: Buffer.isBuffer(body) ? body : Buffer.from(body || ""),
+          url: promise.href
+        }
+      });
+    };
+
+    promise.then(body => record(body, promise.response), error => {
+      if (error.name === "StatusCodeError") {
+        record(error.error, error.response);
+      } else if (!error.isAbortError) {
+        this._harRecorder.record({ startedDateTime, request: harRequest, error });
+      }
+    });
+  }
+
+  _fetchThroughRoutes(routes, urlString, options) {
+    let aborted = false;
+    let timeoutId;
+    let passedThroughRequest = null;
+
+    const requestInfo = {
+      url: urlString,
+      method: options.method || "GET",
+      headers: lowerCaseHeaders(this._getRequestOptions(options).headers),
+      body: options.body,
+      element: options.element,
+      referrer: options.referrer
+    };
+
+    // Like the promises returned for other requests, this one has abort() and getHeader() methods, and response and
+    // href properties once it is fulfilled. Mocked responses with non-2xx statuses are rejected in the same way that
+    // request-promise does, so that callers treat them the same as real ones.
+    const promise = new Promise((resolve, reject) => {
+      runRoutes(routes, requestInfo).then(mocked => {
+        if (aborted) {
+          return;
+        }
+
+        if (mocked === null) {
+          passedThroughRequest = this._fetchWithoutRoutes(urlString, options);
+          passedThroughRequest.then(body => {
+            promise.response = passedThroughRequest.response;
+            promise.href = passedThroughRequest.href;
+            resolve(body);
+          }, reject);
+          return;
+        }
+
+        timeoutId = setTimeout(() => {
+          const { response, error } = createMockedResponse(mocked);
+          promise.response = response;
+          promise.href = mocked.url;
+          if (error) {
+            reject(error);
+          } else {
+            resolve(mocked.body);
+          }
+        }, mocked.delay);
+      }, error => {
+        if (!aborted) {
+          reject(error);
+        }
+      });
+    });
+
+    promise.getHeader = name => requestInfo.headers[name.toLowerCase()];
+    promise.abort = () => {
+      aborted = true;
+      if (timeoutId !== undefined) {
+        clearTimeout(timeoutId);
+      }
+      if (passedThroughRequest !== null) {
+        passedThroughRequest.abort();
+      }
+    };
+
+    return promise;
+  }
+
+  _fetchWithoutRoutes(urlString, options) {
     const url = parseURL(urlString);
 
     if (!url) {
@@ -124,4 +282,34 @@ module.exports = class ResourceLoader {
       }
     }
   }
+
+  // Used by XMLHttpRequest, which does its own fetching, to find out whether a request is mocked. Resolves to a
+  // response object like the ones request-promise gives, along with the body, or to null if the request passes through.
+  _routeRequest(requestInfo) {
+    return runRoutes(this._activeRoutes(), requestInfo).then(mocked => {
+      if (mocked === null) {
+        return null;
+      }
+
+      return new Promise(resolve => {
+        setTimeout(() => {
+          resolve({ response: createMockedResponse(mocked).response, body: mocked.body, url: mocked.url });
+        }, mocked.delay);
+      });
+    });
+  }
+
+  _routeRequestSync(requestInfo) {
+    const mocked = runRoutesSync(this._activeRoutes(), requestInfo);
+    if (mocked === null) {
+      return null;
+    }
+    return { response: createMockedResponse(mocked).response, body: mocked.body, url: mocked.url };
+  }
+
+  // Media is never fetched, since jsdom cannot decode it. Instead, subclasses can describe the media resource at a URL
+  // with an object like { duration } (in seconds), or a promise for one. null means the resource is not supported.
+  getMediaMetadata() {
+    return null;
+  }
 };
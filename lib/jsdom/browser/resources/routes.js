@@ -0,0 +1,113 @@
+"use strict";
+const { STATUS_CODES } = require("http");
+
+// Helpers for ResourceLoader's route() API, which lets requests be answered by handler functions instead of the
+// network.
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Patterns can be a URL string, where "*" matches any sequence of characters, a RegExp, or a predicate function.
+exports.createRouteMatcher = pattern => {
+  if (typeof pattern === "function") {
+    return url => Boolean(pattern(url));
+  }
+
+  if (pattern instanceof RegExp) {
+    // search() ignores the lastIndex of global and sticky regular expressions, unlike test().
+    return url => url.search(pattern) !== -1;
+  }
+
+  if (typeof pattern === "string") {
+    const regExp = new RegExp("^" + pattern.split("*").map(escapeRegExp).join(".*") + "$");
+    return url => regExp.test(url);
+  }
+
+  throw new TypeError("The route pattern must be a string, a RegExp, or a function");
+};
+
+exports.lowerCaseHeaders = headers => {
+  const result = {};
+  for (const name of Object.keys(headers)) {
+    result[name.toLowerCase()] = headers[name];
+  }
+  return result;
+};
+
+function normalizeMockedResponse(requestInfo, { status = 200, statusText, headers = {}, body = "", delay = 0, url }) {
+  return {
+    url: url === undefined ? requestInfo.url : url,
+    status,
+    statusText: statusText === undefined ? STATUS_CODES[status] || "" : statusText,
+    headers,
+    body: Buffer.from(body),
+    delay
+  };
+}
+
+// Handlers are tried in the order in which they were added. A handler returns (or fulfills with) a response
+// description, or undefined to pass the request on to the next matching route, and eventually to the network. Throwing
+// (or rejecting) makes the request fail.
+exports.runRoutes = async (routes, requestInfo) => {
+  for (const { matches, handler } of routes) {
+    if (matches(requestInfo.url)) {
+      // Each handler has to finish before it is known whether the next one runs.
+      const result = await handler(requestInfo); // eslint-disable-line no-await-in-loop
+      if (result !== undefined) {
+        return normalizeMockedResponse(requestInfo, result);
+      }
+    }
+  }
+  return null;
+};
+
+// Synchronous XMLHttpRequests cannot wait for a promise, so their handlers must return their results directly. Delays
+// are ignored.
+exports.runRoutesSync = (routes, requestInfo) => {
+  for (const { matches, handler } of routes) {
+    if (matches(requestInfo.url)) {
+      const result = handler(requestInfo);
+      if (result !== null && typeof result === "object" && typeof result.then === "function") {
+        throw new Error(`The route handler for the synchronous request to ${requestInfo.url} returned a promise`);
+      }
+      if (result !== undefined) {
+        return normalizeMockedResponse(requestInfo, result);
+      }
+    }
+  }
+  return null;
+};
+
+// Creates an object like the responses that request-promise gives, along with the error that request-promise would
+// reject with for a non-2xx status.
+exports.createMockedResponse = mocked => {
+  const rawHeaders = [];
+  const headers = {};
+  for (const name of Object.keys(mocked.headers)) {
+    const values = Array.isArray(mocked.headers[name]) ? mocked.headers[name] : [mocked.headers[name]];
+    const lowerCaseName = name.toLowerCase();
+    for (const value of values) {
+      rawHeaders.push(name, String(value));
+    }
+    headers[lowerCaseName] = lowerCaseName === "set-cookie" ? values.map(String) : values.join(", ");
+  }
+
+  const response = {
+    statusCode: mocked.status,
+    statusMessage: mocked.statusText,
+    headers,
+    rawHeaders
+  };
+
+  let error = null;
+  if (mocked.status < 200 || mocked.status > 299) {
+    error = new Error(`${mocked.status} - ${mocked.body.toString()}`);
+    error.name = "StatusCodeError";
+    error.statusCode = mocked.status;
+    error.error = mocked.body;
+    error.response = response;
+  }
+
+  return { response, error };
+};
@@ -4,12 +4,16 @@ const DOMException = require("domexception/webidl2js-wrapper");
 const reportException = require("../helpers/runtime-script-errors");
 const idlUtils = require("../generated/utils");
 const { nodeRoot } = require("../helpers/node");
+const { processCloseRequest } = require("../helpers/dialogs");
+const { navigateSequentially } = require("../helpers/focusing");
+const { prepareToRunCallback, cleanUpAfterRunningCallback } = require("../helpers/incumbent");
 const {
   isNode, isShadowRoot, isSlotable, getEventTargetParent,
   isShadowInclusiveAncestor, retarget
 } = require("../helpers/shadow-dom");
 
 const MouseEvent = require("../generated/MouseEvent");
+const KeyboardEvent = require("../generated/KeyboardEvent");
 
 const EVENT_PHASE = {
   NONE: 0,
@@ -243,6 +247,16 @@ class EventTargetImpl {
       }
     }
 
+    // jsdom has no real keyboard, so dispatched key presses stand in for the user's. Canceled ones do nothing.
+    if (KeyboardEvent.isImpl(eventImpl) && eventImpl.type === "keydown" && !eventImpl._canceledFlag &&
+        isNode(targetImpl)) {
+      if (eventImpl.key === "Escape") {
+        processCloseRequest(targetImpl._ownerDocument);
+      } else if (eventImpl.key === "Tab" && !eventImpl.ctrlKey && !eventImpl.altKey && !eventImpl.metaKey) {
+        navigateSequentially(targetImpl._ownerDocument, !eventImpl.shiftKey);
+      }
+    }
+
     return !eventImpl._canceledFlag;
   }
 }
@@ -314,6 +328,7 @@ function innerInvokeEventListeners(eventImpl, listeners, phase) {
       eventImpl._inPassiveListenerFlag = true;
     }
 
+    prepareToRunCallback(idlUtils.implForWrapper(eventImpl.currentTarget)._globalObject);
     try {
       listener.callback.call(eventImpl.currentTarget, eventImpl);
     } catch (e) {
@@ -327,12 +342,17 @@ function innerInvokeEventListeners(eventImpl, listeners, phase) {
       } else if (wrapper._ownerDocument) {
         // Currently triggered by some non-webidl2js things
         window = wrapper._ownerDocument._defaultView;
+      } else if (target._globalObject && target._globalObject._worker) {
+        // Triggered by the objects of a worker, including its global scope
+        window = target._globalObject;
       }
 
       if (window) {
         reportException(window, e);
       }
       // Errors in window-less documents just get swallowed... can you think of anything better?
+    } finally {
+      cleanUpAfterRunningCallback();
     }
 
     eventImpl._inPassiveListenerFlag = false;
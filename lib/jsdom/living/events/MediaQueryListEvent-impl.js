@@ -0,0 +1,14 @@
+"use strict";
+
+const EventImpl = require("./Event-impl").implementation;
+
+const MediaQueryListEventInit = require("../generated/MediaQueryListEventInit");
+
+class MediaQueryListEventImpl extends EventImpl {
+
+}
+MediaQueryListEventImpl.defaultInit = MediaQueryListEventInit.convert(undefined);
+
+module.exports = {
+  implementation: MediaQueryListEventImpl
+};
@@ -1,10 +1,17 @@
 "use strict";
 
+const idlUtils = require("../generated/utils");
 const EventImpl = require("./Event-impl").implementation;
 
 const MessageEventInit = require("../generated/MessageEventInit");
 
 class MessageEventImpl extends EventImpl {
+  constructor(globalObject, args, privateData) {
+    super(globalObject, args, privateData);
+
+    this.ports = frozenPortsArray(this.ports);
+  }
+
   initMessageEvent(type, bubbles, cancelable, data, origin, lastEventId, source, ports) {
     if (this._dispatchFlag) {
       return;
@@ -15,11 +22,16 @@ class MessageEventImpl extends EventImpl {
     this.origin = origin;
     this.lastEventId = lastEventId;
     this.source = source;
-    this.ports = ports;
+    this.ports = frozenPortsArray(ports);
   }
 }
 MessageEventImpl.defaultInit = MessageEventInit.convert(undefined);
 
+// The ports attribute is a FrozenArray, which webidl2js does not convert, so it is stored as one.
+function frozenPortsArray(portImpls) {
+  return Object.freeze(portImpls.map(portImpl => idlUtils.wrapperForImpl(portImpl)));
+}
+
 module.exports = {
   implementation: MessageEventImpl
 };
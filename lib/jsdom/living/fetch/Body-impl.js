@@ -0,0 +1,209 @@
+"use strict";
+const MIMEType = require("whatwg-mimetype");
+const { URLSearchParams } = require("whatwg-url");
+const idlUtils = require("../generated/utils");
+const Blob = require("../generated/Blob");
+const File = require("../generated/File");
+const FormData = require("../generated/FormData");
+const { copyToArrayBufferInNewRealm } = require("../helpers/binary-data");
+const { parseJSONFromBytes } = require("../helpers/json");
+const { multipartFormDataEncode } = require("../helpers/form-submission");
+
+// Bodies are represented as { source, disturbed }, where source is a Node.js Buffer holding all of the body's bytes,
+// since jsdom does not implement ReadableStream. Classes including this mixin provide a _body getter returning their
+// body (or null), and a _mimeType() method.
+class BodyImpl {
+  get bodyUsed() {
+    return this._body !== null && this._body.disturbed;
+  }
+
+  arrayBuffer() {
+    return this._consumeBody(bytes => copyToArrayBufferInNewRealm(bytes, this._globalObject));
+  }
+
+  blob() {
+    return this._consumeBody(bytes => {
+      const mimeType = this._mimeType();
+      return Blob.create(this._globalObject, [[bytes], { type: mimeType === null ? "" : mimeType.toString() }]);
+    });
+  }
+
+  formData() {
+    return this._consumeBody(bytes => {
+      const formData = FormData.createImpl(this._globalObject, []);
+      formData._entries = this._packageFormData(bytes);
+      return idlUtils.wrapperForImpl(formData);
+    });
+  }
+
+  json() {
+    return this._consumeBody(bytes => parseJSONFromBytes(bytes));
+  }
+
+  text() {
+    return this._consumeBody(bytes => utf8Decode(bytes));
+  }
+
+  // https://fetch.spec.whatwg.org/#concept-body-consume-body
+  _consumeBody(convertBytesToJSValue) {
+    if (this.bodyUsed) {
+      return Promise.reject(new TypeError("The body has already been read."));
+    }
+
+    let bytes = Buffer.alloc(0);
+    if (this._body !== null) {
+      this._body.disturbed = true;
+      bytes = this._body.source;
+    }
+
+    return Promise.resolve().then(() => convertBytesToJSValue(bytes));
+  }
+
+  // https://fetch.spec.whatwg.org/#concept-body-package-data
+  _packageFormData(bytes) {
+    const mimeType = this._mimeType();
+    const essence = mimeType === null ? null : mimeType.essence;
+
+    if (essence === "multipart/form-data") {
+      const boundary = mimeType.parameters.get("boundary");
+      if (boundary === undefined) {
+        throw new TypeError("The multipart/form-data body does not have a boundary.");
+      }
+      return parseMultipartFormData(this._globalObject, bytes, boundary);
+    }
+
+    if (essence === "application/x-www-form-urlencoded") {
+      return [...new URLSearchParams(utf8Decode(bytes))].map(([name, value]) => ({ name, value }));
+    }
+
+    throw new TypeError("The body is not of a form data MIME type.");
+  }
+}
+
+// https://encoding.spec.whatwg.org/#utf-8-decode
+function utf8Decode(bytes) {
+  const text = bytes.toString("utf-8");
+  return text[0] === "\uFEFF" ? text.slice(1) : text;
+}
+
+// Parses a body produced by multipartFormDataEncode(), or by a browser or server, into a FormData entry list.
+// https://tools.ietf.org/html/rfc7578
+function parseMultipartFormData(globalObject, bytes, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const entries = [];
+
+  if (bytes.indexOf(delimiter) !== 0) {
+    throw new TypeError("The multipart/form-data body does not start with its boundary.");
+  }
+  let position = delimiter.length;
+
+  while (bytes.toString("latin1", position, position + 2) !== "--") {
+    if (bytes.toString("latin1", position, position + 2) !== "\r\n") {
+      throw new TypeError("The multipart/form-data body is malformed.");
+    }
+    position += 2;
+
+    const headersEnd = bytes.indexOf("\r\n\r\n", position);
+    if (headersEnd === -1) {
+      throw new TypeError("The multipart/form-data body is malformed.");
+    }
+    const contentStart = headersEnd + 4;
+    const contentEnd = bytes.indexOf(Buffer.concat([Buffer.from("\r\n"), delimiter]), contentStart);
+    if (contentEnd === -1) {
+      throw new TypeError("The multipart/form-data body is malformed.");
+    }
+
+    const { name, filename, contentType } = parseMultipartHeaders(bytes.toString("utf-8", position, headersEnd));
+    const content = bytes.slice(contentStart, contentEnd);
+
+    if (filename !== null) {
+      const file = File.createImpl(globalObject, [[content], filename, { type: contentType || "text/plain" }]);
+      entries.push({ name, value: file });
+    } else {
+      entries.push({ name, value: utf8Decode(content) });
+    }
+
+    position = contentEnd + 2 + delimiter.length;
+  }
+
+  return entries;
+}
+
+function parseMultipartHeaders(headers) {
+  let name = null;
+  let filename = null;
+  let contentType = null;
+
+  for (const header of headers.split("\r\n")) {
+    const colon = header.indexOf(":");
+    const headerName = header.slice(0, colon).trim().toLowerCase();
+    const headerValue = header.slice(colon + 1).trim();
+
+    if (headerName === "content-disposition") {
+      const nameMatch = /(?:^|;)\s*name="([^"]*)"/i.exec(headerValue);
+      const filenameMatch = /(?:^|;)\s*filename="([^"]*)"/i.exec(headerValue);
+      if (nameMatch) {
+        [, name] = nameMatch;
+      }
+      if (filenameMatch) {
+        [, filename] = filenameMatch;
+      }
+    } else if (headerName === "content-type") {
+      contentType = headerValue;
+    }
+  }
+
+  if (name === null) {
+    throw new TypeError("A part of the multipart/form-data body does not have a name.");
+  }
+  return { name, filename, contentType };
+}
+
+// https://fetch.spec.whatwg.org/#concept-bodyinit-extract
+// URLSearchParams and ReadableStream are not supported, like in XMLHttpRequest's send().
+exports.extractBody = object => {
+  let source;
+  let type = null;
+
+  if (Blob.isImpl(object)) {
+    source = object._buffer;
+    if (object.type !== "") {
+      ({ type } = object);
+    }
+  } else if (idlUtils.isArrayBuffer(object)) {
+    source = Buffer.from(new Uint8Array(object));
+  } else if (ArrayBuffer.isView(object)) {
+    source = Buffer.from(new Uint8Array(object.buffer, object.byteOffset, object.byteLength));
+  } else if (FormData.isImpl(object)) {
+    ({ body: source, contentType: type } = multipartFormDataEncode(object._entries));
+  } else {
+    source = Buffer.from(object, "utf-8");
+    type = "text/plain;charset=UTF-8";
+  }
+
+  return { body: { source, disturbed: false }, type };
+};
+
+// https://fetch.spec.whatwg.org/#concept-body-clone
+exports.cloneBody = body => {
+  return { source: body.source, disturbed: false };
+};
+
+// https://fetch.spec.whatwg.org/#concept-header-extract-mime-type
+exports.extractMIMEType = headersList => {
+  const values = headersList.get("content-type");
+  if (values === null) {
+    return null;
+  }
+
+  let mimeType = null;
+  for (const value of values.split(",")) {
+    const parsed = MIMEType.parse(value);
+    if (parsed !== null && parsed.essence !== "*/*") {
+      mimeType = parsed;
+    }
+  }
+  return mimeType;
+};
+
+exports.implementation = BodyImpl;
@@ -0,0 +1,308 @@
+"use strict";
+const { parseURL, serializeURL, serializeURLOrigin } = require("whatwg-url");
+const { mixin } = require("../../utils");
+const Request = require("../generated/Request");
+const Headers = require("../generated/Headers");
+const AbortSignal = require("../generated/AbortSignal");
+const { environmentSettings } = require("../helpers/environment-settings");
+const BodyImpl = require("./Body-impl").implementation;
+const { extractBody, cloneBody, extractMIMEType } = require("./Body-impl");
+const HeaderList = require("./header-list");
+
+const METHOD_TOKEN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const FORBIDDEN_METHODS = new Set(["CONNECT", "TRACE", "TRACK"]);
+const NORMALIZED_METHODS = new Set(["DELETE", "GET", "HEAD", "OPTIONS", "POST", "PUT"]);
+const CORS_SAFELISTED_METHODS = new Set(["GET", "HEAD", "POST"]);
+
+class RequestImpl {
+  // https://fetch.spec.whatwg.org/#dom-request
+  constructor(globalObject, args, privateData) {
+    this._globalObject = globalObject;
+
+    // Used by clone(), which creates a Request object for an existing request.
+    if (privateData.request) {
+      this._request = privateData.request;
+      this._headers = Headers.createImpl(globalObject, []);
+      this._headers.headersList = this._request.headersList;
+      this._headers.guard = privateData.guard;
+      this._signal = AbortSignal.createImpl(globalObject, []);
+      followSignal(this._signal, privateData.signal);
+      return;
+    }
+
+    const [input, init] = args;
+    const { apiBaseURL: baseURL, origin } = environmentSettings(globalObject);
+    const initIsEmpty = Object.keys(init).length === 0;
+
+    let request;
+    let fallbackMode = null;
+    let signal = null;
+
+    if (typeof input === "string") {
+      const parsedURL = parseURL(input, { baseURL });
+      if (parsedURL === null) {
+        throw new TypeError(`Failed to parse URL from ${input}.`);
+      }
+      if (parsedURL.username !== "" || parsedURL.password !== "") {
+        throw new TypeError(`Request cannot be constructed from a URL that includes credentials: ${input}.`);
+      }
+      request = createRequest(parsedURL);
+      fallbackMode = "cors";
+    } else {
+      request = input._request;
+      signal = input._signal;
+    }
+
+    if (init.window !== undefined && init.window !== null) {
+      throw new TypeError("The window member of RequestInit can only be set to null.");
+    }
+
+    request = { ...request, headersList: request.headersList.clone(), body: null, origin };
+
+    if (!initIsEmpty) {
+      if (request.mode === "navigate") {
+        request.mode = "same-origin";
+      }
+      request.reloadNavigation = false;
+      request.historyNavigation = false;
+      request.referrer = "client";
+      request.referrerPolicy = "";
+    }
+
+    if (init.referrer !== undefined) {
+      if (init.referrer === "") {
+        request.referrer = "no-referrer";
+      } else {
+        const parsedReferrer = parseURL(init.referrer, { baseURL });
+        if (parsedReferrer === null) {
+          throw new TypeError(`Failed to parse referrer URL ${init.referrer}.`);
+        }
+
+        if (serializeURL(parsedReferrer) === "about:client" || serializeURLOrigin(parsedReferrer) !== origin) {
+          request.referrer = "client";
+        } else {
+          request.referrer = parsedReferrer;
+        }
+      }
+    }
+
+    if (init.referrerPolicy !== undefined) {
+      request.referrerPolicy = init.referrerPolicy;
+    }
+
+    const mode = init.mode !== undefined ? init.mode : fallbackMode;
+    if (mode === "navigate") {
+      throw new TypeError("Cannot construct a Request with a RequestInit whose mode member is set as \"navigate\".");
+    }
+    if (mode !== null) {
+      request.mode = mode;
+    }
+
+    if (init.credentials !== undefined) {
+      request.credentials = init.credentials;
+    }
+    if (init.cache !== undefined) {
+      request.cache = init.cache;
+    }
+    if (request.cache === "only-if-cached" && request.mode !== "same-origin") {
+      throw new TypeError("\"only-if-cached\" can be set only with \"same-origin\" mode.");
+    }
+    if (init.redirect !== undefined) {
+      request.redirect = init.redirect;
+    }
+    if (init.integrity !== undefined) {
+      request.integrity = init.integrity;
+    }
+    if (init.keepalive !== undefined) {
+      request.keepalive = init.keepalive;
+    }
+
+    if (init.method !== undefined) {
+      let { method } = init;
+      if (!METHOD_TOKEN.test(method)) {
+        throw new TypeError(`"${method}" is not a valid HTTP method.`);
+      }
+      if (FORBIDDEN_METHODS.has(method.toUpperCase())) {
+        throw new TypeError(`"${method}" HTTP method is unsupported.`);
+      }
+      if (NORMALIZED_METHODS.has(method.toUpperCase())) {
+        method = method.toUpperCase();
+      }
+      request.method = method;
+    }
+
+    if (init.signal !== undefined) {
+      ({ signal } = init);
+    }
+
+    this._request = request;
+
+    this._signal = AbortSignal.createImpl(globalObject, []);
+    if (signal !== null) {
+      followSignal(this._signal, signal);
+    }
+
+    this._headers = Headers.createImpl(globalObject, []);
+    this._headers.headersList = request.headersList;
+    this._headers.guard = "request";
+    if (request.mode === "no-cors") {
+      if (!CORS_SAFELISTED_METHODS.has(request.method)) {
+        throw new TypeError(`"${request.method}" is unsupported in no-cors mode.`);
+      }
+      this._headers.guard = "request-no-cors";
+    }
+
+    if (!initIsEmpty) {
+      const headers = init.headers !== undefined ? init.headers : request.headersList.sortAndCombine();
+      request.headersList = new HeaderList();
+      this._headers.headersList = request.headersList;
+      this._headers._fill(headers);
+    }
+
+    const inputBody = Request.isImpl(input) ? input._request.body : null;
+    const initHasBody = init.body !== undefined && init.body !== null;
+    if ((initHasBody || inputBody !== null) && (request.method === "GET" || request.method === "HEAD")) {
+      throw new TypeError("Request with GET/HEAD method cannot have body.");
+    }
+
+    if (initHasBody) {
+      const { body, type } = extractBody(init.body);
+      request.body = body;
+      if (type !== null && !request.headersList.contains("content-type")) {
+        this._headers.append("Content-Type", type);
+      }
+    } else if (inputBody !== null) {
+      if (input.bodyUsed) {
+        throw new TypeError("Cannot construct a Request with a Request object that has already been used.");
+      }
+      // The input's body is transferred to the new request.
+      request.body = cloneBody(inputBody);
+      inputBody.disturbed = true;
+    }
+  }
+
+  get method() {
+    return this._request.method;
+  }
+
+  get url() {
+    return serializeURL(this._request.url);
+  }
+
+  get headers() {
+    return this._headers;
+  }
+
+  get destination() {
+    return this._request.destination;
+  }
+
+  get referrer() {
+    const { referrer } = this._request;
+    if (referrer === "no-referrer") {
+      return "";
+    }
+    if (referrer === "client") {
+      return "about:client";
+    }
+    return serializeURL(referrer);
+  }
+
+  get referrerPolicy() {
+    return this._request.referrerPolicy;
+  }
+
+  get mode() {
+    return this._request.mode;
+  }
+
+  get credentials() {
+    return this._request.credentials;
+  }
+
+  get cache() {
+    return this._request.cache;
+  }
+
+  get redirect() {
+    return this._request.redirect;
+  }
+
+  get integrity() {
+    return this._request.integrity;
+  }
+
+  get keepalive() {
+    return this._request.keepalive;
+  }
+
+  get isReloadNavigation() {
+    return this._request.reloadNavigation;
+  }
+
+  get isHistoryNavigation() {
+    return this._request.historyNavigation;
+  }
+
+  get signal() {
+    return this._signal;
+  }
+
+  // https://fetch.spec.whatwg.org/#dom-request-clone
+  clone() {
+    if (this.bodyUsed) {
+      throw new TypeError("Cannot clone a Request whose body has already been used.");
+    }
+
+    const request = {
+      ...this._request,
+      headersList: this._request.headersList.clone(),
+      body: this._request.body === null ? null : cloneBody(this._request.body)
+    };
+    return Request.createImpl(this._globalObject, [], { request, guard: this._headers.guard, signal: this._signal });
+  }
+
+  get _body() {
+    return this._request.body;
+  }
+
+  _mimeType() {
+    return extractMIMEType(this._request.headersList);
+  }
+}
+
+mixin(RequestImpl.prototype, BodyImpl.prototype);
+
+// https://fetch.spec.whatwg.org/#concept-request
+function createRequest(url) {
+  return {
+    method: "GET",
+    url,
+    headersList: new HeaderList(),
+    body: null,
+    origin: "client",
+    referrer: "client",
+    referrerPolicy: "",
+    mode: "no-cors",
+    credentials: "same-origin",
+    cache: "default",
+    redirect: "follow",
+    integrity: "",
+    keepalive: false,
+    destination: "",
+    reloadNavigation: false,
+    historyNavigation: false
+  };
+}
+
+// https://dom.spec.whatwg.org/#abortsignal-follow
+function followSignal(followingSignal, parentSignal) {
+  if (parentSignal.aborted) {
+    followingSignal._signalAbort();
+  } else {
+    parentSignal._addAlgorithm(() => followingSignal._signalAbort());
+  }
+}
+
+exports.implementation = RequestImpl;
+exports.createRequest = createRequest;
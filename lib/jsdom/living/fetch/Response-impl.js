@@ -0,0 +1,190 @@
+"use strict";
+const conversions = require("webidl-conversions");
+const { parseURL, serializeURL } = require("whatwg-url");
+const { mixin } = require("../../utils");
+const Response = require("../generated/Response");
+const Headers = require("../generated/Headers");
+const { environmentSettings } = require("../helpers/environment-settings");
+const BodyImpl = require("./Body-impl").implementation;
+const { extractBody, cloneBody, extractMIMEType } = require("./Body-impl");
+const HeaderList = require("./header-list");
+
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const REASON_PHRASE = /^[\t\x20-\x7E\x80-\xFF]*$/;
+
+class ResponseImpl {
+  // https://fetch.spec.whatwg.org/#dom-response
+  constructor(globalObject, args, privateData) {
+    this._globalObject = globalObject;
+
+    // Used by fetch(), clone() and the static operations, which create a Response object for an existing response.
+    if (privateData.response) {
+      this._response = privateData.response;
+      this._headers = Headers.createImpl(globalObject, []);
+      this._headers.headersList = this._response.headersList;
+      this._headers.guard = privateData.guard;
+      return;
+    }
+
+    const [body, init] = args;
+
+    if (init.status < 200 || init.status > 599) {
+      throw new RangeError(`The status provided (${init.status}) is outside the range [200, 599].`);
+    }
+    if (!REASON_PHRASE.test(init.statusText)) {
+      throw new TypeError(`The statusText provided (${init.statusText}) is not a valid reason phrase.`);
+    }
+
+    this._response = createResponse();
+    this._headers = Headers.createImpl(globalObject, []);
+    this._headers.headersList = this._response.headersList;
+    this._headers.guard = "response";
+
+    this._response.status = init.status;
+    this._response.statusText = init.statusText;
+
+    if (init.headers !== undefined) {
+      this._headers._fill(init.headers);
+    }
+
+    if (body !== null) {
+      if (NULL_BODY_STATUSES.has(init.status)) {
+        throw new TypeError(`Response with null body status (${init.status}) cannot have body.`);
+      }
+
+      const { body: extractedBody, type } = extractBody(body);
+      this._response.body = extractedBody;
+      if (type !== null && !this._response.headersList.contains("content-type")) {
+        this._response.headersList.append("Content-Type", type);
+      }
+    }
+  }
+
+  get type() {
+    return this._response.type;
+  }
+
+  get url() {
+    const { urlList } = this._response;
+    return urlList.length === 0 ? "" : serializeURL(urlList[urlList.length - 1], true);
+  }
+
+  get redirected() {
+    return this._response.urlList.length > 1;
+  }
+
+  get status() {
+    return this._response.status;
+  }
+
+  get ok() {
+    return this._response.status >= 200 && this._response.status <= 299;
+  }
+
+  get statusText() {
+    return this._response.statusText;
+  }
+
+  get headers() {
+    return this._headers;
+  }
+
+  // https://fetch.spec.whatwg.org/#dom-response-clone
+  clone() {
+    if (this.bodyUsed) {
+      throw new TypeError("Cannot clone a Response whose body has already been used.");
+    }
+
+    return Response.createImpl(this._globalObject, [], {
+      response: cloneResponse(this._response),
+      guard: this._headers.guard
+    });
+  }
+
+  get _body() {
+    return this._response.body;
+  }
+
+  _mimeType() {
+    return extractMIMEType(this._response.headersList);
+  }
+}
+
+mixin(ResponseImpl.prototype, BodyImpl.prototype);
+
+// https://fetch.spec.whatwg.org/#concept-response
+function createResponse(fields) {
+  return {
+    type: "default",
+    urlList: [],
+    status: 200,
+    statusText: "",
+    headersList: new HeaderList(),
+    body: null,
+    ...fields
+  };
+}
+
+// https://fetch.spec.whatwg.org/#concept-network-error
+function createNetworkError() {
+  return createResponse({ type: "error", status: 0 });
+}
+
+// https://fetch.spec.whatwg.org/#concept-response-clone
+function cloneResponse(response) {
+  return {
+    ...response,
+    urlList: [...response.urlList],
+    headersList: response.headersList.clone(),
+    body: response.body === null ? null : cloneBody(response.body)
+  };
+}
+
+exports.createResponse = createResponse;
+exports.createNetworkError = createNetworkError;
+
+// webidl2js does not pass the global object to static operations, which Response.error() and Response.redirect() need
+// in order to create Response objects. So they are defined on each global's Response interface object instead.
+exports.installStaticOperations = globalObject => {
+  const staticOperations = {
+    // https://fetch.spec.whatwg.org/#dom-response-error
+    error() {
+      return Response.create(globalObject, [], { response: createNetworkError(), guard: "immutable" });
+    },
+
+    // https://fetch.spec.whatwg.org/#dom-response-redirect
+    redirect(url, status = 302) {
+      if (arguments.length < 1) {
+        throw new TypeError("Failed to execute 'redirect' on 'Response': 1 argument required, but only 0 present.");
+      }
+      url = conversions.USVString(url, { context: "Failed to execute 'redirect' on 'Response': parameter 1" });
+      status = conversions["unsigned short"](status, {
+        context: "Failed to execute 'redirect' on 'Response': parameter 2"
+      });
+
+      const parsedURL = parseURL(url, { baseURL: environmentSettings(globalObject).apiBaseURL });
+      if (parsedURL === null) {
+        throw new TypeError(`Failed to parse URL from ${url}.`);
+      }
+      if (!REDIRECT_STATUSES.has(status)) {
+        throw new RangeError(`Invalid status code ${status}.`);
+      }
+
+      const response = createResponse({ status });
+      response.headersList.set("Location", serializeURL(parsedURL));
+      return Response.create(globalObject, [], { response, guard: "immutable" });
+    }
+  };
+
+  for (const name of Object.keys(staticOperations)) {
+    Object.defineProperty(globalObject.Response, name, {
+      value: staticOperations[name],
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+  }
+};
+
+exports.implementation = ResponseImpl;
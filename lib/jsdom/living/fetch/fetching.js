@@ -0,0 +1,474 @@
+"use strict";
+const { parseURL, serializeURL, serializeURLOrigin } = require("whatwg-url");
+const dataURLFromRecord = require("data-urls").fromURLRecord;
+const { CookieJar } = require("tough-cookie");
+const DOMException = require("domexception/webidl2js-wrapper");
+const Response = require("../generated/Response");
+const ResourceLoader = require("../../browser/resources/resource-loader");
+const NoOpResourceLoader = require("../../browser/resources/no-op-resource-loader");
+const { environmentSettings } = require("../helpers/environment-settings");
+const { isForbiddenResponse, isCORSWhitelisted } = require("./header-types");
+const { createResponse, createNetworkError } = require("./Response-impl");
+const HeaderList = require("./header-list");
+
+const headerListSeparatorRegexp = /,[ \t]*/;
+const simpleMethods = new Set(["GET", "HEAD", "POST"]);
+const redirectStatuses = new Set([301, 302, 303, 307, 308]);
+const corsSafelistedResponseHeaders = new Set([
+  "cache-control",
+  "content-language",
+  "content-length",
+  "content-type",
+  "expires",
+  "last-modified",
+  "pragma"
+]);
+
+// https://fetch.spec.whatwg.org/#fetch-method
+// The request is fetched through the resource loader of the window or worker, so custom ResourceLoader subclasses see
+// fetch() requests too. With the default resources setting, a plain ResourceLoader is used instead, like
+// XMLHttpRequest does.
+exports.fetch = (globalObject, requestObject) => {
+  const settings = environmentSettings(globalObject);
+  const signal = requestObject._signal;
+
+  // The request is copied since fetching changes it, while the Request object can be used for other fetches.
+  const request = { ...requestObject._request, responseTainting: "basic" };
+  if (request.body !== null) {
+    requestObject._request.body.disturbed = true;
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(DOMException.create(globalObject, ["The operation was aborted.", "AbortError"]));
+      return;
+    }
+
+    // loaderResponse is the response object that the resource loader gave for the request, along with its body size.
+    const fetchParams = { globalObject, settings, loaderRequest: null, loaderResponse: null, aborted: false };
+    const fetchStart = globalObject._performance.now();
+
+    const requestManagerEntry = {
+      abort() {
+        abortFetch();
+      }
+    };
+
+    function abortFetch() {
+      fetchParams.aborted = true;
+      settings.requestManager.remove(requestManagerEntry);
+      if (fetchParams.loaderRequest !== null && typeof fetchParams.loaderRequest.abort === "function") {
+        fetchParams.loaderRequest.abort();
+      }
+      reject(DOMException.create(globalObject, ["The operation was aborted.", "AbortError"]));
+    }
+
+    signal._addAlgorithm(abortFetch);
+    settings.requestManager.add(requestManagerEntry);
+
+    function finishFetch() {
+      signal._removeAlgorithm(abortFetch);
+      settings.requestManager.remove(requestManagerEntry);
+    }
+
+    mainFetch(fetchParams, request).then(response => {
+      finishFetch();
+      if (fetchParams.aborted) {
+        return;
+      }
+
+      if (response.type === "error") {
+        reject(new TypeError("Failed to fetch"));
+      } else {
+        const { response: loaderResponse, bodySize } = fetchParams.loaderResponse || { bodySize: 0 };
+        const urlString = serializeURL(request.url);
+        globalObject._performance._markResourceTiming(urlString, "fetch", fetchStart, loaderResponse, bodySize);
+        resolve(Response.create(globalObject, [], { response, guard: "immutable" }));
+      }
+    }, error => {
+      // Errors thrown while fetching, for example by a custom resource loader, are network errors.
+      finishFetch();
+      if (fetchParams.aborted) {
+        return;
+      }
+
+      networkError(fetchParams, request, error.message, error);
+      reject(new TypeError("Failed to fetch"));
+    });
+  });
+};
+
+// https://fetch.spec.whatwg.org/#concept-main-fetch
+async function mainFetch(fetchParams, request) {
+  const { url } = request;
+  let response;
+
+  if (serializeURLOrigin(url) === request.origin || url.scheme === "data") {
+    request.responseTainting = "basic";
+    response = await schemeFetch(fetchParams, request);
+  } else if (request.mode === "same-origin") {
+    return networkError(fetchParams, request, `Cross origin ${request.origin} forbidden in same-origin mode`);
+  } else if (request.mode === "no-cors") {
+    if (request.redirect !== "follow") {
+      return networkError(fetchParams, request, "Redirect mode must be \"follow\" in no-cors mode");
+    }
+    request.responseTainting = "opaque";
+    response = await schemeFetch(fetchParams, request);
+  } else if (url.scheme !== "http" && url.scheme !== "https") {
+    return networkError(fetchParams, request, `Cross origin requests are not supported for ${url.scheme}: URLs`);
+  } else {
+    request.responseTainting = "cors";
+    if (needsCORSPreflight(request)) {
+      const preflightResponse = await corsPreflightFetch(fetchParams, request);
+      if (preflightResponse.type === "error") {
+        return preflightResponse;
+      }
+    }
+    response = await loaderFetch(fetchParams, request);
+  }
+
+  if (response.type === "error") {
+    return response;
+  }
+
+  // The resource loader follows redirects by itself, so the checks for redirected responses happen afterward.
+  if (response.urlList.length > 1 || redirectStatuses.has(response.status)) {
+    if (request.redirect === "error") {
+      return networkError(fetchParams, request, "Redirected, but the request's redirect mode is \"error\"");
+    }
+    if (request.redirect === "manual") {
+      return createResponse({ type: "opaqueredirect", status: 0, urlList: [request.url] });
+    }
+
+    const finalURL = response.urlList[response.urlList.length - 1];
+    if (request.responseTainting === "basic" && serializeURLOrigin(finalURL) !== request.origin &&
+        request.mode === "cors") {
+      request.responseTainting = "cors";
+    }
+  }
+
+  if (request.responseTainting === "cors") {
+    const corsError = corsCheck(request, response);
+    if (corsError !== null) {
+      return networkError(fetchParams, request, corsError);
+    }
+  }
+
+  return filterResponse(request, response);
+}
+
+// https://fetch.spec.whatwg.org/#concept-scheme-fetch
+function schemeFetch(fetchParams, request) {
+  const { url } = request;
+
+  switch (url.scheme) {
+    case "about": {
+      if (serializeURL(url) !== "about:blank") {
+        return networkError(fetchParams, request, "Only about:blank can be fetched");
+      }
+      const response = createResponse({
+        urlList: [url],
+        statusText: "OK",
+        body: { source: Buffer.alloc(0), disturbed: false }
+      });
+      response.headersList.append("Content-Type", "text/html;charset=utf-8");
+      return response;
+    }
+
+    case "data": {
+      const dataURL = dataURLFromRecord(url);
+      if (dataURL === null) {
+        return networkError(fetchParams, request, "Invalid data: URL");
+      }
+      const response = createResponse({
+        urlList: [url],
+        statusText: "OK",
+        body: { source: dataURL.body, disturbed: false }
+      });
+      response.headersList.append("Content-Type", dataURL.mimeType.toString());
+      return response;
+    }
+
+    case "file":
+    case "http":
+    case "https": {
+      return loaderFetch(fetchParams, request);
+    }
+
+    default: {
+      return networkError(fetchParams, request, `Fetching ${url.scheme}: URLs is not supported`);
+    }
+  }
+}
+
+// Corresponds to https://fetch.spec.whatwg.org/#concept-http-network-or-cache-fetch, but delegates the actual work to
+// the resource loader.
+async function loaderFetch(fetchParams, request) {
+  const { settings } = fetchParams;
+  const urlString = serializeURL(request.url, true);
+
+  // Header names are capitalized so that they override the resource loader's default headers.
+  const headers = {};
+  for (const [name, value] of request.headersList.sortAndCombine()) {
+    headers[name.replace(/(^|-)[a-z]/g, s => s.toUpperCase())] = value;
+  }
+  if (request.responseTainting === "cors") {
+    headers.Origin = request.origin;
+  }
+
+  const includeCredentials = request.credentials === "include" ||
+                             (request.credentials === "same-origin" && request.responseTainting === "basic");
+  const referrer = determineReferrer(settings, request);
+
+  const options = {
+    method: request.method,
+    headers,
+    body: request.body === null ? undefined : request.body.source,
+    // Responses to requests without credentials cannot set cookies either, so they get a throwaway cookie jar.
+    cookieJar: includeCredentials ? settings.cookieJar : new CookieJar(),
+    referrer: referrer === null ? undefined : referrer
+  };
+
+  let { resourceLoader } = settings;
+  if (resourceLoader.constructor === NoOpResourceLoader) {
+    resourceLoader = new ResourceLoader();
+  }
+
+  const loaderRequest = resourceLoader.fetch(urlString, options);
+  if (loaderRequest === null) {
+    return networkError(fetchParams, request, "The resource loader did not fetch the resource");
+  }
+  fetchParams.loaderRequest = loaderRequest;
+
+  let body;
+  let res;
+  try {
+    body = await loaderRequest;
+    res = loaderRequest.response;
+  } catch (error) {
+    // Unlike fetch(), the resource loader treats HTTP error statuses as failures.
+    if (error.name !== "StatusCodeError") {
+      return networkError(fetchParams, request, error.message, error);
+    }
+    body = error.error;
+    res = error.response;
+  }
+
+  const response = createResponse({
+    urlList: [request.url],
+    body: { source: Buffer.isBuffer(body) ? body : Buffer.from(body || ""), disturbed: false }
+  });
+
+  fetchParams.loaderResponse = { response: res, bodySize: response.body.source.length };
+
+  if (res) {
+    response.status = res.statusCode;
+    response.statusText = res.statusMessage || "";
+    for (let i = 0; i < res.rawHeaders.length; i += 2) {
+      response.headersList.append(res.rawHeaders[i], res.rawHeaders[i + 1]);
+    }
+  } else {
+    response.statusText = "OK";
+  }
+
+  if (loaderRequest.href !== undefined) {
+    const finalURL = parseURL(loaderRequest.href);
+    if (finalURL !== null && serializeURL(finalURL, true) !== urlString) {
+      response.urlList.push(finalURL);
+    }
+  }
+
+  return response;
+}
+
+// https://fetch.spec.whatwg.org/#cors-preflight-fetch-0
+async function corsPreflightFetch(fetchParams, request) {
+  const preflight = {
+    ...request,
+    method: "OPTIONS",
+    headersList: new HeaderList(),
+    body: null,
+    credentials: "omit"
+  };
+  preflight.headersList.append("Accept", "*/*");
+  preflight.headersList.append("Access-Control-Request-Method", request.method);
+  const unsafeHeaderNames = corsUnsafeRequestHeaderNames(request);
+  if (unsafeHeaderNames.length > 0) {
+    preflight.headersList.append("Access-Control-Request-Headers", unsafeHeaderNames.join(","));
+  }
+
+  const response = await loaderFetch(fetchParams, preflight);
+  if (response.type === "error") {
+    return response;
+  }
+
+  const corsError = corsCheck(request, response);
+  if (corsError !== null) {
+    return networkError(fetchParams, request, corsError);
+  }
+  if (response.status < 200 || response.status > 299) {
+    return networkError(fetchParams, request, `Preflight response has status ${response.status}`);
+  }
+
+  const wildcardAllowed = request.credentials !== "include";
+
+  const methods = headerValueList(response, "access-control-allow-methods");
+  if (!simpleMethods.has(request.method) && !methods.includes(request.method) &&
+      !(wildcardAllowed && methods.includes("*"))) {
+    return networkError(fetchParams, request, `Method ${request.method} forbidden`);
+  }
+
+  const allowedHeaderNames = headerValueList(response, "access-control-allow-headers").map(name => {
+    return name.toLowerCase();
+  });
+  const forbiddenHeaderNames = unsafeHeaderNames.filter(name => {
+    return !allowedHeaderNames.includes(name) && !(wildcardAllowed && allowedHeaderNames.includes("*"));
+  });
+  if (forbiddenHeaderNames.length > 0) {
+    return networkError(fetchParams, request, `Headers ${forbiddenHeaderNames} forbidden`);
+  }
+
+  return response;
+}
+
+function needsCORSPreflight(request) {
+  return !simpleMethods.has(request.method) || corsUnsafeRequestHeaderNames(request).length > 0;
+}
+
+// https://fetch.spec.whatwg.org/#cors-unsafe-request-header-names
+function corsUnsafeRequestHeaderNames(request) {
+  return request.headersList.sortAndCombine()
+    .filter(([name, value]) => !isCORSWhitelisted(name, value))
+    .map(([name]) => name);
+}
+
+// https://fetch.spec.whatwg.org/#concept-cors-check
+// Returns an error message, or null if the check succeeds.
+function corsCheck(request, response) {
+  const origin = response.headersList.get("access-control-allow-origin");
+  const allowedOrigin = origin === null ? null : origin.trim();
+
+  if (allowedOrigin === "*" && request.credentials !== "include") {
+    return null;
+  }
+  if (allowedOrigin !== request.origin) {
+    return `Cross origin ${request.origin} forbidden`;
+  }
+  if (request.credentials !== "include") {
+    return null;
+  }
+
+  const credentials = response.headersList.get("access-control-allow-credentials");
+  if (credentials === null || credentials.trim() !== "true") {
+    return "Credentials forbidden";
+  }
+  return null;
+}
+
+// https://fetch.spec.whatwg.org/#concept-filtered-response
+function filterResponse(request, response) {
+  switch (request.responseTainting) {
+    case "basic": {
+      const headersList = new HeaderList();
+      for (const [name, value] of response.headersList.sortAndCombine()) {
+        if (!isForbiddenResponse(name)) {
+          headersList.append(name, value);
+        }
+      }
+      return { ...response, type: "basic", headersList };
+    }
+
+    case "cors": {
+      const exposedHeaderNames = headerValueList(response, "access-control-expose-headers").map(name => {
+        return name.toLowerCase();
+      });
+      const exposeAll = request.credentials !== "include" && exposedHeaderNames.includes("*");
+
+      const headersList = new HeaderList();
+      for (const [name, value] of response.headersList.sortAndCombine()) {
+        if (corsSafelistedResponseHeaders.has(name) ||
+            (!isForbiddenResponse(name) && (exposeAll || exposedHeaderNames.includes(name)))) {
+          headersList.append(name, value);
+        }
+      }
+      return { ...response, type: "cors", headersList };
+    }
+
+    default: {
+      return createResponse({ type: "opaque", status: 0 });
+    }
+  }
+}
+
+// https://w3c.github.io/webappsec-referrer-policy/#determine-requests-referrer
+function determineReferrer(settings, request) {
+  if (request.referrer === "no-referrer") {
+    return null;
+  }
+
+  const referrerSource = request.referrer === "client" ? settings.creationURL : request.referrer;
+  const referrerURL = stripURLForUseAsReferrer(referrerSource, false);
+  const referrerOrigin = stripURLForUseAsReferrer(referrerSource, true);
+  if (referrerURL === null) {
+    return null;
+  }
+
+  const sameOrigin = serializeURLOrigin(referrerSource) === serializeURLOrigin(request.url);
+  const downgrade = referrerSource.scheme === "https" && request.url.scheme !== "https";
+
+  switch (request.referrerPolicy || "strict-origin-when-cross-origin") {
+    case "no-referrer":
+      return null;
+    case "origin":
+      return referrerOrigin;
+    case "unsafe-url":
+      return referrerURL;
+    case "strict-origin":
+      return downgrade ? null : referrerOrigin;
+    case "same-origin":
+      return sameOrigin ? referrerURL : null;
+    case "origin-when-cross-origin":
+      return sameOrigin ? referrerURL : referrerOrigin;
+    case "no-referrer-when-downgrade":
+      return downgrade ? null : referrerURL;
+    default:
+      if (sameOrigin) {
+        return referrerURL;
+      }
+      return downgrade ? null : referrerOrigin;
+  }
+}
+
+// https://w3c.github.io/webappsec-referrer-policy/#strip-url
+function stripURLForUseAsReferrer(url, originOnly) {
+  if (url.scheme === "about" || url.scheme === "blob" || url.scheme === "data") {
+    return null;
+  }
+
+  const stripped = { ...url, username: "", password: "", fragment: null };
+  if (originOnly) {
+    stripped.path = [""];
+    stripped.query = null;
+  }
+  return serializeURL(stripped);
+}
+
+function headerValueList(response, name) {
+  const value = response.headersList.get(name);
+  return value === null ? [] : value.trim().split(headerListSeparatorRegexp).filter(item => item !== "");
+}
+
+function networkError(fetchParams, request, message, detail) {
+  if (fetchParams.aborted) {
+    return createNetworkError();
+  }
+
+  const error = new Error(`Failed to fetch "${serializeURL(request.url)}": ${message}`);
+  error.type = "resource loading";
+  if (detail !== undefined) {
+    error.detail = detail;
+  }
+  fetchParams.globalObject._virtualConsole.emit("jsdomError", error);
+
+  return createNetworkError();
+}
@@ -45,6 +45,14 @@ class HeaderList {
     this.headers.set(lowerName, [{ name, value }]);
   }
 
+  clone() {
+    const list = new HeaderList();
+    for (const [lowerName, values] of this.headers) {
+      list.headers.set(lowerName, values.map(h => ({ ...h })));
+    }
+    return list;
+  }
+
   sortAndCombine() {
     const names = [...this.headers.keys()].sort();
     return names.map(n => [n, this.get(n)]);
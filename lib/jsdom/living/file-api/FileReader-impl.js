@@ -73,7 +73,7 @@ class FileReaderImpl extends EventTargetImpl {
 
     this.readyState = READY_STATES.LOADING;
 
-    setImmediate(() => {
+    this._globalObject._queueTask(() => {
       if (this._terminated) {
         this._terminated = false;
         return;
@@ -91,7 +91,7 @@ class FileReaderImpl extends EventTargetImpl {
         loaded: data.length
       });
 
-      setImmediate(() => {
+      this._globalObject._queueTask(() => {
         if (this._terminated) {
           this._terminated = false;
           return;
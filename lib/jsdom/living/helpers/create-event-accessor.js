@@ -15,7 +15,8 @@ exports.appendHandler = function appendHandler(el, eventName) {
     }
 
     const specialError = ErrorEvent.isImpl(event) && event.type === "error" &&
-      event.currentTarget.constructor.name === "Window";
+      (event.currentTarget.constructor.name === "Window" ||
+       event.currentTarget.constructor.name === "DedicatedWorkerGlobalScope");
 
     let returnValue = null;
     const thisValue = idlUtils.tryWrapperForImpl(event.currentTarget);
@@ -0,0 +1,41 @@
+"use strict";
+const { isShadowInclusiveAncestor, flatTreeParent } = require("./shadow-dom");
+const { HTML_NS } = require("./namespaces");
+
+// https://html.spec.whatwg.org/multipage/interactive-elements.html#topmost-modal-dialog
+exports.topmostModalDialog = document => {
+  for (let i = document._topLayer.length - 1; i >= 0; --i) {
+    const element = document._topLayer[i];
+    if (element._localName === "dialog" && element._namespaceURI === HTML_NS && element._isModal) {
+      return element;
+    }
+  }
+  return null;
+};
+
+// Elements are inert when they have an inclusive ancestor in the flat tree with the inert attribute, or when a modal
+// dialog blocks the rest of the document. Inert elements cannot be focused.
+// https://html.spec.whatwg.org/multipage/interaction.html#inert-subtrees
+exports.isInert = elImpl => {
+  const modalDialog = exports.topmostModalDialog(elImpl._ownerDocument);
+  if (modalDialog !== null && !isShadowInclusiveAncestor(modalDialog, elImpl)) {
+    return true;
+  }
+
+  for (let node = elImpl; node !== null; node = flatTreeParent(node)) {
+    if (node._namespaceURI === HTML_NS && node.hasAttributeNS(null, "inert")) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Pressing Escape while a modal dialog is shown is a close request, which cancels and then closes the dialog. jsdom
+// treats dispatched keydown events as key presses.
+// https://html.spec.whatwg.org/multipage/interaction.html#close-requests
+exports.processCloseRequest = document => {
+  const dialog = exports.topmostModalDialog(document);
+  if (dialog !== null) {
+    dialog._requestClose();
+  }
+};
@@ -0,0 +1,906 @@
+"use strict";
+const { domSymbolTree } = require("./internal-constants");
+const { nodeLength, isInclusiveAncestor } = require("./node");
+const { HTML_NS } = require("./namespaces");
+const { asciiLowercase } = require("./strings");
+const { fireAnEvent } = require("./events");
+const { createElement } = require("./create-element");
+const { isEditingHost, isEditable, editingHostOf } = require("./editing");
+const { compareBoundaryPointsPosition } = require("../range/boundary-point");
+const { clone } = require("../node");
+const { getAttributeByNameNS, removeAttributeByName, removeAttributeByNameNS, setAttributeValue } =
+  require("../attributes");
+const NODE_TYPE = require("../node-type");
+const InputEvent = require("../generated/InputEvent");
+const Range = require("../generated/Range");
+
+// https://w3c.github.io/editing/docs/execCommand/
+// The commands that editors use the most are implemented, more simply than in the spec: inline formatting only adds
+// and removes elements such as <b>, never CSS, and paragraphs are split and joined without regard to their styles.
+// Each command that changes the DOM fires beforeinput and input events, with the inputType given by
+// https://w3c.github.io/input-events/#interface-InputEvent-Attributes, and can be undone.
+
+// The elements that are laid out as blocks by default, which are the paragraphs that insertParagraph splits and that
+// deleting joins.
+const blockLocalNames = new Set([
+  "address", "article", "aside", "blockquote", "body", "caption", "dd", "details", "dialog", "div", "dl", "dt",
+  "fieldset", "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hgroup", "hr",
+  "html", "li", "main", "nav", "ol", "p", "pre", "section", "summary", "table", "tbody", "td", "tfoot", "th", "thead",
+  "tr", "ul"
+]);
+
+// The elements that are deleted as a whole, like a single character.
+const leafLocalNames = new Set([
+  "audio", "br", "canvas", "embed", "hr", "iframe", "img", "input", "object", "select",
+  "textarea", "video"
+]);
+
+const whitespaceOnlyRe = /^[\t\n\f\r ]*$/;
+
+function isHTMLElement(node, localNames) {
+  return node.nodeType === NODE_TYPE.ELEMENT_NODE && node._namespaceURI === HTML_NS && localNames.has(node._localName);
+}
+
+function isBlock(node) {
+  return isHTMLElement(node, blockLocalNames);
+}
+
+function isLeaf(node) {
+  return (node.nodeType === NODE_TYPE.TEXT_NODE && node.length > 0) || isHTMLElement(node, leafLocalNames);
+}
+
+function isLink(node) {
+  return isHTMLElement(node, new Set(["a"])) && node.hasAttributeNS(null, "href");
+}
+
+// https://w3c.github.io/editing/docs/execCommand/#active-range
+function activeRange(document) {
+  const selection = document.getSelection();
+  if (selection === null || selection._range === null || selection._range._start.node._ownerDocument !== document) {
+    return null;
+  }
+  return selection._range;
+}
+
+// The innermost editing host that contains both ends of the range, if any.
+function affectedEditingHost(range) {
+  let { node } = range._start;
+  while (node !== null && !(isEditingHost(node) && isInclusiveAncestor(node, range._end.node))) {
+    node = domSymbolTree.parent(node);
+  }
+  return node;
+}
+
+// https://w3c.github.io/editing/docs/execCommand/#enabled
+function isEnabled(document, command) {
+  if (command.enabled !== undefined) {
+    return command.enabled(document);
+  }
+
+  const range = activeRange(document);
+  return range !== null &&
+    (isEditingHost(range._start.node) || isEditable(range._start.node)) &&
+    (isEditingHost(range._end.node) || isEditable(range._end.node)) &&
+    affectedEditingHost(range) !== null;
+}
+
+function collapseSelection(document, node, offset) {
+  document.getSelection().collapse(node, offset);
+}
+
+function selectNodes(document, nodes) {
+  const last = nodes[nodes.length - 1];
+  document.getSelection().setBaseAndExtent(nodes[0], 0, last, nodeLength(last));
+}
+
+function selectionSnapshot(document) {
+  const range = activeRange(document);
+  if (range === null) {
+    return null;
+  }
+  return {
+    start: { node: range._start.node, offset: range._start.offset },
+    end: { node: range._end.node, offset: range._end.offset }
+  };
+}
+
+function restoreSelection(document, snapshot) {
+  const selection = document.getSelection();
+  if (selection === null || snapshot === null) {
+    return;
+  }
+
+  const { start, end } = snapshot;
+  if (start.offset <= nodeLength(start.node) && end.offset <= nodeLength(end.node)) {
+    selection.setBaseAndExtent(start.node, start.offset, end.node, end.offset);
+  }
+}
+
+// Runs fn, and returns the mutations that it made to the document, as they were given to
+// helpers/mutation-observers.js.
+function recordMutations(document, fn) {
+  const previousMutations = document._editingMutations;
+  const mutations = [];
+  document._editingMutations = mutations;
+  try {
+    fn();
+  } finally {
+    document._editingMutations = previousMutations;
+  }
+  return mutations;
+}
+
+function revertMutations(mutations) {
+  for (let i = mutations.length - 1; i >= 0; --i) {
+    const { type, target, name, namespace, oldValue, addedNodes, removedNodes, previousSibling, nextSibling } =
+      mutations[i];
+
+    if (type === "childList") {
+      for (const node of addedNodes) {
+        if (domSymbolTree.parent(node) === target) {
+          target._remove(node);
+        }
+      }
+
+      let child = null;
+      if (nextSibling !== null && domSymbolTree.parent(nextSibling) === target) {
+        child = nextSibling;
+      } else if (previousSibling !== null && domSymbolTree.parent(previousSibling) === target) {
+        child = domSymbolTree.nextSibling(previousSibling);
+      }
+      for (const node of removedNodes) {
+        target._preInsert(node, child);
+      }
+    } else if (type === "characterData") {
+      target.replaceData(0, target.length, oldValue);
+    } else if (oldValue === null) {
+      removeAttributeByNameNS(target, namespace, name);
+    } else {
+      setAttributeValue(target, name, oldValue, null, namespace);
+    }
+  }
+}
+
+// Copies element without its children or its id, to hold part of its contents when it is split.
+function shallowCopy(document, element) {
+  const copy = clone(element, document, false);
+  removeAttributeByName(copy, "id");
+  return copy;
+}
+
+function hasSameAttributes(elementA, elementB) {
+  if (elementA._attributeList.length !== elementB._attributeList.length) {
+    return false;
+  }
+  return elementA._attributeList.every(attribute => {
+    const other = getAttributeByNameNS(elementB, attribute._namespace, attribute._localName);
+    return other !== null && other._value === attribute._value;
+  });
+}
+
+function canMerge(nodeA, nodeB) {
+  return nodeA.nodeType === NODE_TYPE.ELEMENT_NODE && nodeB.nodeType === NODE_TYPE.ELEMENT_NODE &&
+    nodeA._namespaceURI === nodeB._namespaceURI && nodeA._localName === nodeB._localName &&
+    hasSameAttributes(nodeA, nodeB);
+}
+
+function moveChildren(from, to) {
+  for (const child of domSymbolTree.childrenToArray(from)) {
+    to._append(child);
+  }
+}
+
+// Merges element into its previous and next siblings, when they are the same kind of element.
+function mergeWithSiblings(element) {
+  const previous = domSymbolTree.previousSibling(element);
+  if (previous !== null && canMerge(previous, element)) {
+    moveChildren(element, previous);
+    domSymbolTree.parent(element)._remove(element);
+    element = previous;
+  }
+
+  const next = domSymbolTree.nextSibling(element);
+  if (next !== null && canMerge(element, next)) {
+    moveChildren(next, element);
+    domSymbolTree.parent(next)._remove(next);
+  }
+}
+
+function wrap(node, wrapper) {
+  domSymbolTree.parent(node)._preInsert(wrapper, node);
+  wrapper._append(node);
+}
+
+// Moves node out of its parent, which is split in two around it if node has following siblings.
+function splitParentAround(document, node) {
+  const parent = domSymbolTree.parent(node);
+  const grandparent = domSymbolTree.parent(parent);
+
+  if (domSymbolTree.nextSibling(node) !== null) {
+    const after = shallowCopy(document, parent);
+    grandparent._preInsert(after, domSymbolTree.nextSibling(parent));
+    while (domSymbolTree.nextSibling(node) !== null) {
+      after._append(domSymbolTree.nextSibling(node));
+    }
+  }
+
+  grandparent._preInsert(node, domSymbolTree.nextSibling(parent));
+  if (!domSymbolTree.hasChildren(parent)) {
+    grandparent._remove(parent);
+  }
+}
+
+// Moves node out of ancestor, by splitting ancestor and the elements between them, and wraps node in copies of these
+// elements so that it only loses the formatting of ancestor.
+function liftOutOf(document, node, ancestor) {
+  const between = [];
+  for (let element = domSymbolTree.parent(node); element !== ancestor; element = domSymbolTree.parent(element)) {
+    between.push(element);
+  }
+
+  for (let i = 0; i <= between.length; ++i) {
+    splitParentAround(document, node);
+  }
+
+  for (const element of between) {
+    const copy = shallowCopy(document, element);
+    wrap(node, copy);
+    node = copy;
+  }
+}
+
+// The innermost inclusive ancestor of node, below host, that isFormatting() accepts, if any.
+function formattingAncestor(node, host, isFormatting) {
+  for (let ancestor = node; ancestor !== null && ancestor !== host; ancestor = domSymbolTree.parent(ancestor)) {
+    if (isFormatting(ancestor)) {
+      return ancestor;
+    }
+  }
+  return null;
+}
+
+// Whitespace-only text nodes next to blocks are only there to format the markup.
+function isInterElementWhitespace(node) {
+  if (!whitespaceOnlyRe.test(node.data)) {
+    return false;
+  }
+  const previous = domSymbolTree.previousSibling(node);
+  const next = domSymbolTree.nextSibling(node);
+  return (previous !== null && isBlock(previous)) || (next !== null && isBlock(next));
+}
+
+// The editable text nodes of host that are at least partly between the boundary points start and end.
+function selectedTextNodes(host, start, end) {
+  const nodes = [];
+  for (const node of domSymbolTree.treeIterator(host)) {
+    if (node.nodeType === NODE_TYPE.TEXT_NODE && node.length > 0 && isEditable(node) &&
+        !isInterElementWhitespace(node) &&
+        compareBoundaryPointsPosition({ node, offset: 0 }, end) === -1 &&
+        compareBoundaryPointsPosition({ node, offset: node.length }, start) === 1) {
+      nodes.push(node);
+    }
+  }
+  return nodes;
+}
+
+// Splits the text nodes at the ends of range, so that the selected text nodes are entirely in it, and returns them.
+function splitSelectedTextNodes(range, host) {
+  const start = { node: range._start.node, offset: range._start.offset };
+  const end = { node: range._end.node, offset: range._end.offset };
+
+  if (end.node.nodeType === NODE_TYPE.TEXT_NODE && end.offset > 0 && end.offset < end.node.length) {
+    end.node.splitText(end.offset);
+  }
+  if (start.node.nodeType === NODE_TYPE.TEXT_NODE && start.offset > 0 && start.offset < start.node.length) {
+    const newNode = start.node.splitText(start.offset);
+    if (end.node === start.node) {
+      end.node = newNode;
+      end.offset -= start.offset;
+    }
+    start.node = newNode;
+    start.offset = 0;
+  }
+
+  return selectedTextNodes(host, start, end);
+}
+
+function formattingCommand(inputType, localNames) {
+  const tags = new Set(localNames);
+  function isFormatting(node) {
+    return isHTMLElement(node, tags);
+  }
+
+  // Whether all and whether some of the selected text is formatted.
+  function formattingState(document) {
+    const range = activeRange(document);
+    const host = affectedEditingHost(range);
+    if (range.collapsed) {
+      const formatted = formattingAncestor(range._start.node, host, isFormatting) !== null;
+      return { all: formatted, some: formatted };
+    }
+
+    const nodes = selectedTextNodes(host, range._start, range._end);
+    const formatted = nodes.filter(node => formattingAncestor(node, host, isFormatting) !== null);
+    return { all: nodes.length > 0 && formatted.length === nodes.length, some: formatted.length > 0 };
+  }
+
+  return {
+    inputType,
+    action(document) {
+      const range = activeRange(document);
+      const host = affectedEditingHost(range);
+      // Browsers keep the formatting for the text that is typed next, which jsdom does not do.
+      if (range.collapsed) {
+        return true;
+      }
+
+      const nodes = splitSelectedTextNodes(range, host);
+      if (nodes.length === 0) {
+        return true;
+      }
+
+      if (nodes.every(node => formattingAncestor(node, host, isFormatting) !== null)) {
+        for (const node of nodes) {
+          let ancestor;
+          while ((ancestor = formattingAncestor(node, host, isFormatting)) !== null) {
+            liftOutOf(document, node, ancestor);
+          }
+        }
+      } else {
+        for (const node of nodes) {
+          if (formattingAncestor(node, host, isFormatting) === null) {
+            const element = createElement(document, localNames[0], HTML_NS);
+            wrap(node, element);
+            mergeWithSiblings(element);
+          }
+        }
+      }
+
+      selectNodes(document, nodes);
+      return true;
+    },
+    state(document) {
+      return formattingState(document).all;
+    },
+    indeterm(document) {
+      const { all, some } = formattingState(document);
+      return some && !all;
+    }
+  };
+}
+
+function createLink(document, value) {
+  if (value === "") {
+    return false;
+  }
+
+  const range = activeRange(document);
+  const host = affectedEditingHost(range);
+  if (range.collapsed) {
+    const link = formattingAncestor(range._start.node, host, isLink);
+    if (link !== null) {
+      link.setAttributeNS(null, "href", value);
+    }
+    return true;
+  }
+
+  const nodes = splitSelectedTextNodes(range, host);
+  if (nodes.length === 0) {
+    return true;
+  }
+
+  for (const node of nodes) {
+    const link = formattingAncestor(node, host, isLink);
+    if (link !== null) {
+      link.setAttributeNS(null, "href", value);
+    } else {
+      const element = createElement(document, "a", HTML_NS);
+      element.setAttributeNS(null, "href", value);
+      wrap(node, element);
+      mergeWithSiblings(element);
+    }
+  }
+
+  selectNodes(document, nodes);
+  return true;
+}
+
+// The block that contains node, or host if there is none in it.
+function blockOf(node, host) {
+  for (let ancestor = node; ancestor !== host; ancestor = domSymbolTree.parent(ancestor)) {
+    if (isBlock(ancestor)) {
+      return ancestor;
+    }
+  }
+  return host;
+}
+
+function hasVisibleContent(element) {
+  for (const node of domSymbolTree.treeIterator(element)) {
+    if (node !== element && isLeaf(node)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Empty blocks hold a <br>, so that they keep their height in browsers.
+function isPlaceholderBlock(element) {
+  const children = domSymbolTree.childrenToArray(element);
+  return children.length === 1 && isHTMLElement(children[0], new Set(["br"]));
+}
+
+function removePlaceholder(element) {
+  if (isPlaceholderBlock(element)) {
+    element._remove(domSymbolTree.firstChild(element));
+  }
+}
+
+function addPlaceholder(document, block) {
+  if (!hasVisibleContent(block)) {
+    block._append(createElement(document, "br", HTML_NS));
+  }
+}
+
+// Removes the empty text nodes of element, and the elements that only held them. Elements with attributes are kept, as
+// they might be styled.
+function removeEmptyDescendants(element) {
+  for (const child of domSymbolTree.childrenToArray(element)) {
+    if (child.nodeType === NODE_TYPE.TEXT_NODE) {
+      if (child.length === 0) {
+        element._remove(child);
+      }
+    } else if (child.nodeType === NODE_TYPE.ELEMENT_NODE && !isLeaf(child) && !isBlock(child)) {
+      removeEmptyDescendants(child);
+      if (!domSymbolTree.hasChildren(child) && child._attributeList.length === 0) {
+        element._remove(child);
+      }
+    }
+  }
+}
+
+// Tidies up the block that contains the selection after some of it has been deleted.
+function cleanUpAfterDeletion(document, host) {
+  const block = blockOf(activeRange(document)._start.node, host);
+  removeEmptyDescendants(block);
+  if (block !== host) {
+    addPlaceholder(document, block);
+  }
+}
+
+function isInsignificant(node) {
+  return node.nodeType === NODE_TYPE.COMMENT_NODE ||
+    (node.nodeType === NODE_TYPE.TEXT_NODE && whitespaceOnlyRe.test(node.data));
+}
+
+// The next (or previous) sibling of node, skipping whitespace-only text nodes and comments.
+function siblingOf(node, forward) {
+  let sibling = node;
+  do {
+    sibling = forward ? domSymbolTree.nextSibling(sibling) : domSymbolTree.previousSibling(sibling);
+  } while (sibling !== null && isInsignificant(sibling));
+  return sibling;
+}
+
+// The first (or last) child of node, skipping whitespace-only text nodes and comments.
+function edgeChildOf(node, first) {
+  const child = first ? domSymbolTree.firstChild(node) : domSymbolTree.lastChild(node);
+  return child === null || !isInsignificant(child) ? child : siblingOf(child, first);
+}
+
+// The text node or leaf element that is right before (or after) the boundary point (node, offset) in root.
+function adjacentLeaf(node, offset, root, forward) {
+  let current;
+  if (forward) {
+    current = node.nodeType === NODE_TYPE.TEXT_NODE || offset === nodeLength(node) ?
+      domSymbolTree.following(node, { root, skipChildren: true }) :
+      domSymbolTree.childrenToArray(node)[offset] || null;
+    while (current !== null && !isLeaf(current)) {
+      current = domSymbolTree.following(current, { root });
+    }
+  } else {
+    current = node.nodeType === NODE_TYPE.TEXT_NODE || offset === 0 ?
+      domSymbolTree.preceding(node, { root }) :
+      domSymbolTree.lastInclusiveDescendant(domSymbolTree.childrenToArray(node)[offset - 1]);
+    while (current !== null && !isLeaf(current)) {
+      current = domSymbolTree.preceding(current, { root });
+    }
+  }
+  return current;
+}
+
+function isHighSurrogate(codeUnit) {
+  return codeUnit >= 0xD800 && codeUnit <= 0xDBFF;
+}
+
+function isLowSurrogate(codeUnit) {
+  return codeUnit >= 0xDC00 && codeUnit <= 0xDFFF;
+}
+
+// Deletes the code point before (or after) offset in the text node.
+function deleteCodePoint(document, node, offset, forward) {
+  const { _data: data } = node;
+  let start = forward ? offset : offset - 1;
+  let count = 1;
+  if (forward && isHighSurrogate(data.charCodeAt(start)) && isLowSurrogate(data.charCodeAt(start + 1))) {
+    count = 2;
+  } else if (!forward && isLowSurrogate(data.charCodeAt(start)) && isHighSurrogate(data.charCodeAt(start - 1))) {
+    start -= 1;
+    count = 2;
+  }
+
+  node.deleteData(start, count);
+  collapseSelection(document, node, start);
+}
+
+// Joins two blocks, by moving the contents of source to the end of destination.
+function joinBlocks(document, destination, source, host) {
+  removePlaceholder(destination);
+  removePlaceholder(source);
+  const offset = domSymbolTree.childrenCount(destination);
+  moveChildren(source, destination);
+
+  // Lists and the like are removed along with their last item.
+  let empty = source;
+  while (domSymbolTree.parent(empty) !== host && !hasVisibleContent(domSymbolTree.parent(empty))) {
+    empty = domSymbolTree.parent(empty);
+  }
+  domSymbolTree.parent(empty)._remove(empty);
+
+  collapseSelection(document, destination, offset);
+}
+
+// Called when deleting at the start (or end) of block, to join it with the previous (or next) one.
+function joinWithSibling(document, block, host, forward) {
+  const sibling = siblingOf(block, forward);
+  if (sibling === null) {
+    return;
+  }
+
+  if (isHTMLElement(sibling, leafLocalNames)) {
+    domSymbolTree.parent(sibling)._remove(sibling);
+  } else if (isBlock(sibling)) {
+    // The cursor goes to the innermost block on the other side, such as the last item of a list.
+    let other = sibling;
+    let child;
+    while ((child = edgeChildOf(other, forward)) !== null && isBlock(child) && !isHTMLElement(child, leafLocalNames)) {
+      other = child;
+    }
+
+    if (forward) {
+      joinBlocks(document, block, other, host);
+    } else {
+      joinBlocks(document, other, block, host);
+    }
+  } else {
+    // The block is next to inline content, which it is joined with by removing the block.
+    removePlaceholder(block);
+    const parent = domSymbolTree.parent(block);
+    const offset = domSymbolTree.index(block) + (forward ? domSymbolTree.childrenCount(block) : 0);
+    for (const child of domSymbolTree.childrenToArray(block)) {
+      parent._preInsert(child, block);
+    }
+    parent._remove(block);
+    collapseSelection(document, parent, offset);
+  }
+}
+
+// Deletes the contents of the selection, and joins the blocks that it started and ended in.
+function deleteSelection(document, range, host) {
+  const startBlock = blockOf(range._start.node, host);
+  const endBlock = blockOf(range._end.node, host);
+  range.deleteContents();
+
+  if (!isInclusiveAncestor(startBlock, endBlock) && !isInclusiveAncestor(endBlock, startBlock)) {
+    joinBlocks(document, startBlock, endBlock, host);
+  }
+  cleanUpAfterDeletion(document, host);
+}
+
+function deleteContent(document, forward) {
+  const range = activeRange(document);
+  const host = affectedEditingHost(range);
+  if (!range.collapsed) {
+    deleteSelection(document, range, host);
+    return true;
+  }
+
+  const { node, offset } = range._start;
+  if (node.nodeType === NODE_TYPE.TEXT_NODE && (forward ? offset < node.length : offset > 0)) {
+    deleteCodePoint(document, node, offset, forward);
+    cleanUpAfterDeletion(document, host);
+    return true;
+  }
+
+  const block = blockOf(node, host);
+  const leaf = isPlaceholderBlock(block) ? null : adjacentLeaf(node, offset, host, forward);
+  if (leaf !== null && isInclusiveAncestor(block, leaf)) {
+    if (leaf.nodeType === NODE_TYPE.TEXT_NODE) {
+      deleteCodePoint(document, leaf, forward ? 0 : leaf.length, forward);
+    } else {
+      const parent = domSymbolTree.parent(leaf);
+      const leafOffset = domSymbolTree.index(leaf);
+      parent._remove(leaf);
+      collapseSelection(document, parent, leafOffset);
+    }
+    cleanUpAfterDeletion(document, host);
+  } else if (block !== host) {
+    joinWithSibling(document, block, host, forward);
+    cleanUpAfterDeletion(document, host);
+  }
+  return true;
+}
+
+// Wraps the inline nodes of host around the boundary point (node, offset) in a new paragraph, and returns the boundary
+// point in it.
+function wrapInParagraph(document, host, node, offset) {
+  const children = domSymbolTree.childrenToArray(host);
+  let first;
+  let last;
+  if (node === host) {
+    first = offset;
+    last = offset;
+  } else {
+    let child = node;
+    while (domSymbolTree.parent(child) !== host) {
+      child = domSymbolTree.parent(child);
+    }
+    first = domSymbolTree.index(child);
+    last = first + 1;
+  }
+  while (first > 0 && !isBlock(children[first - 1])) {
+    --first;
+  }
+  while (last < children.length && !isBlock(children[last])) {
+    ++last;
+  }
+
+  // https://w3c.github.io/editing/docs/execCommand/#the-defaultparagraphseparator-command, which is always "div".
+  const paragraph = createElement(document, "div", HTML_NS);
+  host._preInsert(paragraph, first < children.length ? children[first] : null);
+  for (let i = first; i < last; ++i) {
+    paragraph._append(children[i]);
+  }
+
+  if (node === host) {
+    return { block: paragraph, node: paragraph, offset: offset - first };
+  }
+  return { block: paragraph, node, offset };
+}
+
+// Splits the block that contains the selection in two at the selection, and moves the selection to the second block.
+function splitBlock(document, host) {
+  let { node, offset } = activeRange(document)._start;
+  let block = blockOf(node, host);
+  if (block === host) {
+    ({ block, node, offset } = wrapInParagraph(document, host, node, offset));
+  }
+
+  const tail = Range.createImpl(document._globalObject, [], {
+    start: { node, offset },
+    end: { node: block, offset: nodeLength(block) }
+  });
+  const newBlock = shallowCopy(document, block);
+  newBlock._append(tail.extractContents());
+  domSymbolTree.parent(block)._preInsert(newBlock, domSymbolTree.nextSibling(block));
+
+  for (const element of [block, newBlock]) {
+    removeEmptyDescendants(element);
+    addPlaceholder(document, element);
+  }
+  collapseSelection(document, newBlock, 0);
+}
+
+function insertParagraph(document) {
+  const range = activeRange(document);
+  const host = affectedEditingHost(range);
+  if (!range.collapsed) {
+    deleteSelection(document, range, host);
+  }
+
+  splitBlock(document, host);
+  return true;
+}
+
+function insertTextAtSelection(document, text) {
+  if (text === "") {
+    return;
+  }
+
+  const { node, offset } = activeRange(document)._start;
+  if (node.nodeType === NODE_TYPE.TEXT_NODE) {
+    node.replaceData(offset, 0, text);
+    collapseSelection(document, node, offset + text.length);
+    return;
+  }
+
+  let child = domSymbolTree.childrenToArray(node)[offset] || null;
+  if (isPlaceholderBlock(node)) {
+    removePlaceholder(node);
+    child = null;
+  }
+  const textNode = document.createTextNode(text);
+  node._preInsert(textNode, child);
+  collapseSelection(document, textNode, text.length);
+}
+
+// https://w3c.github.io/editing/docs/execCommand/#the-inserttext-command
+function insertText(document, value) {
+  const range = activeRange(document);
+  const host = affectedEditingHost(range);
+  if (!range.collapsed) {
+    deleteSelection(document, range, host);
+  }
+
+  const lines = value.split("\n");
+  for (let i = 0; i < lines.length; ++i) {
+    if (i > 0) {
+      splitBlock(document, host);
+    }
+    insertTextAtSelection(document, lines[i]);
+  }
+  return true;
+}
+
+// https://w3c.github.io/editing/docs/execCommand/#the-inserthtml-command
+function insertHTML(document, value) {
+  let range = activeRange(document);
+  const host = affectedEditingHost(range);
+  if (!range.collapsed) {
+    deleteSelection(document, range, host);
+    range = activeRange(document);
+  }
+
+  const fragment = range.createContextualFragment(value);
+  const lastChild = domSymbolTree.lastChild(fragment);
+  if (lastChild === null) {
+    return true;
+  }
+
+  if (isPlaceholderBlock(range._start.node)) {
+    removePlaceholder(range._start.node);
+  }
+  range.insertNode(fragment);
+  collapseSelection(document, domSymbolTree.parent(lastChild), domSymbolTree.index(lastChild) + 1);
+  return true;
+}
+
+// https://w3c.github.io/editing/docs/execCommand/#the-selectall-command
+function selectAll(document) {
+  const range = activeRange(document);
+  let target = range === null ? null : editingHostOf(range._start.node);
+  if (target === null) {
+    target = document.body || document.documentElement || document;
+  }
+
+  document.getSelection().selectAllChildren(target);
+  return true;
+}
+
+// Undoes (or redoes) the last command, by reverting the mutations that it made. Reverting them records the opposite
+// mutations, which go on the other stack.
+function traverseHistory(document, undo) {
+  const from = undo ? document._undoStack : document._redoStack;
+  const to = undo ? document._redoStack : document._undoStack;
+  const inputType = undo ? "historyUndo" : "historyRedo";
+
+  const entry = from[from.length - 1];
+  if (!fireAnEvent("beforeinput", entry.host, InputEvent, { bubbles: true, cancelable: true, inputType })) {
+    return false;
+  }
+  if (from[from.length - 1] !== entry) {
+    return false;
+  }
+  from.pop();
+
+  const mutations = recordMutations(document, () => revertMutations(entry.mutations));
+  to.push({
+    host: entry.host,
+    mutations,
+    selectionBefore: entry.selectionAfter,
+    selectionAfter: entry.selectionBefore
+  });
+  restoreSelection(document, entry.selectionBefore);
+
+  fireAnEvent("input", entry.host, InputEvent, { bubbles: true, inputType });
+  return true;
+}
+
+// https://w3c.github.io/editing/docs/execCommand/#miscellaneous-commands do not have an inputType, and do not fire
+// events when they are executed, except for undo and redo which fire their own.
+const commands = new Map([
+  ["bold", formattingCommand("formatBold", ["b", "strong"])],
+  ["createlink", { inputType: "insertLink", action: createLink }],
+  ["delete", { inputType: "deleteContentBackward", action: document => deleteContent(document, false) }],
+  ["forwarddelete", { inputType: "deleteContentForward", action: document => deleteContent(document, true) }],
+  ["inserthtml", { inputType: "insertHTML", action: insertHTML }],
+  ["insertparagraph", { inputType: "insertParagraph", action: insertParagraph }],
+  ["inserttext", { inputType: "insertText", action: insertText }],
+  ["italic", formattingCommand("formatItalic", ["i", "em"])],
+  [
+    "redo",
+    {
+      enabled: document => document._redoStack.length > 0,
+      action: document => traverseHistory(document, false)
+    }
+  ],
+  ["selectall", { enabled: document => document.getSelection() !== null, action: selectAll }],
+  ["underline", formattingCommand("formatUnderline", ["u"])],
+  [
+    "undo",
+    {
+      enabled: document => document._undoStack.length > 0,
+      action: document => traverseHistory(document, true)
+    }
+  ]
+]);
+
+// https://w3c.github.io/editing/docs/execCommand/#execcommand()
+// User input gives the inputType when it is more specific than the command's, like insertFromPaste for insertText.
+exports.execCommand = (document, commandId, value, inputType = undefined) => {
+  const command = commands.get(asciiLowercase(commandId));
+  if (command === undefined || !isEnabled(document, command)) {
+    return false;
+  }
+  if (command.inputType === undefined) {
+    return command.action(document, value);
+  }
+
+  const host = affectedEditingHost(activeRange(document));
+  if (inputType === undefined) {
+    ({ inputType } = command);
+  }
+  const data = command.inputType === "insertText" ? value : null;
+  if (!fireAnEvent("beforeinput", host, InputEvent, { bubbles: true, cancelable: true, inputType, data })) {
+    return false;
+  }
+  if (!isEnabled(document, command)) {
+    return false;
+  }
+
+  const selectionBefore = selectionSnapshot(document);
+  let result;
+  const mutations = recordMutations(document, () => {
+    result = command.action(document, value);
+  });
+
+  if (mutations.length > 0) {
+    document._undoStack.push({ host, mutations, selectionBefore, selectionAfter: selectionSnapshot(document) });
+    document._redoStack = [];
+    fireAnEvent("input", host, InputEvent, { bubbles: true, inputType, data });
+  }
+  return result;
+};
+
+// https://w3c.github.io/editing/docs/execCommand/#querycommandenabled()
+exports.queryCommandEnabled = (document, commandId) => {
+  const command = commands.get(asciiLowercase(commandId));
+  return command !== undefined && isEnabled(document, command);
+};
+
+// https://w3c.github.io/editing/docs/execCommand/#querycommandindeterm()
+exports.queryCommandIndeterm = (document, commandId) => {
+  const command = commands.get(asciiLowercase(commandId));
+  if (command === undefined || command.indeterm === undefined || !isEnabled(document, command)) {
+    return false;
+  }
+  return command.indeterm(document);
+};
+
+// https://w3c.github.io/editing/docs/execCommand/#querycommandstate()
+exports.queryCommandState = (document, commandId) => {
+  const command = commands.get(asciiLowercase(commandId));
+  if (command === undefined || command.state === undefined || !isEnabled(document, command)) {
+    return false;
+  }
+  return command.state(document);
+};
+
+// https://w3c.github.io/editing/docs/execCommand/#querycommandsupported()
+exports.queryCommandSupported = (document, commandId) => {
+  return commands.has(asciiLowercase(commandId));
+};
+
+// https://w3c.github.io/editing/docs/execCommand/#querycommandvalue()
+// None of the implemented commands has a value.
+exports.queryCommandValue = () => "";
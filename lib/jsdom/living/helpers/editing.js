@@ -0,0 +1,96 @@
+"use strict";
+const { HTML_NS, SVG_NS, MATHML_NS } = require("./namespaces");
+const NODE_TYPE = require("../node-type");
+const { asciiLowercase } = require("./strings");
+const { domSymbolTree } = require("./internal-constants");
+
+// https://html.spec.whatwg.org/multipage/interaction.html#attr-contenteditable
+// Returns the state of an HTML element's contenteditable attribute: "true", "false", "plaintext-only" or "inherit".
+exports.contentEditableState = element => {
+  const value = element.getAttributeNS(null, "contenteditable");
+  if (value === null) {
+    return "inherit";
+  }
+
+  const lowerValue = asciiLowercase(value);
+  if (lowerValue === "" || lowerValue === "true") {
+    return "true";
+  }
+  if (lowerValue === "false" || lowerValue === "plaintext-only") {
+    return lowerValue;
+  }
+  return "inherit";
+};
+
+// https://html.spec.whatwg.org/multipage/interaction.html#editing-host
+exports.isEditingHost = node => {
+  if (node.nodeType !== NODE_TYPE.ELEMENT_NODE || node._namespaceURI !== HTML_NS) {
+    return false;
+  }
+
+  const state = exports.contentEditableState(node);
+  if (state === "true" || state === "plaintext-only") {
+    return true;
+  }
+
+  const parent = node.parentNode;
+  return parent !== null && parent.nodeType === NODE_TYPE.DOCUMENT_NODE && parent._designMode;
+};
+
+// https://html.spec.whatwg.org/multipage/interaction.html#editable
+exports.isEditable = node => {
+  if (exports.isEditingHost(node)) {
+    return false;
+  }
+
+  const parent = node.parentNode;
+  if (parent === null || !(exports.isEditingHost(parent) || exports.isEditable(parent))) {
+    return false;
+  }
+
+  if (node.nodeType === NODE_TYPE.ELEMENT_NODE) {
+    if (node._namespaceURI === HTML_NS) {
+      return exports.contentEditableState(node) !== "false";
+    }
+    return node._namespaceURI === SVG_NS || node._namespaceURI === MATHML_NS;
+  }
+
+  return parent.nodeType === NODE_TYPE.ELEMENT_NODE && parent._namespaceURI === HTML_NS;
+};
+
+// https://w3c.github.io/editing/docs/execCommand/#editing-host-of
+exports.editingHostOf = node => {
+  if (exports.isEditingHost(node)) {
+    return node;
+  }
+  if (!exports.isEditable(node)) {
+    return null;
+  }
+
+  let ancestor = node.parentNode;
+  while (!exports.isEditingHost(ancestor)) {
+    ancestor = ancestor.parentNode;
+  }
+  return ancestor;
+};
+
+// The boundary point at the start or end of the text of an editing host, where the caret goes when the user focuses it.
+exports.edgeOfEditingHost = (host, atStart) => {
+  let node = host;
+  for (;;) {
+    const child = atStart ? domSymbolTree.firstChild(node) : domSymbolTree.lastChild(node);
+    if (child === null) {
+      return { node, offset: 0 };
+    }
+    if (child.nodeType === NODE_TYPE.TEXT_NODE) {
+      return { node: child, offset: atStart ? 0 : child.length };
+    }
+    if (domSymbolTree.firstChild(child) === null) {
+      // The caret goes before a trailing <br>, which is there to give an empty line its height.
+      const index = domSymbolTree.index(child);
+      const isBr = child._namespaceURI === HTML_NS && child._localName === "br";
+      return { node, offset: atStart || isBr ? index : index + 1 };
+    }
+    node = child;
+  }
+};
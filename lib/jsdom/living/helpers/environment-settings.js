@@ -0,0 +1,22 @@
+"use strict";
+const idlUtils = require("../generated/utils");
+const { documentBaseURL } = require("./document-base-url");
+
+// Returns the parts of a global object's environment settings object that jsdom needs for fetching. For a window, they
+// come from its document; worker global scopes have their own, stored as _environmentSettings.
+// https://html.spec.whatwg.org/multipage/webappapis.html#environment-settings-object
+exports.environmentSettings = globalObject => {
+  if (globalObject._environmentSettings !== undefined) {
+    return globalObject._environmentSettings;
+  }
+
+  const document = idlUtils.implForWrapper(globalObject._document);
+  return {
+    apiBaseURL: documentBaseURL(document),
+    origin: document._origin,
+    creationURL: document._URL,
+    cookieJar: document._cookieJar,
+    resourceLoader: globalObject._resourceLoader,
+    requestManager: document._requestManager
+  };
+};
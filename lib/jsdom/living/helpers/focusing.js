@@ -1,11 +1,18 @@
 "use strict";
 const FocusEvent = require("../generated/FocusEvent.js");
 const idlUtils = require("../generated/utils.js");
-const { isDisabled } = require("./form-controls.js");
+const { isDisabled, isTextControl } = require("./form-controls.js");
 const { firstChildWithLocalName } = require("./traversal");
-const { createAnEvent } = require("./events");
+const { createAnEvent, fireAnEvent } = require("./events");
+const { domSymbolTree } = require("./internal-constants");
 const { HTML_NS, SVG_NS } = require("./namespaces");
 const { isRenderedElement } = require("./svg/render");
+const { isInert } = require("./dialogs");
+const { isBeingRendered } = require("./rendering");
+const { isEditingHost, edgeOfEditingHost } = require("./editing");
+const { isInclusiveAncestor } = require("./node");
+const { isShadowInclusiveAncestor, isSlot } = require("./shadow-dom");
+const NODE_TYPE = require("../node-type");
 
 const focusableFormElements = new Set(["input", "select", "textarea", "button"]);
 
@@ -13,6 +20,10 @@ const focusableFormElements = new Set(["input", "select", "textarea", "button"])
 // https://html.spec.whatwg.org/multipage/interaction.html#focusing-steps and some of
 // https://svgwg.org/svg2-draft/interact.html#TermFocusable
 exports.isFocusableAreaElement = elImpl => {
+  if (isInert(elImpl)) {
+    return false;
+  }
+
   // We implemented most of the suggested focusable elements found here:
   // https://html.spec.whatwg.org/multipage/interaction.html#tabindex-value
   // However, some suggested elements are not focusable in web browsers, as detailed here:
@@ -52,15 +63,11 @@ exports.isFocusableAreaElement = elImpl => {
       return true;
     }
 
-    if (elImpl.hasAttributeNS(null, "contenteditable")) {
+    if (isEditingHost(elImpl)) {
       return true;
     }
 
     return false;
-
-    // This does not check for a designMode Document as specified in
-    // https://html.spec.whatwg.org/multipage/interaction.html#editing-host because the designMode
-    // attribute is not implemented.
   }
 
   if (elImpl._namespaceURI === SVG_NS) {
@@ -102,3 +109,207 @@ exports.fireFocusEventWithTargetAdjustment = (name, target, relatedTarget, { bub
 
   target._dispatch(event);
 };
+
+// https://html.spec.whatwg.org/multipage/interaction.html#focus-update-steps
+// The step that fires change at an input element when it loses focus, if the user changed its value while it was
+// focused without committing that change. Browsers do the same for textarea elements.
+exports.commitUserChanges = element => {
+  if (element._valueChangedByUser) {
+    element._valueChangedByUser = false;
+    fireAnEvent("change", element, undefined, { bubbles: true });
+  }
+};
+
+// A shadow host whose shadow root delegates focus is not focused itself: focusing it focuses its focus delegate.
+exports.delegatesFocus = elImpl => elImpl._shadowRoot !== null && elImpl._shadowRoot._delegatesFocus;
+
+// https://html.spec.whatwg.org/multipage/interaction.html#focus-delegate
+exports.focusDelegate = host => {
+  for (const node of domSymbolTree.treeIterator(host._shadowRoot)) {
+    if (node.nodeType !== NODE_TYPE.ELEMENT_NODE) {
+      continue;
+    }
+
+    if (exports.delegatesFocus(node)) {
+      const delegate = exports.focusDelegate(node);
+      if (delegate !== null) {
+        return delegate;
+      }
+    } else if (exports.isFocusableAreaElement(node)) {
+      return node;
+    }
+  }
+  return null;
+};
+
+// Focuses an element the way the user does, rather than a script: the whole value of text controls is selected when
+// they are navigated to sequentially, and the caret put at its end otherwise, and editing hosts get the caret if the
+// selection is not in them already.
+exports.focusFromUserInteraction = (elImpl, { sequential = false } = {}) => {
+  elImpl.focus();
+  const document = elImpl._ownerDocument;
+  const focused = document._lastFocusedElement;
+  if (focused === null || !isShadowInclusiveAncestor(elImpl, focused)) {
+    return;
+  }
+
+  if (isTextControl(focused)) {
+    const { length } = focused.value;
+    focused._selectionStart = sequential ? 0 : length;
+    focused._selectionEnd = length;
+    focused._selectionDirection = "none";
+  } else if (isEditingHost(focused)) {
+    const selection = document.getSelection();
+    const range = selection._range;
+    if (range === null || !isInclusiveAncestor(focused, range._start.node) ||
+        !isInclusiveAncestor(focused, range._end.node)) {
+      const { node, offset } = edgeOfEditingHost(focused, sequential);
+      selection.collapse(node, offset);
+    }
+  }
+};
+
+function isFocusNavigationScopeOwner(elImpl) {
+  return elImpl._shadowRoot !== null || isSlot(elImpl);
+}
+
+// https://html.spec.whatwg.org/multipage/interaction.html#focus-navigation-scope
+// The elements whose focus navigation scope owner is owner, in tree order. The children of a shadow host belong to the
+// scopes of the slots that they are assigned to. The fallback content of a slot is only used when nothing is assigned
+// to it, and belongs to the scope that the slot is in.
+function focusNavigationScope(owner) {
+  const scope = [];
+
+  function add(elImpl) {
+    scope.push(elImpl);
+    if (elImpl._shadowRoot === null && !(isSlot(elImpl) && elImpl._assignedNodes.length > 0)) {
+      addChildren(elImpl);
+    }
+  }
+
+  function addChildren(parent) {
+    for (const child of domSymbolTree.childrenIterator(parent)) {
+      if (child.nodeType === NODE_TYPE.ELEMENT_NODE) {
+        add(child);
+      }
+    }
+  }
+
+  if (owner.nodeType === NODE_TYPE.DOCUMENT_NODE) {
+    addChildren(owner);
+  } else if (isSlot(owner)) {
+    for (const node of owner._assignedNodes) {
+      if (node.nodeType === NODE_TYPE.ELEMENT_NODE) {
+        add(node);
+      }
+    }
+  } else {
+    addChildren(owner._shadowRoot);
+  }
+  return scope;
+}
+
+// https://html.spec.whatwg.org/multipage/interaction.html#flattened-tabindex-ordered-focus-navigation-scope
+// The elements with a positive tabindex come first, in increasing order of their tabindex, followed by the others in
+// tree order. Those with a negative tabindex are left out, along with the contents of their scope if they own one, and
+// so are the elements that are not being rendered. The elements that own a scope are followed by its contents, and
+// shadow hosts that delegate focus are replaced by them.
+function flattenedTabindexOrderedScope(owner, cache) {
+  const positive = [];
+  const rest = [];
+  for (const elImpl of focusNavigationScope(owner)) {
+    if (!isBeingRendered(elImpl, cache)) {
+      continue;
+    }
+
+    const focusable = exports.isFocusableAreaElement(elImpl);
+    const isOwner = isFocusNavigationScopeOwner(elImpl);
+    const tabIndex = parseInt(elImpl.getAttributeNS(null, "tabindex"));
+    if ((!focusable && !isOwner) || tabIndex < 0) {
+      continue;
+    }
+
+    const entry = { elImpl, tabIndex, focusable, isOwner };
+    if (tabIndex > 0) {
+      positive.push(entry);
+    } else {
+      rest.push(entry);
+    }
+  }
+  positive.sort((a, b) => a.tabIndex - b.tabIndex);
+
+  const result = [];
+  for (const { elImpl, focusable, isOwner } of [...positive, ...rest]) {
+    if (focusable && !exports.delegatesFocus(elImpl)) {
+      result.push(elImpl);
+    }
+    if (isOwner) {
+      result.push(...flattenedTabindexOrderedScope(elImpl, cache));
+    }
+  }
+  return result;
+}
+
+// The elements of a document in the order of the flat tree, in which shadow trees replace the children of their hosts
+// and slots contain what is assigned to them.
+function* flatTreeDescendants(node) {
+  let children;
+  if (node._shadowRoot) {
+    children = domSymbolTree.childrenToArray(node._shadowRoot);
+  } else if (isSlot(node) && node._assignedNodes.length > 0) {
+    children = node._assignedNodes;
+  } else {
+    children = domSymbolTree.childrenToArray(node);
+  }
+
+  for (const child of children) {
+    if (child.nodeType === NODE_TYPE.ELEMENT_NODE) {
+      yield child;
+      yield* flatTreeDescendants(child);
+    }
+  }
+}
+
+// https://html.spec.whatwg.org/multipage/interaction.html#sequential-navigation-search-algorithm
+// Returns the element that sequential focus navigation moves to from starting, which is null when navigating from the
+// document itself, or null if there is none.
+exports.sequentialNavigationSearch = (document, starting, forward) => {
+  const order = flattenedTabindexOrderedScope(document, new Map());
+  if (!forward) {
+    order.reverse();
+  }
+
+  const index = starting === null ? -1 : order.indexOf(starting);
+  if (starting === null || index !== -1) {
+    return index + 1 < order.length ? order[index + 1] : null;
+  }
+
+  // The starting point is not in the order, e.g. because it has a negative tabindex: navigation continues from the
+  // next element in the flat tree that does not have a positive tabindex.
+  const elements = [...flatTreeDescendants(document)];
+  if (!forward) {
+    elements.reverse();
+  }
+  for (let i = elements.indexOf(starting) + 1; i < elements.length; ++i) {
+    if (order.includes(elements[i]) && !(parseInt(elements[i].getAttributeNS(null, "tabindex")) > 0)) {
+      return elements[i];
+    }
+  }
+  return null;
+};
+
+// https://html.spec.whatwg.org/multipage/interaction.html#sequential-focus-navigation
+// The default action of the Tab key. jsdom has no browser UI for the focus to go to after the last element, so it goes
+// around to the first one, as it eventually does in browsers.
+exports.navigateSequentially = (document, forward) => {
+  const focused = document._lastFocusedElement;
+  const starting = focused === document.body ? null : focused;
+
+  let next = exports.sequentialNavigationSearch(document, starting, forward);
+  if (next === null) {
+    next = exports.sequentialNavigationSearch(document, null, forward);
+  }
+  if (next !== null) {
+    exports.focusFromUserInteraction(next, { sequential: true });
+  }
+};
@@ -65,6 +65,14 @@ exports.isSubmitButton = formControl => {
          formControl.namespaceURI === HTML_NS;
 };
 
+// The controls whose value is text that the user types in: textareas, and inputs of the types that it applies to.
+const textControlInputTypes = new Set(["text", "search", "url", "tel", "email", "password"]);
+exports.isTextControl = formControl => {
+  return (formControl._localName === "textarea" ||
+          (formControl._localName === "input" && textControlInputTypes.has(formControl.type))) &&
+         formControl._namespaceURI === HTML_NS;
+};
+
 // https://html.spec.whatwg.org/multipage/forms.html#concept-button
 const buttonInputTypes = new Set([...submitButtonInputTypes, "reset", "button"]);
 exports.isButton = formControl => {
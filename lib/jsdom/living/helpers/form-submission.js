@@ -0,0 +1,54 @@
+"use strict";
+const { URLSearchParams } = require("whatwg-url");
+const File = require("../generated/File");
+
+// Encoding algorithms for entry lists, as produced by constructTheEntryList() in FormData-impl.js.
+// The only supported encoding is UTF-8, since we do not implement accept-charset="".
+
+// https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#convert-to-a-list-of-name-value-pairs
+function convertToListOfNameValuePairs(entryList) {
+  return entryList.map(({ name, value }) => [name, File.isImpl(value) ? value.name : value]);
+}
+
+// https://url.spec.whatwg.org/#concept-urlencoded-serializer
+exports.urlencodedSerialize = entryList => {
+  return new URLSearchParams(convertToListOfNameValuePairs(entryList)).toString();
+};
+
+// https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#multipart/form-data-encoding-algorithm
+exports.multipartFormDataEncode = entryList => {
+  const boundary = "----jsdomFormBoundary" + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+  const chunks = [];
+
+  for (const { name, value } of entryList) {
+    let header = `--${boundary}\r\nContent-Disposition: form-data; name="${escapeMultipartName(name)}"`;
+
+    if (File.isImpl(value)) {
+      header += `; filename="${escapeMultipartName(value.name)}"\r\n`;
+      header += `Content-Type: ${value.type || "application/octet-stream"}\r\n\r\n`;
+      chunks.push(Buffer.from(header), value._buffer, Buffer.from("\r\n"));
+    } else {
+      chunks.push(Buffer.from(`${header}\r\n\r\n${value}\r\n`));
+    }
+  }
+
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return {
+    body: Buffer.concat(chunks),
+    contentType: `multipart/form-data; boundary=${boundary}`
+  };
+};
+
+// https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#text/plain-encoding-algorithm
+exports.textPlainEncode = entryList => {
+  let result = "";
+  for (const [name, value] of convertToListOfNameValuePairs(entryList)) {
+    result += `${name}=${value}\r\n`;
+  }
+  return result;
+};
+
+function escapeMultipartName(name) {
+  return name.replace(/\n/g, "%0A").replace(/\r/g, "%0D").replace(/"/g, "%22");
+}
@@ -0,0 +1,178 @@
+"use strict";
+const { parseURL, serializeURL } = require("whatwg-url");
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#import-maps
+// Import maps are represented as { imports, scopes }, where imports maps normalized specifiers to URL records (or null,
+// for specifiers that are blocked), and scopes maps scope prefixes to such maps. All of the maps are sorted in
+// descending code unit order, so that longer prefixes are tried first.
+// Warnings about ignored entries, which browsers log to their consoles, are not reported.
+
+exports.createEmptyImportMap = () => ({ imports: new Map(), scopes: new Map() });
+
+// https://url.spec.whatwg.org/#special-scheme
+const specialSchemes = new Set(["ftp", "file", "http", "https", "ws", "wss"]);
+
+function isJSONObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function codeUnitDescending([a], [b]) {
+  if (a < b) {
+    return 1;
+  }
+  if (a > b) {
+    return -1;
+  }
+  return 0;
+}
+
+function sorted(map) {
+  return new Map([...map].sort(codeUnitDescending));
+}
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#resolving-a-url-like-module-specifier
+function resolveURLLikeModuleSpecifier(specifier, baseURL) {
+  if (specifier.startsWith("/") || specifier.startsWith("./") || specifier.startsWith("../")) {
+    return parseURL(specifier, { baseURL });
+  }
+  return parseURL(specifier);
+}
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#sorting-and-normalizing-a-module-specifier-map
+function sortAndNormalizeSpecifierMap(originalMap, baseURL) {
+  const normalized = new Map();
+  for (const [specifierKey, value] of Object.entries(originalMap)) {
+    if (specifierKey === "") {
+      continue;
+    }
+    const keyAsURL = resolveURLLikeModuleSpecifier(specifierKey, baseURL);
+    const normalizedSpecifierKey = keyAsURL === null ? specifierKey : serializeURL(keyAsURL);
+
+    if (typeof value !== "string") {
+      normalized.set(normalizedSpecifierKey, null);
+      continue;
+    }
+
+    const addressURL = resolveURLLikeModuleSpecifier(value, baseURL);
+    if (addressURL === null || (specifierKey.endsWith("/") && !serializeURL(addressURL).endsWith("/"))) {
+      normalized.set(normalizedSpecifierKey, null);
+      continue;
+    }
+
+    normalized.set(normalizedSpecifierKey, addressURL);
+  }
+  return sorted(normalized);
+}
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#parse-an-import-map-string
+// Errors are created in the realm of the given global object.
+exports.parseImportMapString = (input, baseURL, globalObject) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(input);
+  } catch (e) {
+    throw new globalObject.SyntaxError(`The import map is not valid JSON: ${e.message}`);
+  }
+
+  if (!isJSONObject(parsed)) {
+    throw new globalObject.TypeError("The top-level value of an import map must be a JSON object");
+  }
+
+  const importMap = exports.createEmptyImportMap();
+
+  if (parsed.imports !== undefined) {
+    if (!isJSONObject(parsed.imports)) {
+      throw new globalObject.TypeError(`The "imports" key of an import map must be a JSON object`);
+    }
+    importMap.imports = sortAndNormalizeSpecifierMap(parsed.imports, baseURL);
+  }
+
+  if (parsed.scopes !== undefined) {
+    if (!isJSONObject(parsed.scopes)) {
+      throw new globalObject.TypeError(`The "scopes" key of an import map must be a JSON object`);
+    }
+    for (const [scopePrefix, specifierMap] of Object.entries(parsed.scopes)) {
+      if (!isJSONObject(specifierMap)) {
+        const message = `The value of the scope "${scopePrefix}" in an import map must be a JSON object`;
+        throw new globalObject.TypeError(message);
+      }
+      const scopePrefixURL = parseURL(scopePrefix, { baseURL });
+      if (scopePrefixURL !== null) {
+        importMap.scopes.set(serializeURL(scopePrefixURL), sortAndNormalizeSpecifierMap(specifierMap, baseURL));
+      }
+    }
+    importMap.scopes = sorted(importMap.scopes);
+  }
+
+  return importMap;
+};
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#merge-existing-and-new-import-maps
+// Entries that are already in the existing import map win over those in the new one. Unlike in the spec, new entries
+// are not dropped when they would affect modules that have already been resolved.
+exports.mergeImportMaps = (existingImportMap, newImportMap) => {
+  for (const [scopePrefix, scopeImports] of newImportMap.scopes) {
+    const existingScopeImports = existingImportMap.scopes.get(scopePrefix) || new Map();
+    existingImportMap.scopes.set(scopePrefix, sorted(new Map([...scopeImports, ...existingScopeImports])));
+  }
+  existingImportMap.scopes = sorted(existingImportMap.scopes);
+  existingImportMap.imports = sorted(new Map([...newImportMap.imports, ...existingImportMap.imports]));
+};
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#resolving-an-imports-match
+function resolveImportsMatch(normalizedSpecifier, asURL, specifierMap, globalObject) {
+  for (const [specifierKey, resolutionResult] of specifierMap) {
+    if (specifierKey === normalizedSpecifier) {
+      if (resolutionResult === null) {
+        throw new globalObject.TypeError(`The module specifier "${normalizedSpecifier}" is blocked by the import map`);
+      }
+      return resolutionResult;
+    }
+
+    if (specifierKey.endsWith("/") && normalizedSpecifier.startsWith(specifierKey) &&
+        (asURL === null || specialSchemes.has(asURL.scheme))) {
+      if (resolutionResult === null) {
+        throw new globalObject.TypeError(`The module specifier "${normalizedSpecifier}" is blocked by the import map`);
+      }
+
+      const afterPrefix = normalizedSpecifier.substring(specifierKey.length);
+      const url = parseURL(afterPrefix, { baseURL: resolutionResult });
+      if (url === null || !serializeURL(url).startsWith(serializeURL(resolutionResult))) {
+        const message = `The module specifier "${normalizedSpecifier}" cannot be resolved through the import map ` +
+          `entry "${specifierKey}"`;
+        throw new globalObject.TypeError(message);
+      }
+      return url;
+    }
+  }
+  return null;
+}
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#resolve-a-module-specifier
+exports.resolveModuleSpecifier = (importMap, specifier, baseURL, globalObject) => {
+  const baseURLString = serializeURL(baseURL);
+  const asURL = resolveURLLikeModuleSpecifier(specifier, baseURL);
+  const normalizedSpecifier = asURL === null ? specifier : serializeURL(asURL);
+
+  for (const [scopePrefix, scopeImports] of importMap.scopes) {
+    if (scopePrefix === baseURLString || (scopePrefix.endsWith("/") && baseURLString.startsWith(scopePrefix))) {
+      const scopeImportsMatch = resolveImportsMatch(normalizedSpecifier, asURL, scopeImports, globalObject);
+      if (scopeImportsMatch !== null) {
+        return scopeImportsMatch;
+      }
+    }
+  }
+
+  const topLevelImportsMatch = resolveImportsMatch(normalizedSpecifier, asURL, importMap.imports, globalObject);
+  if (topLevelImportsMatch !== null) {
+    return topLevelImportsMatch;
+  }
+
+  if (asURL !== null) {
+    return asURL;
+  }
+
+  const message = `Failed to resolve module specifier "${specifier}" relative to "${baseURLString}"; bare specifiers ` +
+    `must be mapped by an import map`;
+  throw new globalObject.TypeError(message);
+};
@@ -0,0 +1,44 @@
+"use strict";
+const { AsyncLocalStorage } = require("async_hooks");
+
+// The incumbent settings object is determined by inspecting the JavaScript execution context stack, which jsdom does
+// not have access to. Instead, jsdom keeps track of the global objects whose code it is currently running: script
+// elements, timers and event listeners are run between prepareToRunCallback() and cleanUpAfterRunningCallback().
+// Code that runs outside of those, such as Node.js code, has no known incumbent global object.
+// https://html.spec.whatwg.org/multipage/webappapis.html#incumbent-settings-object
+// https://html.spec.whatwg.org/multipage/webappapis.html#backup-incumbent-settings-object-stack
+const incumbentGlobalObjects = [];
+
+// Promise reactions, including the code after an await, run once the callback that queued them has returned. Where
+// Node.js has AsyncLocalStorage, the global object of a callback is stored in it as well, so that it carries over to
+// those continuations. The entries of incumbentGlobalObjects remember what was stored before, to restore it.
+const asyncIncumbent = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#prepare-to-run-a-callback
+exports.prepareToRunCallback = globalObject => {
+  const previousAsyncIncumbent = asyncIncumbent ? asyncIncumbent.getStore() : undefined;
+  incumbentGlobalObjects.push({ globalObject, previousAsyncIncumbent });
+
+  if (asyncIncumbent) {
+    asyncIncumbent.enterWith(globalObject);
+  }
+};
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#clean-up-after-running-a-callback
+exports.cleanUpAfterRunningCallback = () => {
+  const { previousAsyncIncumbent } = incumbentGlobalObjects.pop();
+
+  if (asyncIncumbent) {
+    asyncIncumbent.enterWith(previousAsyncIncumbent);
+  }
+};
+
+// Returns the global object of the code that is currently running, or the given fallback if it is not known.
+exports.incumbentGlobalObject = fallback => {
+  if (incumbentGlobalObjects.length > 0) {
+    return incumbentGlobalObjects[incumbentGlobalObjects.length - 1].globalObject;
+  }
+
+  const asyncIncumbentGlobalObject = asyncIncumbent ? asyncIncumbent.getStore() : undefined;
+  return asyncIncumbentGlobalObject === undefined ? fallback : asyncIncumbentGlobalObject;
+};
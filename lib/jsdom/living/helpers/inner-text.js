@@ -0,0 +1,285 @@
+"use strict";
+const { domSymbolTree } = require("./internal-constants");
+const { getResolvedValue } = require("./style-rules");
+const { isShadowRoot } = require("./shadow-dom");
+const { isBeingRendered, isRenderedInParent } = require("./rendering");
+const { createElement } = require("./create-element");
+const { HTML_NS } = require("./namespaces");
+const NODE_TYPE = require("../node-type");
+
+const blockLevelDisplays = new Set(["block", "flow-root", "list-item", "table", "flex", "grid", "table-caption"]);
+
+const blockifiedDisplays = new Map([
+  ["inline", "block"],
+  ["inline-block", "block"],
+  ["inline-table", "table"],
+  ["inline-flex", "flex"],
+  ["inline-grid", "grid"]
+]);
+
+const tableRowGroupDisplays = new Set(["table-header-group", "table-row-group", "table-footer-group"]);
+
+// https://html.spec.whatwg.org/multipage/dom.html#get-the-text-steps
+exports.getTheText = element => {
+  const cache = new Map();
+  if (!isBeingRendered(element, cache)) {
+    return element.textContent;
+  }
+
+  const state = { items: [], cache, atLineStart: true, endsWithCollapsibleSpace: false };
+  for (const child of domSymbolTree.childrenIterator(element)) {
+    collectInnerText(child, state);
+  }
+  trimCollapsibleSpace(state);
+
+  // Removes the empty strings, along with the runs of required line break counts at the start and the end, and replaces
+  // the other runs with as many line feeds as the largest count of the run.
+  let result = "";
+  let lineBreakCount = 0;
+  for (const item of state.items) {
+    if (typeof item === "number") {
+      lineBreakCount = Math.max(lineBreakCount, item);
+    } else if (item !== "") {
+      if (result !== "") {
+        result += "\n".repeat(lineBreakCount);
+      }
+      result += item;
+      lineBreakCount = 0;
+    }
+  }
+  return result;
+};
+
+// https://html.spec.whatwg.org/multipage/dom.html#rendered-text-fragment
+exports.renderedTextFragment = (input, document) => {
+  const fragment = document.createDocumentFragment();
+
+  const lines = input.split(/\r\n|[\r\n]/);
+  for (let i = 0; i < lines.length; ++i) {
+    if (i > 0) {
+      fragment._append(createElement(document, "br", HTML_NS));
+    }
+    if (lines[i] !== "") {
+      fragment._append(document.createTextNode(lines[i]));
+    }
+  }
+
+  return fragment;
+};
+
+// The element whose style applies to text in the node, or from which the node inherits its style.
+function styleParent(node) {
+  const parent = domSymbolTree.parent(node);
+  if (parent !== null && isShadowRoot(parent)) {
+    return parent.host;
+  }
+  return parent !== null && parent.nodeType === NODE_TYPE.ELEMENT_NODE ? parent : null;
+}
+
+// https://html.spec.whatwg.org/multipage/dom.html#inner-text-collection-steps
+// The items are collected into state.items, while state tracks where lines start and whether the last item ends with a
+// collapsible space, which is removed if the line ends there.
+function collectInnerText(node, state) {
+  if (!isRenderedInParent(node)) {
+    return;
+  }
+
+  const { cache } = state;
+
+  if (node.nodeType === NODE_TYPE.TEXT_NODE || node.nodeType === NODE_TYPE.CDATA_SECTION_NODE) {
+    const parent = styleParent(node);
+    if (parent !== null && getResolvedValue(parent, "visibility", cache) === "visible") {
+      appendText(
+        state,
+        node._data,
+        getResolvedValue(parent, "white-space", cache),
+        getResolvedValue(parent, "text-transform", cache)
+      );
+    }
+    return;
+  }
+
+  if (node.nodeType !== NODE_TYPE.ELEMENT_NODE) {
+    return;
+  }
+
+  let display = getResolvedValue(node, "display", cache);
+  if (display === "none") {
+    return;
+  }
+  if (blockifiedDisplays.has(display) && isBlockified(node, cache)) {
+    display = blockifiedDisplays.get(display);
+  }
+
+  const isVisible = getResolvedValue(node, "visibility", cache) === "visible";
+  const isHTML = node._namespaceURI === HTML_NS;
+
+  if (display === "inline" || display === "contents") {
+    if (isHTML && node._localName === "br") {
+      trimCollapsibleSpace(state);
+      if (isVisible) {
+        state.items.push("\n");
+      }
+      state.atLineStart = true;
+    }
+
+    for (const child of domSymbolTree.childrenIterator(node)) {
+      collectInnerText(child, state);
+    }
+    return;
+  }
+
+  let requiredLineBreakCount = 0;
+  if (isVisible) {
+    if (isHTML && node._localName === "p") {
+      requiredLineBreakCount = 2;
+    } else if (blockLevelDisplays.has(display)) {
+      requiredLineBreakCount = 1;
+    }
+  }
+
+  // Other boxes lay out their contents in lines of their own.
+  trimCollapsibleSpace(state);
+  if (requiredLineBreakCount > 0) {
+    state.items.push(requiredLineBreakCount);
+  }
+  state.atLineStart = true;
+
+  for (const child of domSymbolTree.childrenIterator(node)) {
+    collectInnerText(child, state);
+  }
+  trimCollapsibleSpace(state);
+
+  if (isVisible && display === "table-cell" && !isLastTableCell(node, cache)) {
+    state.items.push("\t");
+  } else if (isVisible && display === "table-row" && !isLastTableRow(node, cache)) {
+    state.items.push("\n");
+  }
+
+  if (requiredLineBreakCount > 0) {
+    state.items.push(requiredLineBreakCount);
+  }
+  state.atLineStart = requiredLineBreakCount > 0;
+}
+
+// https://drafts.csswg.org/css-display/#blockify
+function isBlockified(element, cache) {
+  if (getResolvedValue(element, "float", cache) !== "none" ||
+      ["absolute", "fixed"].includes(getResolvedValue(element, "position", cache))) {
+    return true;
+  }
+
+  const parent = styleParent(element);
+  return parent !== null &&
+    ["flex", "inline-flex", "grid", "inline-grid"].includes(getResolvedValue(parent, "display", cache));
+}
+
+// https://drafts.csswg.org/css-text/#white-space-phase-1
+// https://drafts.csswg.org/css-text/#white-space-phase-2
+function appendText(state, text, whiteSpace, textTransform) {
+  const isCollapsible = ["normal", "nowrap", "pre-line"].includes(whiteSpace);
+  if (whiteSpace === "pre-line") {
+    text = text.replace(/[ \t]*(?:\r\n|[\r\n])[ \t]*/g, "\n").replace(/[ \t]+/g, " ");
+  } else if (isCollapsible) {
+    text = text.replace(/[ \t\r\n]+/g, " ");
+  }
+
+  if (isCollapsible) {
+    if (text.startsWith(" ") && (state.atLineStart || state.endsWithCollapsibleSpace)) {
+      text = text.slice(1);
+    } else if (text.startsWith("\n")) {
+      trimCollapsibleSpace(state);
+    }
+  }
+  if (text === "") {
+    return;
+  }
+
+  state.items.push(transformText(text, textTransform, lastCharacter(state.items)));
+  state.atLineStart = text.endsWith("\n");
+  state.endsWithCollapsibleSpace = isCollapsible && text.endsWith(" ");
+}
+
+function trimCollapsibleSpace(state) {
+  if (state.endsWithCollapsibleSpace) {
+    const { items } = state;
+    items[items.length - 1] = items[items.length - 1].slice(0, -1);
+    state.endsWithCollapsibleSpace = false;
+  }
+}
+
+function lastCharacter(items) {
+  for (let i = items.length - 1; i >= 0; --i) {
+    if (typeof items[i] === "number") {
+      return "\n";
+    }
+    if (items[i] !== "") {
+      return items[i][items[i].length - 1];
+    }
+  }
+  return "";
+}
+
+// https://drafts.csswg.org/css-text/#text-transform-property
+// Words are approximated as runs of letters, digits and apostrophes.
+function transformText(text, textTransform, previousCharacter) {
+  switch (textTransform) {
+    case "uppercase": {
+      return text.toUpperCase();
+    }
+    case "lowercase": {
+      return text.toLowerCase();
+    }
+    case "capitalize": {
+      return (previousCharacter + text)
+        .replace(/(^|[^\p{L}\p{N}'’])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase())
+        .slice(previousCharacter.length);
+    }
+    default: {
+      return text;
+    }
+  }
+}
+
+// The layout of tables is approximated by looking at the siblings of cells and rows, and at the row groups that follow
+// the row group of a row.
+function isLastTableCell(cell, cache) {
+  return !hasFollowingSiblingWithDisplay(cell, "table-cell", cache);
+}
+
+function isLastTableRow(row, cache) {
+  if (hasFollowingSiblingWithDisplay(row, "table-row", cache)) {
+    return false;
+  }
+
+  const rowGroup = domSymbolTree.parent(row);
+  if (!tableRowGroupDisplays.has(renderedDisplay(rowGroup, cache))) {
+    return true;
+  }
+
+  for (let sibling = domSymbolTree.nextSibling(rowGroup); sibling !== null;
+    sibling = domSymbolTree.nextSibling(sibling)) {
+    if (tableRowGroupDisplays.has(renderedDisplay(sibling, cache)) &&
+        domSymbolTree.childrenToArray(sibling).some(child => renderedDisplay(child, cache) === "table-row")) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function hasFollowingSiblingWithDisplay(node, display, cache) {
+  for (let sibling = domSymbolTree.nextSibling(node); sibling !== null; sibling = domSymbolTree.nextSibling(sibling)) {
+    if (renderedDisplay(sibling, cache) === display) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// The display of an element that is rendered in its parent, or null for other nodes.
+function renderedDisplay(node, cache) {
+  if (node === null || node.nodeType !== NODE_TYPE.ELEMENT_NODE || !isRenderedInParent(node)) {
+    return null;
+  }
+  return getResolvedValue(node, "display", cache);
+}
@@ -0,0 +1,68 @@
+"use strict";
+const idlUtils = require("../generated/utils");
+
+// Asks the window's layout engine for the box of an element, filling in the optional parts of the result. Returns null
+// if the element has no associated layout box, which is always the case for elements of documents without a window,
+// and for elements which are not connected.
+exports.getLayoutBox = element => {
+  const window = element._ownerDocument._defaultView;
+  if (!window || !window._layoutEngine || !element.isConnected) {
+    return null;
+  }
+
+  const box = window._layoutEngine.getBox(idlUtils.wrapperForImpl(element));
+  if (box === null || box === undefined) {
+    return null;
+  }
+
+  const x = Number(box.x) || 0;
+  const y = Number(box.y) || 0;
+  const width = Number(box.width) || 0;
+  const height = Number(box.height) || 0;
+  const borderTop = Number(box.borderTop) || 0;
+  const borderRight = Number(box.borderRight) || 0;
+  const borderBottom = Number(box.borderBottom) || 0;
+  const borderLeft = Number(box.borderLeft) || 0;
+
+  const paddingBoxWidth = Math.max(width - borderLeft - borderRight, 0);
+  const paddingBoxHeight = Math.max(height - borderTop - borderBottom, 0);
+
+  const rects = Array.isArray(box.rects) ?
+    box.rects.map(rect => exports.createRect(rect.x, rect.y, rect.width, rect.height)) :
+    [exports.createRect(x, y, width, height)];
+
+  return {
+    x,
+    y,
+    width,
+    height,
+    borderTop,
+    borderRight,
+    borderBottom,
+    borderLeft,
+    paddingBoxWidth,
+    paddingBoxHeight,
+    scrollWidth: box.scrollWidth === undefined ? paddingBoxWidth : Number(box.scrollWidth) || 0,
+    scrollHeight: box.scrollHeight === undefined ? paddingBoxHeight : Number(box.scrollHeight) || 0,
+    rects
+  };
+};
+
+// We don't implement DOMRect yet, so this is a plain object with the same properties.
+exports.createRect = (x = 0, y = 0, width = 0, height = 0) => {
+  x = Number(x) || 0;
+  y = Number(y) || 0;
+  width = Number(width) || 0;
+  height = Number(height) || 0;
+
+  return {
+    x,
+    y,
+    width,
+    height,
+    top: Math.min(y, y + height),
+    right: Math.max(x, x + width),
+    bottom: Math.max(y, y + height),
+    left: Math.min(x, x + width)
+  };
+};
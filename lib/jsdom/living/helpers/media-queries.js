@@ -0,0 +1,513 @@
+"use strict";
+const MediaQueryListEvent = require("../generated/MediaQueryListEvent");
+const { fireAnEvent } = require("./events");
+
+// A media query evaluator, covering the media types and the media features that make sense for jsdom. The
+// environment the queries are evaluated against comes from the window: its viewport size, device pixel ratio and
+// color scheme. Everything else describes a typical desktop screen.
+// https://drafts.csswg.org/mediaqueries-4/
+
+class MediaQueryParseError extends Error {}
+
+const FONT_SIZE = 16;
+
+// https://drafts.csswg.org/css-values/#lengths
+const lengthUnits = {
+  px: 1,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  in: 96,
+  pc: 16,
+  pt: 4 / 3,
+  // Font-relative lengths are relative to the initial font size in media queries.
+  em: FONT_SIZE,
+  rem: FONT_SIZE,
+  ex: FONT_SIZE / 2,
+  ch: FONT_SIZE / 2
+};
+
+// https://drafts.csswg.org/css-values/#resolution
+const resolutionUnits = {
+  dppx: 1,
+  x: 1,
+  dpi: 1 / 96,
+  dpcm: 2.54 / 96
+};
+
+// https://drafts.csswg.org/mediaqueries-4/#media-types
+const mediaTypes = {
+  all: true,
+  screen: true,
+  print: false,
+  speech: false
+};
+const deprecatedMediaTypes = new Set(["tty", "tv", "projection", "handheld", "braille", "embossed", "aural"]);
+
+// The media features which are compared to numbers, lengths, ratios or resolutions. These also accept the min- and
+// max- prefixes and the range syntax.
+// https://drafts.csswg.org/mediaqueries-4/#mq-range-context
+const rangeFeatures = {
+  width: { type: "length", get: env => env.width },
+  height: { type: "length", get: env => env.height },
+  "device-width": { type: "length", get: env => env.width },
+  "device-height": { type: "length", get: env => env.height },
+  "aspect-ratio": { type: "ratio", get: env => env.width / env.height },
+  "device-aspect-ratio": { type: "ratio", get: env => env.width / env.height },
+  resolution: { type: "resolution", get: env => env.resolution },
+  color: { type: "integer", get: () => 8 },
+  "color-index": { type: "integer", get: () => 0 },
+  monochrome: { type: "integer", get: () => 0 },
+  grid: { type: "integer", get: () => 0, noRange: true }
+};
+
+// The media features with keyword values. The first value is the one that evaluates to false in a boolean context.
+// https://drafts.csswg.org/mediaqueries-5/
+const discreteFeatures = {
+  orientation: {
+    values: ["portrait", "landscape"],
+    get(env) {
+      return env.height >= env.width ? "portrait" : "landscape";
+    }
+  },
+  scan: { values: ["interlace", "progressive"], get: () => "progressive" },
+  update: { values: ["none", "slow", "fast"], get: () => "fast" },
+  "overflow-block": { values: ["none", "scroll", "paged"], get: () => "scroll" },
+  "overflow-inline": { values: ["none", "scroll"], get: () => "scroll" },
+  "color-gamut": { values: ["srgb", "p3", "rec2020"], get: () => "srgb" },
+  "dynamic-range": { values: ["standard", "high"], get: () => "standard" },
+  "display-mode": { values: ["browser", "fullscreen", "standalone", "minimal-ui"], get: () => "browser" },
+  pointer: { values: ["none", "coarse", "fine"], get: () => "fine" },
+  "any-pointer": { values: ["none", "coarse", "fine"], get: () => "fine" },
+  hover: { values: ["none", "hover"], get: () => "hover" },
+  "any-hover": { values: ["none", "hover"], get: () => "hover" },
+  scripting: { values: ["none", "initial-only", "enabled"], get: env => env.scripting },
+  "inverted-colors": { values: ["none", "inverted"], get: () => "none" },
+  "forced-colors": { values: ["none", "active"], get: () => "none" },
+  "prefers-color-scheme": { values: ["light", "dark"], get: env => env.colorScheme, alwaysTrue: true },
+  "prefers-contrast": { values: ["no-preference", "more", "less", "custom"], get: () => "no-preference" },
+  "prefers-reduced-motion": { values: ["no-preference", "reduce"], get: () => "no-preference" },
+  "prefers-reduced-transparency": { values: ["no-preference", "reduce"], get: () => "no-preference" },
+  "prefers-reduced-data": { values: ["no-preference", "reduce"], get: () => "no-preference" }
+};
+
+// Documents without a browsing context are evaluated against the default environment.
+function getEnvironment(window) {
+  if (window === null) {
+    return { width: 1024, height: 768, resolution: 1, colorScheme: "light", scripting: "none" };
+  }
+
+  return {
+    width: window._viewport.width,
+    height: window._viewport.height,
+    resolution: window.devicePixelRatio,
+    colorScheme: window._colorScheme,
+    scripting: window._runScripts === "dangerously" ? "enabled" : "none"
+  };
+}
+
+// Splits the media text into the few kinds of tokens media queries need: identifiers, numbers with their optional
+// unit, parentheses, commas, and delimiters. Whitespace and comments are dropped.
+// https://drafts.csswg.org/css-syntax/#tokenization
+function tokenize(text) {
+  const tokens = [];
+  const tokenRegExp = new RegExp([
+    String.raw`\s+|\/\*[\s\S]*?(?:\*\/|$)`,
+    String.raw`([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z-]+)?`,
+    String.raw`(-?-?[a-z_][\w-]*)`,
+    String.raw`(<=|>=|[\s\S])`
+  ].join("|"), "giy");
+
+  let match;
+  while (tokenRegExp.lastIndex < text.length && (match = tokenRegExp.exec(text)) !== null) {
+    const [, number, unit, ident, delim] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "number", value: Number(number), unit: unit === undefined ? "" : unit.toLowerCase() });
+    } else if (ident !== undefined) {
+      tokens.push({ type: "ident", value: ident.toLowerCase() });
+    } else if (delim !== undefined) {
+      tokens.push({ type: delim === "(" || delim === ")" || delim === "," ? delim : "delim", value: delim });
+    }
+  }
+  return tokens;
+}
+
+function splitOnCommas(tokens) {
+  const queries = [[]];
+  let depth = 0;
+  for (const token of tokens) {
+    if (token.type === "(") {
+      ++depth;
+    } else if (token.type === ")") {
+      --depth;
+    } else if (token.type === "," && depth === 0) {
+      queries.push([]);
+      continue;
+    }
+    queries[queries.length - 1].push(token);
+  }
+  return queries;
+}
+
+// Evaluations return true, false or null when the result is unknown, combined with three-valued logic.
+// https://drafts.csswg.org/mediaqueries-4/#evaluating
+function not(result) {
+  return result === null ? null : !result;
+}
+
+// Parses a single media query into a function evaluating it against an environment.
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  next() {
+    const token = this.tokens[this.index++];
+    if (token === undefined) {
+      throw new MediaQueryParseError();
+    }
+    return token;
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (token.type !== type) {
+      throw new MediaQueryParseError();
+    }
+    return token;
+  }
+
+  isIdent(value) {
+    const token = this.peek();
+    return token !== undefined && token.type === "ident" && token.value === value;
+  }
+
+  // <media-query> = <media-condition> | [ not | only ]? <media-type> [ and <media-condition-without-or> ]?
+  parseMediaQuery() {
+    let result;
+    const first = this.peek();
+    if (first === undefined) {
+      throw new MediaQueryParseError();
+    }
+
+    if (first.type === "(" || (first.type === "ident" && first.value === "not" && this.peek(1) &&
+        this.peek(1).type === "(")) {
+      result = this.parseCondition(true);
+    } else {
+      let negated = false;
+      if (this.isIdent("not")) {
+        negated = true;
+        this.next();
+      } else if (this.isIdent("only")) {
+        this.next();
+      }
+
+      const type = this.expect("ident").value;
+      if (["not", "only", "and", "or", "layer"].includes(type)) {
+        throw new MediaQueryParseError();
+      }
+      const typeMatches = Boolean(mediaTypes[type]) && !deprecatedMediaTypes.has(type);
+
+      let condition = null;
+      if (this.isIdent("and")) {
+        this.next();
+        condition = this.parseCondition(false);
+      }
+
+      result = env => {
+        let matches = typeMatches;
+        if (matches && condition !== null) {
+          matches = condition(env);
+        }
+        return negated ? not(matches) : matches;
+      };
+    }
+
+    if (this.peek() !== undefined) {
+      throw new MediaQueryParseError();
+    }
+    return result;
+  }
+
+  // <media-condition> = <media-not> | <media-in-parens> [ <media-and>* | <media-or>* ]
+  parseCondition(allowOr) {
+    if (this.isIdent("not")) {
+      this.next();
+      const operand = this.parseInParens();
+      return env => not(operand(env));
+    }
+
+    const operands = [this.parseInParens()];
+    let operator = null;
+    const operators = allowOr ? ["and", "or"] : ["and"];
+    while (operators.some(value => this.isIdent(value))) {
+      const { value } = this.next();
+      if (operator !== null && operator !== value) {
+        throw new MediaQueryParseError();
+      }
+      operator = value;
+      operands.push(this.parseInParens());
+    }
+
+    // "or" is true if any operand is, "and" is false if any operand is, and otherwise an unknown operand makes the
+    // whole condition unknown.
+    const decisive = operator === "or";
+    return env => {
+      const results = operands.map(operand => operand(env));
+      if (results.includes(decisive)) {
+        return decisive;
+      }
+      return results.includes(null) ? null : !decisive;
+    };
+  }
+
+  // <media-in-parens> = ( <media-condition> ) | <media-feature> | <general-enclosed>
+  parseInParens() {
+    this.expect("(");
+    const start = this.index;
+
+    const first = this.peek();
+    if (first !== undefined && (first.type === "(" || (first.type === "ident" && first.value === "not"))) {
+      const condition = this.parseCondition(true);
+      this.expect(")");
+      return condition;
+    }
+
+    try {
+      const feature = this.parseFeature();
+      this.expect(")");
+      return feature;
+    } catch (e) {
+      if (!(e instanceof MediaQueryParseError)) {
+        throw e;
+      }
+    }
+
+    // Anything else in parentheses is <general-enclosed>, whose result is unknown.
+    this.index = start;
+    for (let depth = 1; depth > 0;) {
+      const { type } = this.next();
+      if (type === "(") {
+        ++depth;
+      } else if (type === ")") {
+        --depth;
+      }
+    }
+    return () => null;
+  }
+
+  // <media-feature> = [ <mf-plain> | <mf-boolean> | <mf-range> ]
+  parseFeature() {
+    const first = this.next();
+
+    if (first.type === "ident" && this.peek() && this.peek().type === ")") {
+      return this.booleanFeature(first.value);
+    }
+
+    if (first.type === "ident" && this.peek() && this.peek().type === "delim" && this.peek().value === ":") {
+      this.next();
+      return this.plainFeature(first.value);
+    }
+
+    // <mf-range> = <mf-name> <mf-comparison> <mf-value>
+    //            | <mf-value> <mf-comparison> <mf-name>
+    //            | <mf-value> <mf-lt> <mf-name> <mf-lt> <mf-value>
+    //            | <mf-value> <mf-gt> <mf-name> <mf-gt> <mf-value>
+    if (first.type === "ident") {
+      const feature = getRangeFeature(first.value);
+      const comparison = this.parseComparison();
+      const value = this.parseValue(feature.type);
+      return env => compare(feature.get(env), comparison, value);
+    }
+
+    // The value comes first. Values never contain identifiers, so the name is the first identifier.
+    this.index--;
+    const nameIndex = this.tokens.findIndex((token, i) => i > this.index && token.type === "ident");
+    if (nameIndex === -1) {
+      throw new MediaQueryParseError();
+    }
+    const feature = getRangeFeature(this.tokens[nameIndex].value);
+
+    const leftValue = this.parseValue(feature.type);
+    const leftComparison = this.parseComparison();
+    if (this.index !== nameIndex) {
+      throw new MediaQueryParseError();
+    }
+    this.next();
+
+    if (this.peek() === undefined || this.peek().type !== "delim") {
+      return env => compare(leftValue, leftComparison, feature.get(env));
+    }
+
+    const rightComparison = this.parseComparison();
+    const rightValue = this.parseValue(feature.type);
+    if (leftComparison[0] !== rightComparison[0] || leftComparison === "=" || rightComparison === "=") {
+      throw new MediaQueryParseError();
+    }
+    return env => {
+      const actual = feature.get(env);
+      return compare(leftValue, leftComparison, actual) && compare(actual, rightComparison, rightValue);
+    };
+  }
+
+  parseComparison() {
+    const token = this.expect("delim");
+    if (!["<", ">", "<=", ">=", "="].includes(token.value)) {
+      throw new MediaQueryParseError();
+    }
+    return token.value;
+  }
+
+  // Parses a value of the given type, converting lengths to pixels and resolutions to dppx.
+  parseValue(type) {
+    const token = this.expect("number");
+
+    switch (type) {
+      case "length": {
+        if (token.unit === "" && token.value === 0) {
+          return 0;
+        }
+        if (!(token.unit in lengthUnits)) {
+          throw new MediaQueryParseError();
+        }
+        return token.value * lengthUnits[token.unit];
+      }
+      case "resolution": {
+        if (!(token.unit in resolutionUnits) || token.value < 0) {
+          throw new MediaQueryParseError();
+        }
+        return token.value * resolutionUnits[token.unit];
+      }
+      case "ratio": {
+        if (token.unit !== "" || token.value < 0) {
+          throw new MediaQueryParseError();
+        }
+        const slash = this.peek();
+        if (slash && slash.type === "delim" && slash.value === "/") {
+          this.next();
+          const denominator = this.expect("number");
+          if (denominator.unit !== "" || denominator.value < 0) {
+            throw new MediaQueryParseError();
+          }
+          return token.value / denominator.value;
+        }
+        return token.value;
+      }
+      case "integer": {
+        if (token.unit !== "" || !Number.isInteger(token.value) || token.value < 0) {
+          throw new MediaQueryParseError();
+        }
+        return token.value;
+      }
+    }
+
+    throw new MediaQueryParseError();
+  }
+
+  // <mf-boolean> = <mf-name>
+  booleanFeature(name) {
+    if (name in rangeFeatures) {
+      const feature = rangeFeatures[name];
+      return env => feature.get(env) !== 0;
+    }
+    if (name in discreteFeatures) {
+      const feature = discreteFeatures[name];
+      return env => feature.alwaysTrue || feature.get(env) !== feature.values[0];
+    }
+    throw new MediaQueryParseError();
+  }
+
+  // <mf-plain> = <mf-name> : <mf-value>
+  plainFeature(name) {
+    if (name in discreteFeatures) {
+      const feature = discreteFeatures[name];
+      const { value } = this.expect("ident");
+      if (!feature.values.includes(value)) {
+        throw new MediaQueryParseError();
+      }
+      return env => feature.get(env) === value;
+    }
+
+    let comparison = "=";
+    if (name.startsWith("min-")) {
+      comparison = ">=";
+      name = name.slice(4);
+    } else if (name.startsWith("max-")) {
+      comparison = "<=";
+      name = name.slice(4);
+    }
+
+    if (!(name in rangeFeatures) || (comparison !== "=" && rangeFeatures[name].noRange)) {
+      throw new MediaQueryParseError();
+    }
+    const feature = rangeFeatures[name];
+    const value = this.parseValue(feature.type);
+    return env => compare(feature.get(env), comparison, value);
+  }
+}
+
+function getRangeFeature(name) {
+  if (!(name in rangeFeatures) || rangeFeatures[name].noRange) {
+    throw new MediaQueryParseError();
+  }
+  return rangeFeatures[name];
+}
+
+function compare(a, comparison, b) {
+  switch (comparison) {
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    default:
+      return a === b;
+  }
+}
+
+// Returns whether the media query list matches the window, which may be null. Media queries that fail to parse match
+// nothing, as if they were "not all", and the empty list matches everything.
+// https://drafts.csswg.org/mediaqueries-4/#mq-list
+exports.matchesMediaQueryList = (mediaText, window) => {
+  const env = getEnvironment(window);
+  const tokens = tokenize(mediaText);
+  if (tokens.length === 0) {
+    return true;
+  }
+
+  return splitOnCommas(tokens).some(queryTokens => {
+    try {
+      return new Parser(queryTokens).parseMediaQuery()(env) === true;
+    } catch (e) {
+      if (e instanceof MediaQueryParseError) {
+        return false;
+      }
+      throw e;
+    }
+  });
+};
+
+// https://drafts.csswg.org/cssom-view/#evaluate-media-queries-and-report-changes
+exports.reportMediaQueryChanges = document => {
+  for (const mediaQueryList of [...document._mediaQueryLists]) {
+    // Listeners added with the once option are removed without going through removeEventListener().
+    if (!mediaQueryList._hasChangeListeners()) {
+      document._mediaQueryLists.delete(mediaQueryList);
+      continue;
+    }
+
+    const { matches } = mediaQueryList;
+    if (matches !== mediaQueryList._previouslyMatched) {
+      mediaQueryList._previouslyMatched = matches;
+      fireAnEvent("change", mediaQueryList, MediaQueryListEvent, { media: mediaQueryList.media, matches });
+    }
+  }
+};
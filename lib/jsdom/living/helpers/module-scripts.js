@@ -0,0 +1,150 @@
+"use strict";
+const vm = require("vm");
+const whatwgEncoding = require("whatwg-encoding");
+const { parseURL, serializeURL } = require("whatwg-url");
+const idlUtils = require("../generated/utils");
+const { resolveModuleSpecifier: resolveWithImportMap } = require("./import-maps");
+
+// Module scripts are linked and evaluated as Node.js vm.SourceTextModules, which only exist when Node.js is run with
+// the --experimental-vm-modules flag.
+exports.moduleScriptsSupported = vm.SourceTextModule !== undefined;
+
+function resolveModuleSpecifier(window, specifier, baseURL) {
+  return resolveWithImportMap(window._importMap, specifier, baseURL, window);
+}
+
+function createModule(window, source, urlString) {
+  return new vm.SourceTextModule(source, {
+    identifier: urlString,
+    context: window,
+    initializeImportMeta(meta) {
+      meta.url = urlString;
+    },
+    importModuleDynamically(specifier) {
+      return exports.importModule(window, specifier, parseURL(urlString));
+    }
+  });
+}
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#fetch-a-single-module-script
+// The module map holds a promise for each URL, so that every module is fetched and created once per window, even if
+// it is imported from several places at the same time.
+function fetchSingleModule(window, url, element) {
+  const urlString = serializeURL(url);
+  if (window._moduleMap.has(urlString)) {
+    return window._moduleMap.get(urlString);
+  }
+
+  const document = idlUtils.implForWrapper(window._document);
+  function fetchError(detail) {
+    const error = new Error(`Could not load script: "${urlString}"`);
+    error.type = "resource loading";
+    error.detail = detail;
+    return error;
+  }
+
+  const request = document._resourceLoader.fetchUnqueued(urlString, { element });
+  const modulePromise = request === null ?
+    Promise.reject(fetchError(new Error("Resource loading is disabled"))) :
+    request.then(
+      // Module scripts are always decoded as UTF-8.
+      ({ data }) => createModule(window, whatwgEncoding.decode(data, "UTF-8"), urlString),
+      error => {
+        throw fetchError(error);
+      }
+    );
+
+  window._moduleMap.set(urlString, modulePromise);
+  return modulePromise;
+}
+
+// The URLs that each module's import specifiers resolved to, when its imports were first fetched, for linking it. They
+// cannot be resolved again when linking, since import maps that were added in the meantime could change the result.
+const resolvedDependencies = new WeakMap();
+
+function resolveDependencies(window, module) {
+  if (!resolvedDependencies.has(module)) {
+    const baseURL = parseURL(module.identifier);
+    resolvedDependencies.set(module, new Map(module.dependencySpecifiers.map(specifier => {
+      return [specifier, serializeURL(resolveModuleSpecifier(window, specifier, baseURL))];
+    })));
+  }
+  return resolvedDependencies.get(module);
+}
+
+// Fetches a module and everything that it imports, directly or indirectly. Once this fulfills, every module in the
+// graph is in the module map.
+async function fetchModuleDescendants(window, module, element, visited) {
+  await Promise.all([...resolveDependencies(window, module).values()].map(async urlString => {
+    if (visited.has(urlString)) {
+      return;
+    }
+    visited.add(urlString);
+
+    const descendant = await fetchSingleModule(window, parseURL(urlString), element);
+    await fetchModuleDescendants(window, descendant, element, visited);
+  }));
+}
+
+// Graphs can share modules, which Node.js cannot link for two graphs at the same time, so graphs are linked one by one.
+let linkingDone = Promise.resolve();
+
+function linkModule(window, module) {
+  const linked = linkingDone.then(() => {
+    if (module.status !== "unlinked") {
+      return undefined;
+    }
+
+    return module.link((specifier, referencingModule) => {
+      return window._moduleMap.get(resolvedDependencies.get(referencingModule).get(specifier));
+    });
+  });
+
+  linkingDone = linked.catch(() => {});
+  return linked;
+}
+
+async function fetchModuleGraph(window, module, element) {
+  await fetchModuleDescendants(window, module, element, new Set([module.identifier]));
+  await linkModule(window, module);
+  return module;
+}
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#fetch-a-module-script-tree
+// Fulfills with the linked module, ready to be evaluated. Rejects with an error whose type is "resource loading" if a
+// module could not be fetched, or with the parse, resolution, or linking error otherwise.
+exports.fetchExternalModuleScriptGraph = async (window, url, element) => {
+  const module = await fetchSingleModule(window, url, element);
+  return fetchModuleGraph(window, module, element);
+};
+
+// https://html.spec.whatwg.org/multipage/webappapis.html#fetch-an-inline-module-script-graph
+// Inline module scripts are not in the module map, and their URL is the document's base URL.
+exports.fetchInlineModuleScriptGraph = (window, source, baseURL, element) => {
+  let module;
+  try {
+    module = createModule(window, source, serializeURL(baseURL));
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  return fetchModuleGraph(window, module, element);
+};
+
+// The import() operator, from either module or classic scripts. Fulfills with the module, which Node.js turns into its
+// namespace object.
+exports.importModule = async (window, specifier, baseURL) => {
+  const url = resolveModuleSpecifier(window, String(specifier), baseURL);
+
+  let module;
+  try {
+    module = await exports.fetchExternalModuleScriptGraph(window, url, null);
+  } catch (error) {
+    if (error.type === "resource loading") {
+      throw new window.TypeError(`Failed to fetch dynamically imported module: ${serializeURL(url)}`);
+    }
+    throw error;
+  }
+
+  await module.evaluate();
+  return module;
+};
@@ -41,6 +41,23 @@ function queueMutationRecord(
   previousSibling,
   nextSibling
 ) {
+  // Non-spec: editing commands keep the mutations that they make, so that they can be undone. See
+  // helpers/editing-commands.js.
+  const editingMutations = target._ownerDocument._editingMutations;
+  if (editingMutations) {
+    editingMutations.push({
+      type,
+      target,
+      name,
+      namespace,
+      oldValue,
+      addedNodes,
+      removedNodes,
+      previousSibling,
+      nextSibling
+    });
+  }
+
   const interestedObservers = new Map();
 
   const nodes = domSymbolTree.ancestorsToArray(target);
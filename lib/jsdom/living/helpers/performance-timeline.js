@@ -0,0 +1,13 @@
+"use strict";
+
+// https://w3c.github.io/performance-timeline/#supportedentrytypes-attribute
+// Sorted in alphabetical order, like the spec requires.
+exports.supportedEntryTypes = Object.freeze(["mark", "measure", "navigation", "resource"]);
+
+// https://w3c.github.io/performance-timeline/#filter-buffer-by-name-and-type
+// Entries with the same startTime keep the order they were added in, since Array.prototype.sort() is stable.
+exports.filterEntries = (entries, name, type) => {
+  return entries
+    .filter(entry => (name === undefined || entry.name === name) && (type === undefined || entry.entryType === type))
+    .sort((a, b) => a.startTime - b.startTime);
+};
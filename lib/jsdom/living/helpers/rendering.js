@@ -0,0 +1,43 @@
+"use strict";
+const { domSymbolTree } = require("./internal-constants");
+const { getResolvedValue } = require("./style-rules");
+const { isSlot, flatTreeParent } = require("./shadow-dom");
+const { HTML_NS } = require("./namespaces");
+const NODE_TYPE = require("../node-type");
+
+// Elements whose contents are replaced by their own rendering, so that their descendants are never rendered.
+const replacedElements = new Set(["audio", "canvas", "iframe", "img", "input", "textarea", "video"]);
+
+// https://html.spec.whatwg.org/multipage/rendering.html#being-rendered
+// Without a layout engine, an element is taken to be rendered when it is connected to a document that has a browsing
+// context, and neither it nor any of its flat tree ancestors has display: none or hides it in another way.
+exports.isBeingRendered = (element, cache) => {
+  if (!element.isConnected || element._ownerDocument._defaultView === null) {
+    return false;
+  }
+
+  for (let node = element; node.nodeType === NODE_TYPE.ELEMENT_NODE; node = flatTreeParent(node)) {
+    if (getResolvedValue(node, "display", cache) === "none" || !exports.isRenderedInParent(node)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Children of shadow hosts are only rendered when they are assigned to a slot, and the children of slots only when
+// nothing is assigned to the slot.
+exports.isRenderedInParent = node => {
+  const parent = domSymbolTree.parent(node);
+  if (parent === null || parent.nodeType !== NODE_TYPE.ELEMENT_NODE) {
+    return true;
+  }
+
+  if (parent._shadowRoot) {
+    const slot = node._assignedSlot;
+    return Boolean(slot) && slot._assignedNodes.includes(node);
+  }
+  if (isSlot(parent)) {
+    return parent._assignedNodes.length === 0;
+  }
+  return parent._namespaceURI !== HTML_NS || !replacedElements.has(parent._localName);
+};
@@ -35,6 +35,7 @@ function reportAnError(line, col, target, errorObject, message, location) {
   }
 }
 
+// Takes the global object of a window or a worker as the window param.
 module.exports = function reportException(window, error, filenameHint) {
   // This function will give good results on real Error objects with stacks; poor ones otherwise
 
@@ -49,7 +50,7 @@ module.exports = function reportException(window, error, filenameHint) {
     }
   }
 
-  const fileName = (pieces && pieces[2]) || filenameHint || window._document.URL;
+  const fileName = (pieces && pieces[2]) || filenameHint || window.location.href;
   const lineNumber = (pieces && parseInt(pieces[3])) || 0;
   const columnNumber = (pieces && parseInt(pieces[4])) || 0;
 
@@ -58,6 +59,12 @@ module.exports = function reportException(window, error, filenameHint) {
   const handled = reportAnError(lineNumber, columnNumber, windowImpl, error, error.message, fileName);
 
   if (!handled) {
+    // https://html.spec.whatwg.org/multipage/workers.html#runtime-script-errors-2
+    if (window._worker !== undefined) {
+      window._worker._propagateError(error, fileName, lineNumber, columnNumber);
+      return;
+    }
+
     const errorString = shouldBeDisplayedAsError(error) ? `[${error.name}: ${error.message}]` : util.inspect(error);
     const jsdomError = new Error(`Uncaught ${errorString}`);
     jsdomError.detail = error;
@@ -45,3 +45,185 @@ exports.addNwsapi = parentNode => {
 
   return document._nwsapi;
 };
+
+// Splits a selector list on its top-level commas, i.e. not those inside of parentheses, attribute selectors or strings.
+exports.splitSelectorList = selectorText => {
+  const selectors = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < selectorText.length; ++i) {
+    const char = selectorText[i];
+    if (char === "\\") {
+      ++i;
+    } else if (quote !== null) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "\"" || char === "'") {
+      quote = char;
+    } else if (char === "(" || char === "[") {
+      ++depth;
+    } else if (char === ")" || char === "]") {
+      --depth;
+    } else if (char === "," && depth === 0) {
+      selectors.push(selectorText.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  selectors.push(selectorText.slice(start).trim());
+
+  return selectors;
+};
+
+const legacyPseudoElements = new Set(["before", "after", "first-line", "first-letter"]);
+
+// Returns the specificity of a complex selector as an array of the number of ID selectors, of class, attribute and
+// pseudo-class selectors, and of type and pseudo-element selectors.
+// https://drafts.csswg.org/selectors-4/#specificity-rules
+exports.calculateSpecificity = selector => {
+  const specificity = [0, 0, 0];
+  let i = 0;
+
+  function readIdentifier() {
+    const begin = i;
+    while (i < selector.length && /[\w\u0080-\uFFFF\\-]/.test(selector[i])) {
+      i += selector[i] === "\\" ? 2 : 1;
+    }
+    return selector.slice(begin, i);
+  }
+
+  // Returns the contents of the parentheses starting at i, and moves past them.
+  function readArgument() {
+    let depth = 0;
+    const begin = i + 1;
+    for (; i < selector.length; ++i) {
+      if (selector[i] === "\\") {
+        ++i;
+      } else if (selector[i] === "(") {
+        ++depth;
+      } else if (selector[i] === ")" && --depth === 0) {
+        break;
+      }
+    }
+    ++i;
+    return selector.slice(begin, i - 1);
+  }
+
+  function addMostSpecific(selectorList) {
+    const specificities = exports.splitSelectorList(selectorList).map(exports.calculateSpecificity);
+    const [a, b, c] = specificities.reduce((max, current) => {
+      return compareSpecificity(current, max) > 0 ? current : max;
+    });
+    specificity[0] += a;
+    specificity[1] += b;
+    specificity[2] += c;
+  }
+
+  while (i < selector.length) {
+    const char = selector[i];
+
+    if (char === "#") {
+      ++i;
+      readIdentifier();
+      ++specificity[0];
+    } else if (char === ".") {
+      ++i;
+      readIdentifier();
+      ++specificity[1];
+    } else if (char === "[") {
+      const end = selector.indexOf("]", i);
+      i = end === -1 ? selector.length : end + 1;
+      ++specificity[1];
+    } else if (char === ":" && selector[i + 1] === ":") {
+      i += 2;
+      readIdentifier();
+      if (selector[i] === "(") {
+        readArgument();
+      }
+      ++specificity[2];
+    } else if (char === ":") {
+      ++i;
+      const name = readIdentifier().toLowerCase();
+      const argument = selector[i] === "(" ? readArgument() : null;
+
+      if (argument === null && legacyPseudoElements.has(name)) {
+        ++specificity[2];
+      } else if (argument !== null && ["is", "not", "has", "matches"].includes(name)) {
+        addMostSpecific(argument);
+      } else if (name !== "where") {
+        ++specificity[1];
+      }
+    } else if (/[\w\u0080-\uFFFF\\-]/.test(char)) {
+      readIdentifier();
+      // Namespace prefixes do not count.
+      if (selector[i] === "|" && selector[i + 1] !== "=") {
+        ++i;
+      } else {
+        ++specificity[2];
+      }
+    } else {
+      // Combinators, whitespace, and the universal selector.
+      ++i;
+    }
+  }
+
+  return specificity;
+};
+
+function compareSpecificity(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+exports.compareSpecificity = compareSpecificity;
+
+const trailingPseudoElementRegExp = /(?:::([\w-]+)|:(before|after|first-line|first-letter))$/i;
+
+// Splits a complex selector ending in a pseudo-element into the selector of its originating element and the lowercase
+// name of the pseudo-element, which is null if there is none. Pseudo-elements with arguments, like ::part(), and
+// pseudo-classes following the pseudo-element are not supported.
+// https://drafts.csswg.org/selectors-4/#pseudo-element-syntax
+exports.splitPseudoElement = selector => {
+  const match = trailingPseudoElementRegExp.exec(selector);
+  if (match === null) {
+    return { originatingSelector: selector, pseudoElement: null };
+  }
+
+  let originatingSelector = selector.slice(0, match.index);
+  if (originatingSelector === "" || /[\s>+~]$/.test(originatingSelector)) {
+    originatingSelector += "*";
+  }
+
+  return { originatingSelector, pseudoElement: (match[1] || match[2]).toLowerCase() };
+};
+
+// Returns the lowercase type selector of the last compound selector of a complex selector, or null if that compound
+// selector has no type selector, or one that is namespaced, escaped or universal.
+exports.rightmostTypeSelector = selector => {
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < selector.length; ++i) {
+    const char = selector[i];
+    if (char === "\\") {
+      ++i;
+    } else if (quote !== null) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "\"" || char === "'") {
+      quote = char;
+    } else if (char === "(" || char === "[") {
+      ++depth;
+    } else if (char === ")" || char === "]") {
+      --depth;
+    } else if (depth === 0 && /[\s>+~]/.test(char)) {
+      start = i + 1;
+    }
+  }
+
+  const match = /^[a-z][\w-]*(?![\w\\|-])/i.exec(selector.slice(start));
+  return match === null ? null : match[0].toLowerCase();
+};
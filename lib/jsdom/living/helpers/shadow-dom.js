@@ -105,6 +105,19 @@ function shadowIncludingRoot(node) {
   return isShadowRoot(root) ? shadowIncludingRoot(root.host) : root;
 }
 
+// https://drafts.csswg.org/css-scoping/#flat-tree
+// The parent of a node in the flat tree, in which nodes assigned to a slot are children of the slot, and shadow trees
+// are children of their host.
+function flatTreeParent(node) {
+  const slot = node._assignedSlot;
+  if (slot && slot._assignedNodes.includes(node)) {
+    return slot;
+  }
+
+  const parent = domSymbolTree.parent(node);
+  return isShadowRoot(parent) ? parent.host : parent;
+}
+
 // https://dom.spec.whatwg.org/#assign-a-slot
 function assignSlot(slotable) {
   const slot = findSlot(slotable);
@@ -270,6 +283,7 @@ module.exports = {
   retarget,
   getEventTargetParent,
   shadowIncludingRoot,
+  flatTreeParent,
 
   assignSlot,
   assignSlotable,
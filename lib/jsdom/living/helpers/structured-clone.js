@@ -0,0 +1,367 @@
+/* global BigInt, SharedArrayBuffer */
+"use strict";
+const DOMException = require("domexception/webidl2js-wrapper");
+const idlUtils = require("../generated/utils");
+const Blob = require("../generated/Blob");
+const File = require("../generated/File");
+const FileList = require("../generated/FileList");
+const MessagePort = require("../generated/MessagePort");
+
+// Serialized values are "serialization records": plain objects that do not hold on to anything from the realm the
+// value came from, so that they can be deserialized into any other realm. Records can refer to each other, which is how
+// cycles and objects that are referenced more than once survive cloning.
+// https://html.spec.whatwg.org/multipage/structured-data.html#safe-passing-of-structured-data
+
+const TypedArrayPrototype = Object.getPrototypeOf(Uint8Array.prototype);
+const typedArrayNameGetter = Object.getOwnPropertyDescriptor(TypedArrayPrototype, Symbol.toStringTag).get;
+const mapSizeGetter = Object.getOwnPropertyDescriptor(Map.prototype, "size").get;
+const setSizeGetter = Object.getOwnPropertyDescriptor(Set.prototype, "size").get;
+const regExpSourceGetter = Object.getOwnPropertyDescriptor(RegExp.prototype, "source").get;
+const regExpFlagsGetter = Object.getOwnPropertyDescriptor(RegExp.prototype, "flags").get;
+const sharedArrayBufferByteLengthGetter = typeof SharedArrayBuffer === "function" ?
+  Object.getOwnPropertyDescriptor(SharedArrayBuffer.prototype, "byteLength").get :
+  null;
+
+const primitiveWrapperTypes = [
+  ["Boolean", Boolean.prototype.valueOf],
+  ["Number", Number.prototype.valueOf],
+  ["String", String.prototype.valueOf]
+];
+if (typeof BigInt === "function") {
+  primitiveWrapperTypes.push(["BigInt", BigInt.prototype.valueOf]);
+}
+
+const errorNames = new Set([
+  "Error",
+  "EvalError",
+  "RangeError",
+  "ReferenceError",
+  "SyntaxError",
+  "TypeError",
+  "URIError"
+]);
+
+// https://html.spec.whatwg.org/multipage/structured-data.html#structuredserialize
+exports.structuredSerialize = (value, globalObject) => {
+  return serialize(value, globalObject, new Map());
+};
+
+// https://html.spec.whatwg.org/multipage/structured-data.html#structuredserializewithtransfer
+// ArrayBuffers and MessagePorts are transferable. ArrayBuffers are detached using Node.js's own structuredClone() when
+// it exists (v17+); on older versions of Node.js, the original ArrayBuffer stays usable.
+exports.structuredSerializeWithTransfer = (value, transferList, globalObject) => {
+  const memory = new Map();
+
+  for (const transferable of transferList) {
+    let type;
+    if (idlUtils.isArrayBuffer(transferable)) {
+      type = "ArrayBuffer";
+    } else if (MessagePort.is(transferable)) {
+      type = "MessagePort";
+      if (idlUtils.implForWrapper(transferable)._detached) {
+        throw DOMException.create(globalObject, [
+          "A MessagePort that was closed or already transferred could not be transferred.",
+          "DataCloneError"
+        ]);
+      }
+    } else {
+      throw DOMException.create(globalObject, [
+        `${describe(transferable)} could not be transferred.`,
+        "DataCloneError"
+      ]);
+    }
+    if (memory.has(transferable)) {
+      throw DOMException.create(globalObject, [
+        `The same ${type} was given more than once in the transfer list.`,
+        "DataCloneError"
+      ]);
+    }
+    memory.set(transferable, { type });
+  }
+
+  const serialized = serialize(value, globalObject, memory);
+
+  const transferDataHolders = [];
+  for (const transferable of transferList) {
+    const dataHolder = memory.get(transferable);
+    if (dataHolder.type === "ArrayBuffer") {
+      dataHolder.data = Buffer.from(new Uint8Array(transferable));
+      if (typeof global.structuredClone === "function") {
+        global.structuredClone(transferable, { transfer: [transferable] });
+      }
+    } else {
+      idlUtils.implForWrapper(transferable)._transferSteps(dataHolder);
+    }
+    transferDataHolders.push(dataHolder);
+  }
+
+  return { serialized, transferDataHolders };
+};
+
+// https://html.spec.whatwg.org/multipage/structured-data.html#structureddeserialize
+exports.structuredDeserialize = (serialized, targetRealm) => {
+  return deserialize(serialized, targetRealm, new Map());
+};
+
+// https://html.spec.whatwg.org/multipage/structured-data.html#structureddeserializewithtransfer
+exports.structuredDeserializeWithTransfer = ({ serialized, transferDataHolders }, targetRealm) => {
+  const memory = new Map();
+  const transferredValues = [];
+
+  for (const dataHolder of transferDataHolders) {
+    let value;
+    if (dataHolder.type === "ArrayBuffer") {
+      value = deserialize(dataHolder, targetRealm, memory);
+    } else {
+      const port = MessagePort.createImpl(targetRealm, []);
+      port._transferReceivingSteps(dataHolder);
+      value = idlUtils.wrapperForImpl(port);
+    }
+    memory.set(dataHolder, value);
+    transferredValues.push(value);
+  }
+
+  const deserialized = deserialize(serialized, targetRealm, memory);
+
+  return { deserialized, transferredValues };
+};
+
+exports.structuredClone = (value, globalObject) => {
+  return exports.structuredDeserialize(exports.structuredSerialize(value, globalObject), globalObject);
+};
+
+function serialize(value, globalObject, memory) {
+  if (memory.has(value)) {
+    return memory.get(value);
+  }
+
+  if (typeof value === "symbol" || typeof value === "function") {
+    throw DOMException.create(globalObject, [`${describe(value)} could not be cloned.`, "DataCloneError"]);
+  }
+  if (value === null || (typeof value !== "object")) {
+    return { type: "primitive", value };
+  }
+
+  let record;
+  let deep = false;
+
+  const primitiveWrapperRecord = serializePrimitiveWrapper(value);
+  if (primitiveWrapperRecord !== null) {
+    record = primitiveWrapperRecord;
+  } else if (hasSlot(Date.prototype.getTime, value)) {
+    record = { type: "Date", value: Date.prototype.getTime.call(value) };
+  } else if (hasSlot(regExpSourceGetter, value) && value !== RegExp.prototype) {
+    record = { type: "RegExp", source: regExpSourceGetter.call(value), flags: regExpFlagsGetter.call(value) };
+  } else if (idlUtils.isArrayBuffer(value)) {
+    record = { type: "ArrayBuffer", data: Buffer.from(new Uint8Array(value)) };
+  } else if (sharedArrayBufferByteLengthGetter !== null && hasSlot(sharedArrayBufferByteLengthGetter, value)) {
+    throw DOMException.create(globalObject, ["SharedArrayBuffers cannot be cloned.", "DataCloneError"]);
+  } else if (ArrayBuffer.isView(value)) {
+    const typedArrayName = typedArrayNameGetter.call(value);
+    record = {
+      type: "ArrayBufferView",
+      constructorName: typedArrayName === undefined ? "DataView" : typedArrayName,
+      buffer: serialize(value.buffer, globalObject, memory),
+      byteOffset: value.byteOffset,
+      length: typedArrayName === undefined ? value.byteLength : value.length
+    };
+  } else if (hasSlot(mapSizeGetter, value)) {
+    record = { type: "Map", entries: [] };
+    deep = true;
+  } else if (hasSlot(setSizeGetter, value)) {
+    record = { type: "Set", values: [] };
+    deep = true;
+  } else if (Object.prototype.toString.call(value) === "[object Error]") {
+    record = serializeError(value);
+  } else if (Array.isArray(value)) {
+    record = { type: "Array", length: value.length, properties: [] };
+    deep = true;
+  } else if (Object.prototype.hasOwnProperty.call(value, idlUtils.implSymbol)) {
+    record = serializePlatformObject(value, globalObject);
+  } else if (hasSlot(WeakMap.prototype.has, value) || hasSlot(WeakSet.prototype.has, value)) {
+    throw DOMException.create(globalObject, [`${describe(value)} could not be cloned.`, "DataCloneError"]);
+  } else {
+    record = { type: "Object", properties: [] };
+    deep = true;
+  }
+
+  memory.set(value, record);
+
+  if (deep) {
+    if (record.type === "Map") {
+      for (const [key, entryValue] of Map.prototype.entries.call(value)) {
+        record.entries.push([serialize(key, globalObject, memory), serialize(entryValue, globalObject, memory)]);
+      }
+    } else if (record.type === "Set") {
+      for (const entry of Set.prototype.values.call(value)) {
+        record.values.push(serialize(entry, globalObject, memory));
+      }
+    } else {
+      for (const key of Object.keys(value)) {
+        record.properties.push([key, serialize(value[key], globalObject, memory)]);
+      }
+    }
+  }
+
+  return record;
+}
+
+function serializePrimitiveWrapper(value) {
+  for (const [type, valueOf] of primitiveWrapperTypes) {
+    if (hasSlot(valueOf, value)) {
+      return { type, value: valueOf.call(value) };
+    }
+  }
+  return null;
+}
+
+function serializeError(value) {
+  const name = errorNames.has(value.name) ? value.name : "Error";
+  const messageDesc = Object.getOwnPropertyDescriptor(value, "message");
+  const message = messageDesc !== undefined && "value" in messageDesc ? String(messageDesc.value) : undefined;
+  return { type: "Error", name, message };
+}
+
+// Blob, File, FileList and DOMException are the only serializable platform objects that jsdom implements.
+function serializePlatformObject(value, globalObject) {
+  const impl = idlUtils.implForWrapper(value);
+
+  if (File.isImpl(impl)) {
+    return serializeFile(impl);
+  }
+  if (Blob.isImpl(impl)) {
+    return { type: "Blob", bytes: impl._buffer, mimeType: impl.type };
+  }
+  if (FileList.isImpl(impl)) {
+    return { type: "FileList", files: Array.from(impl, serializeFile) };
+  }
+  if (DOMException.isImpl(impl)) {
+    return { type: "DOMException", name: impl.name, message: impl.message };
+  }
+
+  throw DOMException.create(globalObject, [`${describe(value)} could not be cloned.`, "DataCloneError"]);
+}
+
+function serializeFile(impl) {
+  return { type: "File", bytes: impl._buffer, mimeType: impl.type, name: impl.name, lastModified: impl.lastModified };
+}
+
+function deserialize(record, targetRealm, memory) {
+  if (memory.has(record)) {
+    return memory.get(record);
+  }
+
+  let value;
+  switch (record.type) {
+    case "primitive":
+      return record.value;
+    case "Boolean":
+    case "Number":
+    case "String":
+    case "BigInt":
+      value = targetRealm.Object(record.value);
+      break;
+    case "Date":
+      value = new targetRealm.Date(record.value);
+      break;
+    case "RegExp":
+      value = new targetRealm.RegExp(record.source, record.flags);
+      break;
+    case "ArrayBuffer":
+      value = new targetRealm.ArrayBuffer(record.data.length);
+      new Uint8Array(value).set(record.data);
+      break;
+    case "ArrayBufferView": {
+      const buffer = deserialize(record.buffer, targetRealm, memory);
+      value = new targetRealm[record.constructorName](buffer, record.byteOffset, record.length);
+      break;
+    }
+    case "Map":
+      value = new targetRealm.Map();
+      break;
+    case "Set":
+      value = new targetRealm.Set();
+      break;
+    case "Error":
+      value = record.message === undefined ?
+        new targetRealm[record.name]() :
+        new targetRealm[record.name](record.message);
+      break;
+    case "Array":
+      value = new targetRealm.Array(record.length);
+      break;
+    case "Object":
+      value = new targetRealm.Object();
+      break;
+    default:
+      value = deserializePlatformObject(record, targetRealm);
+  }
+
+  memory.set(record, value);
+
+  if (record.type === "Map") {
+    for (const [key, entryValue] of record.entries) {
+      value.set(deserialize(key, targetRealm, memory), deserialize(entryValue, targetRealm, memory));
+    }
+  } else if (record.type === "Set") {
+    for (const entry of record.values) {
+      value.add(deserialize(entry, targetRealm, memory));
+    }
+  } else if (record.type === "Array" || record.type === "Object") {
+    // CreateDataProperty, so that keys like __proto__ do not run setters.
+    for (const [key, propertyRecord] of record.properties) {
+      Object.defineProperty(value, key, {
+        value: deserialize(propertyRecord, targetRealm, memory),
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+    }
+  }
+
+  return value;
+}
+
+function deserializePlatformObject(record, targetRealm) {
+  switch (record.type) {
+    case "File":
+      return File.create(targetRealm, [
+        [record.bytes],
+        record.name,
+        { type: record.mimeType, lastModified: record.lastModified }
+      ]);
+    case "Blob":
+      return Blob.create(targetRealm, [[record.bytes], { type: record.mimeType }]);
+    case "FileList": {
+      const fileList = FileList.createImpl(targetRealm, []);
+      for (const file of record.files) {
+        fileList.push(idlUtils.implForWrapper(deserializePlatformObject(file, targetRealm)));
+      }
+      return idlUtils.wrapperForImpl(fileList);
+    }
+    case "DOMException":
+      return DOMException.create(targetRealm, [record.message, record.name]);
+    default:
+      throw new TypeError(`Unknown serialization record type ${record.type}.`);
+  }
+}
+
+function hasSlot(brandCheckingFunction, value) {
+  try {
+    brandCheckingFunction.call(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function describe(value) {
+  if (typeof value === "symbol") {
+    return value.toString();
+  }
+  try {
+    return typeof value === "function" ? `${value}` : Object.prototype.toString.call(value);
+  } catch (e) {
+    return "The value";
+  }
+}
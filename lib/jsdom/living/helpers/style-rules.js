@@ -1,110 +1,1184 @@
 "use strict";
 const cssom = require("cssom");
+const { CSSStyleDeclaration } = require("cssstyle");
 const defaultStyleSheet = require("../../browser/default-stylesheet");
-const { matchesDontThrow } = require("./selectors");
+const NODE_TYPE = require("../node-type");
+const { matchesDontThrow, splitSelectorList, splitPseudoElement, calculateSpecificity, compareSpecificity,
+  rightmostTypeSelector } = require("./selectors");
+const { parseColor, serializeColor } = require("./colors");
+const { matchesMediaQueryList } = require("./media-queries");
+const { isShadowRoot } = require("./shadow-dom");
+const { domSymbolTree } = require("./internal-constants");
+const { HTML_NS } = require("./namespaces");
 
-const { forEach, indexOf } = Array.prototype;
+const { forEach } = Array.prototype;
 
 let parsedDefaultStyleSheet;
 
 // Properties for which getResolvedValue is implemented. This is less than
-// every supported property.
+// every supported property, but includes every inherited property that
+// cssstyle knows about, so that they can be inherited.
+//
+// Each property says whether it is inherited, what its initial value is, and
+// how to turn its specified value into its computed value:
+// - "as-specified": keywords, and other values we don't compute.
+// - "color": colors are converted to rgb() or rgba(), and currentcolor is
+//   replaced with the value of the color property.
+// - "length": lengths are converted to pixels, while percentages and keywords
+//   are left alone.
+// - "border-width": like "length", but with the keywords converted to pixels,
+//   and 0px if the corresponding style (given by styleProperty) is none.
+// - "font-size", "font-weight" and "line-height": special cases, relative to
+//   the font size or the weight of the parent.
 // https://drafts.csswg.org/indexes/#properties
-exports.propertiesWithResolvedValueImplemented = {
+const properties = exports.propertiesWithResolvedValueImplemented = {
   __proto__: null,
 
+  // https://drafts.csswg.org/css-color/#the-color-property
+  color: {
+    inherited: true,
+    initial: "rgb(0, 0, 0)",
+    computedValue: "color"
+  },
+
+  // https://drafts.csswg.org/css-color/#transparency
+  opacity: {
+    inherited: false,
+    initial: "1",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-display/#the-display-properties
+  display: {
+    inherited: false,
+    initial: "inline",
+    computedValue: "as-specified"
+  },
+
   // https://drafts.csswg.org/css2/visufx.html#visibility
   visibility: {
     inherited: true,
     initial: "visible",
     computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css2/visufx.html#clipping
+  clip: {
+    inherited: false,
+    initial: "auto",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-position/#position-property
+  position: {
+    inherited: false,
+    initial: "static",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css2/visuren.html#z-index
+  "z-index": {
+    inherited: false,
+    initial: "auto",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css2/visuren.html#float-position
+  float: {
+    inherited: false,
+    initial: "none",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css2/visuren.html#flow-control
+  clear: {
+    inherited: false,
+    initial: "none",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css2/visudet.html#propdef-vertical-align
+  "vertical-align": {
+    inherited: false,
+    initial: "baseline",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-ui/#box-sizing
+  "box-sizing": {
+    inherited: false,
+    initial: "content-box",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-ui/#cursor
+  cursor: {
+    inherited: true,
+    initial: "auto",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-ui/#outline-color
+  "outline-color": {
+    inherited: false,
+    initial: "currentcolor",
+    computedValue: "color"
+  },
+
+  // https://drafts.csswg.org/css-ui/#outline-style
+  "outline-style": {
+    inherited: false,
+    initial: "none",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-ui/#outline-width
+  "outline-width": {
+    inherited: false,
+    initial: "medium",
+    computedValue: "border-width",
+    styleProperty: "outline-style"
+  },
+
+  // https://drafts.csswg.org/css-ui/#outline-offset
+  "outline-offset": {
+    inherited: false,
+    initial: "0",
+    computedValue: "length"
+  },
+
+  // https://svgwg.org/svg2-draft/interact.html#PointerEventsProperty
+  "pointer-events": {
+    inherited: true,
+    initial: "auto",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-sizing/#preferred-size-properties
+  width: {
+    inherited: false,
+    initial: "auto",
+    computedValue: "length"
+  },
+  height: {
+    inherited: false,
+    initial: "auto",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-sizing/#min-size-properties
+  "min-width": {
+    inherited: false,
+    initial: "auto",
+    computedValue: "length"
+  },
+  "min-height": {
+    inherited: false,
+    initial: "auto",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-sizing/#max-size-properties
+  "max-width": {
+    inherited: false,
+    initial: "none",
+    computedValue: "length"
+  },
+  "max-height": {
+    inherited: false,
+    initial: "none",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-overflow/#overflow-properties
+  "overflow-x": {
+    inherited: false,
+    initial: "visible",
+    computedValue: "as-specified"
+  },
+  "overflow-y": {
+    inherited: false,
+    initial: "visible",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-overflow/#text-overflow
+  "text-overflow": {
+    inherited: false,
+    initial: "clip",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-backgrounds/#background-color
+  "background-color": {
+    inherited: false,
+    initial: "transparent",
+    computedValue: "color"
+  },
+
+  // https://drafts.csswg.org/css-backgrounds/#background-image
+  "background-image": {
+    inherited: false,
+    initial: "none",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-backgrounds/#background-repeat
+  "background-repeat": {
+    inherited: false,
+    initial: "repeat",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-backgrounds/#background-attachment
+  "background-attachment": {
+    inherited: false,
+    initial: "scroll",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-backgrounds/#background-position
+  "background-position": {
+    inherited: false,
+    initial: "0% 0%",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-backgrounds/#background-clip
+  "background-clip": {
+    inherited: false,
+    initial: "border-box",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-backgrounds/#background-origin
+  "background-origin": {
+    inherited: false,
+    initial: "padding-box",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-backgrounds/#background-size
+  "background-size": {
+    inherited: false,
+    initial: "auto",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-backgrounds/#box-shadow
+  "box-shadow": {
+    inherited: false,
+    initial: "none",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-fonts/#font-family-prop
+  "font-family": {
+    inherited: true,
+    initial: "serif",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-fonts/#font-size-prop
+  "font-size": {
+    inherited: true,
+    initial: "medium",
+    computedValue: "font-size"
+  },
+
+  // https://drafts.csswg.org/css-fonts/#font-style-prop
+  "font-style": {
+    inherited: true,
+    initial: "normal",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-fonts/#font-variant-prop
+  "font-variant": {
+    inherited: true,
+    initial: "normal",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-fonts/#font-weight-prop
+  "font-weight": {
+    inherited: true,
+    initial: "normal",
+    computedValue: "font-weight"
+  },
+
+  // https://drafts.csswg.org/css-fonts/#font-stretch-prop
+  "font-stretch": {
+    inherited: true,
+    initial: "normal",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css2/visudet.html#propdef-line-height
+  "line-height": {
+    inherited: true,
+    initial: "normal",
+    computedValue: "line-height"
+  },
+
+  // https://drafts.csswg.org/css-text/#text-transform-property
+  "text-transform": {
+    inherited: true,
+    initial: "none",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-text/#white-space-property
+  "white-space": {
+    inherited: true,
+    initial: "normal",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-text/#tab-size-property
+  "tab-size": {
+    inherited: true,
+    initial: "8",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-text/#word-break-property
+  "word-break": {
+    inherited: true,
+    initial: "normal",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-text/#overflow-wrap-property
+  "overflow-wrap": {
+    inherited: true,
+    initial: "normal",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-text/#hyphens-property
+  hyphens: {
+    inherited: true,
+    initial: "manual",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-text/#text-align-property
+  "text-align": {
+    inherited: true,
+    initial: "start",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-text/#text-indent-property
+  "text-indent": {
+    inherited: true,
+    initial: "0",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-text/#word-spacing-property
+  "word-spacing": {
+    inherited: true,
+    initial: "normal",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-text/#letter-spacing-property
+  "letter-spacing": {
+    inherited: true,
+    initial: "normal",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-text-decor/#text-decoration-line-property
+  "text-decoration-line": {
+    inherited: false,
+    initial: "none",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-text-decor/#text-decoration-style-property
+  "text-decoration-style": {
+    inherited: false,
+    initial: "solid",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-text-decor/#text-decoration-color-property
+  "text-decoration-color": {
+    inherited: false,
+    initial: "currentcolor",
+    computedValue: "color"
+  },
+
+  // https://drafts.csswg.org/css-text-decor/#text-shadow-property
+  "text-shadow": {
+    inherited: true,
+    initial: "none",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-writing-modes/#direction
+  direction: {
+    inherited: true,
+    initial: "ltr",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-writing-modes/#unicode-bidi
+  "unicode-bidi": {
+    inherited: false,
+    initial: "normal",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-writing-modes/#block-flow
+  "writing-mode": {
+    inherited: true,
+    initial: "horizontal-tb",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-lists/#list-style-type
+  "list-style-type": {
+    inherited: true,
+    initial: "disc",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-lists/#list-style-position
+  "list-style-position": {
+    inherited: true,
+    initial: "outside",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-lists/#image-markers
+  "list-style-image": {
+    inherited: true,
+    initial: "none",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-content/#content-property
+  content: {
+    inherited: false,
+    initial: "normal",
+    computedValue: "content"
+  },
+
+  // https://drafts.csswg.org/css-content/#quotes-property
+  quotes: {
+    inherited: true,
+    initial: "auto",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css2/tables.html#borders
+  "border-collapse": {
+    inherited: true,
+    initial: "separate",
+    computedValue: "as-specified"
+  },
+  "border-spacing": {
+    inherited: true,
+    initial: "0",
+    computedValue: "length"
+  },
+  "empty-cells": {
+    inherited: true,
+    initial: "show",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css2/tables.html#caption-position
+  "caption-side": {
+    inherited: true,
+    initial: "top",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css2/tables.html#width-layout
+  "table-layout": {
+    inherited: false,
+    initial: "auto",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-flexbox/#flex-direction-property
+  "flex-direction": {
+    inherited: false,
+    initial: "row",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-flexbox/#flex-wrap-property
+  "flex-wrap": {
+    inherited: false,
+    initial: "nowrap",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-flexbox/#flex-property
+  "flex-grow": {
+    inherited: false,
+    initial: "0",
+    computedValue: "as-specified"
+  },
+  "flex-shrink": {
+    inherited: false,
+    initial: "1",
+    computedValue: "as-specified"
+  },
+  "flex-basis": {
+    inherited: false,
+    initial: "auto",
+    computedValue: "length"
+  },
+
+  // https://drafts.csswg.org/css-display/#order-property
+  order: {
+    inherited: false,
+    initial: "0",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-align/#propdef-justify-content
+  "justify-content": {
+    inherited: false,
+    initial: "normal",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-align/#propdef-align-content
+  "align-content": {
+    inherited: false,
+    initial: "normal",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-align/#propdef-align-items
+  "align-items": {
+    inherited: false,
+    initial: "normal",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-align/#propdef-align-self
+  "align-self": {
+    inherited: false,
+    initial: "auto",
+    computedValue: "as-specified"
+  },
+
+  // https://drafts.csswg.org/css-transforms/#transform-property
+  transform: {
+    inherited: false,
+    initial: "none",
+    computedValue: "as-specified"
   }
 };
 
-exports.forEachMatchingSheetRuleOfElement = (elementImpl, handleRule) => {
-  function handleSheet(sheet) {
-    forEach.call(sheet.cssRules, rule => {
+for (const side of ["top", "right", "bottom", "left"]) {
+  // https://drafts.csswg.org/css-position/#insets
+  properties[side] = {
+    inherited: false,
+    initial: "auto",
+    computedValue: "length"
+  };
+
+  // https://drafts.csswg.org/css-box/#margins
+  properties[`margin-${side}`] = {
+    inherited: false,
+    initial: "0",
+    computedValue: "length"
+  };
+
+  // https://drafts.csswg.org/css-box/#paddings
+  properties[`padding-${side}`] = {
+    inherited: false,
+    initial: "0",
+    computedValue: "length"
+  };
+
+  // https://drafts.csswg.org/css-backgrounds/#borders
+  properties[`border-${side}-color`] = {
+    inherited: false,
+    initial: "currentcolor",
+    computedValue: "color"
+  };
+  properties[`border-${side}-style`] = {
+    inherited: false,
+    initial: "none",
+    computedValue: "as-specified"
+  };
+  properties[`border-${side}-width`] = {
+    inherited: false,
+    initial: "medium",
+    computedValue: "border-width",
+    styleProperty: `border-${side}-style`
+  };
+}
+
+for (const corner of ["top-left", "top-right", "bottom-right", "bottom-left"]) {
+  // https://drafts.csswg.org/css-backgrounds/#border-radius
+  properties[`border-${corner}-radius`] = {
+    inherited: false,
+    initial: "0",
+    computedValue: "length"
+  };
+}
+
+// The origins of declarations, in increasing order of precedence for normal declarations.
+// https://drafts.csswg.org/css-cascade-4/#cascading-origins
+const USER_AGENT_ORIGIN = 0;
+const AUTHOR_ORIGIN = 1;
+
+// Calls handleRule for each style rule matching the element, or the given pseudo-element of it. Only the rules of style
+// sheets and @media rules whose media query lists match the window are considered.
+exports.forEachMatchingSheetRuleOfElement = (elementImpl, handleRule, pseudoElement = null) => {
+  const window = elementImpl._ownerDocument._defaultView;
+
+  function handleRules(rules, origin) {
+    forEach.call(rules, rule => {
       if (rule.media) {
-        if (indexOf.call(rule.media, "screen") !== -1) {
-          forEach.call(rule.cssRules, innerRule => {
-            if (matches(innerRule, elementImpl)) {
-              handleRule(innerRule);
-            }
-          });
+        if (rule.cssRules && matchesMediaQueryList(rule.media.mediaText, window)) {
+          handleRules(rule.cssRules, origin);
+        }
+      } else {
+        const specificity = matchingSpecificity(rule, elementImpl, pseudoElement);
+        if (specificity !== null) {
+          handleRule(rule, origin, specificity);
         }
-      } else if (matches(rule, elementImpl)) {
-        handleRule(rule);
       }
     });
   }
 
+  function handleSheet(sheet, origin) {
+    if (!sheet.media || matchesMediaQueryList(sheet.media.mediaText, window)) {
+      handleRules(sheet.cssRules, origin);
+    }
+  }
+
   if (!parsedDefaultStyleSheet) {
     parsedDefaultStyleSheet = cssom.parse(defaultStyleSheet);
   }
 
-  handleSheet(parsedDefaultStyleSheet);
-  forEach.call(elementImpl._ownerDocument.styleSheets._list, handleSheet);
+  handleSheet(parsedDefaultStyleSheet, USER_AGENT_ORIGIN);
+  forEach.call(elementImpl._ownerDocument.styleSheets._list, sheet => handleSheet(sheet, AUTHOR_ORIGIN));
 };
 
-function matches(rule, element) {
-  return matchesDontThrow(element, rule.selectorText);
+// The selectors of the selector lists of style rules, along with their specificity and the type of element they can
+// match, which are parsed again when the selector text of a rule changes.
+const parsedSelectorLists = new WeakMap();
+
+function getParsedSelectorList(rule) {
+  const { selectorText } = rule;
+
+  let parsed = parsedSelectorLists.get(rule);
+  if (parsed === undefined || parsed.selectorText !== selectorText) {
+    const selectors = splitSelectorList(selectorText).map(selector => {
+      const { originatingSelector, pseudoElement } = splitPseudoElement(selector);
+      return {
+        selector,
+        originatingSelector,
+        pseudoElement,
+        specificity: calculateSpecificity(selector),
+        type: rightmostTypeSelector(originatingSelector)
+      };
+    });
+    parsed = { selectorText, selectors };
+    parsedSelectorLists.set(rule, parsed);
+  }
+
+  return parsed.selectors;
 }
 
-// Naive implementation of https://drafts.csswg.org/css-cascade-4/#cascading
-// based on the previous jsdom implementation of getComputedStyle.
-// Does not implement https://drafts.csswg.org/css-cascade-4/#cascade-specificity,
-// or rather specificity is only implemented by the order in which the matching
-// rules appear. The last rule is the most specific while the first rule is
-// the least specific.
-function getCascadedPropertyValue(element, property) {
-  let value = "";
+// Returns the specificity of the most specific selector of the rule's selector list which matches the element, or the
+// given pseudo-element of it, or null if none of them do.
+// https://drafts.csswg.org/selectors-4/#specificity-rules
+function matchingSpecificity(rule, element, pseudoElement) {
+  const { selectorText } = rule;
+  if (selectorText === undefined) {
+    return null;
+  }
 
-  exports.forEachMatchingSheetRuleOfElement(element, rule => {
-    value = rule.style.getPropertyValue(property);
-  });
+  // Most rules of the user agent style sheet only apply to elements of some types, so checking the type first avoids
+  // asking nwsapi about them. The type selectors are lowercase, as are the local names of HTML elements they match in
+  // HTML documents.
+  const selectors = getParsedSelectorList(rule);
+  if (element._namespaceURI === HTML_NS && element._ownerDocument._parsingMode === "html" &&
+      selectors.every(({ type }) => type !== null && type !== element._localName)) {
+    return null;
+  }
 
-  const inlineValue = element.style.getPropertyValue(property);
-  if (inlineValue !== "" && inlineValue !== null) {
-    value = inlineValue;
+  // nwsapi never matches selectors with pseudo-elements, so for elements the whole list can be tried at once.
+  if (pseudoElement === null && !matchesDontThrow(element, selectorText)) {
+    return null;
   }
 
-  return value;
+  if (pseudoElement === null && selectors.length === 1) {
+    return selectors[0].specificity;
+  }
+
+  let result = null;
+  for (const selector of selectors) {
+    const { specificity } = selector;
+    if (selector.pseudoElement === pseudoElement &&
+        (result === null || compareSpecificity(specificity, result) > 0) &&
+        matchesDontThrow(element, selector.originatingSelector)) {
+      result = specificity;
+    }
+  }
+  return result;
+}
+
+// Stands in for a pseudo-element when computing its style, which is computed like that of an element whose parent is
+// the originating element.
+// https://drafts.csswg.org/css-pseudo-4/#treelike
+class PseudoElement {
+  constructor(originatingElement, type) {
+    this._originatingElement = originatingElement;
+    this._type = type;
+    this._ownerDocument = originatingElement._ownerDocument;
+  }
+}
+
+// Style sheets are parsed by CSSOM, which does not expand shorthand properties
+// such as `margin` into their longhands, unlike the cssstyle implementation of
+// CSSStyleDeclaration that backs the style attribute. So we expand each
+// declaration with the latter, into maps of the normal and of the important
+// declarations of the block, in which later declarations override earlier ones.
+// The declarations as written are kept for the declared properties themselves,
+// since cssstyle does not know about all of them and sometimes mangles the
+// values it parses.
+const expandedStyles = new WeakMap();
+
+function getExpandedStyle(style) {
+  const { cssText } = style;
+
+  let expanded = expandedStyles.get(style);
+  if (expanded === undefined || expanded.cssText !== cssText) {
+    expanded = { cssText, ...expandStyle(style) };
+    expandedStyles.set(style, expanded);
+  }
+
+  return expanded;
+}
+
+function expandStyle(style) {
+  const normal = new Map();
+  const important = new Map();
+  for (let i = 0; i < style.length; ++i) {
+    const property = style[i];
+    const value = style.getPropertyValue(property);
+    const declarations = style.getPropertyPriority(property) === "important" ? important : normal;
+
+    if (!(property in properties)) {
+      const expanded = new CSSStyleDeclaration();
+      expanded.setProperty(property, value);
+      for (const longhand of Object.keys(properties)) {
+        const longhandValue = expanded.getPropertyValue(longhand);
+        if (longhandValue !== "") {
+          declarations.set(longhand, longhandValue);
+        }
+      }
+    }
+    declarations.set(property, value);
+  }
+
+  return { normal, important };
+}
+
+// Returns the blocks of declarations that apply to the element or pseudo-element, sorted by increasing precedence
+// within each origin and importance: the declarations of the style attribute come after those of style rules, which are
+// sorted by specificity and then by order of appearance.
+// https://drafts.csswg.org/css-cascade-4/#cascade-sort
+function getMatchingDeclarationBlocks(element) {
+  const blocks = [];
+
+  function handleRule(rule, origin, specificity) {
+    blocks.push({ ...getExpandedStyle(rule.style), origin, specificity, order: blocks.length });
+  }
+  if (element instanceof PseudoElement) {
+    exports.forEachMatchingSheetRuleOfElement(element._originatingElement, handleRule, element._type);
+  } else {
+    exports.forEachMatchingSheetRuleOfElement(element, handleRule);
+  }
+  blocks.sort((a, b) => compareSpecificity(a.specificity, b.specificity) || a.order - b.order);
+
+  // Pseudo-elements, and elements that are neither HTML nor SVG elements, have no style attribute.
+  if (element.style !== undefined) {
+    blocks.push({ ...getExpandedStyle(element.style), origin: AUTHOR_ORIGIN });
+  }
+
+  return blocks;
+}
+
+// Returns the cascaded values of all the properties declared for the element or pseudo-element.
+// https://drafts.csswg.org/css-cascade-4/#cascaded-value
+function getCascadedValues(element, cache) {
+  const entry = getCacheEntry(element, cache);
+  if (entry.cascaded !== null) {
+    return entry.cascaded;
+  }
+
+  // Important declarations take precedence over all normal ones, with the order
+  // of the origins reversed.
+  const cascaded = new Map();
+  const precedences = new Map();
+  for (const block of getMatchingDeclarationBlocks(element)) {
+    for (const important of [false, true]) {
+      const precedence = important ? 3 - block.origin : block.origin;
+      for (const [property, value] of important ? block.important : block.normal) {
+        if (value !== "" && !(precedences.get(property) > precedence)) {
+          cascaded.set(property, value);
+          precedences.set(property, precedence);
+        }
+      }
+    }
+  }
+
+  entry.cascaded = cascaded;
+  return cascaded;
+}
+
+function getCascadedPropertyValue(element, property, cache) {
+  return getCascadedValues(element, cache).get(property) || "";
+}
+
+// The cascade is computed once per element for each top-level call into this
+// module.
+function getCacheEntry(element, cache) {
+  let entry = cache.get(element);
+  if (entry === undefined) {
+    entry = { cascaded: null, computed: new Map() };
+    cache.set(element, entry);
+  }
+  return entry;
+}
+
+exports.getCascadedPropertyValues = (element, propertyNames) => {
+  const cache = new Map();
+  const values = {};
+  for (const property of propertyNames) {
+    values[property] = getCascadedPropertyValue(element, property, cache);
+  }
+  return values;
+};
+
+// Inheritance follows the flat tree, at least as far as shadow roots are concerned. Pseudo-elements inherit from their
+// originating element.
+function getParentElementForInheritance(element) {
+  if (element instanceof PseudoElement) {
+    return element._originatingElement;
+  }
+
+  const parent = domSymbolTree.parent(element);
+  if (parent && isShadowRoot(parent)) {
+    return parent.host;
+  }
+  return parent && parent.nodeType === NODE_TYPE.ELEMENT_NODE ? parent : null;
 }
 
 // https://drafts.csswg.org/css-cascade-4/#specified-value
-function getSpecifiedValue(element, property) {
-  const cascade = getCascadedPropertyValue(element, property);
+// https://drafts.csswg.org/css-cascade-4/#defaulting-keywords
+function getSpecifiedValue(element, property, cache) {
+  const { initial, inherited } = properties[property];
+  const cascaded = getCascadedPropertyValue(element, property, cache).trim();
+  const keyword = cascaded.toLowerCase();
 
-  if (cascade !== "") {
-    return cascade;
+  if (keyword === "inherit" || (inherited && ["", "unset", "revert"].includes(keyword))) {
+    const parent = getParentElementForInheritance(element);
+    if (parent !== null) {
+      return { value: getComputedValue(parent, property, cache), isInherited: true };
+    }
+    return { value: initial, isInherited: false };
   }
 
-  // Defaulting
-  const { initial, inherited } = exports.propertiesWithResolvedValueImplemented[property];
-  if (inherited && element.parentElement !== null) {
-    return getComputedValue(element.parentElement, property);
+  if (["", "initial", "unset", "revert"].includes(keyword)) {
+    return { value: initial, isInherited: false };
   }
 
-  // root element without parent element or inherited property
-  return initial;
+  return { value: cascaded, isInherited: false };
 }
 
 // https://drafts.csswg.org/css-cascade-4/#computed-value
-function getComputedValue(element, property) {
-  const { computedValue } = exports.propertiesWithResolvedValueImplemented[property];
-  if (computedValue === "as-specified") {
-    return getSpecifiedValue(element, property);
+function getComputedValue(element, property, cache) {
+  const entry = getCacheEntry(element, cache);
+  if (entry.computed.has(property)) {
+    return entry.computed.get(property);
+  }
+
+  const { value, isInherited } = getSpecifiedValue(element, property, cache);
+  const computedValue = isInherited ? value : computeValue(element, property, value, cache);
+
+  entry.computed.set(property, computedValue);
+  return computedValue;
+}
+
+const borderWidthKeywords = { thin: 1, medium: 3, thick: 5 };
+
+function computeValue(element, property, value, cache) {
+  const definition = properties[property];
+
+  switch (definition.computedValue) {
+    case "as-specified": {
+      return value;
+    }
+    case "color": {
+      if (value.toLowerCase() === "currentcolor") {
+        if (property === "color") {
+          const parent = getParentElementForInheritance(element);
+          return parent === null ? definition.initial : getComputedValue(parent, "color", cache);
+        }
+        return getComputedValue(element, "color", cache);
+      }
+      const color = parseColor(value);
+      return color === null ? value : serializeColor(color);
+    }
+    case "length": {
+      return computeLengths(value, element, () => getFontSize(element, cache), cache);
+    }
+    case "border-width": {
+      const style = getComputedValue(element, definition.styleProperty, cache);
+      if (style === "none" || style === "hidden") {
+        return "0px";
+      }
+      if (value in borderWidthKeywords) {
+        return `${borderWidthKeywords[value]}px`;
+      }
+      return computeLengths(value, element, () => getFontSize(element, cache), cache);
+    }
+    case "font-size": {
+      return computeFontSize(element, value, cache);
+    }
+    case "font-weight": {
+      return computeFontWeight(element, value, cache);
+    }
+    case "content": {
+      return computeContent(element, value);
+    }
+    case "line-height": {
+      const percentage = /^([+-]?(?:\d+\.?\d*|\.\d+))%$/.exec(value);
+      if (percentage !== null) {
+        return serializePixels(Number(percentage[1]) * getFontSize(element, cache) / 100);
+      }
+      return computeLengths(value, element, () => getFontSize(element, cache), cache);
+    }
+  }
+
+  throw new TypeError(`Internal error: unrecognized computed value instruction '${definition.computedValue}'`);
+}
+
+// https://drafts.csswg.org/css-fonts/#absolute-size-mapping
+const fontSizeKeywords = {
+  "xx-small": 9,
+  "x-small": 10,
+  small: 13,
+  medium: 16,
+  large: 18,
+  "x-large": 24,
+  "xx-large": 32,
+  "xxx-large": 48
+};
+
+// https://drafts.csswg.org/css-values/#absolute-lengths
+const absoluteLengthUnits = { px: 1, cm: 96 / 2.54, mm: 96 / 25.4, q: 96 / 101.6, in: 96, pc: 16, pt: 4 / 3 };
+
+const dimensionRegExp = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z]*)$/i;
+
+function getFontSize(element, cache) {
+  return parseFloat(getComputedValue(element, "font-size", cache));
+}
+
+function getParentFontSize(element, cache) {
+  const parent = getParentElementForInheritance(element);
+  return parent === null ? fontSizeKeywords.medium : getFontSize(parent, cache);
+}
+
+function getRootFontSize(element, cache) {
+  const root = element._ownerDocument.documentElement;
+  return root === null || root === element ? fontSizeKeywords.medium : getFontSize(root, cache);
+}
+
+function serializePixels(number) {
+  return `${Math.round(number * 1000) / 1000}px`;
+}
+
+// Converts each of the space-separated lengths in the value to pixels, resolving
+// font-relative lengths against the font size returned by getRelativeFontSize().
+// Functions such as calc() are left alone.
+// https://drafts.csswg.org/css-values/#lengths
+function computeLengths(value, element, getRelativeFontSize, cache) {
+  if (value.includes("(")) {
+    return value;
   }
 
-  throw new TypeError(`Internal error: unrecognized computed value instruction '${computedValue}'`);
+  return value.trim().split(/\s+/).map(token => {
+    const match = dimensionRegExp.exec(token);
+    if (match === null) {
+      return token;
+    }
+
+    const number = Number(match[1]);
+    const unit = match[2].toLowerCase();
+    const window = element._ownerDocument._defaultView;
+    const viewport = window ? window._viewport : null;
+
+    if (unit === "") {
+      return number === 0 ? "0px" : token;
+    }
+    if (unit in absoluteLengthUnits) {
+      return serializePixels(number * absoluteLengthUnits[unit]);
+    }
+    switch (unit) {
+      case "em":
+        return serializePixels(number * getRelativeFontSize());
+      case "ex":
+      case "ch":
+        return serializePixels(number * getRelativeFontSize() / 2);
+      case "rem":
+        return serializePixels(number * getRootFontSize(element, cache));
+      case "vw":
+        return viewport ? serializePixels(number * viewport.width / 100) : token;
+      case "vh":
+        return viewport ? serializePixels(number * viewport.height / 100) : token;
+      case "vmin":
+        return viewport ? serializePixels(number * Math.min(viewport.width, viewport.height) / 100) : token;
+      case "vmax":
+        return viewport ? serializePixels(number * Math.max(viewport.width, viewport.height) / 100) : token;
+      default:
+        return token;
+    }
+  }).join(" ");
+}
+
+// https://drafts.csswg.org/css-fonts/#font-size-prop
+function computeFontSize(element, value, cache) {
+  const keyword = value.toLowerCase();
+  if (keyword in fontSizeKeywords) {
+    return serializePixels(fontSizeKeywords[keyword]);
+  }
+  if (keyword === "larger") {
+    return serializePixels(getParentFontSize(element, cache) * 1.2);
+  }
+  if (keyword === "smaller") {
+    return serializePixels(getParentFontSize(element, cache) / 1.2);
+  }
+
+  const percentage = /^([+-]?(?:\d+\.?\d*|\.\d+))%$/.exec(value);
+  if (percentage !== null) {
+    return serializePixels(Number(percentage[1]) * getParentFontSize(element, cache) / 100);
+  }
+
+  return computeLengths(value, element, () => getParentFontSize(element, cache), cache);
+}
+
+// https://drafts.csswg.org/css-fonts/#relative-weights
+// The rows start at the inherited weight given by from, highest first. null keeps the inherited weight.
+const relativeWeights = [
+  { from: 900, bolder: null, lighter: 700 },
+  { from: 750, bolder: 900, lighter: 700 },
+  { from: 550, bolder: 900, lighter: 400 },
+  { from: 350, bolder: 700, lighter: 100 },
+  { from: 100, bolder: 400, lighter: 100 },
+  { from: 0, bolder: 400, lighter: null }
+];
+
+// https://drafts.csswg.org/css-fonts/#font-weight-prop
+function computeFontWeight(element, value, cache) {
+  const keyword = value.toLowerCase();
+  if (keyword === "normal") {
+    return "400";
+  }
+  if (keyword === "bold") {
+    return "700";
+  }
+  if (keyword !== "bolder" && keyword !== "lighter") {
+    return value;
+  }
+
+  // Inherited weights we do not understand, such as calc() expressions, are treated as normal.
+  const parent = getParentElementForInheritance(element);
+  const parentWeight = parent === null ? 400 : Number(getComputedValue(parent, "font-weight", cache)) || 400;
+
+  const weight = relativeWeights.find(row => parentWeight >= row.from)[keyword];
+  return String(weight === null ? parentWeight : weight);
+}
+
+// https://drafts.csswg.org/css-content/#content-property
+function computeContent(element, value) {
+  // normal computes to none on ::before and ::after.
+  if (value.toLowerCase() === "normal" && element instanceof PseudoElement &&
+      (element._type === "before" || element._type === "after")) {
+    return "none";
+  }
+
+  // Strings are serialized with double quotes and without escapes other than for quotes and backslashes.
+  // https://drafts.csswg.org/cssom/#serialize-a-string
+  return value.replace(/"((?:[^"\\]|\\[\s\S])*)"|'((?:[^'\\]|\\[\s\S])*)'/g, (match, double, single) => {
+    const string = unescapeString(double === undefined ? single : double);
+    return `"${string.replace(/["\\]/g, "\\$&")}"`;
+  });
+}
+
+// https://drafts.csswg.org/css-syntax/#consume-escaped-code-point
+function unescapeString(string) {
+  return string.replace(/\\(?:([0-9a-f]{1,6})[ \t\n]?|\n|([\s\S]))/gi, (match, hex, char) => {
+    if (hex !== undefined) {
+      const codePoint = parseInt(hex, 16);
+      return codePoint === 0 || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF) ?
+        "\uFFFD" :
+        String.fromCodePoint(codePoint);
+    }
+    return char === undefined ? "" : char;
+  });
 }
 
 // https://drafts.csswg.org/cssom/#resolved-value
-// Only implements `visibility`
-exports.getResolvedValue = (element, property) => {
+// Only implements the properties in propertiesWithResolvedValueImplemented. Callers which look up many elements of a
+// tree that does not change in between can share a cache between the calls.
+exports.getResolvedValue = (element, property, cache = new Map()) => {
   // Determined for special case properties, none of which are implemented here.
   // So we skip to "any other property: The resolved value is the computed value."
-  return getComputedValue(element, property);
+  return getComputedValue(element, property, cache);
+};
+
+// Returns the resolved values of every property in propertiesWithResolvedValueImplemented, preceded by the cascaded
+// values of any other properties that are declared for the element, or the given pseudo-element of it, as
+// [property, value] pairs.
+// https://drafts.csswg.org/cssom/#dom-window-getcomputedstyle
+exports.getResolvedValues = (element, pseudoElement = null) => {
+  if (pseudoElement !== null) {
+    element = new PseudoElement(element, pseudoElement);
+  }
+
+  const cache = new Map();
+
+  const values = [];
+  for (const [property, value] of getCascadedValues(element, cache)) {
+    if (!(property in properties)) {
+      values.push([property, value]);
+    }
+  }
+  for (const property of Object.keys(properties)) {
+    values.push([property, getComputedValue(element, property, cache)]);
+  }
+  return values;
 };
 
 exports.SHADOW_DOM_PSEUDO_REGEXP = /^::(?:part|slotted)\(/i;
+
+// The legacy pseudo-elements from CSS 2 can also be written with a single colon.
+const pseudoElementSelectorRegExp =
+  /^(?:::(before|after|marker|placeholder|first-line|first-letter)|:(before|after|first-line|first-letter))$/i;
+
+// Parses the pseudoElt argument of getComputedStyle(), returning the lowercase name of the pseudo-element, or null if
+// it is not a pseudo-element we support.
+// https://drafts.csswg.org/cssom/#dom-window-getcomputedstyle
+exports.parsePseudoElementSelector = pseudoElt => {
+  const match = pseudoElementSelectorRegExp.exec(pseudoElt);
+  return match === null ? null : (match[1] || match[2]).toLowerCase();
+};
@@ -40,6 +40,11 @@ exports.createStylesheet = (sheetText, elementImpl, baseURL) => {
     return;
   }
 
+  // The media attribute of the owner element restricts when the style sheet applies. Changes to it after the style
+  // sheet is created are not handled.
+  sheet.media = new cssom.MediaList();
+  sheet.media.mediaText = elementImpl.getAttributeNS(null, "media") || "";
+
   scanForImportRules(elementImpl, sheet.cssRules, baseURL);
 
   addStylesheet(sheet, elementImpl);
@@ -1,4 +1,17 @@
 "use strict";
+const DOMException = require("domexception/webidl2js-wrapper");
+const idlUtils = require("../generated/utils");
+const PerformanceMark = require("../generated/PerformanceMark");
+const PerformanceMeasure = require("../generated/PerformanceMeasure");
+const PerformanceObserverEntryList = require("../generated/PerformanceObserverEntryList");
+const PerformanceResourceTiming = require("../generated/PerformanceResourceTiming");
+const { restrictedTimestampNames } = require("../performance-timeline/PerformanceMark-impl");
+const { filterEntries } = require("../helpers/performance-timeline");
+const { environmentSettings } = require("../helpers/environment-settings");
+const { structuredClone } = require("../helpers/structured-clone");
+const { fireAnEvent } = require("../helpers/events");
+const { setupForSimpleEventAccessors } = require("../helpers/create-event-accessor");
+const reportException = require("../helpers/runtime-script-errors");
 
 const EventTargetImpl = require("../events/EventTarget-impl").implementation;
 
@@ -7,6 +20,18 @@ class PerformanceImpl extends EventTargetImpl {
     super(globalObject, args, privateData);
 
     this._rawPerformance = privateData.rawPerformance;
+
+    // https://w3c.github.io/performance-timeline/#performance-timeline
+    // Marks and measures go in the performance entry buffer, and PerformanceResourceTiming entries in the resource
+    // timing buffer, which is limited in size. The navigation entry of the current document is added to neither; it is
+    // part of the timeline once the document's load event has finished.
+    this._entryBuffer = [];
+    this._resourceTimingBuffer = [];
+    this._resourceTimingBufferSize = 250;
+    this._navigationEntry = null;
+
+    this._registeredObservers = new Set();
+    this._observerTaskQueued = false;
   }
 
   now() {
@@ -20,6 +45,299 @@ class PerformanceImpl extends EventTargetImpl {
   toJSON() {
     return this._rawPerformance.toJSON();
   }
+
+  getEntries() {
+    return filterEntries(this._bufferedEntries()).map(idlUtils.wrapperForImpl);
+  }
+
+  getEntriesByType(type) {
+    return filterEntries(this._bufferedEntries(), undefined, type).map(idlUtils.wrapperForImpl);
+  }
+
+  getEntriesByName(name, type) {
+    return filterEntries(this._bufferedEntries(), name, type).map(idlUtils.wrapperForImpl);
+  }
+
+  // https://w3c.github.io/user-timing/#mark-method
+  mark(markName, markOptions) {
+    const entry = PerformanceMark.createImpl(this._globalObject, [markName, markOptions]);
+    this._queueEntry(entry);
+    this._entryBuffer.push(entry);
+    return entry;
+  }
+
+  clearMarks(markName) {
+    this._clearEntries("mark", markName);
+  }
+
+  // https://w3c.github.io/user-timing/#measure-method
+  measure(measureName, startOrMeasureOptions, endMark) {
+    const options = typeof startOrMeasureOptions === "object" && Object.keys(startOrMeasureOptions).length > 0 ?
+      startOrMeasureOptions :
+      null;
+
+    if (options !== null) {
+      if (endMark !== undefined) {
+        throw new TypeError("measure() cannot be given an end mark along with measure options");
+      }
+      if (options.start === undefined && options.end === undefined) {
+        throw new TypeError("The options given to measure() must include a start or an end");
+      }
+      if (options.start !== undefined && options.duration !== undefined && options.end !== undefined) {
+        throw new TypeError("The options given to measure() cannot include all of start, duration and end");
+      }
+    }
+
+    let endTime;
+    if (endMark !== undefined) {
+      endTime = this._convertMarkToTimestamp(endMark);
+    } else if (options !== null && options.end !== undefined) {
+      endTime = this._convertMarkToTimestamp(options.end);
+    } else if (options !== null && options.start !== undefined && options.duration !== undefined) {
+      endTime = this._convertMarkToTimestamp(options.start) + this._convertMarkToTimestamp(options.duration);
+    } else {
+      endTime = this.now();
+    }
+
+    let startTime;
+    if (options !== null && options.start !== undefined) {
+      startTime = this._convertMarkToTimestamp(options.start);
+    } else if (options !== null && options.duration !== undefined && options.end !== undefined) {
+      startTime = endTime - this._convertMarkToTimestamp(options.duration);
+    } else if (typeof startOrMeasureOptions === "string") {
+      startTime = this._convertMarkToTimestamp(startOrMeasureOptions);
+    } else {
+      startTime = 0;
+    }
+
+    const detail = options !== null && options.detail !== undefined && options.detail !== null ?
+      structuredClone(options.detail, this._globalObject) :
+      null;
+
+    const entry = PerformanceMeasure.createImpl(this._globalObject, [], {
+      name: measureName,
+      startTime,
+      duration: endTime - startTime,
+      detail
+    });
+    this._queueEntry(entry);
+    this._entryBuffer.push(entry);
+    return entry;
+  }
+
+  clearMeasures(measureName) {
+    this._clearEntries("measure", measureName);
+  }
+
+  clearResourceTimings() {
+    this._resourceTimingBuffer = [];
+  }
+
+  setResourceTimingBufferSize(maxSize) {
+    this._resourceTimingBufferSize = maxSize;
+  }
+
+  _bufferedEntries() {
+    const entries = [...this._entryBuffer, ...this._resourceTimingBuffer];
+    if (this._navigationEntry !== null) {
+      entries.push(this._navigationEntry);
+    }
+    return entries;
+  }
+
+  _clearEntries(entryType, name) {
+    this._entryBuffer = this._entryBuffer.filter(entry => {
+      return entry.entryType !== entryType || (name !== undefined && entry.name !== name);
+    });
+  }
+
+  // https://w3c.github.io/user-timing/#convert-a-mark-to-a-timestamp
+  _convertMarkToTimestamp(mark) {
+    if (typeof mark === "number") {
+      if (mark < 0) {
+        throw new TypeError("Timestamps given to measure() cannot be negative");
+      }
+      return mark;
+    }
+
+    if (restrictedTimestampNames.has(mark)) {
+      return this._convertNameToTimestamp(mark);
+    }
+
+    for (let i = this._entryBuffer.length - 1; i >= 0; --i) {
+      const entry = this._entryBuffer[i];
+      if (entry.entryType === "mark" && entry.name === mark) {
+        return entry.startTime;
+      }
+    }
+    throw DOMException.create(this._globalObject, [`The mark "${mark}" does not exist`, "SyntaxError"]);
+  }
+
+  // https://w3c.github.io/user-timing/#convert-a-name-to-a-timestamp
+  // The legacy PerformanceTiming values are taken from the current document's PerformanceNavigationTiming entry, and
+  // are relative to the time origin, like everything else on the timeline.
+  _convertNameToTimestamp(name) {
+    if (this._globalObject._worker !== undefined) {
+      throw new TypeError(`"${name}" can only be used as a mark in windows`);
+    }
+
+    const navigationTiming = idlUtils.implForWrapper(this._globalObject._document)._navigationTiming;
+    const navigationStart = navigationTiming ? navigationTiming.startTime : 0;
+    if (name === "navigationStart") {
+      return navigationStart;
+    }
+
+    const time = navigationTiming && navigationTiming[name] ? navigationTiming[name] : 0;
+    if (time === 0) {
+      throw DOMException.create(this._globalObject, [`"${name}" has not happened yet`, "InvalidAccessError"]);
+    }
+    return time;
+  }
+
+  _registerObserver(observer) {
+    this._registeredObservers.add(observer);
+  }
+
+  _unregisterObserver(observer) {
+    this._registeredObservers.delete(observer);
+  }
+
+  // https://w3c.github.io/performance-timeline/#queue-a-performanceentry
+  _queueEntry(entry) {
+    for (const observer of this._registeredObservers) {
+      if (observer._entryTypes.has(entry.entryType)) {
+        observer._buffer.push(entry);
+      }
+    }
+    this._queueObserverTask();
+  }
+
+  // https://w3c.github.io/performance-timeline/#queue-the-performanceobserver-task
+  // The task is scheduled on the clock, like timers are.
+  _queueObserverTask() {
+    if (this._observerTaskQueued) {
+      return;
+    }
+    this._observerTaskQueued = true;
+
+    this._globalObject._clock._setTimeout(() => {
+      this._observerTaskQueued = false;
+
+      for (const observer of [...this._registeredObservers]) {
+        const entries = observer._buffer;
+        observer._buffer = [];
+        if (entries.length === 0) {
+          continue;
+        }
+
+        const entryList = PerformanceObserverEntryList.createImpl(this._globalObject, [], { entries });
+        const observerWrapper = idlUtils.wrapperForImpl(observer);
+        try {
+          observer._callback.call(observerWrapper, idlUtils.wrapperForImpl(entryList), observerWrapper);
+        } catch (e) {
+          reportException(this._globalObject, e);
+        }
+      }
+    }, 0);
+  }
+
+  // https://w3c.github.io/navigation-timing/#dfn-queue-the-navigation-timing-entry
+  _queueNavigationEntry(entry) {
+    this._queueEntry(entry);
+    this._navigationEntry = entry;
+  }
+
+  // https://w3c.github.io/resource-timing/#dfn-mark-resource-timing
+  // Records a PerformanceResourceTiming entry for a fetch of url, which started at fetchStart and has just finished.
+  // response is the response object that the resource loader gave, if any, and bodySize the size of its body. Node.js
+  // only gives the timing phases of real HTTP requests, so the others are treated as if they took no time before the
+  // response arrived. Requests that failed with a network error are not recorded.
+  _markResourceTiming(url, initiatorType, fetchStart, response, bodySize) {
+    const parsedURL = new URL(url);
+    if (parsedURL.protocol !== "http:" && parsedURL.protocol !== "https:") {
+      return;
+    }
+
+    const responseEnd = this.now();
+    const timings = { fetchStart, responseEnd };
+    let nextHopProtocol = "";
+
+    if (timingAllowCheck(this._globalObject, parsedURL, response)) {
+      const phases = response && response.timings;
+      function phaseEnd(phase) {
+        if (!phases || phases[phase] === undefined) {
+          return fetchStart;
+        }
+        return Math.min(fetchStart + phases[phase], responseEnd);
+      }
+
+      Object.assign(timings, {
+        domainLookupStart: phaseEnd("socket"),
+        domainLookupEnd: phaseEnd("lookup"),
+        connectStart: phaseEnd("lookup"),
+        connectEnd: phaseEnd("connect"),
+        requestStart: phaseEnd("connect"),
+        responseStart: phases ? phaseEnd("response") : responseEnd,
+        transferSize: bodySize + 300,
+        encodedBodySize: bodySize,
+        decodedBodySize: bodySize
+      });
+      if (parsedURL.protocol === "https:") {
+        timings.secureConnectionStart = timings.connectStart;
+      }
+      if (response && response.httpVersion) {
+        nextHopProtocol = `http/${response.httpVersion}`;
+      }
+    }
+
+    const entry = PerformanceResourceTiming.createImpl(this._globalObject, [], {
+      name: url,
+      initiatorType,
+      nextHopProtocol,
+      timings
+    });
+    this._addResourceTimingEntry(entry);
+  }
+
+  // https://w3c.github.io/resource-timing/#dfn-add-a-performanceresourcetiming-entry
+  // When the buffer is full, the resourcetimingbufferfull event is fired right away, and the entry is dropped if its
+  // listeners did not make room for it.
+  _addResourceTimingEntry(entry) {
+    this._queueEntry(entry);
+
+    if (this._resourceTimingBuffer.length >= this._resourceTimingBufferSize) {
+      fireAnEvent("resourcetimingbufferfull", this);
+    }
+    if (this._resourceTimingBuffer.length < this._resourceTimingBufferSize) {
+      this._resourceTimingBuffer.push(entry);
+    }
+  }
+
+  // Since the window stays the same when it navigates to another document, its timeline is started over instead, and
+  // the observers of the previous document are dropped.
+  _resetForNewDocument() {
+    this._entryBuffer = [];
+    this._resourceTimingBuffer = [];
+    this._navigationEntry = null;
+    this._registeredObservers.clear();
+  }
+}
+
+// https://fetch.spec.whatwg.org/#concept-tao-check
+function timingAllowCheck(globalObject, url, response) {
+  const { origin } = environmentSettings(globalObject);
+  if (url.origin === origin) {
+    return true;
+  }
+
+  const header = response && response.headers && response.headers["timing-allow-origin"];
+  if (!header) {
+    return false;
+  }
+  const values = header.split(",").map(value => value.trim());
+  return values.includes("*") || values.includes(origin);
 }
 
+setupForSimpleEventAccessors(PerformanceImpl.prototype, ["resourcetimingbufferfull"]);
+
 exports.implementation = PerformanceImpl;
@@ -128,6 +128,8 @@ const generatedInterfaces = {
   StorageEvent: require("./generated/StorageEvent"),
   ProgressEvent: require("./generated/ProgressEvent"),
   PageTransitionEvent: require("./generated/PageTransitionEvent"),
+  MediaQueryListEvent: require("./generated/MediaQueryListEvent"),
+  SubmitEvent: require("./generated/SubmitEvent"),
 
   UIEvent: require("./generated/UIEvent"),
   FocusEvent: require("./generated/FocusEvent"),
@@ -143,7 +145,15 @@ const generatedInterfaces = {
   Location: require("./generated/Location"),
   History: require("./generated/History"),
   Screen: require("./generated/Screen"),
+  MediaQueryList: require("./generated/MediaQueryList"),
   Performance: require("./generated/Performance"),
+  PerformanceEntry: require("./generated/PerformanceEntry"),
+  PerformanceMark: require("./generated/PerformanceMark"),
+  PerformanceMeasure: require("./generated/PerformanceMeasure"),
+  PerformanceResourceTiming: require("./generated/PerformanceResourceTiming"),
+  PerformanceNavigationTiming: require("./generated/PerformanceNavigationTiming"),
+  PerformanceObserver: require("./generated/PerformanceObserver"),
+  PerformanceObserverEntryList: require("./generated/PerformanceObserverEntryList"),
   Navigator: require("./generated/Navigator"),
 
   PluginArray: require("./generated/PluginArray"),
@@ -165,6 +175,12 @@ const generatedInterfaces = {
   XMLHttpRequestUpload: require("./generated/XMLHttpRequestUpload"),
   XMLHttpRequest: require("./generated/XMLHttpRequest"),
   WebSocket: require("./generated/WebSocket"),
+  MessageChannel: require("./generated/MessageChannel"),
+  MessagePort: require("./generated/MessagePort"),
+  BroadcastChannel: require("./generated/BroadcastChannel"),
+  Worker: require("./generated/Worker"),
+  WorkerLocation: require("./generated/WorkerLocation"),
+  WorkerNavigator: require("./generated/WorkerNavigator"),
 
   NodeFilter: require("./generated/NodeFilter"),
   NodeIterator: require("./generated/NodeIterator"),
@@ -184,6 +200,8 @@ const generatedInterfaces = {
   MutationRecord: require("./generated/MutationRecord"),
 
   Headers: require("./generated/Headers"),
+  Request: require("./generated/Request"),
+  Response: require("./generated/Response"),
   AbortController: require("./generated/AbortController"),
   AbortSignal: require("./generated/AbortSignal")
 };
@@ -202,6 +220,11 @@ exports.installInterfaces = (window, globalNames) => {
     generatedInterface.install(window, globalNames);
   }
 
+  // The rest is only exposed on Window.
+  if (!globalNames.includes("Window")) {
+    return;
+  }
+
   // Install legacy HTMLDocument interface
   // https://html.spec.whatwg.org/#htmldocument
   install(window, "HTMLDocument", window.Document);
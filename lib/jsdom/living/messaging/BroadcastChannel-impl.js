@@ -0,0 +1,99 @@
+"use strict";
+const DOMException = require("domexception/webidl2js-wrapper");
+const idlUtils = require("../generated/utils");
+const MessageEvent = require("../generated/MessageEvent");
+const EventTargetImpl = require("../events/EventTarget-impl").implementation;
+const { setupForSimpleEventAccessors } = require("../helpers/create-event-accessor");
+const { fireAnEvent } = require("../helpers/events");
+const { structuredSerialize, structuredDeserialize } = require("../helpers/structured-clone");
+
+// The BroadcastChannel objects created in each window, in creation order. Messages are delivered to the channels of
+// all windows in the same origin, as found through the windowsInSameOrigin list that the windows share. That list holds
+// either windows or their global proxies, so the channels are keyed by the global proxy, which both give access to.
+const channelsByWindow = new WeakMap();
+
+// https://html.spec.whatwg.org/multipage/web-messaging.html#broadcasting-to-other-browsing-contexts
+class BroadcastChannelImpl extends EventTargetImpl {
+  constructor(globalObject, args, privateData) {
+    super(globalObject, args, privateData);
+
+    this._ownerDocument = idlUtils.implForWrapper(globalObject._document);
+
+    this.name = args[0];
+    this._closed = false;
+
+    let channelsForWindow = channelsByWindow.get(globalObject._globalProxy);
+    if (channelsForWindow === undefined) {
+      channelsForWindow = new Set();
+      channelsByWindow.set(globalObject._globalProxy, channelsForWindow);
+    }
+    channelsForWindow.add(this);
+  }
+
+  // https://html.spec.whatwg.org/multipage/web-messaging.html#dom-broadcastchannel-postmessage
+  postMessage(message) {
+    if (this._closed) {
+      throw DOMException.create(this._globalObject, [
+        "Failed to execute 'postMessage' on 'BroadcastChannel': Channel is closed",
+        "InvalidStateError"
+      ]);
+    }
+
+    const serialized = structuredSerialize(message, this._globalObject);
+    const sourceOrigin = this._ownerDocument._origin;
+
+    const destinations = [];
+    for (const window of this._globalObject._currentOriginData.windowsInSameOrigin) {
+      const channelsForWindow = channelsByWindow.get(window._globalProxy);
+      if (channelsForWindow === undefined || !window._document) {
+        continue;
+      }
+
+      for (const channel of channelsForWindow) {
+        if (channel !== this && channel.name === this.name && channel._isEligibleForMessaging()) {
+          destinations.push(channel);
+        }
+      }
+    }
+
+    for (const destination of destinations) {
+      destination._globalObject._queueTask(() => {
+        if (destination._closed) {
+          return;
+        }
+
+        let data;
+        try {
+          data = structuredDeserialize(serialized, destination._globalObject);
+        } catch (e) {
+          fireAnEvent("messageerror", destination, MessageEvent, { origin: sourceOrigin });
+          return;
+        }
+
+        fireAnEvent("message", destination, MessageEvent, { data, origin: sourceOrigin });
+      });
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/web-messaging.html#dom-broadcastchannel-close
+  close() {
+    this._closed = true;
+
+    const channelsForWindow = channelsByWindow.get(this._globalObject._globalProxy);
+    if (channelsForWindow !== undefined) {
+      channelsForWindow.delete(this);
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/web-messaging.html#eligible-for-messaging
+  // Channels of a document that has since been navigated away from are not eligible, even if their window is.
+  _isEligibleForMessaging() {
+    return !this._closed && idlUtils.implForWrapper(this._globalObject._document) === this._ownerDocument;
+  }
+}
+
+setupForSimpleEventAccessors(BroadcastChannelImpl.prototype, ["message", "messageerror"]);
+
+module.exports = {
+  implementation: BroadcastChannelImpl
+};
@@ -0,0 +1,15 @@
+"use strict";
+const MessagePort = require("../generated/MessagePort");
+
+// https://html.spec.whatwg.org/multipage/web-messaging.html#dom-messagechannel
+class MessageChannelImpl {
+  constructor(globalObject) {
+    this.port1 = MessagePort.createImpl(globalObject, []);
+    this.port2 = MessagePort.createImpl(globalObject, []);
+    this.port1._entangle(this.port2);
+  }
+}
+
+module.exports = {
+  implementation: MessageChannelImpl
+};
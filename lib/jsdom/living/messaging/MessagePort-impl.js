@@ -0,0 +1,166 @@
+"use strict";
+const DOMException = require("domexception/webidl2js-wrapper");
+const idlUtils = require("../generated/utils");
+const MessageEvent = require("../generated/MessageEvent");
+const MessagePort = require("../generated/MessagePort");
+const EventTargetImpl = require("../events/EventTarget-impl").implementation;
+const { setupForSimpleEventAccessors } = require("../helpers/create-event-accessor");
+const { fireAnEvent } = require("../helpers/events");
+
+// Not destructured, since structured-clone.js itself requires this module through the generated MessagePort wrapper.
+const structuredClone = require("../helpers/structured-clone");
+
+class MessagePortImpl extends EventTargetImpl {
+  constructor(globalObject, args, privateData) {
+    super(globalObject, args, privateData);
+
+    // make event firing possible
+    this._ownerDocument = idlUtils.implForWrapper(globalObject._document);
+
+    this._entangledPort = null;
+    // The port message queue holds the results of StructuredSerializeWithTransfer() for the messages that have not
+    // been dispatched yet. It is handed over to the new port when this port is transferred.
+    this._messageQueue = [];
+    this._messageQueueEnabled = false;
+    this._detached = false;
+
+    // The object that messages arriving at this port are dispatched to. For the ports behind a Worker, that is the
+    // Worker object or the worker's global scope, instead of the port itself.
+    this._messageEventTarget = this;
+  }
+
+  // https://html.spec.whatwg.org/multipage/web-messaging.html#dom-messageport-postmessage
+  postMessage(message, transferOrOptions) {
+    let transfer = [];
+    if (Array.isArray(transferOrOptions)) {
+      transfer = transferOrOptions;
+    } else if (transferOrOptions !== undefined) {
+      ({ transfer } = transferOrOptions);
+    }
+
+    if (transfer.includes(idlUtils.wrapperForImpl(this))) {
+      throw DOMException.create(this._globalObject, [
+        "A MessagePort cannot be transferred through itself.",
+        "DataCloneError"
+      ]);
+    }
+
+    const targetPort = this._entangledPort;
+    const serializeWithTransferResult =
+      structuredClone.structuredSerializeWithTransfer(message, transfer, this._globalObject);
+
+    if (targetPort !== null) {
+      targetPort._enqueueMessage(serializeWithTransferResult);
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/web-messaging.html#dom-messageport-start
+  start() {
+    if (this._messageQueueEnabled) {
+      return;
+    }
+    this._messageQueueEnabled = true;
+
+    for (let i = 0; i < this._messageQueue.length; ++i) {
+      this._queueMessageDispatch();
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/web-messaging.html#dom-messageport-close
+  close() {
+    this._detached = true;
+    this._disentangle();
+  }
+
+  // https://html.spec.whatwg.org/multipage/web-messaging.html#entangle
+  _entangle(otherPort) {
+    this._disentangle();
+    otherPort._disentangle();
+
+    this._entangledPort = otherPort;
+    otherPort._entangledPort = this;
+  }
+
+  _disentangle() {
+    if (this._entangledPort !== null) {
+      this._entangledPort._entangledPort = null;
+      this._entangledPort = null;
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/web-messaging.html#message-ports:transfer-steps
+  _transferSteps(dataHolder) {
+    dataHolder.portMessageQueue = this._messageQueue;
+    dataHolder.remotePort = this._entangledPort;
+    this._detached = true;
+  }
+
+  // https://html.spec.whatwg.org/multipage/web-messaging.html#message-ports:transfer-receiving-steps
+  _transferReceivingSteps(dataHolder) {
+    this._messageQueue = dataHolder.portMessageQueue;
+    if (dataHolder.remotePort !== null) {
+      this._entangle(dataHolder.remotePort);
+    }
+  }
+
+  _enqueueMessage(serializeWithTransferResult) {
+    this._messageQueue.push(serializeWithTransferResult);
+
+    // A port that has been transferred keeps receiving messages until the new port is entangled in its place; those
+    // messages stay in the queue, which now belongs to the new port.
+    if (this._messageQueueEnabled && !this._detached) {
+      this._queueMessageDispatch();
+    }
+  }
+
+  // Each message is dispatched in a task of its own. The message is only taken off the queue when that task runs, so
+  // that closing or transferring the port in the meantime keeps it from being dispatched by this port.
+  _queueMessageDispatch() {
+    this._globalObject._queueTask(() => {
+      if (this._detached || this._messageQueue.length === 0) {
+        return;
+      }
+
+      const serializeWithTransferResult = this._messageQueue.shift();
+
+      let deserializeRecord;
+      try {
+        deserializeRecord =
+          structuredClone.structuredDeserializeWithTransfer(serializeWithTransferResult, this._globalObject);
+      } catch (e) {
+        fireAnEvent("messageerror", this._messageEventTarget, MessageEvent);
+        return;
+      }
+
+      fireAnEvent("message", this._messageEventTarget, MessageEvent, {
+        data: deserializeRecord.deserialized,
+        ports: transferredMessagePorts(deserializeRecord.transferredValues)
+      });
+    });
+  }
+}
+
+setupForSimpleEventAccessors(MessagePortImpl.prototype, ["message", "messageerror"]);
+
+// Setting onmessage, unlike adding a "message" event listener, implicitly starts the port.
+// https://html.spec.whatwg.org/multipage/web-messaging.html#message-ports:handler-messageeventtarget-onmessage
+const onmessageDescriptor = Object.getOwnPropertyDescriptor(MessagePortImpl.prototype, "onmessage");
+Object.defineProperty(MessagePortImpl.prototype, "onmessage", {
+  ...onmessageDescriptor,
+  get: onmessageDescriptor.get,
+  set(value) {
+    onmessageDescriptor.set.call(this, value);
+    this.start();
+  }
+});
+
+// Returns the impls of the MessagePorts among the values that StructuredDeserializeWithTransfer() transferred, for use
+// as a MessageEvent's ports.
+function transferredMessagePorts(transferredValues) {
+  return transferredValues.filter(value => MessagePort.is(value)).map(value => idlUtils.implForWrapper(value));
+}
+
+module.exports = {
+  implementation: MessagePortImpl,
+  transferredMessagePorts
+};
@@ -104,6 +104,8 @@ class CharacterDataImpl extends NodeImpl {
       }
     }
 
+    this._modified();
+
     if (this.nodeType === TEXT_NODE && this.parentNode) {
       this.parentNode._childTextContentChangeSteps();
     }
@@ -24,6 +24,7 @@ const NodeList = require("../generated/NodeList");
 const validateName = require("../helpers/validate-names").name;
 const { validateAndExtract } = require("../helpers/validate-names");
 const { fireAnEvent } = require("../helpers/events");
+const editingCommands = require("../helpers/editing-commands");
 const { shadowIncludingInclusiveDescendantsIterator } = require("../helpers/shadow-dom");
 const { enqueueCECallbackReaction } = require("../helpers/custom-elements");
 const { createElement, internalCreateElementNSSteps } = require("../helpers/create-element");
@@ -188,8 +189,24 @@ class DocumentImpl extends NodeImpl {
     this._requestManager = new RequestManager();
     this._currentDocumentReadiness = privateData.options.readyState || "loading";
 
+    // The PerformanceNavigationTiming entry of documents that are loaded into a window, which records the milestones
+    // of loading them.
+    this._navigationTiming = null;
+
     this._lastFocusedElement = null;
 
+    // https://html.spec.whatwg.org/multipage/interaction.html#design-mode-enabled
+    this._designMode = false;
+
+    // The history of the editing commands that have been executed in the document, and the mutations that the one in
+    // progress has made so far. See helpers/editing-commands.js.
+    this._undoStack = [];
+    this._redoStack = [];
+    this._editingMutations = null;
+
+    // https://fullscreen.spec.whatwg.org/#top-layer, which only holds modal dialogs in jsdom.
+    this._topLayer = [];
+
     this._resourceLoader = new PerDocumentResourceLoader(this);
 
     // Each Document in a browsing context can also have a latest entry. This is the entry for that Document
@@ -199,6 +216,10 @@ class DocumentImpl extends NodeImpl {
 
     // https://html.spec.whatwg.org/multipage/dynamic-markup-insertion.html#throw-on-dynamic-markup-insertion-counter
     this._throwOnDynamicMarkupInsertionCounter = 0;
+
+    // https://drafts.csswg.org/cssom-view/#document-list-of-media-query-list-objects
+    // Only holds the lists that have change listeners; see MediaQueryList-impl.js.
+    this._mediaQueryLists = new Set();
   }
 
   _getTheParent(event) {
@@ -274,10 +295,75 @@ class DocumentImpl extends NodeImpl {
     fireAnEvent("readystatechange", this);
   }
 
+  _recordNavigationTiming(milestone) {
+    if (this._navigationTiming !== null) {
+      this._navigationTiming._record(milestone);
+    }
+  }
+
   hasFocus() {
     return Boolean(this._lastFocusedElement);
   }
 
+  // https://html.spec.whatwg.org/multipage/interaction.html#making-entire-documents-editable:-the-designmode-idl-attribute
+  get designMode() {
+    return this._designMode ? "on" : "off";
+  }
+
+  set designMode(value) {
+    value = asciiLowercase(value);
+    if (value === "on" && !this._designMode) {
+      this._designMode = true;
+
+      const selection = this._defaultView ? this._defaultView._selection : null;
+      if (selection && selection._range !== null) {
+        selection.collapse(this, 0);
+      }
+    } else if (value === "off") {
+      this._designMode = false;
+    }
+  }
+
+  // https://w3c.github.io/editing/docs/execCommand/#methods-to-query-and-execute-commands
+  execCommand(commandId, showUI, value) {
+    this._assertEditingCommandsAreAvailable();
+    return editingCommands.execCommand(this, commandId, value);
+  }
+
+  queryCommandEnabled(commandId) {
+    this._assertEditingCommandsAreAvailable();
+    return editingCommands.queryCommandEnabled(this, commandId);
+  }
+
+  queryCommandIndeterm(commandId) {
+    this._assertEditingCommandsAreAvailable();
+    return editingCommands.queryCommandIndeterm(this, commandId);
+  }
+
+  queryCommandState(commandId) {
+    this._assertEditingCommandsAreAvailable();
+    return editingCommands.queryCommandState(this, commandId);
+  }
+
+  queryCommandSupported(commandId) {
+    this._assertEditingCommandsAreAvailable();
+    return editingCommands.queryCommandSupported(this, commandId);
+  }
+
+  queryCommandValue(commandId) {
+    this._assertEditingCommandsAreAvailable();
+    return editingCommands.queryCommandValue(this, commandId);
+  }
+
+  _assertEditingCommandsAreAvailable() {
+    if (this._parsingMode === "xml") {
+      throw DOMException.create(this._globalObject, [
+        "Editing commands can only be used in HTML documents",
+        "InvalidStateError"
+      ]);
+    }
+  }
+
   _descendantRemoved(parent, child) {
     if (child.tagName === "STYLE") {
       this.styleSheets._remove(child.sheet);
@@ -434,10 +520,16 @@ class DocumentImpl extends NodeImpl {
     // In some cases like when creating an empty iframe, I want to emit the
     // events right away to avoid problems if later I asign the property src.
     if (noQueue) {
+      this._recordNavigationTiming("domInteractive");
+      this._recordNavigationTiming("domComplete");
       this.readyState = "complete";
 
+      this._recordNavigationTiming("domContentLoadedEventStart");
       fireAnEvent("DOMContentLoaded", this, undefined, { bubbles: true });
+      this._recordNavigationTiming("domContentLoadedEventEnd");
+      this._recordNavigationTiming("loadEventStart");
       fireAnEvent("load", this);
+      this._recordNavigationTiming("loadEventEnd");
 
       return;
     }
@@ -449,8 +541,11 @@ class DocumentImpl extends NodeImpl {
       const doc = this;
       function dispatchEvent() {
         // https://html.spec.whatwg.org/#the-end
+        doc._recordNavigationTiming("domInteractive");
         doc.readyState = "interactive";
+        doc._recordNavigationTiming("domContentLoadedEventStart");
         fireAnEvent("DOMContentLoaded", doc, undefined, { bubbles: true });
+        doc._recordNavigationTiming("domContentLoadedEventEnd");
       }
 
       return new Promise(resolve => {
@@ -471,8 +566,11 @@ class DocumentImpl extends NodeImpl {
     const onLoad = () => {
       const doc = this;
       function dispatchEvent() {
+        doc._recordNavigationTiming("domComplete");
         doc.readyState = "complete";
+        doc._recordNavigationTiming("loadEventStart");
         fireAnEvent("load", doc);
+        doc._recordNavigationTiming("loadEventEnd");
       }
 
       return new Promise(resolve => {
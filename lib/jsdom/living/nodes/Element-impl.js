@@ -25,6 +25,7 @@ const ShadowRoot = require("../generated/ShadowRoot");
 const Text = require("../generated/Text");
 const { isValidHostElementName } = require("../helpers/shadow-dom");
 const { isValidCustomElementName, lookupCEDefinition } = require("../helpers/custom-elements");
+const { getLayoutBox, createRect } = require("../helpers/layout");
 
 function attachId(id, elm, doc) {
   if (id && elm && doc) {
@@ -358,43 +359,91 @@ class ElementImpl extends NodeImpl {
     return attr;
   }
 
-  getBoundingClientRect() {
-    return {
-      bottom: 0,
-      height: 0,
-      left: 0,
-      right: 0,
-      top: 0,
-      width: 0
-    };
+  // https://drafts.csswg.org/cssom-view/#dom-element-getclientrects
+  getClientRects() {
+    const box = getLayoutBox(this);
+    if (box === null) {
+      return [];
+    }
+
+    return box.rects;
   }
 
-  getClientRects() {
-    return [];
+  // https://drafts.csswg.org/cssom-view/#dom-element-getboundingclientrect
+  getBoundingClientRect() {
+    const list = this.getClientRects();
+    if (list.length === 0) {
+      return createRect();
+    }
+
+    const nonEmpty = list.filter(rect => rect.width !== 0 && rect.height !== 0);
+    if (nonEmpty.length === 0) {
+      return list[0];
+    }
+
+    const left = Math.min(...nonEmpty.map(rect => rect.left));
+    const top = Math.min(...nonEmpty.map(rect => rect.top));
+    const right = Math.max(...nonEmpty.map(rect => rect.right));
+    const bottom = Math.max(...nonEmpty.map(rect => rect.bottom));
+    return createRect(left, top, right - left, bottom - top);
   }
 
+  // https://drafts.csswg.org/cssom-view/#dom-element-scrollwidth
   get scrollWidth() {
-    return 0;
+    const box = getLayoutBox(this);
+    return box === null ? 0 : Math.round(box.scrollWidth);
   }
 
+  // https://drafts.csswg.org/cssom-view/#dom-element-scrollheight
   get scrollHeight() {
-    return 0;
+    const box = getLayoutBox(this);
+    return box === null ? 0 : Math.round(box.scrollHeight);
   }
 
+  // https://drafts.csswg.org/cssom-view/#dom-element-clienttop
   get clientTop() {
-    return 0;
+    const box = getLayoutBox(this);
+    return box === null ? 0 : Math.round(box.borderTop);
   }
 
+  // https://drafts.csswg.org/cssom-view/#dom-element-clientleft
   get clientLeft() {
-    return 0;
+    const box = getLayoutBox(this);
+    return box === null ? 0 : Math.round(box.borderLeft);
   }
 
+  // https://drafts.csswg.org/cssom-view/#dom-element-clientwidth
   get clientWidth() {
-    return 0;
+    const box = getLayoutBox(this);
+    if (box === null) {
+      return 0;
+    }
+    if (this._isViewportElement()) {
+      return this._ownerDocument._defaultView._viewport.width;
+    }
+    return Math.round(box.paddingBoxWidth);
   }
 
+  // https://drafts.csswg.org/cssom-view/#dom-element-clientheight
   get clientHeight() {
-    return 0;
+    const box = getLayoutBox(this);
+    if (box === null) {
+      return 0;
+    }
+    if (this._isViewportElement()) {
+      return this._ownerDocument._defaultView._viewport.height;
+    }
+    return Math.round(box.paddingBoxHeight);
+  }
+
+  // Whether this is the element whose client area is the viewport, i.e. the root element, or the body element in
+  // quirks mode.
+  _isViewportElement() {
+    const document = this._ownerDocument;
+    if (document.compatMode === "BackCompat") {
+      return this === document.body;
+    }
+    return this === document.documentElement;
   }
 
   // https://dom.spec.whatwg.org/#dom-element-attachshadow
@@ -435,6 +484,7 @@ class ElementImpl extends NodeImpl {
     const shadow = ShadowRoot.createImpl(this._globalObject, [], {
       ownerDocument: this.ownerDocument,
       mode: init.mode,
+      delegatesFocus: init.delegatesFocus,
       host: this
     });
 
@@ -1,6 +1,63 @@
 "use strict";
+const DOMException = require("domexception/webidl2js-wrapper");
+const { asciiLowercase } = require("../helpers/strings");
+const { contentEditableState, isEditingHost, isEditable } = require("../helpers/editing");
 
-class ElementContentEditableImpl { }
+// https://html.spec.whatwg.org/multipage/interaction.html#attr-inputmode
+const inputModeValues = new Set(["none", "text", "tel", "url", "email", "numeric", "decimal", "search"]);
+
+// https://html.spec.whatwg.org/multipage/interaction.html#attr-enterkeyhint
+const enterKeyHintValues = new Set(["enter", "done", "go", "next", "previous", "search", "send"]);
+
+class ElementContentEditableImpl {
+  // https://html.spec.whatwg.org/multipage/interaction.html#dom-contenteditable
+  get contentEditable() {
+    return contentEditableState(this);
+  }
+
+  set contentEditable(value) {
+    const lowerValue = asciiLowercase(value);
+    if (lowerValue === "inherit") {
+      this.removeAttributeNS(null, "contenteditable");
+    } else if (lowerValue === "true" || lowerValue === "false" || lowerValue === "plaintext-only") {
+      this.setAttributeNS(null, "contenteditable", lowerValue);
+    } else {
+      throw DOMException.create(this._globalObject, [
+        `"${value}" is not one of "true", "false", "plaintext-only" or "inherit"`,
+        "SyntaxError"
+      ]);
+    }
+  }
+
+  get isContentEditable() {
+    return isEditingHost(this) || isEditable(this);
+  }
+
+  // Both of these reflect their attributes, limited to only known values.
+  get inputMode() {
+    return limitedToKnownValues(this.getAttributeNS(null, "inputmode"), inputModeValues);
+  }
+
+  set inputMode(value) {
+    this.setAttributeNS(null, "inputmode", value);
+  }
+
+  get enterKeyHint() {
+    return limitedToKnownValues(this.getAttributeNS(null, "enterkeyhint"), enterKeyHintValues);
+  }
+
+  set enterKeyHint(value) {
+    this.setAttributeNS(null, "enterkeyhint", value);
+  }
+}
+
+function limitedToKnownValues(value, knownValues) {
+  if (value === null) {
+    return "";
+  }
+  const lowerValue = asciiLowercase(value);
+  return knownValues.has(lowerValue) ? lowerValue : "";
+}
 
 module.exports = {
   implementation: ElementContentEditableImpl
@@ -4,7 +4,7 @@ const { appendHandler, createEventAccessor } = require("../helpers/create-event-
 
 const events = new Set([
   "abort", "autocomplete",
-  "autocompleteerror", "blur",
+  "autocompleteerror", "beforeinput", "blur",
   "cancel", "canplay", "canplaythrough",
   "change", "click",
   "close", "contextmenu",
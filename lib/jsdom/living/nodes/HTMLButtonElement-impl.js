@@ -20,7 +20,7 @@ class HTMLButtonElementImpl extends HTMLElementImpl {
     const { form } = this;
     if (form && !isDisabled(this)) {
       if (this.type === "submit") {
-        form._doSubmit();
+        form._doRequestSubmit(this);
       }
       if (this.type === "reset") {
         form._doReset();
@@ -24,7 +24,10 @@ class HTMLDetailsElementImpl extends HTMLElementImpl {
       // Check that the attribute is added or removed, not merely changed
       if ((value !== oldValue && value !== null && oldValue === null) ||
           (value === null && oldValue !== null)) {
-        this._taskQueue = setTimeout(this._dispatchToggleEvent.bind(this), 0);
+        const window = this._ownerDocument._defaultView;
+        if (window) {
+          this._taskQueue = window._queueTask(() => this._dispatchToggleEvent());
+        }
       }
     }
   }
@@ -1,8 +1,166 @@
 "use strict";
 
+const DOMException = require("domexception/webidl2js-wrapper");
 const HTMLElementImpl = require("./HTMLElement-impl").implementation;
+const { fireAnEvent } = require("../helpers/events");
+const { isFocusableAreaElement } = require("../helpers/focusing");
+const { isInert } = require("../helpers/dialogs");
+const { isInclusiveAncestor } = require("../helpers/node");
+const { domSymbolTree } = require("../helpers/internal-constants");
 
-class HTMLDialogElementImpl extends HTMLElementImpl { }
+class HTMLDialogElementImpl extends HTMLElementImpl {
+  constructor(globalObject, args, privateData) {
+    super(globalObject, args, privateData);
+
+    this.returnValue = "";
+    this._isModal = false;
+    this._previouslyFocusedElement = null;
+  }
+
+  // https://html.spec.whatwg.org/multipage/interactive-elements.html#dom-dialog-show
+  show() {
+    if (this.hasAttributeNS(null, "open")) {
+      if (!this._isModal) {
+        return;
+      }
+      throw DOMException.create(this._globalObject, [
+        "The dialog is already open as a modal dialog.",
+        "InvalidStateError"
+      ]);
+    }
+
+    this.setAttributeNS(null, "open", "");
+    this._previouslyFocusedElement = this._ownerDocument._lastFocusedElement;
+    this._runDialogFocusingSteps();
+  }
+
+  // https://html.spec.whatwg.org/multipage/interactive-elements.html#dom-dialog-showmodal
+  showModal() {
+    if (this.hasAttributeNS(null, "open")) {
+      if (this._isModal) {
+        return;
+      }
+      throw DOMException.create(this._globalObject, [
+        "The dialog is already open as a non-modal dialog.",
+        "InvalidStateError"
+      ]);
+    }
+    if (!this.isConnected) {
+      throw DOMException.create(this._globalObject, ["The dialog is not connected.", "InvalidStateError"]);
+    }
+
+    this.setAttributeNS(null, "open", "");
+    this._isModal = true;
+    this._addToTopLayer();
+    this._previouslyFocusedElement = this._ownerDocument._lastFocusedElement;
+    this._runDialogFocusingSteps();
+  }
+
+  close(returnValue) {
+    this._close(returnValue === undefined ? null : returnValue);
+  }
+
+  // https://html.spec.whatwg.org/multipage/interactive-elements.html#close-the-dialog
+  _close(result) {
+    if (!this.hasAttributeNS(null, "open")) {
+      return;
+    }
+
+    const wasModal = this._isModal;
+    this.removeAttributeNS(null, "open");
+    this._removeFromTopLayer();
+
+    if (result !== null) {
+      this.returnValue = result;
+    }
+
+    if (this._previouslyFocusedElement !== null) {
+      const element = this._previouslyFocusedElement;
+      this._previouslyFocusedElement = null;
+
+      const focused = this._ownerDocument._lastFocusedElement;
+      if ((wasModal || (focused !== null && isInclusiveAncestor(this, focused))) && element.focus) {
+        element.focus();
+      }
+    }
+
+    const window = this._ownerDocument._defaultView;
+    if (window) {
+      window._queueTask(() => fireAnEvent("close", this));
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/interactive-elements.html#dialog-focusing-steps
+  _runDialogFocusingSteps() {
+    let control = null;
+    for (const descendant of domSymbolTree.treeIterator(this)) {
+      if (descendant === this || !isFocusableAreaElement(descendant)) {
+        continue;
+      }
+      if (descendant.hasAttributeNS(null, "autofocus")) {
+        control = descendant;
+        break;
+      }
+      if (control === null) {
+        control = descendant;
+      }
+    }
+    if (this.hasAttributeNS(null, "autofocus") || control === null) {
+      control = this;
+    }
+
+    if (isFocusableAreaElement(control)) {
+      control.focus();
+    }
+
+    // The focus fixup rule: a focused element which became inert loses focus.
+    const focused = this._ownerDocument._lastFocusedElement;
+    if (focused !== null && isInert(focused)) {
+      this._ownerDocument._lastFocusedElement = null;
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/interaction.html#close-requests
+  _requestClose() {
+    if (fireAnEvent("cancel", this, undefined, { cancelable: true })) {
+      this._close(null);
+    }
+  }
+
+  _addToTopLayer() {
+    const topLayer = this._ownerDocument._topLayer;
+    const index = topLayer.indexOf(this);
+    if (index !== -1) {
+      topLayer.splice(index, 1);
+    }
+    topLayer.push(this);
+  }
+
+  _removeFromTopLayer() {
+    const topLayer = this._ownerDocument._topLayer;
+    const index = topLayer.indexOf(this);
+    if (index !== -1) {
+      topLayer.splice(index, 1);
+    }
+    this._isModal = false;
+  }
+
+  _attrModified(name, value, oldValue) {
+    super._attrModified(name, value, oldValue);
+
+    // A modal dialog whose open attribute was removed directly no longer blocks the document.
+    if (name === "open" && value === null) {
+      this._removeFromTopLayer();
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/interactive-elements.html#the-dialog-element:html-element-removing-steps
+  _detach() {
+    super._detach();
+
+    this._removeFromTopLayer();
+  }
+}
 
 module.exports = {
   implementation: HTMLDialogElementImpl
@@ -3,12 +3,20 @@ const { mixin } = require("../../utils");
 const ElementImpl = require("./Element-impl").implementation;
 const MouseEvent = require("../generated/MouseEvent");
 const ElementCSSInlineStyleImpl = require("./ElementCSSInlineStyle-impl").implementation;
+const ElementContentEditableImpl = require("./ElementContentEditable-impl").implementation;
 const GlobalEventHandlersImpl = require("./GlobalEventHandlers-impl").implementation;
 const HTMLOrSVGElementImpl = require("./HTMLOrSVGElement-impl").implementation;
 const { firstChildWithLocalName } = require("../helpers/traversal");
 const { isDisabled } = require("../helpers/form-controls");
 const { fireAnEvent } = require("../helpers/events");
 const { asciiLowercase } = require("../helpers/strings");
+const { HTML_NS } = require("../helpers/namespaces");
+const { getLayoutBox } = require("../helpers/layout");
+const { getResolvedValue } = require("../helpers/style-rules");
+const { getTheText, renderedTextFragment } = require("../helpers/inner-text");
+const { domSymbolTree } = require("../helpers/internal-constants");
+const DOMException = require("domexception/webidl2js-wrapper");
+const NODE_TYPE = require("../node-type");
 
 class HTMLElementImpl extends ElementImpl {
   constructor(globalObject, args, privateData) {
@@ -117,6 +125,44 @@ class HTMLElementImpl extends ElementImpl {
     this.setAttributeNS(null, "dir", value);
   }
 
+  // https://html.spec.whatwg.org/multipage/dom.html#dom-innertext
+  get innerText() {
+    return getTheText(this);
+  }
+  set innerText(value) {
+    this._replaceAll(renderedTextFragment(value, this._ownerDocument));
+  }
+
+  // https://html.spec.whatwg.org/multipage/dom.html#dom-outertext
+  get outerText() {
+    return getTheText(this);
+  }
+  set outerText(value) {
+    const parent = domSymbolTree.parent(this);
+    if (parent === null) {
+      throw DOMException.create(this._globalObject, [
+        "Cannot set outerText on an element without a parent.",
+        "NoModificationAllowedError"
+      ]);
+    }
+
+    const next = domSymbolTree.nextSibling(this);
+    const previous = domSymbolTree.previousSibling(this);
+
+    const fragment = renderedTextFragment(value, this._ownerDocument);
+    if (!domSymbolTree.hasChildren(fragment)) {
+      fragment._append(this._ownerDocument.createTextNode(""));
+    }
+    parent._replace(fragment, this);
+
+    if (next !== null && isText(domSymbolTree.previousSibling(next))) {
+      mergeWithNextTextNode(domSymbolTree.previousSibling(next));
+    }
+    if (isText(previous)) {
+      mergeWithNextTextNode(previous);
+    }
+  }
+
   // Keep in sync with SVGElement. https://github.com/jsdom/jsdom/issues/2599
   _attrModified(name, value, oldValue) {
     if (name === "style" && value !== oldValue && !this._settingCssText) {
@@ -130,28 +176,92 @@ class HTMLElementImpl extends ElementImpl {
     super._attrModified.apply(this, arguments);
   }
 
+  // https://drafts.csswg.org/cssom-view/#dom-htmlelement-offsetparent
   get offsetParent() {
+    const document = this._ownerDocument;
+    if (this === document.documentElement || this === document.body || getLayoutBox(this) === null) {
+      return null;
+    }
+
+    const position = getResolvedValue(this, "position");
+    if (position === "fixed") {
+      return null;
+    }
+
+    for (let ancestor = this.parentElement; ancestor !== null; ancestor = ancestor.parentElement) {
+      if (ancestor === document.body) {
+        return ancestor;
+      }
+      if (getResolvedValue(ancestor, "position") !== "static") {
+        return ancestor;
+      }
+      if (position === "static" && ancestor._namespaceURI === HTML_NS &&
+          ["td", "th", "table"].includes(ancestor._localName)) {
+        return ancestor;
+      }
+    }
+
     return null;
   }
 
+  // https://drafts.csswg.org/cssom-view/#dom-htmlelement-offsettop
   get offsetTop() {
-    return 0;
+    return this._offsetCoordinate("y", "borderTop");
   }
 
+  // https://drafts.csswg.org/cssom-view/#dom-htmlelement-offsetleft
   get offsetLeft() {
-    return 0;
+    return this._offsetCoordinate("x", "borderLeft");
   }
 
+  _offsetCoordinate(axis, border) {
+    if (this === this._ownerDocument.body) {
+      return 0;
+    }
+
+    const box = getLayoutBox(this);
+    if (box === null) {
+      return 0;
+    }
+
+    // Like browsers, measure from the initial containing block, rather than from the padding edge of the offsetParent,
+    // when the offsetParent is a non-positioned body element.
+    const { offsetParent } = this;
+    const parentBox = offsetParent === null ? null : getLayoutBox(offsetParent);
+    if (parentBox === null ||
+        (offsetParent === this._ownerDocument.body && getResolvedValue(offsetParent, "position") === "static")) {
+      return Math.round(box[axis]);
+    }
+
+    return Math.round(box[axis] - parentBox[axis] - parentBox[border]);
+  }
+
+  // https://drafts.csswg.org/cssom-view/#dom-htmlelement-offsetwidth
   get offsetWidth() {
-    return 0;
+    return Math.round(this.getBoundingClientRect().width);
   }
 
+  // https://drafts.csswg.org/cssom-view/#dom-htmlelement-offsetheight
   get offsetHeight() {
-    return 0;
+    return Math.round(this.getBoundingClientRect().height);
+  }
+}
+
+function isText(node) {
+  return node !== null && (node.nodeType === NODE_TYPE.TEXT_NODE || node.nodeType === NODE_TYPE.CDATA_SECTION_NODE);
+}
+
+// https://html.spec.whatwg.org/multipage/dom.html#merge-with-the-next-text-node
+function mergeWithNextTextNode(node) {
+  const next = domSymbolTree.nextSibling(node);
+  if (isText(next)) {
+    node.appendData(next._data);
+    domSymbolTree.parent(next)._remove(next);
   }
 }
 
 mixin(HTMLElementImpl.prototype, ElementCSSInlineStyleImpl.prototype);
+mixin(HTMLElementImpl.prototype, ElementContentEditableImpl.prototype);
 mixin(HTMLElementImpl.prototype, GlobalEventHandlersImpl.prototype);
 mixin(HTMLElementImpl.prototype, HTMLOrSVGElementImpl.prototype);
 
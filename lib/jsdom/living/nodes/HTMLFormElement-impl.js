@@ -4,11 +4,16 @@ const DOMException = require("domexception/webidl2js-wrapper");
 const { serializeURL } = require("whatwg-url");
 const HTMLElementImpl = require("./HTMLElement-impl").implementation;
 const { domSymbolTree } = require("../helpers/internal-constants");
+const { closest } = require("../helpers/traversal");
 const { fireAnEvent } = require("../helpers/events");
 const { formOwner, isListed, isSubmittable, isSubmitButton } = require("../helpers/form-controls");
+const { urlencodedSerialize, multipartFormDataEncode, textPlainEncode } = require("../helpers/form-submission");
+const { constructTheEntryList } = require("../xhr/FormData-impl");
 const HTMLCollection = require("../generated/HTMLCollection");
+const SubmitEvent = require("../generated/SubmitEvent");
 const notImplemented = require("../../browser/not-implemented");
 const { parseURLToResultingURLRecord } = require("../helpers/document-base-url");
+const { navigate } = require("../window/navigation");
 
 const encTypes = new Set([
   "application/x-www-form-urlencoded",
@@ -72,20 +77,23 @@ class HTMLFormElementImpl extends HTMLElementImpl {
     return this.elements.length;
   }
 
-  _doSubmit() {
+  constructor(globalObject, args, privateData) {
+    super(globalObject, args, privateData);
+
+    this._firingSubmissionEvents = false;
+    this._plannedNavigation = null;
+  }
+
+  _doRequestSubmit(submitter) {
     if (!this.isConnected) {
       return;
     }
 
-    this.submit();
+    this.requestSubmit(submitter);
   }
 
   submit() {
-    if (!fireAnEvent("submit", this, undefined, { bubbles: true, cancelable: true })) {
-      return;
-    }
-
-    notImplemented("HTMLFormElement.prototype.submit", this._ownerDocument._defaultView);
+    this._submit(this, { submittedFromSubmitMethod: true });
   }
 
   requestSubmit(submitter = undefined) {
@@ -99,13 +107,149 @@ class HTMLFormElementImpl extends HTMLElementImpl {
           "NotFoundError"
         ]);
       }
+    } else {
+      submitter = this;
+    }
+
+    this._submit(submitter);
+  }
+
+  // https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#concept-form-submit
+  _submit(submitter, { submittedFromSubmitMethod = false } = {}) {
+    // "Cannot navigate"; forms are not submitted if they are not connected.
+    if (!this.isConnected) {
+      return;
+    }
+
+    const formDocument = this._ownerDocument;
+    const window = formDocument._defaultView;
+
+    if (!submittedFromSubmitMethod) {
+      if (this._firingSubmissionEvents) {
+        return;
+      }
+
+      this._firingSubmissionEvents = true;
+
+      // We don't have a user to show validation messages to, so interactive validation is the same as static.
+      const noValidate = (submitter !== this && submitter.hasAttributeNS(null, "formnovalidate")) ||
+                         this.hasAttributeNS(null, "novalidate");
+      if (!noValidate && !this.reportValidity()) {
+        this._firingSubmissionEvents = false;
+        return;
+      }
+
+      const shouldContinue = fireAnEvent("submit", this, SubmitEvent, {
+        bubbles: true,
+        cancelable: true,
+        submitter: submitter === this ? null : submitter
+      });
+
+      this._firingSubmissionEvents = false;
+
+      if (!shouldContinue) {
+        return;
+      }
+    }
+
+    const methodValue = this._getSubmitterAttribute(submitter, "formmethod", "method");
+    const method = enumeratedAttributeValue(methodValue, methods, "get");
+
+    if (method === "dialog") {
+      const dialog = closest(this, "dialog");
+      if (dialog === null) {
+        return;
+      }
+
+      // Image buttons that were activated without a pointer select the coordinate (0, 0).
+      let result = null;
+      if (submitter._localName === "input" && submitter.type === "image") {
+        result = "0,0";
+      } else if (submitter !== this && submitter.hasAttributeNS(null, "value")) {
+        result = submitter.getAttributeNS(null, "value");
+      }
+      dialog._close(result);
+      return;
     }
 
-    if (!fireAnEvent("submit", this, undefined, { bubbles: true, cancelable: true })) {
+    const entryList = constructTheEntryList(this, submitter);
+
+    let action = this._getSubmitterAttribute(submitter, "formaction", "action");
+    if (action === null || action === "") {
+      action = formDocument.URL;
+    }
+
+    const parsedAction = parseURLToResultingURLRecord(action, submitter._ownerDocument);
+    if (parsedAction === null) {
+      return;
+    }
+
+    const enctypeValue = this._getSubmitterAttribute(submitter, "formenctype", "enctype");
+    const enctype = enumeratedAttributeValue(enctypeValue, encTypes, "application/x-www-form-urlencoded");
+
+    // Not implemented: target="" and formtarget=""; the form's own browsing context is always navigated.
+    if (!window) {
       return;
     }
 
-    notImplemented("HTMLFormElement.prototype.requestSubmit", this._ownerDocument._defaultView);
+    const { scheme } = parsedAction;
+
+    if (scheme === "http" || scheme === "https" || scheme === "file" || scheme === "data") {
+      if (method === "get") {
+        // Mutate action URL
+        this._planToNavigate(window, { ...parsedAction, query: urlencodedSerialize(entryList) });
+      } else if (scheme === "data") {
+        notImplemented("form submission to data: URLs using POST", window);
+      } else if (scheme === "file") {
+        // Get action URL
+        this._planToNavigate(window, parsedAction);
+      } else {
+        // Submit as entity body
+        let body;
+        let contentType;
+        if (enctype === "multipart/form-data") {
+          ({ body, contentType } = multipartFormDataEncode(entryList));
+        } else if (enctype === "text/plain") {
+          body = Buffer.from(textPlainEncode(entryList));
+          contentType = "text/plain";
+        } else {
+          body = Buffer.from(urlencodedSerialize(entryList));
+          contentType = "application/x-www-form-urlencoded";
+        }
+
+        this._planToNavigate(window, parsedAction, {
+          method: "POST",
+          body,
+          headers: { "Content-Type": contentType }
+        });
+      }
+    } else if (scheme === "ftp" || scheme === "javascript") {
+      // Get action URL
+      this._planToNavigate(window, parsedAction);
+    } else if (scheme === "mailto") {
+      notImplemented("form submission to mailto: URLs", window);
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#plan-to-navigate
+  _planToNavigate(window, url, request = undefined) {
+    if (this._plannedNavigation !== null) {
+      window._cancelTask(this._plannedNavigation);
+    }
+
+    this._plannedNavigation = window._queueTask(() => {
+      this._plannedNavigation = null;
+      navigate(window, url, { navigationType: "form-submission", request });
+    });
+  }
+
+  // Returns the value of the submitter's overriding attribute (such as formaction="") if it has one, or else the
+  // value of the form's own attribute.
+  _getSubmitterAttribute(submitter, submitterAttribute, formAttribute) {
+    if (submitter !== this && submitter.hasAttributeNS(null, submitterAttribute)) {
+      return submitter.getAttributeNS(null, submitterAttribute);
+    }
+    return this.getAttributeNS(null, formAttribute);
   }
 
   _doReset() {
@@ -129,15 +273,7 @@ class HTMLFormElementImpl extends HTMLElementImpl {
   }
 
   get method() {
-    let method = this.getAttributeNS(null, "method");
-    if (method) {
-      method = method.toLowerCase();
-    }
-
-    if (methods.has(method)) {
-      return method;
-    }
-    return "get";
+    return enumeratedAttributeValue(this.getAttributeNS(null, "method"), methods, "get");
   }
 
   set method(V) {
@@ -145,15 +281,8 @@ class HTMLFormElementImpl extends HTMLElementImpl {
   }
 
   get enctype() {
-    let type = this.getAttributeNS(null, "enctype");
-    if (type) {
-      type = type.toLowerCase();
-    }
-
-    if (encTypes.has(type)) {
-      return type;
-    }
-    return "application/x-www-form-urlencoded";
+    const value = this.getAttributeNS(null, "enctype");
+    return enumeratedAttributeValue(value, encTypes, "application/x-www-form-urlencoded");
   }
 
   set enctype(V) {
@@ -221,6 +350,17 @@ class HTMLFormElementImpl extends HTMLElementImpl {
   }
 }
 
+function enumeratedAttributeValue(value, keywords, defaultValue) {
+  if (value) {
+    value = value.toLowerCase();
+  }
+
+  if (keywords.has(value)) {
+    return value;
+  }
+  return defaultValue;
+}
+
 module.exports = {
   implementation: HTMLFormElementImpl
 };
@@ -129,13 +129,16 @@ function loadFrame(frame, attaching) {
     parsingMode: "html",
     url: url.scheme === "javascript" || serializedURL === "about:blank" ? parentDoc.URL : serializedURL,
     resourceLoader: parentDoc._defaultView._resourceLoader,
+    layoutEngine: parentDoc._defaultView._layoutEngine,
+    clock: parentDoc._defaultView._clock,
     referrer: parentDoc.URL,
     cookieJar: parentDoc._cookieJar,
     pool: parentDoc._pool,
     encoding: parentDoc._encoding,
     runScripts: parentDoc._defaultView._runScripts,
     commonForOrigin: parentDoc._defaultView._commonForOrigin,
-    pretendToBeVisual: parentDoc._defaultView._pretendToBeVisual
+    pretendToBeVisual: parentDoc._defaultView._pretendToBeVisual,
+    colorScheme: parentDoc._defaultView._colorScheme
   });
 
   const contentDoc = frame._contentDocument = idlUtils.implForWrapper(wnd._document);
@@ -77,9 +77,9 @@ exports.implementation = class HTMLHyperlinkElementUtilsImpl {
     }
 
     // TODO: Handle hyperlink suffix and referrerpolicy
-    setTimeout(() => {
+    target._queueTask(() => {
       navigate(target, url, {});
-    }, 0);
+    });
   }
 
   toString() {
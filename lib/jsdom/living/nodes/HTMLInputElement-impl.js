@@ -111,6 +111,7 @@ class HTMLInputElementImpl extends HTMLElementImpl {
     this._selectionDirection = "none";
     this._value = "";
     this._dirtyValue = false;
+    this._valueChangedByUser = false;
     this._checkedness = false;
     this._dirtyCheckedness = false;
 
@@ -199,7 +200,7 @@ class HTMLInputElementImpl extends HTMLElementImpl {
       fireAnEvent("input", this, undefined, { bubbles: true });
       fireAnEvent("change", this, undefined, { bubbles: true });
     } else if (form && this.type === "submit") {
-      form._doSubmit();
+      form._doRequestSubmit(this);
     } else if (form && this.type === "reset") {
       form._doReset();
     }
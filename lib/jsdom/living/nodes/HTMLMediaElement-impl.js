@@ -1,41 +1,87 @@
 "use strict";
 const DOMException = require("domexception/webidl2js-wrapper");
+const { serializeURL } = require("whatwg-url");
 const HTMLElementImpl = require("./HTMLElement-impl").implementation;
 const notImplemented = require("../../browser/not-implemented");
 const { fireAnEvent } = require("../helpers/events");
+const { parseURLToResultingURLRecord } = require("../helpers/document-base-url");
+const { parseFloatingPointNumber } = require("../helpers/strings");
+const { domSymbolTree } = require("../helpers/internal-constants");
+const { HTML_NS } = require("../helpers/namespaces");
+const idlUtils = require("../generated/utils");
+
+const NETWORK_EMPTY = 0;
+const NETWORK_IDLE = 1;
+const NETWORK_LOADING = 2;
+const NETWORK_NO_SOURCE = 3;
+
+const HAVE_NOTHING = 0;
+const HAVE_METADATA = 1;
+const HAVE_CURRENT_DATA = 2;
+const HAVE_FUTURE_DATA = 3;
+const HAVE_ENOUGH_DATA = 4;
+
+// jsdom does not decode media, so playback is simulated: once the duration of a resource is known, all of its data is
+// considered available, and the current playback position advances by this many milliseconds of the window's timers
+// per timeupdate event.
+const TIMEUPDATE_INTERVAL = 250;
+
+function createTimeRanges(globalObject, ranges = []) {
+  function checkIndex(index) {
+    if (index >= ranges.length) {
+      throw DOMException.create(globalObject, ["The index is not in the allowed range.", "IndexSizeError"]);
+    }
+  }
 
-function getTimeRangeDummy() {
   return {
-    length: 0,
-    start() {
-      return 0;
+    length: ranges.length,
+    start(index) {
+      checkIndex(index);
+      return ranges[index][0];
     },
-    end() {
-      return 0;
+    end(index) {
+      checkIndex(index);
+      return ranges[index][1];
     }
   };
 }
 
+function parseDuration(value) {
+  if (value.trim() === "Infinity") {
+    return Infinity;
+  }
+  const duration = parseFloatingPointNumber(value);
+  return duration !== null && duration >= 0 ? duration : null;
+}
+
 class HTMLMediaElementImpl extends HTMLElementImpl {
   constructor(globalObject, args, privateData) {
     super(globalObject, args, privateData);
 
     this._muted = false;
     this._volume = 1.0;
-    this.readyState = 0;
-    this.networkState = 0;
-    this.currentTime = 0;
+    this.readyState = HAVE_NOTHING;
+    this.networkState = NETWORK_EMPTY;
+    this._currentTime = 0;
     this.currentSrc = "";
-    this.buffered = getTimeRangeDummy();
+    this.buffered = createTimeRanges(globalObject);
     this.seeking = false;
     this.duration = NaN;
     this.paused = true;
-    this.played = getTimeRangeDummy();
-    this.seekable = getTimeRangeDummy();
-    this.ended = false;
+    this.played = createTimeRanges(globalObject);
+    this.seekable = createTimeRanges(globalObject);
     this.audioTracks = [];
     this.videoTracks = [];
     this.textTracks = [];
+
+    // Incremented by the load algorithm, to drop the tasks and resource fetches of earlier loads.
+    this._loadGeneration = 0;
+    this._seekGeneration = 0;
+    this._pendingPlayPromises = [];
+    this._canAutoplay = true;
+    this._defaultPlaybackStartPosition = 0;
+    this._playbackTimer = null;
+    this._sourceNotSupported = false;
   }
   // Implemented accoring to W3C Draft 22 August 2012
   set defaultPlaybackRate(v) {
@@ -104,20 +150,444 @@ class HTMLMediaElementImpl extends HTMLElementImpl {
     }
   }
 
-  // Not (yet) implemented according to spec
-  // Should return sane default values
+  get currentTime() {
+    return this._currentTime;
+  }
+  set currentTime(v) {
+    if (this.readyState === HAVE_NOTHING) {
+      this._defaultPlaybackStartPosition = v;
+    } else {
+      this._seek(v);
+    }
+  }
+
+  get ended() {
+    return this._hasEndedPlayback() && this.playbackRate >= 0;
+  }
+
+  _attrModified(name, value, oldValue) {
+    // https://html.spec.whatwg.org/multipage/media.html#location-of-the-media-resource
+    if (name === "src" && value !== null) {
+      this._load();
+    }
+
+    super._attrModified(name, value, oldValue);
+  }
+
+  _descendantAdded(parent, child) {
+    if (parent === this && child._namespaceURI === HTML_NS && child._localName === "source" &&
+        !this.hasAttributeNS(null, "src") && this.networkState === NETWORK_EMPTY) {
+      this._selectResource();
+    }
+
+    super._descendantAdded(parent, child);
+  }
+
+  _detach() {
+    super._detach();
+
+    // https://html.spec.whatwg.org/multipage/media.html#playing-the-media-resource:remove-an-element-from-a-document
+    this._queueMediaElementTask(() => {
+      if (!this._attached) {
+        this._internalPauseSteps();
+      }
+    });
+  }
+
+  // Media element tasks are queued on the window's clock, so that tests can control them along with the playback
+  // itself, while the page's own timer functions cannot interfere with them. Tasks queued before the load algorithm
+  // last ran are dropped.
+  _queueMediaElementTask(steps) {
+    const window = this._ownerDocument._defaultView;
+    if (!window) {
+      return;
+    }
+
+    const generation = this._loadGeneration;
+    window._queueTask(() => {
+      if (generation === this._loadGeneration) {
+        steps();
+      }
+    });
+  }
+
+  _fireEventSoon(type) {
+    this._queueMediaElementTask(() => fireAnEvent(type, this));
+  }
+
+  _takePendingPlayPromises() {
+    const promises = this._pendingPlayPromises;
+    this._pendingPlayPromises = [];
+    return promises;
+  }
+
+  _rejectPlayPromises(promises, message, name) {
+    for (const { reject } of promises) {
+      reject(DOMException.create(this._globalObject, [message, name]));
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/media.html#media-element-load-algorithm
+  _load() {
+    this._loadGeneration++;
+    this._stopPlaybackClock();
+
+    if (this.networkState === NETWORK_LOADING || this.networkState === NETWORK_IDLE) {
+      this._fireEventSoon("abort");
+    }
+
+    if (this.networkState !== NETWORK_EMPTY) {
+      this._fireEventSoon("emptied");
+      this.networkState = NETWORK_EMPTY;
+      this.readyState = HAVE_NOTHING;
+      if (!this.paused) {
+        this.paused = true;
+        const message = "The play() request was interrupted by a new load.";
+        this._rejectPlayPromises(this._takePendingPlayPromises(), message, "AbortError");
+      }
+      this.seeking = false;
+      if (this._currentTime !== 0) {
+        this._currentTime = 0;
+        this._fireEventSoon("timeupdate");
+      }
+      this.duration = NaN;
+      this.buffered = createTimeRanges(this._globalObject);
+      this.seekable = createTimeRanges(this._globalObject);
+    }
+
+    this._playbackRate = this.defaultPlaybackRate;
+    this._sourceNotSupported = false;
+    this._canAutoplay = true;
+
+    this._selectResource();
+  }
+
+  // https://html.spec.whatwg.org/multipage/media.html#concept-media-load-algorithm
+  _selectResource() {
+    this.networkState = NETWORK_NO_SOURCE;
+
+    // The rest of the algorithm waits for a stable state, so that scripts can finish setting up <source> elements.
+    const generation = this._loadGeneration;
+    Promise.resolve().then(() => {
+      if (generation !== this._loadGeneration) {
+        return;
+      }
+
+      if (this.hasAttributeNS(null, "src")) {
+        const url = parseURLToResultingURLRecord(this.getAttributeNS(null, "src"), this._ownerDocument);
+        this._fetchCandidates([{ element: this, url }], () => this._dedicatedMediaSourceFailure());
+        return;
+      }
+
+      const candidates = [];
+      for (const child of domSymbolTree.childrenIterator(this)) {
+        if (child._namespaceURI === HTML_NS && child._localName === "source" && child.hasAttributeNS(null, "src")) {
+          const url = parseURLToResultingURLRecord(child.getAttributeNS(null, "src"), this._ownerDocument);
+          candidates.push({ element: child, url });
+        }
+      }
+
+      if (candidates.length === 0) {
+        this.networkState = NETWORK_EMPTY;
+        return;
+      }
+      // When every <source> fails, the element waits for another one to be inserted.
+      this._fetchCandidates(candidates, () => {});
+    });
+  }
+
+  // Tries each candidate resource in turn, until one provides a duration.
+  _fetchCandidates(candidates, onExhausted) {
+    const generation = this._loadGeneration;
+    const [candidate, ...remaining] = candidates;
+
+    if (candidate.url === null) {
+      this._candidateFailed(candidate, remaining, onExhausted);
+      return;
+    }
+
+    this.currentSrc = serializeURL(candidate.url);
+    this.networkState = NETWORK_LOADING;
+    this._fireEventSoon("loadstart");
+
+    const window = this._ownerDocument._defaultView;
+    new Promise(resolve => resolve(this._getMediaMetadata(candidate))).then(metadata => {
+      if (generation !== this._loadGeneration) {
+        return;
+      }
+
+      const duration = metadata ? metadata.duration : undefined;
+      if (typeof duration !== "number" || Number.isNaN(duration) || duration < 0) {
+        this._candidateFailed(candidate, remaining, onExhausted);
+      } else {
+        this._queueMediaElementTask(() => this._loadedMetadata(duration));
+      }
+    }, error => {
+      if (generation !== this._loadGeneration) {
+        return;
+      }
+
+      const err = new Error(`Could not load ${this.localName}: "${this.currentSrc}"`);
+      err.type = "resource loading";
+      err.detail = error;
+      window._virtualConsole.emit("jsdomError", err);
+
+      this._candidateFailed(candidate, remaining, onExhausted);
+    });
+  }
+
+  _candidateFailed(candidate, remaining, onExhausted) {
+    if (candidate.element !== this) {
+      this._queueMediaElementTask(() => fireAnEvent("error", candidate.element));
+    }
+
+    if (remaining.length > 0) {
+      this._fetchCandidates(remaining, onExhausted);
+    } else {
+      onExhausted();
+    }
+  }
+
+  // The duration comes from a data-duration attribute on the <source> or media element, or else from the resource
+  // loader.
+  _getMediaMetadata({ element, url }) {
+    for (const el of [element, this]) {
+      const value = el.getAttributeNS(null, "data-duration");
+      if (value !== null) {
+        const duration = parseDuration(value);
+        return duration === null ? null : { duration };
+      }
+    }
+
+    const window = this._ownerDocument._defaultView;
+    if (!window) {
+      return null;
+    }
+    return window._resourceLoader.getMediaMetadata(serializeURL(url), {
+      element: idlUtils.wrapperForImpl(this)
+    });
+  }
+
+  // https://html.spec.whatwg.org/multipage/media.html#dedicated-media-source-failure-steps
+  _dedicatedMediaSourceFailure() {
+    this._queueMediaElementTask(() => {
+      this._sourceNotSupported = true;
+      this.networkState = NETWORK_NO_SOURCE;
+      fireAnEvent("error", this);
+      const message = "The media resource is not supported.";
+      this._rejectPlayPromises(this._takePendingPlayPromises(), message, "NotSupportedError");
+    });
+  }
+
+  // All of the media data is available as soon as the metadata is, so this goes straight to HAVE_ENOUGH_DATA.
+  // https://html.spec.whatwg.org/multipage/media.html#getting-media-metadata
+  _loadedMetadata(duration) {
+    this.duration = duration;
+    this.readyState = HAVE_METADATA;
+    this.buffered = createTimeRanges(this._globalObject, [[0, duration]]);
+    this.seekable = createTimeRanges(this._globalObject, [[0, duration]]);
+    fireAnEvent("durationchange", this);
+    fireAnEvent("loadedmetadata", this);
+
+    if (this._defaultPlaybackStartPosition > 0) {
+      this._seek(this._defaultPlaybackStartPosition);
+      this._defaultPlaybackStartPosition = 0;
+    }
+
+    this.networkState = NETWORK_IDLE;
+    this.readyState = HAVE_CURRENT_DATA;
+    fireAnEvent("loadeddata", this);
+
+    this.readyState = HAVE_ENOUGH_DATA;
+    fireAnEvent("canplay", this);
+    if (!this.paused) {
+      this._notifyAboutPlaying();
+    } else if (this._canAutoplay && this.hasAttributeNS(null, "autoplay")) {
+      this.paused = false;
+      this._canAutoplay = false;
+      fireAnEvent("play", this);
+      this._notifyAboutPlaying();
+    }
+    fireAnEvent("canplaythrough", this);
+  }
+
+  // https://html.spec.whatwg.org/multipage/media.html#notify-about-playing
+  _notifyAboutPlaying() {
+    const promises = this._takePendingPlayPromises();
+    this._queueMediaElementTask(() => {
+      fireAnEvent("playing", this);
+      for (const { resolve } of promises) {
+        resolve();
+      }
+    });
+    this._updatePlaybackClock();
+  }
+
+  // https://html.spec.whatwg.org/multipage/media.html#ended-playback
+  _hasEndedPlayback() {
+    if (this.readyState < HAVE_METADATA) {
+      return false;
+    }
+    if (this.playbackRate >= 0) {
+      return this._currentTime === this.duration && !this.hasAttributeNS(null, "loop");
+    }
+    return this._currentTime === 0;
+  }
+
+  // https://html.spec.whatwg.org/multipage/media.html#potentially-playing
+  _isPotentiallyPlaying() {
+    return !this.paused && !this.seeking && this.readyState >= HAVE_FUTURE_DATA && !this._hasEndedPlayback();
+  }
+
+  _updatePlaybackClock() {
+    const window = this._ownerDocument._defaultView;
+    if (!this._isPotentiallyPlaying() || !window) {
+      this._stopPlaybackClock();
+    } else if (this._playbackTimer === null) {
+      this._playbackTimer = window._queueTask(() => {
+        this._playbackTimer = null;
+        this._advancePlayback();
+      }, TIMEUPDATE_INTERVAL);
+    }
+  }
+
+  _stopPlaybackClock() {
+    if (this._playbackTimer !== null) {
+      const window = this._ownerDocument._defaultView;
+      if (window) {
+        window._cancelTask(this._playbackTimer);
+      }
+      this._playbackTimer = null;
+    }
+  }
+
+  _advancePlayback() {
+    if (!this._isPotentiallyPlaying()) {
+      return;
+    }
+
+    const newTime = this._currentTime + TIMEUPDATE_INTERVAL / 1000 * this.playbackRate;
+    this._currentTime = Math.min(Math.max(newTime, 0), this.duration);
+    if (this._currentTime === this.duration && this.playbackRate > 0) {
+      this._reachedEnd();
+      return;
+    }
+
+    fireAnEvent("timeupdate", this);
+    this._updatePlaybackClock();
+  }
+
+  // https://html.spec.whatwg.org/multipage/media.html#reaches-the-end
+  _reachedEnd() {
+    if (this.hasAttributeNS(null, "loop")) {
+      this._seek(0);
+      return;
+    }
+
+    fireAnEvent("timeupdate", this);
+    if (!this.paused) {
+      this.paused = true;
+      fireAnEvent("pause", this);
+      this._rejectPlayPromises(this._takePendingPlayPromises(), "The media playback has ended.", "AbortError");
+    }
+    fireAnEvent("ended", this);
+  }
+
+  // Seeking completes as soon as the next task runs, as all of the media data is available.
+  // https://html.spec.whatwg.org/multipage/media.html#dom-media-seek
+  _seek(newTime) {
+    this.seeking = true;
+    this._stopPlaybackClock();
+    this._currentTime = Math.max(Math.min(newTime, this.duration), 0);
+
+    const generation = ++this._seekGeneration;
+    this._fireEventSoon("seeking");
+    this._queueMediaElementTask(() => {
+      if (generation !== this._seekGeneration) {
+        return;
+      }
+      this.seeking = false;
+      fireAnEvent("timeupdate", this);
+      fireAnEvent("seeked", this);
+      this._updatePlaybackClock();
+    });
+  }
+
+  // https://html.spec.whatwg.org/multipage/media.html#internal-play-steps
+  _internalPlaySteps() {
+    if (this.networkState === NETWORK_EMPTY) {
+      this._selectResource();
+    }
+
+    if (this._hasEndedPlayback() && this.playbackRate >= 0) {
+      this._seek(0);
+    }
+
+    if (this.paused) {
+      this.paused = false;
+      this._fireEventSoon("play");
+      if (this.readyState <= HAVE_CURRENT_DATA) {
+        this._fireEventSoon("waiting");
+      } else {
+        this._notifyAboutPlaying();
+      }
+    } else if (this.readyState >= HAVE_FUTURE_DATA) {
+      const promises = this._takePendingPlayPromises();
+      this._queueMediaElementTask(() => {
+        for (const { resolve } of promises) {
+          resolve();
+        }
+      });
+    }
+
+    this._canAutoplay = false;
+  }
+
+  // https://html.spec.whatwg.org/multipage/media.html#internal-pause-steps
+  _internalPauseSteps() {
+    this._canAutoplay = false;
+
+    if (!this.paused) {
+      this.paused = true;
+      this._stopPlaybackClock();
+      const promises = this._takePendingPlayPromises();
+      this._queueMediaElementTask(() => {
+        fireAnEvent("timeupdate", this);
+        fireAnEvent("pause", this);
+        this._rejectPlayPromises(promises, "The play() request was interrupted by a call to pause().", "AbortError");
+      });
+    }
+  }
+
   load() {
-    notImplemented("HTMLMediaElement.prototype.load", this._ownerDocument._defaultView);
+    this._load();
   }
   canPlayType() {
     return "";
   }
   play() {
-    notImplemented("HTMLMediaElement.prototype.play", this._ownerDocument._defaultView);
+    if (this._sourceNotSupported) {
+      return Promise.reject(DOMException.create(this._globalObject, [
+        "The media resource is not supported.",
+        "NotSupportedError"
+      ]));
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this._pendingPlayPromises.push({ resolve, reject });
+    });
+    this._internalPlaySteps();
+    return promise;
   }
   pause() {
-    notImplemented("HTMLMediaElement.prototype.pause", this._ownerDocument._defaultView);
+    if (this.networkState === NETWORK_EMPTY) {
+      this._selectResource();
+    }
+    this._internalPauseSteps();
   }
+
+  // Not (yet) implemented according to spec
+  // Should return sane default values
   addTextTrack() {
     notImplemented("HTMLMediaElement.prototype.addTextTrack", this._ownerDocument._defaultView);
   }
@@ -3,6 +3,7 @@
 const conversions = require("webidl-conversions");
 const { isSummaryForParentDetails } = require("../helpers/details");
 const focusing = require("../helpers/focusing");
+const { isShadowInclusiveAncestor } = require("../helpers/shadow-dom");
 const { HTML_NS, SVG_NS } = require("../helpers/namespaces");
 const DOMStringMap = require("../generated/DOMStringMap");
 
@@ -39,16 +40,32 @@ class HTMLOrSVGElementImpl {
   }
 
   focus() {
+    const ownerDocument = this._ownerDocument;
+    const previous = ownerDocument._lastFocusedElement;
+
+    // https://html.spec.whatwg.org/multipage/interaction.html#focusing-steps
+    if (focusing.delegatesFocus(this)) {
+      if (previous === null || !isShadowInclusiveAncestor(this, previous)) {
+        const delegate = focusing.focusDelegate(this);
+        if (delegate !== null) {
+          delegate.focus();
+        }
+      }
+      return;
+    }
+
     if (!focusing.isFocusableAreaElement(this)) {
       return;
     }
-    const ownerDocument = this._ownerDocument;
-    const previous = ownerDocument._lastFocusedElement;
 
     if (previous === this) {
       return;
     }
 
+    if (previous) {
+      focusing.commitUserChanges(previous);
+    }
+
     ownerDocument._lastFocusedElement = null;
     if (previous) {
       focusing.fireFocusEventWithTargetAdjustment("blur", previous, this);
@@ -74,6 +91,7 @@ class HTMLOrSVGElementImpl {
       return;
     }
 
+    focusing.commitUserChanges(this);
     this._ownerDocument._lastFocusedElement = null;
     focusing.fireFocusEventWithTargetAdjustment("blur", this, this._ownerDocument);
     focusing.fireFocusEventWithTargetAdjustment("focusout", this, this._ownerDocument, { bubbles: true });
@@ -2,7 +2,7 @@
 const vm = require("vm");
 const whatwgEncoding = require("whatwg-encoding");
 const MIMEType = require("whatwg-mimetype");
-const { serializeURL } = require("whatwg-url");
+const { parseURL, serializeURL } = require("whatwg-url");
 
 const HTMLElementImpl = require("./HTMLElement-impl").implementation;
 const reportException = require("../helpers/runtime-script-errors");
@@ -10,7 +10,13 @@ const { domSymbolTree, cloningSteps } = require("../helpers/internal-constants")
 const { asciiLowercase } = require("../helpers/strings");
 const { childTextContent } = require("../helpers/text");
 const { fireAnEvent } = require("../helpers/events");
-const { parseURLToResultingURLRecord } = require("../helpers/document-base-url");
+const { documentBaseURL, parseURLToResultingURLRecord } = require("../helpers/document-base-url");
+const { prepareToRunCallback, cleanUpAfterRunningCallback } = require("../helpers/incumbent");
+const {
+  moduleScriptsSupported, fetchExternalModuleScriptGraph, fetchInlineModuleScriptGraph, importModule
+} = require("../helpers/module-scripts");
+const { parseImportMapString, mergeImportMaps } = require("../helpers/import-maps");
+const notImplemented = require("../../browser/not-implemented");
 const nodeTypes = require("../node-type");
 
 const jsMIMETypes = new Set([
@@ -118,6 +124,106 @@ class HTMLScriptElementImpl extends HTMLElementImpl {
     }, null, false, this);
   }
 
+  // Module scripts are fetched along with everything that they import, and then run in document order after parsing
+  // finishes, like defer scripts, unless they are async or were not inserted by the parser, in which case they run as
+  // soon as possible.
+  _fetchModuleScript() {
+    const document = this._ownerDocument;
+    const window = document._global;
+
+    if (!this._canRunScript()) {
+      return;
+    }
+
+    if (!moduleScriptsSupported) {
+      notImplemented("module scripts, without Node.js's --experimental-vm-modules flag", window);
+      return;
+    }
+
+    let moduleScript;
+    let filename;
+    if (this.hasAttributeNS(null, "src")) {
+      const url = parseURLToResultingURLRecord(this.getAttributeNS(null, "src"), document);
+      if (url === null) {
+        return;
+      }
+      moduleScript = fetchExternalModuleScriptGraph(window, url, this);
+      filename = serializeURL(url);
+    } else {
+      moduleScript = fetchInlineModuleScriptGraph(window, this.text, documentBaseURL(document), this);
+      filename = document.URL;
+    }
+
+    const onLoad = module => {
+      this._runModuleScript(module);
+      return Promise.resolve();
+    };
+
+    const onError = error => {
+      if (error.type === "resource loading") {
+        window._virtualConsole.emit("jsdomError", error);
+        fireAnEvent("error", this);
+      } else {
+        reportException(window, error, filename);
+      }
+      return Promise.resolve();
+    };
+
+    if (this.hasAttributeNS(null, "async")) {
+      document._asyncQueue.push(moduleScript, onLoad, onError, null);
+    } else if (this._parserInserted) {
+      document._deferQueue.push(moduleScript, onLoad, onError, false, this);
+    } else {
+      document._queue.push(moduleScript, onLoad, onError, false, this);
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/webappapis.html#register-an-import-map
+  // Import maps apply to module specifiers that are resolved after they are registered. External import maps are not
+  // allowed.
+  _registerImportMap() {
+    const document = this._ownerDocument;
+    const window = document._global;
+
+    if (!this._canRunScript()) {
+      return;
+    }
+
+    if (this.hasAttributeNS(null, "src")) {
+      window._queueTask(() => fireAnEvent("error", this));
+      return;
+    }
+
+    let importMap;
+    try {
+      importMap = parseImportMapString(this.text, documentBaseURL(document), window);
+    } catch (error) {
+      reportException(window, error, document.URL);
+      return;
+    }
+    mergeImportMaps(window._importMap, importMap);
+  }
+
+  // https://html.spec.whatwg.org/multipage/webappapis.html#run-a-module-script
+  // Evaluation errors, including those after top-level await, are reported once evaluation finishes, but the document
+  // does not wait for that.
+  _runModuleScript(module) {
+    const window = this._ownerDocument._global;
+
+    prepareToRunCallback(window);
+    let evaluation;
+    try {
+      evaluation = module.evaluate();
+    } finally {
+      cleanUpAfterRunningCallback();
+    }
+    evaluation.catch(error => reportException(window, error, module.identifier));
+
+    if (this.hasAttributeNS(null, "src")) {
+      fireAnEvent("load", this);
+    }
+  }
+
   _attrModified(name, value, oldValue) {
     super._attrModified(name, value, oldValue);
 
@@ -153,18 +259,27 @@ class HTMLScriptElementImpl extends HTMLElementImpl {
     const scriptBlocksTypeString = this._getTypeString();
     const type = getType(scriptBlocksTypeString);
 
-    if (type !== "classic") {
-      // TODO: implement modules, and then change the check to `type === null`.
+    if (type === null) {
       return;
     }
 
     this._alreadyStarted = true;
 
-    // TODO: implement nomodule here, **but only after we support modules**.
+    if (type === "importmap") {
+      this._registerImportMap();
+      return;
+    }
+
+    // When module scripts cannot be run, nomodule scripts run instead, as in browsers without module support.
+    if (type === "classic" && this.hasAttributeNS(null, "nomodule") && moduleScriptsSupported) {
+      return;
+    }
 
     // At this point we completely depart from the spec.
 
-    if (this.hasAttributeNS(null, "src")) {
+    if (type === "module") {
+      this._fetchModuleScript();
+    } else if (this.hasAttributeNS(null, "src")) {
       this._fetchExternalScript();
     } else {
       this._fetchInternalScript();
@@ -237,11 +352,20 @@ function processJavaScript(element, code, filename) {
       }
     }
 
+    const options = { filename, lineOffset, displayErrors: false };
+    if (moduleScriptsSupported) {
+      // import() resolves specifiers against the script's URL, or the document's base URL for inline scripts.
+      const baseURL = element.hasAttributeNS(null, "src") ? parseURL(filename) : documentBaseURL(document);
+      options.importModuleDynamically = specifier => importModule(window, specifier, baseURL);
+    }
+
+    prepareToRunCallback(window);
     try {
-      vm.runInContext(code, window, { filename, lineOffset, displayErrors: false });
+      vm.runInContext(code, window, options);
     } catch (e) {
       reportException(window, e, filename);
     } finally {
+      cleanUpAfterRunningCallback();
       document._currentScript = null;
     }
   }
@@ -257,6 +381,9 @@ function getType(typeString) {
   if (lowercased === "module") {
     return "module";
   }
+  if (lowercased === "importmap") {
+    return "importmap";
+  }
   return null;
 }
 
@@ -64,7 +64,7 @@ class HTMLStyleElementImpl extends HTMLElementImpl {
     // Not implemented: CSP
 
     const content = childTextContent(this);
-    // Not implemented: a bunch of other state, e.g. title/media attributes
+    // Not implemented: a bunch of other state, e.g. the title attribute
     createStylesheet(content, this, documentBaseURL(this._ownerDocument));
   }
 }
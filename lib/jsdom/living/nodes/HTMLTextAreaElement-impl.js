@@ -21,6 +21,7 @@ class HTMLTextAreaElementImpl extends HTMLElementImpl {
     this._selectionDirection = "none";
     this._rawValue = "";
     this._dirtyValue = false;
+    this._valueChangedByUser = false;
 
     this._customValidityErrorMessage = "";
 
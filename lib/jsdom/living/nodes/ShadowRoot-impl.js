@@ -12,8 +12,9 @@ class ShadowRootImpl extends DocumentFragment {
   constructor(globalObject, args, privateData) {
     super(globalObject, args, privateData);
 
-    const { mode } = privateData;
+    const { mode, delegatesFocus } = privateData;
     this._mode = mode;
+    this._delegatesFocus = delegatesFocus;
   }
 
   _getTheParent(event) {
@@ -28,6 +29,10 @@ class ShadowRootImpl extends DocumentFragment {
     return this._mode;
   }
 
+  get delegatesFocus() {
+    return this._delegatesFocus;
+  }
+
   get host() {
     return this._host;
   }
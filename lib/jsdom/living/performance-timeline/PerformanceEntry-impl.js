@@ -0,0 +1,25 @@
+"use strict";
+
+// https://w3c.github.io/performance-timeline/#the-performanceentry-interface
+// Entries are created by jsdom with their values, which only PerformanceNavigationTiming entries change afterward.
+class PerformanceEntryImpl {
+  constructor(globalObject, args, { name, entryType, startTime, duration }) {
+    this._globalObject = globalObject;
+
+    this.name = name;
+    this.entryType = entryType;
+    this.startTime = startTime;
+    this.duration = duration;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      entryType: this.entryType,
+      startTime: this.startTime,
+      duration: this.duration
+    };
+  }
+}
+
+exports.implementation = PerformanceEntryImpl;
@@ -0,0 +1,64 @@
+"use strict";
+const DOMException = require("domexception/webidl2js-wrapper");
+const PerformanceEntryImpl = require("./PerformanceEntry-impl").implementation;
+const { structuredClone } = require("../helpers/structured-clone");
+
+// https://w3c.github.io/user-timing/#dfn-restricted-timestamp-names, the attributes of the legacy PerformanceTiming
+// interface, which jsdom does not implement.
+const restrictedTimestampNames = new Set([
+  "navigationStart",
+  "unloadEventStart",
+  "unloadEventEnd",
+  "redirectStart",
+  "redirectEnd",
+  "fetchStart",
+  "domainLookupStart",
+  "domainLookupEnd",
+  "connectStart",
+  "connectEnd",
+  "secureConnectionStart",
+  "requestStart",
+  "responseStart",
+  "responseEnd",
+  "domLoading",
+  "domInteractive",
+  "domContentLoadedEventStart",
+  "domContentLoadedEventEnd",
+  "domComplete",
+  "loadEventStart",
+  "loadEventEnd"
+]);
+
+// https://w3c.github.io/user-timing/#performancemark
+class PerformanceMarkImpl extends PerformanceEntryImpl {
+  // https://w3c.github.io/user-timing/#the-performancemark-constructor
+  constructor(globalObject, args) {
+    const [markName, markOptions] = args;
+
+    if (globalObject._worker === undefined && restrictedTimestampNames.has(markName)) {
+      throw DOMException.create(globalObject, [
+        `"${markName}" is the name of a PerformanceTiming attribute, which cannot be used for marks`,
+        "SyntaxError"
+      ]);
+    }
+
+    let startTime;
+    if (markOptions.startTime !== undefined) {
+      if (markOptions.startTime < 0) {
+        throw new TypeError("The startTime of a mark cannot be negative");
+      }
+      startTime = markOptions.startTime;
+    } else {
+      startTime = globalObject._performance.now();
+    }
+
+    super(globalObject, args, { name: markName, entryType: "mark", startTime, duration: 0 });
+
+    this.detail = markOptions.detail === undefined || markOptions.detail === null ?
+      null :
+      structuredClone(markOptions.detail, globalObject);
+  }
+}
+
+exports.implementation = PerformanceMarkImpl;
+exports.restrictedTimestampNames = restrictedTimestampNames;
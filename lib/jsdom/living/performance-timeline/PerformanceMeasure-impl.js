@@ -0,0 +1,14 @@
+"use strict";
+const PerformanceEntryImpl = require("./PerformanceEntry-impl").implementation;
+
+// https://w3c.github.io/user-timing/#performancemeasure
+// Measures are only created by performance.measure(), which works out their values.
+class PerformanceMeasureImpl extends PerformanceEntryImpl {
+  constructor(globalObject, args, { name, startTime, duration, detail }) {
+    super(globalObject, args, { name, entryType: "measure", startTime, duration });
+
+    this.detail = detail;
+  }
+}
+
+exports.implementation = PerformanceMeasureImpl;
@@ -0,0 +1,72 @@
+"use strict";
+const PerformanceResourceTimingImpl = require("./PerformanceResourceTiming-impl").implementation;
+
+const milestones = [
+  "unloadEventStart",
+  "unloadEventEnd",
+  "domInteractive",
+  "domContentLoadedEventStart",
+  "domContentLoadedEventEnd",
+  "domComplete",
+  "loadEventStart",
+  "loadEventEnd"
+];
+
+// https://w3c.github.io/navigation-timing/#sec-PerformanceNavigationTiming
+// Each document that is loaded into a window gets one of these, as its _navigationTiming. jsdom does not know how the
+// document was fetched, so its fetch timings all equal the time that the navigation started. The milestones of loading
+// the document are 0 until they are recorded, and the duration is 0 until the load event has finished. Each milestone
+// is only recorded the first time it is reached, since document.close() and window.close() go through them again.
+class PerformanceNavigationTimingImpl extends PerformanceResourceTimingImpl {
+  constructor(globalObject, args, { name, startTime, type = "navigate" }) {
+    super(globalObject, args, {
+      name,
+      entryType: "navigation",
+      initiatorType: "navigation",
+      timings: {
+        fetchStart: startTime,
+        domainLookupStart: startTime,
+        domainLookupEnd: startTime,
+        connectStart: startTime,
+        connectEnd: startTime,
+        requestStart: startTime,
+        responseStart: startTime,
+        responseEnd: startTime
+      }
+    });
+
+    this.type = type;
+    this.redirectCount = 0;
+    for (const milestone of milestones) {
+      this[milestone] = 0;
+    }
+    this._recordedMilestones = new Set();
+  }
+
+  _record(milestone) {
+    if (this._recordedMilestones.has(milestone)) {
+      return;
+    }
+    this._recordedMilestones.add(milestone);
+
+    const performance = this._globalObject._performance;
+    this[milestone] = performance.now();
+
+    if (milestone === "loadEventEnd") {
+      this.duration = this.loadEventEnd - this.startTime;
+      performance._queueNavigationEntry(this);
+    }
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    for (const milestone of milestones) {
+      json[milestone] = this[milestone];
+    }
+    json.type = this.type;
+    json.redirectCount = this.redirectCount;
+    return json;
+  }
+}
+
+exports.implementation = PerformanceNavigationTimingImpl;
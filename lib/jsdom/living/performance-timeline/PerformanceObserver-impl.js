@@ -0,0 +1,89 @@
+"use strict";
+const DOMException = require("domexception/webidl2js-wrapper");
+const { wrapperForImpl } = require("../generated/utils");
+const { supportedEntryTypes, filterEntries } = require("../helpers/performance-timeline");
+
+// https://w3c.github.io/performance-timeline/#the-performanceobserver-interface
+class PerformanceObserverImpl {
+  constructor(globalObject, args) {
+    const [callback] = args;
+    if (typeof callback !== "function") {
+      throw new TypeError("The callback given to the PerformanceObserver constructor must be a function");
+    }
+
+    this._globalObject = globalObject;
+    this._callback = callback;
+    this._buffer = [];
+    // "undefined", "single" or "multiple", depending on how observe() was first called.
+    this._observerType = "undefined";
+    // The entry types that this observer observes. Calling observe() with a single type adds that type.
+    this._entryTypes = new Set();
+  }
+
+  static get supportedEntryTypes() {
+    return supportedEntryTypes;
+  }
+
+  // https://w3c.github.io/performance-timeline/#observe-method
+  observe(options) {
+    const performance = this._globalObject._performance;
+
+    if (options.entryTypes === undefined && options.type === undefined) {
+      throw new TypeError("observe() must be given either entryTypes or type");
+    }
+    if (options.entryTypes !== undefined && options.type !== undefined) {
+      throw new TypeError("observe() cannot be given both entryTypes and type");
+    }
+
+    if (this._observerType === "undefined") {
+      this._observerType = options.entryTypes !== undefined ? "multiple" : "single";
+    }
+    if (this._observerType === "single" && options.entryTypes !== undefined) {
+      throw DOMException.create(this._globalObject, [
+        "This observer observes a single type, so it cannot be given entryTypes",
+        "InvalidModificationError"
+      ]);
+    }
+    if (this._observerType === "multiple" && options.type !== undefined) {
+      throw DOMException.create(this._globalObject, [
+        "This observer observes a list of entryTypes, so it cannot be given a type",
+        "InvalidModificationError"
+      ]);
+    }
+
+    if (this._observerType === "multiple") {
+      const entryTypes = options.entryTypes.filter(type => supportedEntryTypes.includes(type));
+      if (entryTypes.length === 0) {
+        return;
+      }
+      this._entryTypes = new Set(entryTypes);
+      performance._registerObserver(this);
+      return;
+    }
+
+    if (!supportedEntryTypes.includes(options.type)) {
+      return;
+    }
+    this._entryTypes.add(options.type);
+    performance._registerObserver(this);
+
+    if (options.buffered) {
+      this._buffer.push(...filterEntries(performance._bufferedEntries(), undefined, options.type));
+      performance._queueObserverTask();
+    }
+  }
+
+  disconnect() {
+    this._globalObject._performance._unregisterObserver(this);
+    this._buffer = [];
+    this._entryTypes.clear();
+  }
+
+  takeRecords() {
+    const records = this._buffer.map(wrapperForImpl);
+    this._buffer = [];
+    return records;
+  }
+}
+
+exports.implementation = PerformanceObserverImpl;
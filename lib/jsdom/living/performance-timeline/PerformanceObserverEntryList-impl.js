@@ -0,0 +1,24 @@
+"use strict";
+const { wrapperForImpl } = require("../generated/utils");
+const { filterEntries } = require("../helpers/performance-timeline");
+
+// https://w3c.github.io/performance-timeline/#performanceobserverentrylist-interface
+class PerformanceObserverEntryListImpl {
+  constructor(globalObject, args, { entries }) {
+    this._entries = entries;
+  }
+
+  getEntries() {
+    return filterEntries(this._entries).map(wrapperForImpl);
+  }
+
+  getEntriesByType(type) {
+    return filterEntries(this._entries, undefined, type).map(wrapperForImpl);
+  }
+
+  getEntriesByName(name, type) {
+    return filterEntries(this._entries, name, type).map(wrapperForImpl);
+  }
+}
+
+exports.implementation = PerformanceObserverEntryListImpl;
@@ -0,0 +1,49 @@
+"use strict";
+const PerformanceEntryImpl = require("./PerformanceEntry-impl").implementation;
+
+const timingAttributes = [
+  "workerStart",
+  "redirectStart",
+  "redirectEnd",
+  "fetchStart",
+  "domainLookupStart",
+  "domainLookupEnd",
+  "connectStart",
+  "connectEnd",
+  "secureConnectionStart",
+  "requestStart",
+  "responseStart",
+  "responseEnd",
+  "transferSize",
+  "encodedBodySize",
+  "decodedBodySize"
+];
+
+// https://w3c.github.io/resource-timing/#sec-performanceresourcetiming
+// The timing attributes are given as privateData.timings; the ones that are left out, such as those for redirects and
+// service workers, which jsdom does not know about, are 0.
+class PerformanceResourceTimingImpl extends PerformanceEntryImpl {
+  constructor(globalObject, args, privateData) {
+    const { name, entryType = "resource", initiatorType, nextHopProtocol = "", timings } = privateData;
+    const startTime = timings.fetchStart;
+    super(globalObject, args, { name, entryType, startTime, duration: timings.responseEnd - startTime });
+
+    this.initiatorType = initiatorType;
+    this.nextHopProtocol = nextHopProtocol;
+    for (const attribute of timingAttributes) {
+      this[attribute] = timings[attribute] || 0;
+    }
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.initiatorType = this.initiatorType;
+    json.nextHopProtocol = this.nextHopProtocol;
+    for (const attribute of timingAttributes) {
+      json[attribute] = this[attribute];
+    }
+    return json;
+  }
+}
+
+exports.implementation = PerformanceResourceTimingImpl;
@@ -1,12 +1,17 @@
 "use strict";
 const DOMException = require("domexception/webidl2js-wrapper");
+const { parseURL, serializeURLOrigin } = require("whatwg-url");
 const MessageEvent = require("./generated/MessageEvent");
 const idlUtils = require("./generated/utils");
 const { isValidTargetOrigin } = require("../utils");
 const { fireAnEvent } = require("./helpers/events");
+const { incumbentGlobalObject } = require("./helpers/incumbent");
+const { structuredSerializeWithTransfer, structuredDeserializeWithTransfer } = require("./helpers/structured-clone");
+const { transferredMessagePorts } = require("./messaging/MessagePort-impl");
 
+// https://html.spec.whatwg.org/multipage/web-messaging.html#window-post-message-steps
 module.exports = function (globalObject) {
-  return function (message, targetOrigin) {
+  return function (message, targetOrigin, transfer = []) {
     if (arguments.length < 2) {
       throw new TypeError("'postMessage' requires 2 arguments: 'message' and 'targetOrigin'");
     }
@@ -22,18 +27,52 @@ module.exports = function (globalObject) {
       ]);
     }
 
-    // TODO: targetOrigin === '/' - requires reference to source window
-    // See https://github.com/jsdom/jsdom/pull/1140#issuecomment-111587499
-    if (targetOrigin !== "*" && targetOrigin !== idlUtils.implForWrapper(globalObject._document)._origin) {
-      return;
+    if (typeof transfer !== "object" || transfer === null) {
+      throw new TypeError("Failed to execute 'postMessage' on 'Window': parameter 3 is not an iterable object.");
     }
+    transfer = [...transfer];
 
-    // TODO: event.source - requires reference to source window
-    // TODO: event.origin - requires reference to source window
-    // TODO: event.ports
-    // TODO: event.data - structured clone message - requires cloning DOM nodes
-    setTimeout(() => {
-      fireAnEvent("message", this, MessageEvent, { data: message });
-    }, 0);
+    // jsdom knows the incumbent global object while it runs a script, timer or event listener, and in the promise
+    // reactions queued by them. Messages posted from elsewhere, e.g. from Node.js or window.eval(), have no known
+    // source. Rather than guessing a source window that may be wrong, their source is null and their origin is opaque,
+    // so that they never pass for messages from the target window's origin.
+    const incumbent = incumbentGlobalObject(null);
+    const incumbentOrigin = incumbent !== null && incumbent._document ?
+      idlUtils.implForWrapper(incumbent._document)._origin :
+      null;
+
+    if (targetOrigin === "/") {
+      targetOrigin = incumbentOrigin;
+    } else if (targetOrigin !== "*") {
+      targetOrigin = serializeURLOrigin(parseURL(targetOrigin));
+    }
+
+    const serializeWithTransferResult = structuredSerializeWithTransfer(message, transfer, globalObject);
+
+    globalObject._queueTask(() => {
+      // An opaque incumbent origin is not the same origin as anything else, so "/" never matches it.
+      if (targetOrigin === null ||
+          (targetOrigin !== "*" && targetOrigin !== idlUtils.implForWrapper(globalObject._document)._origin)) {
+        return;
+      }
+
+      const origin = incumbentOrigin === null ? "null" : incumbentOrigin;
+      const source = incumbent === null ? null : incumbent._globalProxy;
+
+      let deserializeRecord;
+      try {
+        deserializeRecord = structuredDeserializeWithTransfer(serializeWithTransferResult, globalObject);
+      } catch (e) {
+        fireAnEvent("messageerror", this, MessageEvent, { origin, source });
+        return;
+      }
+
+      fireAnEvent("message", this, MessageEvent, {
+        data: deserializeRecord.deserialized,
+        origin,
+        source,
+        ports: transferredMessagePorts(deserializeRecord.transferredValues)
+      });
+    });
   };
 };
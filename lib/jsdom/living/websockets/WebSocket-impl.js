@@ -181,6 +181,8 @@ class WebSocketImpl extends EventTargetImpl {
   }
 
   // https://html.spec.whatwg.org/multipage/web-sockets.html#feedback-from-the-protocol
+  // The events are fired in tasks queued on the clock, like the ones for timers, so that a virtual clock controls when
+  // they are delivered.
   _onConnectionEstablished() {
     // readyState is a getter.
     if (this._ws.extensions !== null) {
@@ -189,33 +191,37 @@ class WebSocketImpl extends EventTargetImpl {
       this.extensions = Object.keys(this._ws.extensions).join(", ");
     }
     // protocol is a getter.
-    fireAnEvent("open", this);
+    this._globalObject._queueTask(() => {
+      fireAnEvent("open", this);
+    });
   }
 
   _onMessageReceived(data) {
-    if (this.readyState !== OPEN) {
-      return;
-    }
-    let dataForEvent;
-    if (typeof data === "string") {
-      dataForEvent = data;
-    } else if (this.binaryType === "arraybuffer") {
-      if (isArrayBuffer(data)) {
-        dataForEvent = data;
-      } else if (Array.isArray(data)) {
-        dataForEvent = copyToArrayBufferInNewRealm(Buffer.concat(data), this._globalObject);
-      } else {
-        dataForEvent = copyToArrayBufferInNewRealm(data, this._globalObject);
+    this._globalObject._queueTask(() => {
+      if (this.readyState !== OPEN) {
+        return;
       }
-    } else { // this.binaryType === "blob"
-      if (!Array.isArray(data)) {
-        data = [data];
+      let dataForEvent;
+      if (typeof data === "string") {
+        dataForEvent = data;
+      } else if (this.binaryType === "arraybuffer") {
+        if (isArrayBuffer(data)) {
+          dataForEvent = data;
+        } else if (Array.isArray(data)) {
+          dataForEvent = copyToArrayBufferInNewRealm(Buffer.concat(data), this._globalObject);
+        } else {
+          dataForEvent = copyToArrayBufferInNewRealm(data, this._globalObject);
+        }
+      } else { // this.binaryType === "blob"
+        if (!Array.isArray(data)) {
+          data = [data];
+        }
+        dataForEvent = Blob.create(this._globalObject, [data, { type: "" }]);
       }
-      dataForEvent = Blob.create(this._globalObject, [data, { type: "" }]);
-    }
-    fireAnEvent("message", this, MessageEvent, {
-      data: dataForEvent,
-      origin: serializeURLOrigin(this._urlRecord)
+      fireAnEvent("message", this, MessageEvent, {
+        data: dataForEvent,
+        origin: serializeURLOrigin(this._urlRecord)
+      });
     });
   }
 
@@ -223,14 +229,16 @@ class WebSocketImpl extends EventTargetImpl {
     const openSocketsForWindow = openSockets.get(this._ownerDocument._defaultView);
     openSocketsForWindow.delete(this);
 
-    const wasClean = !this._requiredToFail;
-    if (this._requiredToFail) {
-      fireAnEvent("error", this);
-    }
-    fireAnEvent("close", this, CloseEvent, {
-      wasClean,
-      code,
-      reason
+    this._globalObject._queueTask(() => {
+      const wasClean = !this._requiredToFail;
+      if (this._requiredToFail) {
+        fireAnEvent("error", this);
+      }
+      fireAnEvent("close", this, CloseEvent, {
+        wasClean,
+        code,
+        reason
+      });
     });
   }
 
@@ -71,14 +71,15 @@ class StorageImpl {
       ]);
     }
 
-    setTimeout(this._dispatchStorageEvent.bind(this), 0, key, oldValue, value);
+    this._globalObject._queueTask(() => this._dispatchStorageEvent(key, oldValue, value));
 
     this._items.set(key, value);
   }
 
   removeItem(key) {
     if (this._items.has(key)) {
-      setTimeout(this._dispatchStorageEvent.bind(this), 0, key, this._items.get(key), null);
+      const oldValue = this._items.get(key);
+      this._globalObject._queueTask(() => this._dispatchStorageEvent(key, oldValue, null));
 
       this._items.delete(key);
     }
@@ -86,7 +87,7 @@ class StorageImpl {
 
   clear() {
     if (this._items.size > 0) {
-      setTimeout(this._dispatchStorageEvent.bind(this), 0, null, null, null);
+      this._globalObject._queueTask(() => this._dispatchStorageEvent(null, null, null));
 
       this._items.clear();
     }
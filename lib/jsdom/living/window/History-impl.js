@@ -1,6 +1,7 @@
 "use strict";
 const DOMException = require("domexception/webidl2js-wrapper");
 const { documentBaseURLSerialized, parseURLToResultingURLRecord } = require("../helpers/document-base-url.js");
+const { structuredSerialize, structuredDeserialize } = require("../helpers/structured-clone");
 
 // https://html.spec.whatwg.org/#history-3
 exports.implementation = class HistoryImpl {
@@ -66,7 +67,7 @@ exports.implementation = class HistoryImpl {
   _sharedPushAndReplaceState(data, title, url, methodName) {
     this._guardAgainstInactiveDocuments();
 
-    // TODO structured clone data
+    const serializedData = structuredSerialize(data, this._globalObject);
 
     let newURL;
     if (url !== null) {
@@ -107,7 +108,7 @@ exports.implementation = class HistoryImpl {
 
       const newEntry = {
         document: this._document,
-        stateObject: data,
+        stateObject: serializedData,
         title,
         url: newURL
       };
@@ -115,7 +116,7 @@ exports.implementation = class HistoryImpl {
       this._window._sessionHistory.updateCurrentEntry(newEntry);
     } else {
       const { currentEntry } = this._window._sessionHistory;
-      currentEntry.stateObject = data;
+      currentEntry.stateObject = serializedData;
       currentEntry.title = title;
       currentEntry.url = newURL;
     }
@@ -128,7 +129,7 @@ exports.implementation = class HistoryImpl {
 
     // arguably it's a bit odd that the state and latestEntry do not belong to the SessionHistory
     // but the spec gives them to "History" and "Document" respecively.
-    this._state = data; // TODO clone again!! O_o
+    this._state = structuredDeserialize(serializedData, this._globalObject);
     this._document._latestEntry = this._window._sessionHistory.currentEntry;
   }
 };
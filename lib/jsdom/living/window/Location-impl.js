@@ -232,7 +232,7 @@ exports.implementation = class LocationImpl {
   }
 
   reload() {
-    const flags = { replace: true, reloadTriggered: true, exceptionsEnabled: true };
+    const flags = { replacement: true, reloadTriggered: true, exceptionsEnabled: true };
     navigate(this._relevantDocument._defaultView, this._url, flags);
   }
 };
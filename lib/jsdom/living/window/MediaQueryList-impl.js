@@ -0,0 +1,67 @@
+"use strict";
+
+const { setupForSimpleEventAccessors } = require("../helpers/create-event-accessor");
+const { matchesMediaQueryList } = require("../helpers/media-queries");
+const EventTargetImpl = require("../events/EventTarget-impl").implementation;
+
+// https://drafts.csswg.org/cssom-view/#the-mediaquerylist-interface
+class MediaQueryListImpl extends EventTargetImpl {
+  constructor(globalObject, args, { document, media }) {
+    super(globalObject, args);
+
+    this._ownerDocument = document;
+    this.media = media;
+
+    // Whether the media query list matched when changes were last reported, so that later changes can be detected.
+    this._previouslyMatched = this.matches;
+  }
+
+  get matches() {
+    return matchesMediaQueryList(this.media, this._globalObject);
+  }
+
+  addEventListener(type, callback, options) {
+    super.addEventListener(type, callback, options);
+    this._updateTracking();
+  }
+
+  removeEventListener(type, callback, options) {
+    super.removeEventListener(type, callback, options);
+    this._updateTracking();
+  }
+
+  _hasChangeListeners() {
+    const listeners = this._eventListeners.change;
+    return listeners !== undefined && listeners.length > 0;
+  }
+
+  // Only the media query lists that have change listeners are kept in the document's list, as changes to the others
+  // cannot be observed, and keeping them would keep every list ever created alive along with the document. When a
+  // list starts being tracked again, its current result is taken as the last reported one.
+  _updateTracking() {
+    const mediaQueryLists = this._ownerDocument._mediaQueryLists;
+    if (!this._hasChangeListeners()) {
+      mediaQueryLists.delete(this);
+    } else if (!mediaQueryLists.has(this)) {
+      this._previouslyMatched = this.matches;
+      mediaQueryLists.add(this);
+    }
+  }
+
+  addListener(callback) {
+    if (callback === null) {
+      return;
+    }
+    this.addEventListener("change", callback);
+  }
+
+  removeListener(callback) {
+    this.removeEventListener("change", callback);
+  }
+}
+
+setupForSimpleEventAccessors(MediaQueryListImpl.prototype, ["change"]);
+
+module.exports = {
+  implementation: MediaQueryListImpl
+};
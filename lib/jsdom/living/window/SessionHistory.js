@@ -1,10 +1,16 @@
 "use strict";
 const whatwgURL = require("whatwg-url");
 const HashChangeEvent = require("../generated/HashChangeEvent.js");
+const PageTransitionEvent = require("../generated/PageTransitionEvent.js");
 const PopStateEvent = require("../generated/PopStateEvent.js");
+const Selection = require("../generated/Selection.js");
+const Storage = require("../generated/Storage.js");
 const notImplemented = require("../../browser/not-implemented.js");
 const idlUtils = require("../generated/utils.js");
 const { fireAnEvent } = require("../helpers/events");
+const { domSymbolTree } = require("../helpers/internal-constants");
+const { structuredDeserialize } = require("../helpers/structured-clone");
+const namedPropertiesWindow = require("../named-properties-window");
 
 // https://html.spec.whatwg.org/#session-history
 class SessionHistory {
@@ -57,6 +63,10 @@ class SessionHistory {
 
       // Not implemented: unload a document guard
 
+      if (specifiedEntry.document !== this.currentEntry.document && !this.promptToUnloadActiveDocument()) {
+        return;
+      }
+
       // Not clear that this should be queued. html/browsers/history/the-history-interface/004.html can be fixed
       // by removing the queue, but doing so breaks some tests in history.js that also pass in browsers.
       this._queueHistoryTraversalTask(() => {
@@ -68,10 +78,6 @@ class SessionHistory {
 
         // this.clearHistoryTraversalTasks();
 
-        if (specifiedEntry.document !== this.currentEntry.document) {
-          // TODO: unload the active document with the recycle parameter set to false
-          notImplemented("Traversing history in a way that would change the window", this._window);
-        }
         this.traverseHistory(specifiedEntry);
       });
     });
@@ -99,12 +105,21 @@ class SessionHistory {
     }
 
 
+    if (flags.replacement) {
+      // If the traversal was initiated with replacement enabled, remove the entry immediately before the
+      // specified entry in the session history.
+      this._entries.splice(this._entries.indexOf(specifiedEntry) - 1, 1);
+    }
+
     if (specifiedEntry.document !== currentEntry.document) {
-      // If entry has a different Document object than the current entry, then...
-      notImplemented("Traversing the history to an entry with a different Document", this._window);
+      // If entry has a different Document object than the current entry, then unload the active document and make
+      // entry's Document the active document. Unlike the spec we keep the same Window object around, so this is
+      // also where the Window's per-document state gets switched over.
+      this._unloadActiveDocument();
+      this._activateDocument(specifiedEntry.document);
     }
 
-    document._URL = specifiedEntry.url;
+    specifiedEntry.document._URL = specifiedEntry.url;
 
     const hashChanged =
       specifiedEntry.url.fragment !== currentEntry.url.fragment && specifiedEntry.document === currentEntry.document;
@@ -115,19 +130,15 @@ class SessionHistory {
       newURL = specifiedEntry.url;
     }
 
-    if (flags.replacement) {
-      // If the traversal was initiated with replacement enabled, remove the entry immediately before the
-      // specified entry in the session history.
-      this._entries.splice(this._entries.indexOf(specifiedEntry) - 1, 1);
-    }
-
     this.updateCurrentEntry(specifiedEntry);
 
-    const state = specifiedEntry.stateObject; // TODO structured clone
+    const state = specifiedEntry.stateObject === null ?
+      null :
+      structuredDeserialize(specifiedEntry.stateObject, this._window);
 
     // arguably it's a bit odd that the state and latestEntry do not belong to the SessionHistory
     // but the spec gives them to "History" and "Document" respecively.
-    document._history._state = state;
+    specifiedEntry.document._history._state = state;
     const stateChanged = specifiedEntry.document._latestEntry !== specifiedEntry;
     specifiedEntry.document._latestEntry = specifiedEntry;
 
@@ -140,6 +151,96 @@ class SessionHistory {
     }
   }
 
+  // https://html.spec.whatwg.org/#prompt-to-unload-a-document
+  // Returns false if the navigation or traversal should be aborted. Since there is no user to ask, a canceled
+  // beforeunload event is treated as if the user chose to stay on the page.
+  promptToUnloadActiveDocument() {
+    const document = idlUtils.implForWrapper(this._window._document);
+
+    return fireAnEvent("beforeunload", this._windowImpl, undefined, { cancelable: true }, document);
+  }
+
+  // https://html.spec.whatwg.org/#unload-a-document
+  _unloadActiveDocument() {
+    const document = idlUtils.implForWrapper(this._window._document);
+
+    // The document stays in the session history (so it can be traversed back to), which is what "persisted" reports.
+    const persisted = this._entries.some(entry => entry.document === document);
+
+    if (document._pageShowingFlag) {
+      document._pageShowingFlag = false;
+      fireAnEvent("pagehide", this._windowImpl, PageTransitionEvent, { persisted }, document);
+    }
+
+    fireAnEvent("unload", this._windowImpl, undefined, {}, document);
+
+    // Since the Window object is shared between all the documents it has shown, anything scheduled or requested by the
+    // unloaded document needs to be canceled explicitly.
+    document._requestManager.close();
+    this._window._stopAllTimers();
+
+    for (const node of domSymbolTree.treeIterator(document)) {
+      namedPropertiesWindow.nodeDetachedFromDocument(node);
+    }
+  }
+
+  _activateDocument(document) {
+    const window = this._window;
+
+    window._document = idlUtils.wrapperForImpl(document);
+    window._selection = Selection.createImpl(window);
+
+    for (const node of domSymbolTree.treeIterator(document)) {
+      namedPropertiesWindow.nodeAttachedToDocument(node);
+    }
+
+    if (document._origin !== window._origin) {
+      this._switchOrigin(document);
+    }
+
+    // Documents restored from the session history have already been loaded, so they won't get a pageshow event from
+    // their load event.
+    if (document.readyState === "complete" && !document._pageShowingFlag) {
+      document._pageShowingFlag = true;
+      fireAnEvent("pageshow", this._windowImpl, PageTransitionEvent, { persisted: true }, document);
+    }
+  }
+
+  _switchOrigin(document) {
+    const window = this._window;
+    const { windowsInSameOrigin } = window._currentOriginData;
+    const index = windowsInSameOrigin.indexOf(window);
+    if (index !== -1) {
+      windowsInSameOrigin.splice(index, 1);
+    }
+
+    window._origin = document._origin;
+    if (!window._commonForOrigin[document._origin]) {
+      window._commonForOrigin[document._origin] = {
+        localStorageArea: new Map(),
+        sessionStorageArea: new Map(),
+        windowsInSameOrigin: []
+      };
+    }
+    window._currentOriginData = window._commonForOrigin[document._origin];
+    window._currentOriginData.windowsInSameOrigin.push(window);
+
+    window._localStorage = Storage.create(window, [], {
+      associatedWindow: window,
+      storageArea: window._currentOriginData.localStorageArea,
+      type: "localStorage",
+      url: document.URL,
+      storageQuota: window._storageQuota
+    });
+    window._sessionStorage = Storage.create(window, [], {
+      associatedWindow: window,
+      storageArea: window._currentOriginData.sessionStorageArea,
+      type: "sessionStorage",
+      url: document.URL,
+      storageQuota: window._storageQuota
+    });
+  }
+
   _fireEvents(stateChanged, hashChanged, state, oldURL, newURL) {
     if (stateChanged) {
       fireAnEvent("popstate", this._windowImpl, PopStateEvent, { state });
@@ -1,7 +1,15 @@
 "use strict";
 const whatwgURL = require("whatwg-url");
+const whatwgEncoding = require("whatwg-encoding");
+const MIMEType = require("whatwg-mimetype");
+const sniffHTMLEncoding = require("html-encoding-sniffer");
 const notImplemented = require("../../browser/not-implemented.js");
+const { parseIntoDocument } = require("../../browser/parser");
 const reportException = require("../helpers/runtime-script-errors.js");
+const { fireAnEvent } = require("../helpers/events.js");
+const Document = require("../generated/Document.js");
+const PageTransitionEvent = require("../generated/PageTransitionEvent.js");
+const PerformanceNavigationTiming = require("../generated/PerformanceNavigationTiming.js");
 const idlUtils = require("../generated/utils.js");
 
 exports.evaluateJavaScriptURL = (window, urlRecord) => {
@@ -29,29 +37,32 @@ exports.navigate = (window, newURL, flags) => {
   const document = idlUtils.implForWrapper(window._document);
   const currentURL = document._URL;
 
-  if (!flags.reloadTriggered && urlEquals(currentURL, newURL, { excludeFragments: true })) {
+  // Requests with a body (i.e. POST form submissions) are never fragment navigations.
+  if (!flags.reloadTriggered && !flags.request && urlEquals(currentURL, newURL, { excludeFragments: true })) {
     if (newURL.fragment !== currentURL.fragment) {
       navigateToFragment(window, newURL, flags);
     }
     return;
   }
 
-  // NOT IMPLEMENTED: Prompt to unload the active document of browsingContext.
-
-  // NOT IMPLEMENTED: form submission algorithm
-  // const navigationType = 'other';
-
   // NOT IMPLEMENTED: if resource is a response...
   if (newURL.scheme === "javascript") {
-    setTimeout(() => {
+    window._queueTask(() => {
       const result = exports.evaluateJavaScriptURL(window, newURL);
       if (typeof result === "string") {
         notImplemented("string results from 'javascript:' URLs", window);
       }
-    }, 0);
+    });
+    return;
+  }
+
+  // Prompt to unload the active document of browsingContext. If the user refused to allow the document to be
+  // unloaded, then abort these steps.
+  if (!window._sessionHistory.promptToUnloadActiveDocument()) {
     return;
   }
-  navigateFetch(window);
+
+  navigateFetch(window, newURL, flags);
 };
 
 // https://html.spec.whatwg.org/#scroll-to-fragid
@@ -65,15 +76,188 @@ function navigateToFragment(window, newURL, flags) {
     // see https://github.com/whatwg/html/issues/2796 for spec bug
     window._sessionHistory.removeAllEntriesAfterCurrentEntry();
   }
-  const newEntry = { document, url: newURL };
+  const newEntry = { document, url: newURL, stateObject: null };
   window._sessionHistory.addEntryAfterCurrentEntry(newEntry);
   window._sessionHistory.traverseHistory(newEntry, { nonBlockingEvents: true, replacement: flags.replacement });
 }
 
 // https://html.spec.whatwg.org/#process-a-navigate-fetch
-function navigateFetch(window) {
-  // TODO:
-  notImplemented("navigation (except hash changes)", window);
+// Instead of following the spec's fetch and response processing steps, this hands the URL to the window's
+// ResourceLoader, in the same way as JSDOM.fromURL() does for the initial document.
+function navigateFetch(window, newURL, flags) {
+  const document = idlUtils.implForWrapper(window._document);
+
+  // Cancel any preexisting but not yet mature attempt to navigate the browsing context.
+  cancelPendingNavigation(window);
+
+  const navigationStart = window._performance.now();
+
+  if (newURL.scheme === "about" && newURL.path.join("/") === "blank") {
+    window._queueTask(() => {
+      navigateToResponse(window, newURL, flags, { body: "", contentType: "text/html", navigationStart });
+    });
+    return;
+  }
+
+  // The fragment is not sent to the server; it gets added back to the response URL below.
+  const request = window._resourceLoader.fetch(whatwgURL.serializeURL(newURL, true), {
+    accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+    cookieJar: document._cookieJar,
+    referrer: document.URL,
+    ...flags.request
+  });
+
+  if (request === null) {
+    // The resource loader declined to fetch anything, which is what happens with the default resources setting. GET
+    // form submissions still get their URL reflected, since that is often all that is needed to test them.
+    if (flags.navigationType === "form-submission" && !flags.request) {
+      updateURLWithoutLoading(window, newURL);
+    } else {
+      notImplemented("navigation (except hash changes)", window);
+    }
+    return;
+  }
+
+  window._navigationRequest = request;
+  document._requestManager.add(request);
+
+  request.then(body => {
+    document._requestManager.remove(request);
+    if (window._navigationRequest !== request) {
+      return;
+    }
+    window._navigationRequest = null;
+
+    let responseURL = request.href === undefined ? newURL : whatwgURL.parseURL(request.href);
+    if (responseURL.fragment === null && newURL.fragment !== null) {
+      responseURL = { ...responseURL, fragment: newURL.fragment };
+    }
+
+    const contentType = request.response && request.response.headers["content-type"];
+    navigateToResponse(window, responseURL, flags, { body, contentType, navigationStart });
+  }, error => {
+    document._requestManager.remove(request);
+    if (window._navigationRequest !== request) {
+      return;
+    }
+    window._navigationRequest = null;
+
+    if (error && error.isAbortError) {
+      return;
+    }
+
+    const err = new Error(`Could not navigate to "${whatwgURL.serializeURL(newURL)}"`);
+    err.type = "resource loading";
+    err.detail = error;
+    window._virtualConsole.emit("jsdomError", err);
+  });
+}
+
+// Adds a session history entry for the new URL, but keeps the current document, like history.pushState() does.
+function updateURLWithoutLoading(window, newURL) {
+  const document = idlUtils.implForWrapper(window._document);
+  const sessionHistory = window._sessionHistory;
+
+  sessionHistory.clearHistoryTraversalTasks();
+  sessionHistory.removeAllEntriesAfterCurrentEntry();
+
+  const newEntry = { document, url: newURL, stateObject: null };
+  sessionHistory.addEntryAfterCurrentEntry(newEntry);
+  sessionHistory.updateCurrentEntry(newEntry);
+
+  document._URL = newURL;
+  document._history._state = null;
+  document._latestEntry = newEntry;
+}
+
+function cancelPendingNavigation(window) {
+  const request = window._navigationRequest;
+  if (request) {
+    window._navigationRequest = null;
+    idlUtils.implForWrapper(window._document)._requestManager.remove(request);
+    request.abort();
+  }
+}
+
+// https://html.spec.whatwg.org/#navigating-across-documents:process-a-navigate-response
+// Creates a new Document in the same Window, makes it the active document through the session history, and then
+// parses the response into it. Parsing has to come last so that scripts in the new document see it as the current one.
+function navigateToResponse(window, url, flags, { body, contentType, navigationStart }) {
+  if (!window._document) {
+    // The window was closed in the meantime.
+    return;
+  }
+
+  const oldDocument = idlUtils.implForWrapper(window._document);
+  const mimeType = (contentType && MIMEType.parse(contentType)) || new MIMEType("text/html");
+
+  let html = body;
+  let encoding = "UTF-8";
+  if (Buffer.isBuffer(body)) {
+    encoding = sniffHTMLEncoding(body, {
+      defaultEncoding: mimeType.isXML() ? "UTF-8" : "windows-1252",
+      transportLayerEncodingLabel: mimeType.parameters.get("charset")
+    });
+    html = whatwgEncoding.decode(body, encoding);
+  }
+
+  const newDocument = Document.createImpl(oldDocument._globalObject, [], {
+    options: {
+      parsingMode: mimeType.isXML() ? "xml" : "html",
+      contentType: mimeType.isXML() || mimeType.isHTML() ? mimeType.essence : "text/html",
+      encoding,
+      cookieJar: oldDocument._cookieJar,
+      url: whatwgURL.serializeURL(url),
+      referrer: oldDocument.URL,
+      concurrentNodeIterators: oldDocument._workingNodeIteratorsMax,
+      parseOptions: oldDocument._parseOptions,
+      defaultView: oldDocument._defaultView,
+      global: oldDocument._global
+    }
+  });
+
+  // Mirrors what the Window does for its initial document in its constructor.
+  window._performance._resetForNewDocument();
+  newDocument._navigationTiming = PerformanceNavigationTiming.createImpl(oldDocument._globalObject, [], {
+    name: newDocument.URL,
+    startTime: navigationStart,
+    type: flags.reloadTriggered ? "reload" : "navigate"
+  });
+
+  newDocument.addEventListener("load", () => {
+    if (window._document !== idlUtils.wrapperForImpl(newDocument)) {
+      return;
+    }
+
+    fireAnEvent("load", window, undefined, {}, newDocument);
+
+    if (!newDocument._pageShowingFlag) {
+      newDocument._pageShowingFlag = true;
+      fireAnEvent("pageshow", window, PageTransitionEvent, { persisted: false }, newDocument);
+    }
+  });
+
+  const sessionHistory = window._sessionHistory;
+  sessionHistory.clearHistoryTraversalTasks();
+
+  if (!flags.replacement) {
+    sessionHistory.removeAllEntriesAfterCurrentEntry();
+  }
+  const newEntry = { document: newDocument, url: newDocument._URL, stateObject: null };
+  newDocument._latestEntry = newEntry;
+  sessionHistory.addEntryAfterCurrentEntry(newEntry);
+  sessionHistory.traverseHistory(newEntry, { replacement: flags.replacement });
+
+  try {
+    parseIntoDocument(html, newDocument);
+  } catch (error) {
+    const err = new Error(`Could not parse the document navigated to at "${newDocument.URL}"`);
+    err.type = "parsing";
+    err.detail = error;
+    window._virtualConsole.emit("jsdomError", err);
+  }
+
+  newDocument.close();
 }
 
 // https://url.spec.whatwg.org/#concept-url-equals
@@ -0,0 +1,160 @@
+"use strict";
+const DOMException = require("domexception/webidl2js-wrapper");
+const idlUtils = require("../generated/utils");
+const AbortSignal = require("../generated/AbortSignal");
+const ErrorEvent = require("../generated/ErrorEvent");
+const MessagePort = require("../generated/MessagePort");
+const Request = require("../generated/Request");
+const EventTargetImpl = require("../events/EventTarget-impl").implementation;
+const { createRequest } = require("../fetch/Request-impl");
+const { fetch } = require("../fetch/fetching");
+const { parseURLToResultingURLRecord } = require("../helpers/document-base-url");
+const { setupForSimpleEventAccessors } = require("../helpers/create-event-accessor");
+const { fireAnEvent } = require("../helpers/events");
+const reportException = require("../helpers/runtime-script-errors");
+const notImplemented = require("../../browser/not-implemented");
+const { createDedicatedWorkerGlobalScope, runWorkerScript } = require("../../browser/DedicatedWorkerGlobalScope");
+
+const activeWorkers = new WeakMap();
+
+// https://html.spec.whatwg.org/multipage/workers.html#dedicated-workers-and-the-worker-interface
+class WorkerImpl extends EventTargetImpl {
+  constructor(globalObject, args, privateData) {
+    super(globalObject, args, privateData);
+
+    this._ownerDocument = idlUtils.implForWrapper(globalObject._document);
+
+    const [scriptURL, options] = args;
+    const url = parseURLToResultingURLRecord(scriptURL, this._ownerDocument);
+    if (url === null) {
+      throw DOMException.create(globalObject, [`The URL "${scriptURL}" is invalid.`, "SyntaxError"]);
+    }
+
+    // The Worker object's end of the implicit message channel between it and the worker's global scope. Messages to
+    // the worker are queued on the other end until the worker's script has run.
+    this._outsidePort = MessagePort.createImpl(globalObject, []);
+    this._outsidePort._messageEventTarget = this;
+    this._outsidePort.start();
+
+    this._terminated = false;
+    this._abortSignal = AbortSignal.createImpl(globalObject, []);
+
+    let activeWorkersForWindow = activeWorkers.get(globalObject._globalProxy);
+    if (activeWorkersForWindow === undefined) {
+      activeWorkersForWindow = new Set();
+      activeWorkers.set(globalObject._globalProxy, activeWorkersForWindow);
+    }
+    activeWorkersForWindow.add(this);
+
+    if (options.type === "module") {
+      this._workerGlobalScope = null;
+      notImplemented("Worker with type \"module\"", globalObject);
+      return;
+    }
+
+    this._workerGlobalScope = createDedicatedWorkerGlobalScope({ worker: this, url, name: options.name });
+    this._outsidePort._entangle(this._workerGlobalScope._insidePort);
+
+    this._fetchAndRunScript(url);
+  }
+
+  // https://html.spec.whatwg.org/multipage/workers.html#dom-worker-postmessage
+  postMessage(message, transferOrOptions) {
+    this._outsidePort.postMessage(message, transferOrOptions);
+  }
+
+  // https://html.spec.whatwg.org/multipage/workers.html#dom-worker-terminate
+  terminate() {
+    if (this._terminated) {
+      return;
+    }
+    this._terminated = true;
+
+    this._abortSignal._signalAbort();
+    this._outsidePort.close();
+    if (this._workerGlobalScope !== null) {
+      this._workerGlobalScope._terminate();
+    }
+
+    const activeWorkersForWindow = activeWorkers.get(this._globalObject._globalProxy);
+    if (activeWorkersForWindow !== undefined) {
+      activeWorkersForWindow.delete(this);
+    }
+  }
+
+  static cleanUpWindow(window) {
+    const activeWorkersForWindow = activeWorkers.get(window._globalProxy);
+    if (activeWorkersForWindow !== undefined) {
+      for (const worker of activeWorkersForWindow) {
+        worker.terminate();
+      }
+    }
+  }
+
+  // https://html.spec.whatwg.org/multipage/workers.html#fetch-a-classic-worker-script
+  // The script goes through the same fetch algorithm, and thus the same resource loader, as the window's fetch().
+  async _fetchAndRunScript(url) {
+    const request = {
+      ...createRequest(url),
+      origin: this._ownerDocument._origin,
+      mode: "same-origin",
+      destination: "worker"
+    };
+    const requestObject = Request.createImpl(this._globalObject, [], {
+      request,
+      guard: "request",
+      signal: this._abortSignal
+    });
+
+    let source = null;
+    try {
+      const response = await fetch(this._globalObject, requestObject);
+      if (response.ok) {
+        source = await response.text();
+      }
+    } catch (e) {
+      // Network errors are handled below, along with non-ok responses.
+    }
+
+    if (this._terminated) {
+      return;
+    }
+
+    if (source === null) {
+      this._workerGlobalScope._terminate();
+      fireAnEvent("error", this);
+      return;
+    }
+
+    runWorkerScript(this._workerGlobalScope, source);
+  }
+
+  // https://html.spec.whatwg.org/multipage/workers.html#runtime-script-errors-2
+  // Called for errors that the worker's global scope did not handle. The ErrorEvent's error is null, since the error
+  // object belongs to the worker's realm.
+  _propagateError(error, filename, lineno, colno) {
+    this._globalObject._queueTask(() => {
+      if (this._terminated) {
+        return;
+      }
+
+      const notCanceled = fireAnEvent("error", this, ErrorEvent, {
+        cancelable: true,
+        message: error.message,
+        filename,
+        lineno,
+        colno,
+        error: null
+      });
+      if (notCanceled) {
+        reportException(this._globalObject, error, filename);
+      }
+    });
+  }
+}
+
+setupForSimpleEventAccessors(WorkerImpl.prototype, ["message", "messageerror", "error"]);
+
+module.exports = {
+  implementation: WorkerImpl
+};
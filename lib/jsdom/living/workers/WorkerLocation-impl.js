@@ -0,0 +1,78 @@
+"use strict";
+const whatwgURL = require("whatwg-url");
+
+// https://html.spec.whatwg.org/multipage/workers.html#worker-locations
+exports.implementation = class WorkerLocationImpl {
+  constructor(globalObject, args, privateData) {
+    this._url = privateData.url;
+
+    this._globalObject = globalObject;
+  }
+
+  get href() {
+    return whatwgURL.serializeURL(this._url);
+  }
+
+  get origin() {
+    return whatwgURL.serializeURLOrigin(this._url);
+  }
+
+  get protocol() {
+    return this._url.scheme + ":";
+  }
+
+  get host() {
+    const url = this._url;
+
+    if (url.host === null) {
+      return "";
+    }
+    if (url.port === null) {
+      return whatwgURL.serializeHost(url.host);
+    }
+
+    return whatwgURL.serializeHost(url.host) + ":" + whatwgURL.serializeInteger(url.port);
+  }
+
+  get hostname() {
+    if (this._url.host === null) {
+      return "";
+    }
+
+    return whatwgURL.serializeHost(this._url.host);
+  }
+
+  get port() {
+    if (this._url.port === null) {
+      return "";
+    }
+
+    return whatwgURL.serializeInteger(this._url.port);
+  }
+
+  get pathname() {
+    const url = this._url;
+
+    if (url.cannotBeABaseURL) {
+      return url.path[0];
+    }
+
+    return "/" + url.path.join("/");
+  }
+
+  get search() {
+    if (this._url.query === null || this._url.query === "") {
+      return "";
+    }
+
+    return "?" + this._url.query;
+  }
+
+  get hash() {
+    if (this._url.fragment === null || this._url.fragment === "") {
+      return "";
+    }
+
+    return "#" + this._url.fragment;
+  }
+};
@@ -0,0 +1,21 @@
+"use strict";
+const { mixin } = require("../../utils");
+const NavigatorIDImpl = require("../navigator/NavigatorID-impl").implementation;
+const NavigatorLanguageImpl = require("../navigator/NavigatorLanguage-impl").implementation;
+const NavigatorOnLineImpl = require("../navigator/NavigatorOnLine-impl").implementation;
+const NavigatorConcurrentHardwareImpl = require("../navigator/NavigatorConcurrentHardware-impl").implementation;
+
+class WorkerNavigatorImpl {
+  constructor(globalObject, args, privateData) {
+    this._globalObject = globalObject;
+    this.userAgent = privateData.userAgent;
+    this.languages = Object.freeze(["en-US", "en"]);
+  }
+}
+
+mixin(WorkerNavigatorImpl.prototype, NavigatorIDImpl.prototype);
+mixin(WorkerNavigatorImpl.prototype, NavigatorLanguageImpl.prototype);
+mixin(WorkerNavigatorImpl.prototype, NavigatorOnLineImpl.prototype);
+mixin(WorkerNavigatorImpl.prototype, NavigatorConcurrentHardwareImpl.prototype);
+
+exports.implementation = WorkerNavigatorImpl;
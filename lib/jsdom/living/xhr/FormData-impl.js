@@ -174,3 +174,5 @@ function appendAnEntry(entryList, name, value, preventLineBreakNormalization = f
   const entry = createAnEntry(name, value);
   entryList.push(entry);
 }
+
+exports.constructTheEntryList = constructTheEntryList;
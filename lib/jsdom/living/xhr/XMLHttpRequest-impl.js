@@ -2,6 +2,7 @@
 
 const HTTP_STATUS_CODES = require("http").STATUS_CODES;
 const { spawnSync } = require("child_process");
+const { EventEmitter } = require("events");
 const { URL } = require("whatwg-url");
 const whatwgEncoding = require("whatwg-encoding");
 const tough = require("tough-cookie");
@@ -16,6 +17,7 @@ const Document = require("../generated/Document");
 const Blob = require("../generated/Blob");
 const FormData = require("../generated/FormData");
 const XMLHttpRequestEventTargetImpl = require("./XMLHttpRequestEventTarget-impl").implementation;
+const XMLHttpRequest = require("../generated/XMLHttpRequest");
 const XMLHttpRequestUpload = require("../generated/XMLHttpRequestUpload");
 const ProgressEvent = require("../generated/ProgressEvent");
 const { isArrayBuffer } = require("../generated/utils");
@@ -99,6 +101,8 @@ class XMLHttpRequestImpl extends XMLHttpRequestEventTargetImpl {
     this.status = 0;
     this.statusText = "";
 
+    this._resourceLoader = window._resourceLoader;
+
     this.flag = {
       synchronous: false,
       withCredentials: false,
@@ -352,6 +356,49 @@ class XMLHttpRequestImpl extends XMLHttpRequestEventTargetImpl {
     flag.withCredentials = val;
   }
 
+  // Takes the result of a synchronous request, in the form that the sync worker gives, and fires the events for it.
+  _receiveSynchronousResponse(response, fetchStart) {
+    const { flag, properties } = this;
+    const resProp = response.properties;
+
+    this.readyState = READY_STATES.LOADING;
+    this.status = response.status;
+    this.statusText = response.statusText;
+    this.responseURL = response.responseURL;
+    Object.assign(this.properties, response.properties);
+
+    if (resProp.error) {
+      xhrUtils.dispatchError(this);
+      throw DOMException.create(this._globalObject, [resProp.error, "NetworkError"]);
+    } else {
+      const headers = {};
+      for (const name of Object.keys(properties.responseHeaders)) {
+        headers[name.toLowerCase()] = properties.responseHeaders[name];
+      }
+      this._globalObject._performance._markResourceTiming(
+        flag.uri,
+        "xmlhttprequest",
+        fetchStart,
+        { headers },
+        properties.totalReceivedChunkSize
+      );
+
+      const { responseBuffer } = properties;
+      const contentLength = getResponseHeader(this, "content-length") || "0";
+      const bufferLength = parseInt(contentLength) || responseBuffer.length;
+      const progressObj = { lengthComputable: false };
+      if (bufferLength !== 0) {
+        progressObj.total = bufferLength;
+        progressObj.loaded = bufferLength;
+        progressObj.lengthComputable = true;
+      }
+      fireAnEvent("progress", this, ProgressEvent, progressObj);
+      readyStateChange(this, READY_STATES.DONE);
+      fireAnEvent("load", this, ProgressEvent, progressObj);
+      fireAnEvent("loadend", this, ProgressEvent, progressObj);
+    }
+  }
+
   abort() {
     const { properties } = this;
     // Terminate the request
@@ -573,69 +620,23 @@ class XMLHttpRequestImpl extends XMLHttpRequestEventTargetImpl {
       flag.body = null;
     }
 
+    const fetchStart = this._globalObject._performance.now();
+
     if (flag.synchronous) {
-      const flagStr = JSON.stringify(flag, function (k, v) {
-        if (this === flag && k === "requestManager") {
-          return null;
-        }
-        if (this === flag && k === "pool" && v) {
-          return { maxSockets: v.maxSockets };
-        }
-        return v;
-      });
-      const res = spawnSync(
-        process.execPath,
-        [syncWorkerFile],
-        { input: flagStr, maxBuffer: Infinity }
-      );
-      if (res.status !== 0) {
-        throw new Error(res.stderr.toString());
-      }
-      if (res.error) {
-        if (typeof res.error === "string") {
-          res.error = new Error(res.error);
-        }
-        throw res.error;
+      const startedDateTime = new Date();
+      let response = xhrUtils.hasRoutes(this._resourceLoader) ? routeSynchronousRequest(this) : null;
+      if (response === null) {
+        response = fetchSynchronously(this);
       }
 
-      const response = JSON.parse(res.stdout.toString());
-      const resProp = response.properties;
-      if (resProp.responseBuffer && resProp.responseBuffer.data) {
-        resProp.responseBuffer = Buffer.from(resProp.responseBuffer.data);
-      }
-      if (resProp.cookieJar) {
-        resProp.cookieJar = tough.CookieJar.deserializeSync(
-          resProp.cookieJar,
-          _ownerDocument._cookieJar.store
-        );
+      if (this._resourceLoader._harRecorder !== null) {
+        xhrUtils.recordSynchronousResponseInHAR(this, response, startedDateTime);
       }
 
-      this.readyState = READY_STATES.LOADING;
-      this.status = response.status;
-      this.statusText = response.statusText;
-      this.responseURL = response.responseURL;
-      Object.assign(this.properties, response.properties);
-
-      if (resProp.error) {
-        xhrUtils.dispatchError(this);
-        throw DOMException.create(this._globalObject, [resProp.error, "NetworkError"]);
-      } else {
-        const { responseBuffer } = properties;
-        const contentLength = getResponseHeader(this, "content-length") || "0";
-        const bufferLength = parseInt(contentLength) || responseBuffer.length;
-        const progressObj = { lengthComputable: false };
-        if (bufferLength !== 0) {
-          progressObj.total = bufferLength;
-          progressObj.loaded = bufferLength;
-          progressObj.lengthComputable = true;
-        }
-        fireAnEvent("progress", this, ProgressEvent, progressObj);
-        readyStateChange(this, READY_STATES.DONE);
-        fireAnEvent("load", this, ProgressEvent, progressObj);
-        fireAnEvent("loadend", this, ProgressEvent, progressObj);
-      }
+      this._receiveSynchronousResponse(response, fetchStart);
     } else {
       properties.send = true;
+      properties.fetchStart = fetchStart;
 
       fireAnEvent("loadstart", this, ProgressEvent);
 
@@ -762,6 +763,87 @@ function readyStateChange(xhr, readyState) {
   fireAnEvent("readystatechange", xhr);
 }
 
+// Runs the request in the sync worker, which does it asynchronously in another process, and waits for it to finish.
+function fetchSynchronously(xhr) {
+  const { flag } = xhr;
+  const flagStr = JSON.stringify(flag, function (k, v) {
+    if (this === flag && k === "requestManager") {
+      return null;
+    }
+    if (this === flag && k === "pool" && v) {
+      return { maxSockets: v.maxSockets };
+    }
+    return v;
+  });
+  const res = spawnSync(
+    process.execPath,
+    [syncWorkerFile],
+    { input: flagStr, maxBuffer: Infinity }
+  );
+  if (res.status !== 0) {
+    throw new Error(res.stderr.toString());
+  }
+  if (res.error) {
+    if (typeof res.error === "string") {
+      res.error = new Error(res.error);
+    }
+    throw res.error;
+  }
+
+  const response = JSON.parse(res.stdout.toString());
+  const resProp = response.properties;
+  if (resProp.responseBuffer && resProp.responseBuffer.data) {
+    resProp.responseBuffer = Buffer.from(resProp.responseBuffer.data);
+  }
+  if (resProp.cookieJar) {
+    resProp.cookieJar = tough.CookieJar.deserializeSync(
+      resProp.cookieJar,
+      xhr._ownerDocument._cookieJar.store
+    );
+  }
+
+  return response;
+}
+
+// Answers a synchronous request with the resource loader's routes. Like the sync worker does, this runs an asynchronous
+// request on a scratch XMLHttpRequest, whose events nobody listens to; since the routed response is delivered
+// synchronously, it is done by the time this returns. Returns null if no route handles the request.
+function routeSynchronousRequest(xhr) {
+  const { flag } = xhr;
+
+  let routed;
+  try {
+    routed = xhr._resourceLoader._routeRequestSync(xhrUtils.routeRequestInfo(xhr));
+  } catch (error) {
+    return { responseURL: "", status: 0, statusText: "", properties: { error: String(error.stack || error) } };
+  }
+  if (routed === null) {
+    return null;
+  }
+
+  const scratchXHR = XMLHttpRequest.createImpl(xhr._globalObject, []);
+  const { properties } = scratchXHR;
+  Object.assign(scratchXHR.flag, flag, { synchronous: false });
+  scratchXHR.readyState = READY_STATES.OPENED;
+
+  const client = new EventEmitter();
+  properties.client = client;
+  properties.totalReceivedChunkSize = 0;
+  properties.bufferStepSize = 1 * 1024 * 1024;
+  properties.origin = flag.origin;
+
+  const response = xhrUtils.createRoutedResponse(routed);
+  receiveResponse(scratchXHR, response);
+  xhrUtils.emitRoutedResponseBody(client, response, routed.body);
+
+  return {
+    responseURL: scratchXHR.responseURL,
+    status: scratchXHR.status,
+    statusText: scratchXHR.statusText,
+    properties
+  };
+}
+
 function receiveResponse(xhr, response) {
   const { flag, properties } = xhr;
   const { statusCode } = response;
@@ -884,6 +966,16 @@ function receiveResponse(xhr, response) {
     properties.timeoutFn = null;
     properties.timeoutStart = 0;
     properties.client = null;
+    // The scratch XMLHttpRequests of routeSynchronousRequest() are never sent, and leave the recording to the real one.
+    if (properties.fetchStart !== undefined) {
+      xhr._globalObject._performance._markResourceTiming(
+        flag.uri,
+        "xmlhttprequest",
+        properties.fetchStart,
+        response,
+        properties.totalReceivedChunkSize
+      );
+    }
     fireAnEvent("progress", xhr, ProgressEvent, progressObj);
     readyStateChange(xhr, READY_STATES.DONE);
     fireAnEvent("load", xhr, ProgressEvent, progressObj);
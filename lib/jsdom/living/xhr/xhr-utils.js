@@ -1,5 +1,6 @@
 "use strict";
 const fs = require("fs");
+const { STATUS_CODES } = require("http");
 const request = require("request");
 const { EventEmitter } = require("events");
 const { URL } = require("whatwg-url");
@@ -9,6 +10,7 @@ const DOMException = require("domexception/webidl2js-wrapper");
 const ProgressEvent = require("../generated/ProgressEvent");
 
 const wrapCookieJarForRequest = require("../helpers/wrap-cookie-jar-for-request");
+const { lowerCaseHeaders } = require("../../browser/resources/routes");
 const { fireAnEvent } = require("../helpers/events");
 
 const headerListSeparatorRegexp = /,[ \t]*/;
@@ -137,9 +139,202 @@ function setResponseToNetworkError(xhr) {
   xhr.statusText = "";
 }
 
+function hasRoutes(resourceLoader) {
+  return resourceLoader._activeRoutes().length > 0;
+}
+
+// The description of the request that is given to the handlers of the resource loader's routes.
+function routeRequestInfo(xhr) {
+  const { flag } = xhr;
+  const hasBody = flag.body !== undefined && flag.body !== null && !flag.formData;
+
+  return {
+    url: flag.uri,
+    method: flag.method,
+    headers: {
+      "user-agent": flag.userAgent,
+      "accept-language": "en",
+      accept: "*/*",
+      referer: flag.referrer,
+      ...lowerCaseHeaders(flag.requestHeaders)
+    },
+    body: hasBody ? Buffer.from(flag.body) : undefined,
+    element: undefined,
+    referrer: flag.referrer
+  };
+}
+
+// Turns a response given by a route handler into an event emitter that looks like a "request" response object.
+function createRoutedResponse({ response, url }) {
+  return Object.assign(new EventEmitter(), response, { request: { uri: new URL(url) } });
+}
+
+// Delivers the body of a routed response, in the same order as a "request" client would.
+function emitRoutedResponseBody(client, response, body) {
+  response.emit("data", body);
+  client.emit("data", body);
+  response.emit("end");
+  client.emit("end");
+}
+
+// Returns an event emitter that answers the request with the resource loader's routes, or, if none of them handles it,
+// forwards the events of the client that goes to the network.
+function createRoutedClient(xhr) {
+  const { flag, properties } = xhr;
+  const { requestManager } = flag;
+
+  const client = new EventEmitter();
+  let aborted = false;
+
+  client.abort = () => {
+    aborted = true;
+    client.emit("abort");
+  };
+
+  const req = {
+    abort() {
+      properties.abortError = true;
+      xhr.abort();
+    }
+  };
+  if (requestManager) {
+    requestManager.add(req);
+    const rmReq = requestManager.remove.bind(requestManager, req);
+    client.on("abort", rmReq);
+    client.on("error", rmReq);
+    client.on("end", rmReq);
+  }
+
+  xhr._resourceLoader._routeRequest(routeRequestInfo(xhr)).then(routed => {
+    if (aborted) {
+      return;
+    }
+
+    if (routed === null) {
+      if (requestManager) {
+        requestManager.remove(req);
+      }
+
+      const networkClient = createNetworkClient(xhr);
+      networkClient.on("response", res => client.emit("response", res));
+      networkClient.on("data", chunk => client.emit("data", chunk));
+      networkClient.on("end", () => client.emit("end"));
+      networkClient.on("abort", () => client.emit("abort"));
+      networkClient.on("request", networkReq => {
+        client.headers = networkClient.headers;
+        client.emit("request", networkReq);
+      });
+      networkClient.on("redirect", () => {
+        client.response = networkClient.response;
+        client.emit("redirect");
+      });
+      networkClient.on("error", err => client.emit("error", err));
+      client.abort = () => {
+        networkClient.abort();
+      };
+      return;
+    }
+
+    const response = createRoutedResponse(routed);
+
+    // Completes the upload, like the underlying request of a "request" client does once it gets a response.
+    const routedReq = new EventEmitter();
+    client.emit("request", routedReq);
+    routedReq.emit("response", response);
+
+    client.emit("response", response);
+    process.nextTick(() => {
+      if (!aborted) {
+        emitRoutedResponseBody(client, response, routed.body);
+      }
+    });
+  }, err => {
+    if (!aborted) {
+      client.emit("error", err);
+    }
+  });
+
+  return client;
+}
+
+function harRequest(xhr) {
+  const { url, method, headers, body } = routeRequestInfo(xhr);
+  return { url, method, headers, body };
+}
+
+// Records the request in the resource loader's HAR once the client is done with it.
+function recordClientInHAR(xhr, client) {
+  const recorder = xhr._resourceLoader._harRecorder;
+  const startedDateTime = new Date();
+  const entryRequest = harRequest(xhr);
+
+  let response = null;
+  const chunks = [];
+  client.on("response", res => {
+    response = res;
+  });
+  client.on("data", chunk => {
+    chunks.push(chunk);
+  });
+  client.on("end", () => {
+    // "request" clients know the headers that were actually sent, including cookies.
+    if (client.headers) {
+      entryRequest.headers = client.headers;
+    }
+
+    recorder.record({
+      startedDateTime,
+      timings: response.timingPhases,
+      request: entryRequest,
+      response: {
+        status: response.statusCode,
+        statusText: response.statusMessage || STATUS_CODES[response.statusCode],
+        httpVersion: response.httpVersion,
+        headers: response.rawHeaders,
+        body: Buffer.concat(chunks),
+        url: response.request.uri.href
+      }
+    });
+  });
+  client.on("error", error => {
+    recorder.record({ startedDateTime, request: entryRequest, error });
+  });
+}
+
+// Records a synchronous request, given the result in the form that the sync worker gives, in the resource loader's HAR.
+function recordSynchronousResponseInHAR(xhr, { status, statusText, responseURL, properties }, startedDateTime) {
+  const recorder = xhr._resourceLoader._harRecorder;
+  const entryRequest = harRequest(xhr);
+
+  if (properties.error) {
+    recorder.record({ startedDateTime, request: entryRequest, error: new Error(properties.error) });
+    return;
+  }
+
+  recorder.record({
+    startedDateTime,
+    request: entryRequest,
+    response: {
+      status,
+      statusText,
+      headers: properties.responseHeaders,
+      body: properties.responseBuffer.slice(0, properties.totalReceivedChunkSize),
+      url: responseURL
+    }
+  });
+}
+
 // return a "request" client object or an event emitter matching the same behaviour for unsupported protocols
 // the callback should be called with a "request" response object or an event emitter matching the same behaviour too
 function createClient(xhr) {
+  const client = hasRoutes(xhr._resourceLoader) ? createRoutedClient(xhr) : createNetworkClient(xhr);
+  if (xhr._resourceLoader._harRecorder !== null) {
+    recordClientInHAR(xhr, client);
+  }
+  return client;
+}
+
+function createNetworkClient(xhr) {
   const { flag, properties } = xhr;
   const urlObj = new URL(flag.uri);
   const uri = urlObj.href;
@@ -271,7 +466,8 @@ function createClient(xhr) {
     encoding: null,
     strictSSL: flag.strictSSL,
     proxy: flag.proxy,
-    forever: true
+    forever: true,
+    time: true
   };
   if (flag.auth) {
     options.auth = {
@@ -413,6 +609,11 @@ function createClient(xhr) {
   return client;
 }
 
+exports.hasRoutes = hasRoutes;
+exports.routeRequestInfo = routeRequestInfo;
+exports.createRoutedResponse = createRoutedResponse;
+exports.emitRoutedResponseBody = emitRoutedResponseBody;
+exports.recordSynchronousResponseInHAR = recordSynchronousResponseInHAR;
 exports.headerListSeparatorRegexp = headerListSeparatorRegexp;
 exports.simpleHeaders = simpleHeaders;
 exports.preflightHeaders = preflightHeaders;
@@ -153,8 +153,10 @@ addDir("../../lib/jsdom/living/events");
 addDir("../../lib/jsdom/living/fetch");
 addDir("../../lib/jsdom/living/file-api");
 addDir("../../lib/jsdom/living/hr-time");
+addDir("../../lib/jsdom/living/messaging");
 addDir("../../lib/jsdom/living/mutation-observer");
 addDir("../../lib/jsdom/living/navigator");
+addDir("../../lib/jsdom/living/performance-timeline");
 addDir("../../lib/jsdom/living/nodes");
 addDir("../../lib/jsdom/living/range");
 addDir("../../lib/jsdom/living/selection");
@@ -163,6 +165,7 @@ addDir("../../lib/jsdom/living/traversal");
 addDir("../../lib/jsdom/living/websockets");
 addDir("../../lib/jsdom/living/webstorage");
 addDir("../../lib/jsdom/living/window");
+addDir("../../lib/jsdom/living/workers");
 addDir("../../lib/jsdom/living/xhr");
 
 const outputDir = path.resolve(__dirname, "../../lib/jsdom/living/generated/");
@@ -0,0 +1,257 @@
+"use strict";
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+
+const { JSDOM } = require("../..");
+
+function createEditor(html) {
+  const { window } = new JSDOM(`<div id="editor" contenteditable>${html}</div><p id="outside">Outside</p>`);
+  const { document } = window;
+  const editor = document.getElementById("editor");
+
+  const events = [];
+  for (const type of ["beforeinput", "input"]) {
+    editor.addEventListener(type, event => {
+      assert.instanceOf(event, window.InputEvent);
+      events.push({ type, inputType: event.inputType, data: event.data, cancelable: event.cancelable });
+    });
+  }
+
+  function select(startNode, startOffset, endNode = startNode, endOffset = startOffset) {
+    window.getSelection().setBaseAndExtent(startNode, startOffset, endNode, endOffset);
+  }
+
+  return { window, document, editor, events, select };
+}
+
+describe("API: editing commands", () => {
+  it("should insert text at the selection, firing beforeinput and input events", () => {
+    const { window, document, editor, events, select } = createEditor(`<p>Hello world</p>`);
+    select(editor.querySelector("p").firstChild, 5);
+
+    assert.isTrue(document.execCommand("insertText", false, ", big"));
+    assert.strictEqual(editor.innerHTML, `<p>Hello, big world</p>`);
+    assert.strictEqual(window.getSelection().focusOffset, 10);
+    assert.deepEqual(events, [
+      { type: "beforeinput", inputType: "insertText", data: ", big", cancelable: true },
+      { type: "input", inputType: "insertText", data: ", big", cancelable: false }
+    ]);
+  });
+
+  it("should not run commands whose beforeinput event is canceled", () => {
+    const { document, editor, events, select } = createEditor(`<p>Text</p>`);
+    select(editor.querySelector("p").firstChild, 4);
+    editor.addEventListener("beforeinput", event => event.preventDefault());
+
+    assert.isFalse(document.execCommand("insertText", false, "!"));
+    assert.strictEqual(editor.innerHTML, `<p>Text</p>`);
+    assert.deepEqual(events.map(event => event.type), ["beforeinput"]);
+  });
+
+  it("should only run commands when the selection is editable", () => {
+    const { window, document, editor } = createEditor(`<p>Text</p>`);
+
+    assert.isFalse(document.queryCommandEnabled("insertText"));
+    assert.isFalse(document.execCommand("insertText", false, "!"));
+
+    window.getSelection().collapse(document.getElementById("outside").firstChild, 0);
+    assert.isFalse(document.execCommand("bold"));
+
+    window.getSelection().collapse(editor.querySelector("p").firstChild, 0);
+    assert.isTrue(document.queryCommandEnabled("insertText"));
+    assert.isTrue(document.queryCommandEnabled("selectAll"));
+    assert.isFalse(document.queryCommandEnabled("undo"));
+
+    assert.isTrue(document.queryCommandSupported("FORWARDDELETE"));
+    assert.isFalse(document.queryCommandSupported("fontName"));
+    assert.isFalse(document.execCommand("fontName", false, "serif"));
+
+    const xmlDocument = new JSDOM(`<root/>`, { contentType: "application/xml" }).window.document;
+    assert.throws(() => xmlDocument.execCommand("bold"), /HTML documents/);
+  });
+
+  it("should delete backwards and forwards, joining paragraphs", () => {
+    const { document, editor, events, select } = createEditor(`<p>ab</p><p>c😀d</p>`);
+    const [, second] = editor.querySelectorAll("p");
+
+    select(second.firstChild, 3);
+    document.execCommand("delete");
+    assert.strictEqual(editor.innerHTML, `<p>ab</p><p>cd</p>`);
+
+    select(second.firstChild, 0);
+    document.execCommand("delete");
+    assert.strictEqual(editor.innerHTML, `<p>abcd</p>`);
+
+    document.execCommand("forwardDelete");
+    assert.strictEqual(editor.innerHTML, `<p>abd</p>`);
+
+    assert.deepEqual(events.filter(event => event.type === "input").map(event => event.inputType), [
+      "deleteContentBackward",
+      "deleteContentBackward",
+      "deleteContentForward"
+    ]);
+  });
+
+  it("should delete the selection, joining the paragraphs that it spans", () => {
+    const { document, editor, select } = createEditor(`<p>a<b>bc</b>d</p><p>ef</p>`);
+    select(editor.querySelector("b").firstChild, 1, editor.querySelectorAll("p")[1].firstChild, 1);
+
+    document.execCommand("delete");
+    assert.strictEqual(editor.innerHTML, `<p>a<b>b</b>f</p>`);
+  });
+
+  it("should leave a <br> in paragraphs that are emptied", () => {
+    const { document, editor, select } = createEditor(`<p>x</p>`);
+    select(editor.querySelector("p").firstChild, 1);
+
+    document.execCommand("delete");
+    assert.strictEqual(editor.innerHTML, `<p><br></p>`);
+
+    document.execCommand("insertText", false, "y");
+    assert.strictEqual(editor.innerHTML, `<p>y</p>`);
+  });
+
+  it("should split paragraphs with insertParagraph and insertText", () => {
+    const { window, document, editor, select } = createEditor(`<p id="first">One two</p>`);
+    select(editor.querySelector("p").firstChild, 3);
+
+    document.execCommand("insertParagraph");
+    assert.strictEqual(editor.innerHTML, `<p id="first">One</p><p> two</p>`);
+    assert.strictEqual(window.getSelection().anchorNode, editor.lastChild);
+
+    document.execCommand("insertText", false, "a\nb");
+    assert.strictEqual(editor.innerHTML, `<p id="first">One</p><p>a</p><p>b two</p>`);
+  });
+
+  it("should wrap text that is directly in the editing host in a <div> when splitting it", () => {
+    const { document, editor, select } = createEditor(`Some text`);
+    select(editor.firstChild, 4);
+
+    document.execCommand("insertParagraph");
+    assert.strictEqual(editor.innerHTML, `<div>Some</div><div> text</div>`);
+  });
+
+  it("should insert HTML, replacing the selection", () => {
+    const { window, document, editor, select } = createEditor(`<p>Replace me</p>`);
+    const text = editor.querySelector("p").firstChild;
+    select(text, 0, text, 8);
+
+    document.execCommand("insertHTML", false, `<i>Kept</i>, `);
+    assert.strictEqual(editor.innerHTML, `<p><i>Kept</i>, me</p>`);
+    assert.isTrue(window.getSelection().isCollapsed);
+
+    document.execCommand("insertText", false, "not ");
+    assert.strictEqual(editor.innerHTML, `<p><i>Kept</i>, not me</p>`);
+  });
+
+  it("should toggle bold, italic and underline, and report their state", () => {
+    const { document, editor, events, select } = createEditor(`<p>a<b>bc</b>d</p>`);
+    const boldText = editor.querySelector("b").firstChild;
+    select(boldText, 1, editor.querySelector("p").lastChild, 1);
+
+    assert.isFalse(document.queryCommandState("bold"));
+    assert.isTrue(document.queryCommandIndeterm("bold"));
+
+    document.execCommand("bold");
+    assert.strictEqual(editor.innerHTML, `<p>a<b>bcd</b></p>`);
+    assert.isTrue(document.queryCommandState("bold"));
+    assert.isFalse(document.queryCommandIndeterm("bold"));
+    assert.strictEqual(document.queryCommandValue("bold"), "");
+
+    document.execCommand("bold");
+    assert.strictEqual(editor.innerHTML, `<p>a<b>b</b>cd</p>`);
+
+    document.execCommand("italic");
+    document.execCommand("underline");
+    assert.strictEqual(editor.innerHTML, `<p>a<b>b</b><i><u>cd</u></i></p>`);
+
+    assert.deepEqual(events.filter(event => event.type === "input").map(event => event.inputType), [
+      "formatBold",
+      "formatBold",
+      "formatItalic",
+      "formatUnderline"
+    ]);
+  });
+
+  it("should remove formatting from part of a formatting element, keeping the elements inside it", () => {
+    const { document, editor, select } = createEditor(`<p><b>a<a href="/">bc</a>d</b></p>`);
+    const linkText = editor.querySelector("a").firstChild;
+    select(linkText, 0, linkText, 1);
+
+    document.execCommand("bold");
+    assert.strictEqual(editor.innerHTML, `<p><b>a</b><a href="/">b</a><b><a href="/">c</a>d</b></p>`);
+  });
+
+  it("should create links", () => {
+    const { document, editor, select } = createEditor(`<p>Link <a href="/old">here</a> please</p>`);
+    const p = editor.querySelector("p");
+    select(p.firstChild, 0, p.lastChild, 1);
+
+    assert.isFalse(document.execCommand("createLink", false, ""));
+    assert.isTrue(document.execCommand("createLink", false, "https://example.com/"));
+    assert.strictEqual(
+      editor.innerHTML,
+      `<p><a href="https://example.com/">Link </a><a href="https://example.com/">here </a>please</p>`
+    );
+  });
+
+  it("should select the contents of the editing host with selectAll", () => {
+    const { window, document, editor, events, select } = createEditor(`<p>One</p><p>Two</p>`);
+    select(editor.querySelector("p").firstChild, 1);
+
+    assert.isTrue(document.execCommand("selectAll"));
+    assert.strictEqual(window.getSelection().toString(), "OneTwo");
+    assert.strictEqual(window.getSelection().anchorNode, editor);
+    assert.lengthOf(events, 0);
+  });
+
+  it("should undo and redo commands, restoring the selection", () => {
+    const { window, document, editor, events, select } = createEditor(`<p>ab</p><p>cd</p>`);
+    const [first, second] = editor.querySelectorAll("p");
+
+    select(second.firstChild, 0);
+    document.execCommand("delete");
+    document.execCommand("insertText", false, "X");
+    assert.strictEqual(editor.innerHTML, `<p>abXcd</p>`);
+
+    assert.isTrue(document.execCommand("undo"));
+    assert.strictEqual(editor.innerHTML, `<p>abcd</p>`);
+    assert.isTrue(document.execCommand("undo"));
+    assert.strictEqual(editor.innerHTML, `<p>ab</p><p>cd</p>`);
+    assert.strictEqual(editor.firstChild, first);
+    assert.strictEqual(editor.lastChild, second);
+    assert.strictEqual(window.getSelection().anchorNode, second.firstChild);
+    assert.isFalse(document.queryCommandEnabled("undo"));
+    assert.isFalse(document.execCommand("undo"));
+
+    assert.isTrue(document.execCommand("redo"));
+    assert.strictEqual(editor.innerHTML, `<p>abcd</p>`);
+
+    document.execCommand("insertText", false, "Y");
+    assert.isFalse(document.queryCommandEnabled("redo"), "executing a command clears the redo stack");
+    assert.isTrue(document.execCommand("undo"));
+    assert.strictEqual(editor.innerHTML, `<p>abcd</p>`);
+
+    const historyEvents = events.filter(event => event.inputType.startsWith("history"));
+    assert.deepEqual(historyEvents.map(event => `${event.type} ${event.inputType}`), [
+      "beforeinput historyUndo",
+      "input historyUndo",
+      "beforeinput historyUndo",
+      "input historyUndo",
+      "beforeinput historyRedo",
+      "input historyRedo",
+      "beforeinput historyUndo",
+      "input historyUndo"
+    ]);
+  });
+
+  it("should edit the whole document in design mode", () => {
+    const { window } = new JSDOM(`<p>Text</p>`);
+    const { document } = window;
+    document.designMode = "on";
+    window.getSelection().collapse(document.querySelector("p").firstChild, 4);
+
+    assert.isTrue(document.execCommand("insertText", false, "!"));
+    assert.strictEqual(document.body.innerHTML, `<p>Text!</p>`);
+  });
+});
@@ -0,0 +1,295 @@
+"use strict";
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+
+const { JSDOM } = require("../..");
+
+const eventTypes = [
+  "mousedown", "mouseup", "click", "focus", "blur", "keydown", "keypress", "beforeinput", "input", "keyup", "change",
+  "paste", "submit"
+];
+
+function createDOM(html) {
+  const dom = new JSDOM(html);
+  const { document } = dom.window;
+
+  const events = [];
+  for (const type of eventTypes) {
+    document.addEventListener(type, event => {
+      const target = event.target.id || event.target.localName;
+      events.push(event.inputType ? `${type} ${target} ${event.inputType}` : `${type} ${target}`);
+    }, true);
+  }
+
+  return { dom, window: dom.window, document, events };
+}
+
+function assertInOrder(events, expected) {
+  assert.deepEqual(events.filter(event => expected.includes(event)), expected);
+}
+
+describe("API: input driver", () => {
+  it("should type into text inputs, honoring the selection and maxlength", () => {
+    const { dom, document, events } = createDOM(`<input id="input" value="Hi" maxlength="6">`);
+    const input = document.getElementById("input");
+
+    dom.input.type(input, " you");
+    assert.strictEqual(document.activeElement, input);
+    assert.strictEqual(input.value, "Hi you");
+    assert.strictEqual(input.selectionStart, 6);
+    assert.deepEqual(events.slice(0, 9), [
+      "mousedown input",
+      "focus input",
+      "mouseup input",
+      "click input",
+      "keydown input",
+      "keypress input",
+      "beforeinput input insertText",
+      "input input insertText",
+      "keyup input"
+    ]);
+
+    events.length = 0;
+    dom.input.type(input, "!");
+    assert.strictEqual(input.value, "Hi you");
+    assert.deepEqual(events, ["keydown input", "keypress input", "keyup input"]);
+
+    input.setSelectionRange(0, 2);
+    dom.input.type(input, "Hey");
+    assert.strictEqual(input.value, "He you");
+    assert.strictEqual(input.selectionStart, 2);
+    assert.strictEqual(input.selectionEnd, 2);
+  });
+
+  it("should fire the keyboard events of a key press, and not insert text when they are canceled", () => {
+    const { dom, window, document } = createDOM(`<input id="input">`);
+    const input = document.getElementById("input");
+    input.focus();
+
+    const keyEvents = [];
+    for (const type of ["keydown", "keypress", "keyup"]) {
+      input.addEventListener(type, event => {
+        assert.instanceOf(event, window.KeyboardEvent);
+        assert.isTrue(event.isTrusted);
+        keyEvents.push([type, event.key, event.code, event.keyCode, event.charCode, event.shiftKey]);
+      });
+    }
+
+    dom.input.press("A", { shiftKey: true });
+    assert.deepEqual(keyEvents, [
+      ["keydown", "A", "KeyA", 65, 0, true],
+      ["keypress", "A", "KeyA", 65, 65, true],
+      ["keyup", "A", "KeyA", 65, 0, true]
+    ]);
+    assert.strictEqual(input.value, "A");
+
+    input.addEventListener("keydown", event => event.preventDefault(), { once: true });
+    dom.input.press("b");
+    input.addEventListener("beforeinput", event => event.preventDefault(), { once: true });
+    dom.input.press("c");
+    assert.strictEqual(input.value, "A");
+
+    assert.throws(() => dom.input.press(""), TypeError);
+    assert.throws(() => dom.input.type(null, "text"), TypeError);
+  });
+
+  it("should delete text and move the caret in text controls", () => {
+    const { dom, document, events } = createDOM(`<textarea id="textarea">one&#10;two</textarea>`);
+    const textarea = document.getElementById("textarea");
+
+    dom.input.click(textarea);
+    assert.strictEqual(textarea.selectionStart, 7);
+    dom.input.press("Home");
+    dom.input.press("Backspace");
+    assert.strictEqual(textarea.value, "onetwo");
+    dom.input.press("Enter");
+    assert.strictEqual(textarea.value, "one\ntwo");
+    dom.input.press("ArrowLeft");
+    dom.input.press("Delete");
+    assert.strictEqual(textarea.value, "onetwo");
+    dom.input.press("End");
+    dom.input.type(textarea, "\u{1F600}");
+    dom.input.press("ArrowLeft");
+    dom.input.press("Delete");
+    assert.strictEqual(textarea.value, "onetwo");
+
+    assert.includeMembers(events, [
+      "input textarea deleteContentBackward",
+      "input textarea insertLineBreak",
+      "input textarea deleteContentForward"
+    ]);
+
+    textarea.readOnly = true;
+    dom.input.type(textarea, "x");
+    assert.strictEqual(textarea.value, "onetwo");
+  });
+
+  it("should fire change when the focus leaves a control that the user changed", () => {
+    const { dom, document, events } = createDOM(`<input id="first"><input id="second">`);
+    const first = document.getElementById("first");
+
+    dom.input.type(first, "a");
+    first.value = "b";
+    dom.input.tab();
+    assert.strictEqual(document.activeElement.id, "second");
+    assertInOrder(events, ["change first", "blur first", "focus second"]);
+
+    events.length = 0;
+    dom.input.tab({ shiftKey: true });
+    dom.input.tab();
+    assert.notInclude(events, "change first");
+  });
+
+  it("should move the focus in tabindex order, going around after the last element", () => {
+    const { dom, document } = createDOM(`
+      <input id="a">
+      <button id="b" tabindex="2">B</button>
+      <a id="c" href="#">C</a>
+      <span id="d" tabindex="1">D</span>
+      <input id="e" tabindex="-1">
+      <input id="f" disabled>
+      <div id="g" contenteditable>G</div>
+    `);
+
+    const order = [];
+    for (let i = 0; i < 5; ++i) {
+      dom.input.tab();
+      order.push(document.activeElement.id);
+    }
+    assert.deepEqual(order, ["d", "b", "a", "c", "g"]);
+
+    dom.input.tab();
+    assert.strictEqual(document.activeElement.id, "d");
+    dom.input.tab({ shiftKey: true });
+    assert.strictEqual(document.activeElement.id, "g");
+
+    document.getElementById("e").focus();
+    dom.input.tab();
+    assert.strictEqual(document.activeElement.id, "g");
+
+    document.getElementById("a").focus();
+    document.addEventListener("keydown", event => event.preventDefault(), { once: true });
+    dom.input.tab();
+    assert.strictEqual(document.activeElement.id, "a");
+  });
+
+  it("should select the value of text controls that are tabbed to", () => {
+    const { dom, document } = createDOM(`<input id="input" value="value">`);
+    const input = document.getElementById("input");
+
+    dom.input.tab();
+    assert.strictEqual(input.selectionStart, 0);
+    assert.strictEqual(input.selectionEnd, 5);
+    dom.input.type(input, "new");
+    assert.strictEqual(input.value, "new");
+  });
+
+  it("should submit forms on Enter, through their default button if they have one", () => {
+    const { dom, document, events } = createDOM(`
+      <form id="form1"><input id="input1"><button id="button1">Submit</button></form>
+      <form id="form2"><input id="input2"></form>
+      <form id="form3"><input id="input3"><input id="input4"></form>
+    `);
+    document.addEventListener("submit", event => event.preventDefault());
+
+    dom.input.type(document.getElementById("input1"), "a\n");
+    assertInOrder(events, ["change input1", "click button1", "submit form1"]);
+
+    events.length = 0;
+    dom.input.type(document.getElementById("input2"), "\n");
+    assert.include(events, "submit form2");
+    assert.notInclude(events, "change input2");
+
+    events.length = 0;
+    dom.input.type(document.getElementById("input3"), "\n");
+    assert.notInclude(events, "submit form3");
+  });
+
+  it("should toggle checkboxes with Space and activate buttons with Enter", () => {
+    const { dom, document, events } = createDOM(`
+      <input type="checkbox" id="checkbox">
+      <button id="button" type="button">Button</button>
+    `);
+    const checkbox = document.getElementById("checkbox");
+
+    dom.input.tab();
+    events.length = 0;
+    dom.input.press(" ");
+    assert.isTrue(checkbox.checked);
+    assertInOrder(events, ["keyup checkbox", "click checkbox", "input checkbox", "change checkbox"]);
+
+    checkbox.addEventListener("keyup", event => event.preventDefault(), { once: true });
+    dom.input.press(" ");
+    assert.isTrue(checkbox.checked);
+
+    dom.input.tab();
+    events.length = 0;
+    dom.input.press("Enter");
+    assert.deepEqual(events, ["keydown button", "keypress button", "click button", "keyup button"]);
+  });
+
+  it("should click elements, focusing them unless mousedown is canceled", () => {
+    const { dom, window, document, events } = createDOM(`
+      <label id="label">Label <input type="checkbox" id="checkbox"></label>
+      <p id="paragraph">Text</p>
+      <button id="disabled" disabled>Disabled</button>
+    `);
+    const checkbox = document.getElementById("checkbox");
+
+    document.addEventListener("click", event => {
+      assert.instanceOf(event, window.MouseEvent);
+      assert.isTrue(event.isTrusted);
+    });
+
+    dom.input.click(document.getElementById("label"));
+    assert.isTrue(checkbox.checked);
+
+    dom.input.click(checkbox);
+    assert.isFalse(checkbox.checked);
+    assert.strictEqual(document.activeElement, checkbox);
+
+    dom.input.click(document.getElementById("paragraph"));
+    assert.strictEqual(document.activeElement, document.body);
+
+    checkbox.addEventListener("mousedown", event => event.preventDefault(), { once: true });
+    dom.input.click(checkbox);
+    assert.strictEqual(document.activeElement, document.body);
+    assert.isTrue(checkbox.checked);
+
+    events.length = 0;
+    dom.input.click(document.getElementById("disabled"));
+    assert.deepEqual(events, []);
+  });
+
+  it("should paste text, unless the paste event is canceled", () => {
+    const { dom, document, events } = createDOM(`<input id="input" maxlength="8">`);
+    const input = document.getElementById("input");
+
+    dom.input.click(input);
+    dom.input.paste("one\ntwo\nthree");
+    assert.strictEqual(input.value, "onetwoth");
+    assertInOrder(events, ["paste input", "beforeinput input insertFromPaste"]);
+
+    input.addEventListener("paste", event => event.preventDefault(), { once: true });
+    input.value = "";
+    dom.input.paste("text");
+    assert.strictEqual(input.value, "");
+  });
+
+  it("should edit editing hosts with editing commands", () => {
+    const { dom, document, events } = createDOM(`<div id="editor" contenteditable><p>Hello</p></div>`);
+    const editor = document.getElementById("editor");
+
+    dom.input.type(editor, " world\nNew");
+    assert.strictEqual(editor.innerHTML, `<p>Hello world</p><p>New</p>`);
+    assert.include(events, "input editor insertParagraph");
+
+    dom.input.press("Backspace");
+    dom.input.paste("xt");
+    assert.strictEqual(editor.innerHTML, `<p>Hello world</p><p>Next</p>`);
+    assert.include(events, "beforeinput editor insertFromPaste");
+
+    dom.input.press("z", { ctrlKey: true });
+    assert.strictEqual(editor.innerHTML, `<p>Hello world</p><p>Ne</p>`);
+  });
+});
@@ -0,0 +1,353 @@
+"use strict";
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+
+const { JSDOM, LayoutEngine } = require("../..");
+
+describe("API: layout option", () => {
+  it("should return zeros for every element by default", () => {
+    const { document } = (new JSDOM(`<div>text</div>`)).window;
+    const div = document.querySelector("div");
+
+    assert.deepEqual(div.getBoundingClientRect(), {
+      x: 0,
+      y: 0,
+      width: 0,
+      height: 0,
+      top: 0,
+      right: 0,
+      bottom: 0,
+      left: 0
+    });
+    assert.lengthOf(div.getClientRects(), 0);
+    assert.strictEqual(div.offsetWidth, 0);
+    assert.strictEqual(div.clientWidth, 0);
+    assert.strictEqual(div.scrollHeight, 0);
+    assert.strictEqual(div.offsetParent, null);
+  });
+
+  it("should throw for invalid values", () => {
+    assert.throws(() => new JSDOM(``, { layout: "nonexistent" }), TypeError);
+    assert.throws(() => new JSDOM(``, { layout: {} }), TypeError);
+  });
+
+  it("should call a layout function with the element wrapper", () => {
+    const elements = [];
+    const dom = new JSDOM(`<div></div>`, {
+      layout(element) {
+        elements.push(element);
+        return null;
+      }
+    });
+    const div = dom.window.document.querySelector("div");
+
+    div.getBoundingClientRect();
+
+    assert.deepEqual(elements, [div]);
+    assert.instanceOf(elements[0], dom.window.HTMLDivElement);
+  });
+
+  it("should not consult the layout function for disconnected elements", () => {
+    const dom = new JSDOM(``, { layout: () => assert.fail("layout must not be called") });
+    const div = dom.window.document.createElement("div");
+
+    assert.strictEqual(div.offsetWidth, 0);
+    assert.lengthOf(div.getClientRects(), 0);
+  });
+
+  it("should derive the CSSOM View measurements from the returned box", () => {
+    const dom = new JSDOM(`<div id="box"></div>`, {
+      layout(element) {
+        if (element.id === "box") {
+          return { x: 10, y: 20, width: 100, height: 50, borderTop: 1, borderRight: 2, borderBottom: 3, borderLeft: 4 };
+        }
+        return null;
+      }
+    });
+    const box = dom.window.document.getElementById("box");
+
+    assert.deepEqual(box.getBoundingClientRect(), {
+      x: 10,
+      y: 20,
+      width: 100,
+      height: 50,
+      top: 20,
+      right: 110,
+      bottom: 70,
+      left: 10
+    });
+    assert.lengthOf(box.getClientRects(), 1);
+    assert.strictEqual(box.offsetWidth, 100);
+    assert.strictEqual(box.offsetHeight, 50);
+    assert.strictEqual(box.clientTop, 1);
+    assert.strictEqual(box.clientLeft, 4);
+    assert.strictEqual(box.clientWidth, 94);
+    assert.strictEqual(box.clientHeight, 46);
+    assert.strictEqual(box.scrollWidth, 94);
+    assert.strictEqual(box.scrollHeight, 46);
+  });
+
+  it("should honor scrollWidth and scrollHeight from the returned box", () => {
+    const dom = new JSDOM(`<div></div>`, {
+      layout: () => ({ x: 0, y: 0, width: 100, height: 100, scrollWidth: 300, scrollHeight: 400 })
+    });
+    const div = dom.window.document.querySelector("div");
+
+    assert.strictEqual(div.scrollWidth, 300);
+    assert.strictEqual(div.scrollHeight, 400);
+  });
+
+  it("should unite the non-empty fragment rects in getBoundingClientRect()", () => {
+    const dom = new JSDOM(`<span>text</span>`, {
+      layout: () => ({
+        x: 0,
+        y: 0,
+        width: 0,
+        height: 0,
+        rects: [
+          { x: 50, y: 0, width: 50, height: 10 },
+          { x: 0, y: 10, width: 0, height: 10 },
+          { x: 0, y: 10, width: 30, height: 10 }
+        ]
+      })
+    });
+    const span = dom.window.document.querySelector("span");
+
+    assert.lengthOf(span.getClientRects(), 3);
+    assert.deepEqual(span.getBoundingClientRect(), {
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 20,
+      top: 0,
+      right: 100,
+      bottom: 20,
+      left: 0
+    });
+  });
+
+  it("should use the viewport size for the clientWidth and clientHeight of the root element", () => {
+    const dom = new JSDOM(`<!DOCTYPE html>`, { layout: () => ({ x: 0, y: 0, width: 10, height: 10 }) });
+    const { documentElement } = dom.window.document;
+
+    assert.strictEqual(documentElement.clientWidth, dom.window.innerWidth);
+    assert.strictEqual(documentElement.clientHeight, dom.window.innerHeight);
+  });
+
+  it("should compute offsetParent, offsetTop and offsetLeft", () => {
+    const boxes = {
+      body: { x: 0, y: 0, width: 500, height: 500 },
+      outer: { x: 10, y: 10, width: 200, height: 200, borderTop: 5, borderLeft: 3 },
+      inner: { x: 30, y: 40, width: 50, height: 50 },
+      static: { x: 20, y: 25, width: 20, height: 20 }
+    };
+    const dom = new JSDOM(`<!DOCTYPE html><body id="body">
+      <div id="outer" style="position: relative"><div id="inner"></div></div>
+      <div id="static"></div>
+    </body>`, {
+      layout: element => boxes[element.id] || null
+    });
+    const { document } = dom.window;
+    const outer = document.getElementById("outer");
+    const inner = document.getElementById("inner");
+    const staticDiv = document.getElementById("static");
+
+    assert.strictEqual(document.body.offsetParent, null);
+    assert.strictEqual(inner.offsetParent, outer);
+    assert.strictEqual(inner.offsetTop, 25);
+    assert.strictEqual(inner.offsetLeft, 17);
+    assert.strictEqual(staticDiv.offsetParent, document.body);
+    assert.strictEqual(staticDiv.offsetTop, 25);
+    assert.strictEqual(staticDiv.offsetLeft, 20);
+  });
+
+  it("should return null from offsetParent for fixed position elements", () => {
+    const dom = new JSDOM(`<div style="position: fixed"></div>`, {
+      layout: () => ({ x: 5, y: 5, width: 10, height: 10 })
+    });
+    const div = dom.window.document.querySelector("div");
+
+    assert.strictEqual(div.offsetParent, null);
+    assert.strictEqual(div.offsetTop, 5);
+  });
+
+  it("should accept LayoutEngine subclasses", () => {
+    class TestLayoutEngine extends LayoutEngine {
+      getBox(element) {
+        return element.localName === "p" ? { x: 0, y: 0, width: 42, height: 1 } : super.getBox(element);
+      }
+    }
+    const dom = new JSDOM(`<p></p><div></div>`, { layout: new TestLayoutEngine() });
+    const { document } = dom.window;
+
+    assert.strictEqual(document.querySelector("p").offsetWidth, 42);
+    assert.strictEqual(document.querySelector("div").offsetWidth, 0);
+  });
+
+  describe("basic", () => {
+    function basicDOM(html) {
+      return new JSDOM(`<!DOCTYPE html>${html}`, { layout: "basic" });
+    }
+
+    it("should stack block boxes inside the body margin", () => {
+      const { document } = basicDOM(`<div id="a" style="height: 10px"></div><div id="b" style="height: 20px"></div>`)
+        .window;
+      const a = document.getElementById("a");
+      const b = document.getElementById("b");
+
+      assert.deepEqual(a.getBoundingClientRect(), {
+        x: 8,
+        y: 8,
+        width: 1008,
+        height: 10,
+        top: 8,
+        right: 1016,
+        bottom: 18,
+        left: 8
+      });
+      assert.strictEqual(b.offsetTop, 18);
+      assert.strictEqual(b.offsetHeight, 20);
+      assert.strictEqual(b.offsetParent, document.body);
+    });
+
+    it("should apply width, height, padding, border and margin from style sheets", () => {
+      const { document } = basicDOM(`<style>
+        #box { width: 100px; height: 50px; padding: 10px 5px; border: 2px solid; margin: 4px 0 0 20px; }
+      </style><div id="box"></div>`).window;
+      const box = document.getElementById("box");
+
+      assert.strictEqual(box.offsetLeft, 28);
+      assert.strictEqual(box.offsetTop, 12);
+      assert.strictEqual(box.offsetWidth, 114);
+      assert.strictEqual(box.offsetHeight, 74);
+      assert.strictEqual(box.clientWidth, 110);
+      assert.strictEqual(box.clientHeight, 70);
+      assert.strictEqual(box.clientTop, 2);
+      assert.strictEqual(box.clientLeft, 2);
+    });
+
+    it("should honor box-sizing: border-box and percentage widths", () => {
+      const { document } = basicDOM(`<div style="width: 500px">
+        <div id="box" style="box-sizing: border-box; width: 50%; padding: 0 10px"></div>
+      </div>`).window;
+      const box = document.getElementById("box");
+
+      assert.strictEqual(box.offsetWidth, 250);
+      assert.strictEqual(box.clientWidth, 250);
+    });
+
+    it("should center boxes with auto horizontal margins", () => {
+      const { document } = basicDOM(`<div id="box" style="width: 8px; margin: 0 auto"></div>`).window;
+
+      assert.strictEqual(document.getElementById("box").offsetLeft, 508);
+    });
+
+    it("should give elements with display: none, and their descendants, no box", () => {
+      const { document } = basicDOM(`<div style="display: none"><p id="p">text</p></div>`).window;
+      const p = document.getElementById("p");
+
+      assert.lengthOf(p.getClientRects(), 0);
+      assert.strictEqual(p.offsetWidth, 0);
+      assert.strictEqual(p.offsetParent, null);
+      assert.strictEqual(document.querySelector("div").offsetHeight, 0);
+    });
+
+    it("should measure text in a fixed-width font and wrap it into lines", () => {
+      const { document } = basicDOM(`<div style="width: 80px">hello   world and</div>`).window;
+      const div = document.querySelector("div");
+
+      // "hello world" is 11 characters of 8px, which does not fit into 80px.
+      assert.strictEqual(div.offsetHeight, 32);
+      assert.strictEqual(div.scrollWidth, 80);
+    });
+
+    it("should return a rect per line for inline elements", () => {
+      const { document } = basicDOM(`<div style="width: 80px">ab <span>cd efgh ij</span></div>`).window;
+      const span = document.querySelector("span");
+
+      const rects = span.getClientRects();
+      assert.lengthOf(rects, 2);
+      assert.deepInclude(rects[0], { x: 32, y: 8, width: 56, height: 16 });
+      assert.deepInclude(rects[1], { x: 8, y: 24, width: 16, height: 16 });
+      assert.deepInclude(span.getBoundingClientRect(), { x: 8, y: 8, width: 80, height: 32 });
+      assert.strictEqual(span.offsetTop, 8);
+    });
+
+    it("should preserve newlines and spaces in white-space: pre", () => {
+      const { document } = basicDOM(`<pre>a  b\nc\n\nd</pre>`).window;
+      const pre = document.querySelector("pre");
+
+      assert.strictEqual(pre.offsetHeight, 64);
+      assert.strictEqual(pre.scrollWidth, 1008);
+      assert.strictEqual(pre.getBoundingClientRect().width, 1008);
+    });
+
+    it("should shrink inline-block elements to fit their contents", () => {
+      const { document } = basicDOM(`<span style="display: inline-block; padding: 2px">abc</span><img
+        width="30" height="20">`).window;
+      const inlineBlock = document.querySelector("span");
+      const img = document.querySelector("img");
+
+      assert.deepInclude(inlineBlock.getBoundingClientRect(), { x: 8, y: 8, width: 28, height: 20 });
+      assert.deepInclude(img.getBoundingClientRect(), { x: 36, y: 8, width: 30, height: 20 });
+    });
+
+    it("should report the overflowing size in scrollWidth and scrollHeight", () => {
+      const { document } = basicDOM(`<div style="width: 50px; height: 10px">
+        <div style="width: 100px; height: 40px"></div>
+      </div>`).window;
+      const div = document.querySelector("div");
+
+      assert.strictEqual(div.clientHeight, 10);
+      assert.strictEqual(div.scrollHeight, 40);
+      assert.strictEqual(div.scrollWidth, 100);
+    });
+
+    it("should reflect changes to the document", () => {
+      const { document } = basicDOM(`<div style="width: 10px"></div>`).window;
+      const div = document.querySelector("div");
+
+      assert.strictEqual(div.offsetWidth, 10);
+      div.style.width = "20px";
+      assert.strictEqual(div.offsetWidth, 20);
+      div.style.display = "none";
+      assert.strictEqual(div.offsetWidth, 0);
+    });
+
+    it("should reflect changes to text, classes and style sheets made after a measurement", () => {
+      const { document } = basicDOM(`<span>abc</span><div></div>`).window;
+      const span = document.querySelector("span");
+      const div = document.querySelector("div");
+
+      assert.strictEqual(span.offsetWidth, 24);
+      span.firstChild.data = "abcdef";
+      assert.strictEqual(span.offsetWidth, 48);
+
+      assert.strictEqual(div.offsetHeight, 0);
+      div.className = "tall";
+      const style = document.createElement("style");
+      style.textContent = `.tall { height: 30px; }`;
+      document.head.append(style);
+      assert.strictEqual(div.offsetHeight, 30);
+    });
+
+    it("should reflect viewport changes made with reconfigure()", () => {
+      const dom = basicDOM(`<div></div>`);
+      const div = dom.window.document.querySelector("div");
+
+      assert.strictEqual(div.offsetWidth, 1008);
+      dom.reconfigure({ viewport: { width: 500, height: 300 } });
+      assert.strictEqual(div.offsetWidth, 484);
+    });
+
+    it("should reflect edits to CSSOM rules once the current task is over", async () => {
+      const { document } = basicDOM(`<style></style><div></div>`).window;
+      const div = document.querySelector("div");
+
+      assert.strictEqual(div.offsetHeight, 0);
+      document.styleSheets[0].insertRule("div { height: 10px; }", 0);
+      await Promise.resolve();
+      assert.strictEqual(div.offsetHeight, 10);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+"use strict";
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+
+const { JSDOM, ResourceLoader } = require("../..");
+const { delay } = require("../util.js");
+
+const allEvents = [
+  "loadstart", "durationchange", "loadedmetadata", "loadeddata", "canplay", "canplaythrough", "play", "playing",
+  "waiting", "timeupdate", "pause", "ended", "seeking", "seeked", "error", "emptied", "abort"
+];
+
+function recordEvents(element) {
+  const events = [];
+  for (const type of allEvents) {
+    element.addEventListener(type, () => events.push(type));
+  }
+  return events;
+}
+
+function createMedia(html, options) {
+  const dom = new JSDOM(html, { url: "https://example.com/", ...options });
+  const media = dom.window.document.querySelector("audio, video");
+  return { window: dom.window, media, events: recordEvents(media) };
+}
+
+describe("API: simulated media playback", () => {
+  it("should load the metadata from the data-duration attribute", async () => {
+    const { window, media, events } = createMedia(`<video src="movie.mp4" data-duration="12.5"></video>`);
+
+    assert.strictEqual(media.networkState, media.NETWORK_NO_SOURCE);
+    assert.isNaN(media.duration);
+
+    await delay(10);
+
+    assert.deepEqual(events, [
+      "loadstart",
+      "durationchange",
+      "loadedmetadata",
+      "loadeddata",
+      "canplay",
+      "canplaythrough"
+    ]);
+    assert.strictEqual(media.currentSrc, "https://example.com/movie.mp4");
+    assert.strictEqual(media.duration, 12.5);
+    assert.strictEqual(media.readyState, media.HAVE_ENOUGH_DATA);
+    assert.strictEqual(media.networkState, media.NETWORK_IDLE);
+    assert.strictEqual(media.seekable.end(0), 12.5);
+    window.close();
+  });
+
+  it("should advance currentTime on the window's clock while playing, until the end", async () => {
+    const { window, media, events } = createMedia(`<audio src="song.mp3" data-duration="0.5"></audio>`);
+
+    await media.play();
+
+    assert.isFalse(media.paused);
+    assert.deepEqual(events, [
+      "play",
+      "waiting",
+      "loadstart",
+      "durationchange",
+      "loadedmetadata",
+      "loadeddata",
+      "canplay",
+      "canplaythrough",
+      "playing"
+    ]);
+    events.length = 0;
+
+    await delay(300);
+
+    assert.strictEqual(media.currentTime, 0.25);
+    assert.deepEqual(events, ["timeupdate"]);
+
+    await delay(300);
+
+    assert.strictEqual(media.currentTime, 0.5);
+    assert.isTrue(media.paused);
+    assert.isTrue(media.ended);
+    assert.deepEqual(events, ["timeupdate", "timeupdate", "pause", "ended"]);
+    window.close();
+  });
+
+  it("should keep playing when the page replaces or clears its timers", async () => {
+    const { window, media, events } = createMedia(`<audio src="song.mp3" data-duration="0.5"></audio>`);
+
+    await media.play();
+    events.length = 0;
+
+    window.setTimeout = () => 0;
+    for (let handle = 1; handle < 100; ++handle) {
+      window.clearTimeout(handle);
+    }
+    await delay(600);
+
+    assert.strictEqual(media.currentTime, 0.5);
+    assert.deepEqual(events, ["timeupdate", "timeupdate", "pause", "ended"]);
+    window.close();
+  });
+
+  it("should restart from the beginning when playing after the end with the loop attribute", async () => {
+    const { window, media, events } = createMedia(`<audio src="song.mp3" data-duration="0.25" loop></audio>`);
+
+    await media.play();
+    events.length = 0;
+    await delay(300);
+
+    assert.isFalse(media.paused);
+    assert.isFalse(media.ended);
+    assert.strictEqual(media.currentTime, 0);
+    assert.deepEqual(events, ["seeking", "timeupdate", "seeked"]);
+    window.close();
+  });
+
+  it("should fire pause and reject pending play() promises when paused", async () => {
+    const { window, media, events } = createMedia(`<video src="movie.mp4" data-duration="10"></video>`);
+
+    const playPromise = media.play();
+    media.pause();
+
+    assert.isTrue(media.paused);
+    await assertRejectsWith(playPromise, "AbortError");
+    await delay(10);
+
+    assert.includeMembers(events, ["play", "waiting", "timeupdate", "pause"]);
+    assert.strictEqual(media.currentTime, 0);
+    window.close();
+  });
+
+  it("should seek when setting currentTime", async () => {
+    const { window, media, events } = createMedia(`<video src="movie.mp4" data-duration="10"></video>`);
+    await delay(10);
+    events.length = 0;
+
+    media.currentTime = 20;
+
+    assert.isTrue(media.seeking);
+    assert.strictEqual(media.currentTime, 10);
+
+    await delay(10);
+
+    assert.isFalse(media.seeking);
+    assert.deepEqual(events, ["seeking", "timeupdate", "seeked"]);
+    window.close();
+  });
+
+  it("should start at a currentTime set before the metadata was loaded", async () => {
+    const { window, media } = createMedia(`<video src="movie.mp4" data-duration="10"></video>`);
+
+    media.currentTime = 3;
+    assert.strictEqual(media.currentTime, 0);
+
+    await delay(10);
+
+    assert.strictEqual(media.currentTime, 3);
+    window.close();
+  });
+
+  it("should play automatically with the autoplay attribute", async () => {
+    const { window, media, events } = createMedia(`<video src="movie.mp4" data-duration="10" autoplay></video>`);
+
+    await new Promise(resolve => media.addEventListener("playing", resolve, { once: true }));
+
+    assert.isFalse(media.paused);
+    assert.includeMembers(events, ["play", "playing"]);
+    window.close();
+  });
+
+  it("should fire error and reject play() when the duration is not known", async () => {
+    const { window, media, events } = createMedia(`<video src="movie.mp4"></video>`);
+
+    await assertRejectsWith(media.play(), "NotSupportedError");
+
+    assert.deepEqual(events, ["play", "waiting", "loadstart", "error"]);
+    assert.strictEqual(media.networkState, media.NETWORK_NO_SOURCE);
+    await assertRejectsWith(media.play(), "NotSupportedError");
+    window.close();
+  });
+
+  it("should restart the resource selection when load() is called", async () => {
+    const { window, media, events } = createMedia(`<video src="movie.mp4" data-duration="10"></video>`);
+    await delay(10);
+    events.length = 0;
+
+    media.setAttribute("data-duration", "20");
+    media.load();
+
+    assert.isNaN(media.duration);
+    assert.strictEqual(media.readyState, media.HAVE_NOTHING);
+
+    await delay(10);
+
+    assert.strictEqual(media.duration, 20);
+    assert.deepEqual(events.slice(0, 3), ["abort", "emptied", "loadstart"]);
+    window.close();
+  });
+
+  it("should ask the resource loader for the metadata of each <source> in turn", async () => {
+    const calls = [];
+    class MediaResourceLoader extends ResourceLoader {
+      getMediaMetadata(url, { element }) {
+        calls.push([url, element.localName]);
+        return Promise.resolve(url.endsWith(".webm") ? { duration: 42 } : null);
+      }
+    }
+
+    const { window, media } = createMedia(
+      `<video><source src="movie.mp4"><source src="movie.webm"></video>`,
+      { resources: new MediaResourceLoader() }
+    );
+    const sourceErrors = [];
+    media.querySelector("source").addEventListener("error", () => sourceErrors.push("error"));
+
+    await delay(10);
+
+    assert.deepEqual(calls, [
+      ["https://example.com/movie.mp4", "video"],
+      ["https://example.com/movie.webm", "video"]
+    ]);
+    assert.deepEqual(sourceErrors, ["error"]);
+    assert.strictEqual(media.currentSrc, "https://example.com/movie.webm");
+    assert.strictEqual(media.duration, 42);
+    window.close();
+  });
+});
+
+async function assertRejectsWith(promise, name) {
+  try {
+    await promise;
+  } catch (e) {
+    assert.strictEqual(e.name, name);
+    return;
+  }
+  assert.fail(`Expected a rejection with ${name}`);
+}
@@ -0,0 +1,312 @@
+"use strict";
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+
+const { JSDOM } = require("../..");
+
+function nextEvent(target, type) {
+  return new Promise(resolve => target.addEventListener(type, resolve, { once: true }));
+}
+
+function runScriptIn(window, code) {
+  const script = window.document.createElement("script");
+  script.textContent = code;
+  window.document.body.appendChild(script);
+}
+
+function createFrame(window) {
+  const iframe = window.document.createElement("iframe");
+  window.document.body.appendChild(iframe);
+  return iframe.contentWindow;
+}
+
+describe("API: messaging", () => {
+  describe("MessageChannel", () => {
+    it("should deliver messages between its ports once the receiving port is started", async () => {
+      const { window } = new JSDOM();
+      const { port1, port2 } = new window.MessageChannel();
+
+      assert.instanceOf(port1, window.MessagePort);
+      assert.instanceOf(port2, window.MessagePort);
+
+      const received = [];
+      port2.addEventListener("message", event => received.push(event));
+      port1.postMessage({ value: 1 });
+      port1.postMessage("second");
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.lengthOf(received, 0, "messages are queued until start() is called");
+
+      port2.start();
+      await nextEvent(port2, "message");
+      await nextEvent(port2, "message");
+
+      assert.lengthOf(received, 2);
+      assert.instanceOf(received[0], window.MessageEvent);
+      assert.deepEqual(received[0].data, { value: 1 });
+      assert.strictEqual(received[0].origin, "");
+      assert.isNull(received[0].source);
+      assert.deepEqual(received[0].ports, []);
+      assert.isTrue(Object.isFrozen(received[0].ports));
+      assert.strictEqual(received[1].data, "second");
+    });
+
+    it("should start the port when onmessage is set", async () => {
+      const { window } = new JSDOM();
+      const { port1, port2 } = new window.MessageChannel();
+
+      port2.postMessage("to port1");
+      const event = await new Promise(resolve => {
+        port1.onmessage = resolve;
+      });
+
+      assert.strictEqual(event.data, "to port1");
+      assert.strictEqual(event.target, port1);
+    });
+
+    it("should stop delivering messages once either port is closed", async () => {
+      const { window } = new JSDOM();
+      const { port1, port2 } = new window.MessageChannel();
+
+      const received = [];
+      port2.onmessage = event => received.push(event.data);
+      port1.postMessage("before close");
+      port2.close();
+      port1.postMessage("after close");
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.deepEqual(received, []);
+    });
+
+    it("should transfer ports and ArrayBuffers, keeping messages already queued for a transferred port", async () => {
+      const { window } = new JSDOM();
+      const channel = new window.MessageChannel();
+      const other = new window.MessageChannel();
+      const { buffer } = new window.Uint8Array([1, 2, 3]);
+
+      other.port2.postMessage("queued before transfer");
+      channel.port1.postMessage({ buffer }, { transfer: [other.port1, buffer] });
+      other.port2.postMessage("sent after transfer");
+
+      channel.port2.start();
+      const event = await nextEvent(channel.port2, "message");
+      assert.lengthOf(event.ports, 1);
+      assert.notStrictEqual(event.ports[0], other.port1);
+      assert.deepEqual([...new window.Uint8Array(event.data.buffer)], [1, 2, 3]);
+
+      const received = [];
+      event.ports[0].onmessage = e => received.push(e.data);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.deepEqual(received, ["queued before transfer", "sent after transfer"]);
+
+      event.ports[0].postMessage("reply");
+      other.port2.start();
+      assert.strictEqual((await nextEvent(other.port2, "message")).data, "reply");
+    });
+
+    it("should throw a DataCloneError when transferring a port through itself or a detached port", () => {
+      const { window } = new JSDOM();
+      const { port1, port2 } = new window.MessageChannel();
+      const other = new window.MessageChannel();
+
+      for (const fn of [
+        () => port1.postMessage("message", [port1]),
+        () => port1.postMessage("message", [other.port1, other.port1]),
+        () => port1.postMessage(other.port1),
+        () => {
+          port2.postMessage("message", [other.port2]);
+          port1.postMessage("message", [other.port2]);
+        }
+      ]) {
+        let thrown = null;
+        try {
+          fn();
+        } catch (e) {
+          thrown = e;
+        }
+        assert.instanceOf(thrown, window.DOMException);
+        assert.strictEqual(thrown.name, "DataCloneError");
+      }
+    });
+  });
+
+  describe("BroadcastChannel", () => {
+    async function assertDeliversToWindowAndFrames(window) {
+      const frameWindow = createFrame(window);
+
+      const sender = new window.BroadcastChannel("sync");
+      const sameWindow = new window.BroadcastChannel("sync");
+      const inFrame = new frameWindow.BroadcastChannel("sync");
+      const otherName = new window.BroadcastChannel("other");
+      assert.strictEqual(sender.name, "sync");
+
+      const received = [];
+      for (const channel of [sender, sameWindow, inFrame, otherName]) {
+        channel.onmessage = event => received.push({ channel, event });
+      }
+
+      const message = { value: [1, 2] };
+      sender.postMessage(message);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      assert.deepEqual(received.map(({ channel }) => channel), [sameWindow, inFrame]);
+      for (const { event } of received) {
+        assert.deepEqual(event.data, message);
+        assert.notStrictEqual(event.data, message);
+        assert.strictEqual(event.origin, "https://example.com");
+        assert.isNull(event.source);
+      }
+      assert.instanceOf(received[1].event, frameWindow.MessageEvent);
+      assert.instanceOf(received[1].event.data, frameWindow.Object);
+    }
+
+    it("should deliver clones of messages to the other same-name channels of the window and its frames", async () => {
+      const { window } = new JSDOM(``, { url: "https://example.com/" });
+      await assertDeliversToWindowAndFrames(window);
+    });
+
+    it("should deliver messages to the channels of frames when scripts are run", async () => {
+      const { window } = new JSDOM(``, { url: "https://example.com/", runScripts: "dangerously" });
+      await assertDeliversToWindowAndFrames(window);
+    });
+
+    it("should stop delivering messages to and from closed channels", async () => {
+      const { window } = new JSDOM();
+      const sender = new window.BroadcastChannel("sync");
+      const receiver = new window.BroadcastChannel("sync");
+
+      const received = [];
+      receiver.addEventListener("message", event => received.push(event.data));
+      sender.postMessage("before close");
+      receiver.close();
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.deepEqual(received, []);
+
+      sender.close();
+      let thrown = null;
+      try {
+        sender.postMessage("after close");
+      } catch (e) {
+        thrown = e;
+      }
+      assert.instanceOf(thrown, window.DOMException);
+      assert.strictEqual(thrown.name, "InvalidStateError");
+    });
+
+    it("should throw a DataCloneError for messages that cannot be cloned", () => {
+      const { window } = new JSDOM();
+      const channel = new window.BroadcastChannel("sync");
+
+      let thrown = null;
+      try {
+        channel.postMessage(() => {});
+      } catch (e) {
+        thrown = e;
+      }
+      assert.instanceOf(thrown, window.DOMException);
+      assert.strictEqual(thrown.name, "DataCloneError");
+    });
+  });
+
+  describe("window.postMessage()", () => {
+    it("should set source and origin to the window of the script that posted the message", async () => {
+      const { window } = new JSDOM(``, { url: "https://example.com/", runScripts: "dangerously" });
+      const frameWindow = createFrame(window);
+
+      runScriptIn(frameWindow, `parent.postMessage("from frame", "/");`);
+      const fromFrame = await nextEvent(window, "message");
+      assert.strictEqual(fromFrame.data, "from frame");
+      assert.strictEqual(fromFrame.source, frameWindow);
+      assert.strictEqual(fromFrame.origin, "https://example.com");
+
+      runScriptIn(window, `frames[0].postMessage("from parent", "https://example.com/some/path");`);
+      const fromParent = await nextEvent(frameWindow, "message");
+      assert.strictEqual(fromParent.data, "from parent");
+      assert.strictEqual(fromParent.source, window);
+      assert.strictEqual(fromParent.origin, "https://example.com");
+    });
+
+    it("should not deliver messages whose targetOrigin does not match", async () => {
+      const { window } = new JSDOM(``, { url: "https://example.com/" });
+
+      const received = [];
+      window.addEventListener("message", event => received.push(event.data));
+      window.postMessage("other origin", "https://example.org");
+      window.postMessage("same origin", "https://example.com/path");
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.deepEqual(received, ["same origin"]);
+    });
+
+    it("should let a frame and its parent talk over a transferred port", async () => {
+      const { window } = new JSDOM(``, { runScripts: "dangerously" });
+      const frameWindow = createFrame(window);
+
+      runScriptIn(frameWindow, `
+        const channel = new MessageChannel();
+        channel.port1.onmessage = event => channel.port1.postMessage(event.data + " acknowledged");
+        parent.postMessage("connect", "*", [channel.port2]);
+      `);
+
+      const event = await nextEvent(window, "message");
+      assert.strictEqual(event.source, frameWindow);
+      assert.lengthOf(event.ports, 1);
+
+      const [port] = event.ports;
+      assert.instanceOf(port, window.MessagePort);
+      port.postMessage("hello");
+      const reply = await new Promise(resolve => {
+        port.onmessage = resolve;
+      });
+      assert.strictEqual(reply.data, "hello acknowledged");
+    });
+
+    it("should set source and origin to the posting window in promise reactions and after await", async () => {
+      const { window } = new JSDOM(``, { url: "https://example.com/" });
+      const other = new JSDOM(``, { url: "https://other.example/", runScripts: "dangerously" });
+      other.window.target = window;
+
+      const received = [];
+      window.addEventListener("message", event => received.push(event));
+      runScriptIn(other.window, `
+        Promise.resolve().then(() => target.postMessage("from a promise reaction", "*"));
+        (async () => {
+          await null;
+          target.postMessage("after await", "*");
+        })();
+      `);
+
+      await nextEvent(window, "message");
+      await nextEvent(window, "message");
+      assert.deepEqual(received.map(event => event.data), ["from a promise reaction", "after await"]);
+      for (const event of received) {
+        assert.strictEqual(event.source, other.window);
+        assert.strictEqual(event.origin, "https://other.example");
+      }
+    });
+
+    it("should give messages posted from outside of any script a null source and an opaque origin", async () => {
+      const { window } = new JSDOM(``, { url: "https://example.com/", runScripts: "dangerously" });
+      const frameWindow = createFrame(window);
+
+      const received = [];
+      window.addEventListener("message", event => received.push(event.data));
+      window.postMessage("to the incumbent origin", "/");
+
+      window.postMessage("from Node.js", "*");
+      const fromNode = await nextEvent(window, "message");
+      assert.strictEqual(fromNode.data, "from Node.js");
+      assert.isNull(fromNode.source);
+      assert.strictEqual(fromNode.origin, "null");
+
+      frameWindow.eval(`parent.postMessage("from eval", "*");`);
+      const fromEval = await nextEvent(window, "message");
+      assert.strictEqual(fromEval.data, "from eval");
+      assert.isNull(fromEval.source);
+      assert.strictEqual(fromEval.origin, "null");
+
+      assert.deepEqual(received, ["from Node.js", "from eval"]);
+    });
+  });
+});
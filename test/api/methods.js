@@ -289,5 +289,94 @@ describe("API: JSDOM class's methods", () => {
         assert.strictEqual(window.document.documentURI, "http://example.com/");
       });
     });
+
+    describe("viewport and colorScheme", () => {
+      it("should change the size of the window and fire resize", () => {
+        const dom = new JSDOM();
+        const { window } = dom;
+
+        let resizeEvents = 0;
+        window.addEventListener("resize", () => ++resizeEvents);
+
+        dom.reconfigure({ viewport: { width: 320, height: 480 } });
+
+        assert.strictEqual(window.innerWidth, 320);
+        assert.strictEqual(window.innerHeight, 480);
+        assert.strictEqual(resizeEvents, 1);
+
+        dom.reconfigure({ viewport: { width: 320, height: 480 } });
+
+        assert.strictEqual(resizeEvents, 1);
+      });
+
+      it("should fire change at media query lists whose result changed", () => {
+        const dom = new JSDOM();
+        const { window } = dom;
+        const narrow = window.matchMedia("(max-width: 600px)");
+        const dark = window.matchMedia("(prefers-color-scheme: dark)");
+        const print = window.matchMedia("print");
+
+        const events = [];
+        narrow.addEventListener("change", event => events.push(["narrow", event.media, event.matches]));
+        dark.addListener(event => events.push(["dark", event.media, event.matches]));
+        print.onchange = () => events.push(["print"]);
+
+        dom.reconfigure({ viewport: { width: 500, height: 800 } });
+        dom.reconfigure({ colorScheme: "dark" });
+        dom.reconfigure({ viewport: { width: 1000, height: 800 }, colorScheme: "light" });
+
+        assert.deepEqual(events, [
+          ["narrow", "(max-width: 600px)", true],
+          ["dark", "(prefers-color-scheme: dark)", true],
+          ["narrow", "(max-width: 600px)", false],
+          ["dark", "(prefers-color-scheme: dark)", false]
+        ]);
+      });
+
+      it("should report changes relative to when change listeners were added", () => {
+        const dom = new JSDOM();
+        const { window } = dom;
+        const narrow = window.matchMedia("(max-width: 600px)");
+        const events = [];
+        function listener(event) {
+          events.push(["listener", event.matches]);
+        }
+
+        dom.reconfigure({ viewport: { width: 500, height: 800 } });
+        narrow.addEventListener("change", listener);
+        narrow.addEventListener("change", event => events.push(["once", event.matches]), { once: true });
+        dom.reconfigure({ viewport: { width: 550, height: 800 } });
+        dom.reconfigure({ viewport: { width: 1000, height: 800 } });
+        dom.reconfigure({ viewport: { width: 500, height: 800 } });
+
+        narrow.removeEventListener("change", listener);
+        dom.reconfigure({ viewport: { width: 1000, height: 800 } });
+        narrow.addEventListener("change", listener);
+        dom.reconfigure({ viewport: { width: 1100, height: 800 } });
+
+        assert.deepEqual(events, [["listener", false], ["once", false], ["listener", true]]);
+      });
+
+      it("should update the styles that apply", () => {
+        const dom = new JSDOM(`<style>@media (prefers-color-scheme: dark) { body { color: white; } }</style>`);
+        const { body } = dom.window.document;
+
+        assert.strictEqual(dom.window.getComputedStyle(body).color, "rgb(0, 0, 0)");
+
+        dom.reconfigure({ colorScheme: "dark" });
+
+        assert.strictEqual(dom.window.getComputedStyle(body).color, "rgb(255, 255, 255)");
+      });
+
+      it("should throw and not change anything for invalid values", () => {
+        const dom = new JSDOM();
+
+        assert.throws(() => dom.reconfigure({ colorScheme: "blue" }), RangeError);
+        assert.throws(() => dom.reconfigure({ viewport: { width: "wide" } }), RangeError);
+
+        assert.strictEqual(dom.window.innerWidth, 1024);
+        assert.strictEqual(dom.window.matchMedia("(prefers-color-scheme: light)").matches, true);
+      });
+    });
   });
 });
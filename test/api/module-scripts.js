@@ -0,0 +1,300 @@
+"use strict";
+const vm = require("vm");
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+
+const { JSDOM, ResourceLoader, VirtualConsole } = require("../..");
+
+// Module scripts need Node.js's --experimental-vm-modules flag.
+const modulesSupported = vm.SourceTextModule !== undefined;
+
+function moduleResources(modules) {
+  const resources = new ResourceLoader();
+  // Modules on https://example.com/ are given by their path, and others by their URL.
+  resources.route("*", ({ url }) => {
+    const { origin, pathname } = new URL(url);
+    const source = modules[origin === "https://example.com" ? pathname : url];
+    if (source === undefined) {
+      return { status: 404 };
+    }
+    return { headers: { "Content-Type": "text/javascript" }, body: source };
+  });
+  return resources;
+}
+
+function createDOM(html, modules = {}, options = {}) {
+  const dom = new JSDOM(html, {
+    url: "https://example.com/",
+    runScripts: "dangerously",
+    resources: moduleResources(modules),
+    ...options
+  });
+  const loaded = new Promise(resolve => dom.window.addEventListener("load", resolve));
+  return { dom, window: dom.window, loaded };
+}
+
+function waitFor(window, property) {
+  return new Promise(resolve => {
+    function check() {
+      if (window[property] !== undefined) {
+        resolve(window[property]);
+      } else {
+        setTimeout(check, 5);
+      }
+    }
+    check();
+  });
+}
+
+describe("API: module scripts", () => {
+  it("should run module scripts after parsing, in document order, before DOMContentLoaded", async () => {
+    const { window, loaded } = createDOM(`
+      <script>
+        window.log = [];
+        document.addEventListener("DOMContentLoaded", () => log.push("DOMContentLoaded"));
+      </script>
+      <script type="module" src="/first.js"></script>
+      <script type="module">log.push("inline module");</script>
+      <script defer src="/defer.js"></script>
+      <script>log.push("classic " + document.readyState);</script>
+    `, {
+      "/first.js": `log.push("first module");`,
+      "/defer.js": `log.push("defer");`
+    });
+
+    await loaded;
+
+    assert.deepEqual(window.log, [
+      "classic loading",
+      "first module",
+      "inline module",
+      "defer",
+      "DOMContentLoaded"
+    ]);
+  }, { skip: !modulesSupported });
+
+  it("should link imported modules, evaluating each once, with import.meta.url", async () => {
+    const { window, loaded } = createDOM(`
+      <script>window.log = [];</script>
+      <script type="module" src="/app/main.js"></script>
+      <script type="module">
+        import { count } from "/lib/counter.js";
+        log.push("inline sees " + count());
+      </script>
+    `, {
+      "/app/main.js": `
+        import { count } from "../lib/counter.js";
+        import { name } from "./name.js";
+        log.push(name + " sees " + count());
+        log.push(import.meta.url);
+      `,
+      "/app/name.js": `
+        import "./main.js";
+        export const name = "main";
+      `,
+      "/lib/counter.js": `
+        let evaluations = 0;
+        evaluations++;
+        export function count() {
+          return evaluations;
+        }
+      `
+    });
+
+    await loaded;
+
+    assert.deepEqual(window.log, [
+      "main sees 1",
+      "https://example.com/app/main.js",
+      "inline sees 1"
+    ]);
+  }, { skip: !modulesSupported });
+
+  it("should support import() from classic and module scripts", async () => {
+    const { window } = createDOM(`
+      <script>
+        window.fromClassic = import("./lib/value.js").then(ns => ns.value);
+        window.missing = import("./missing.js").catch(e => e);
+      </script>
+      <script type="module" src="/lib/importer.js"></script>
+    `, {
+      "/lib/value.js": `export const value = 42;`,
+      "/lib/importer.js": `window.fromModule = import("./value.js").then(ns => ns.value + 1);`
+    });
+
+    assert.strictEqual(await window.fromClassic, 42);
+    assert.strictEqual(await waitFor(window, "fromModule"), 43);
+
+    assert.instanceOf(await window.missing, window.TypeError);
+  }, { skip: !modulesSupported });
+
+  it("should not run classic scripts with the nomodule attribute", async () => {
+    const { window, loaded } = createDOM(`
+      <script>window.log = [];</script>
+      <script nomodule>log.push("nomodule");</script>
+      <script type="module">log.push("module");</script>
+    `);
+
+    await loaded;
+
+    assert.deepEqual(window.log, ["module"]);
+    assert.isTrue(window.document.querySelector("script[nomodule]").noModule);
+  }, { skip: !modulesSupported });
+
+  it("should fire error events for modules that fail to load, and report other errors", async () => {
+    const virtualConsole = new VirtualConsole();
+    const jsdomErrors = [];
+    virtualConsole.on("jsdomError", e => jsdomErrors.push(e));
+
+    const { window, loaded } = createDOM(`
+      <script>
+        window.errors = [];
+        window.onerror = (message, source, lineno, colno, error) => errors.push(error.name + ": " + message);
+      </script>
+      <script type="module" src="/imports-missing.js" onerror="errors.push('error event')"></script>
+      <script type="module" src="/syntax-error.js"></script>
+      <script type="module">import "bare-specifier";</script>
+      <script type="module">throw new Error("thrown");</script>
+    `, {
+      "/imports-missing.js": `import "./missing.js";`,
+      "/syntax-error.js": `export default {`
+    }, { virtualConsole });
+
+    await loaded;
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.strictEqual(window.errors[0], "error event");
+    assert.include(window.errors[1], "SyntaxError: ");
+    assert.include(window.errors[2], "TypeError: Failed to resolve module specifier \"bare-specifier\"");
+    assert.strictEqual(window.errors[3], "Error: thrown");
+    assert.lengthOf(window.errors, 4);
+
+    const loadingErrors = jsdomErrors.filter(e => e.type === "resource loading");
+    assert.lengthOf(loadingErrors, 1);
+    assert.strictEqual(loadingErrors[0].message, "Could not load script: \"https://example.com/missing.js\"");
+  }, { skip: !modulesSupported });
+
+  it("should report that module scripts are not implemented, and run nomodule scripts, without vm modules", () => {
+    const virtualConsole = new VirtualConsole();
+    const jsdomErrors = [];
+    virtualConsole.on("jsdomError", e => jsdomErrors.push(e));
+
+    const { window } = createDOM(`
+      <script>window.log = [];</script>
+      <script type="module">log.push("module");</script>
+      <script nomodule>log.push("nomodule");</script>
+    `, {}, { virtualConsole });
+
+    assert.deepEqual(window.log, ["nomodule"]);
+    assert.lengthOf(jsdomErrors, 1);
+    assert.strictEqual(jsdomErrors[0].type, "not implemented");
+  }, { skip: modulesSupported });
+
+  describe("import maps", () => {
+    it("should resolve bare specifiers through the imports and scopes of <script type=\"importmap\">", async () => {
+      const { window, loaded } = createDOM(`
+        <script>window.log = [];</script>
+        <script type="importmap">
+          {
+            "imports": {
+              "lit": "/vendor/lit/index.js",
+              "lit/": "/vendor/lit/",
+              "helpers": "./helpers.js"
+            },
+            "scopes": {
+              "/legacy/": { "lit": "/vendor/lit-1/index.js" }
+            }
+          }
+        </script>
+        <script type="module">
+          import { version } from "lit";
+          import { directive } from "lit/directive.js";
+          import "/legacy/app.js";
+          log.push("page uses lit " + version + " with " + directive);
+        </script>
+      `, {
+        "/vendor/lit/index.js": `export const version = 2;`,
+        "/vendor/lit/directive.js": `export const directive = "directive";`,
+        "/vendor/lit-1/index.js": `export const version = 1;`,
+        "/legacy/app.js": `
+          import { version } from "lit";
+          import { name } from "helpers";
+          log.push(name + " uses lit " + version);
+        `,
+        "/helpers.js": `export const name = "legacy app";`
+      });
+
+      await loaded;
+
+      assert.deepEqual(window.log, ["legacy app uses lit 1", "page uses lit 2 with directive"]);
+    }, { skip: !modulesSupported });
+
+    it("should use the import map given by the importMap option", async () => {
+      const { window, loaded } = createDOM(`
+        <script>window.log = [];</script>
+        <script type="importmap">
+          { "imports": { "lit": "/ignored.js", "other": "/other.js" } }
+        </script>
+        <script type="module">
+          import { version } from "lit";
+          import { name } from "other";
+          log.push(name + " and lit " + version);
+        </script>
+      `, {
+        "https://cdn.example/lit@2/index.js": `export const version = 2;`,
+        "/other.js": `export const name = "other";`
+      }, {
+        importMap: { imports: { lit: "https://cdn.example/lit@2/index.js" } }
+      });
+
+      await loaded;
+
+      assert.deepEqual(window.log, ["other and lit 2"]);
+    }, { skip: !modulesSupported });
+
+    it("should report invalid import maps, and blocked or backtracking specifiers", async () => {
+      const { window, loaded } = createDOM(`
+        <script>
+          window.errors = [];
+          window.onerror = (message, source, lineno, colno, error) => errors.push(error.name + ": " + message);
+        </script>
+        <script type="importmap">{ "imports": [] }</script>
+        <script type="importmap">{ "imports": { "blocked": null, "pkg/": "/pkg/" } }</script>
+        <script type="importmap" src="/import-map.json" onerror="errors.push('error event')"></script>
+        <script type="module">import "blocked";</script>
+        <script type="module">import "pkg/../secret.js";</script>
+      `, {}, { virtualConsole: new VirtualConsole() });
+
+      await loaded;
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      assert.deepEqual(window.errors, [
+        `TypeError: The "imports" key of an import map must be a JSON object`,
+        `TypeError: The module specifier "blocked" is blocked by the import map`,
+        `TypeError: The module specifier "pkg/../secret.js" cannot be resolved through the import map entry "pkg/"`,
+        "error event"
+      ]);
+    }, { skip: !modulesSupported });
+
+    it("should fire error at external import maps even when the page replaces its timers", async () => {
+      const { window, loaded } = createDOM(`
+        <script>
+          window.errors = [];
+          window.setTimeout = () => 0;
+        </script>
+        <script type="importmap" src="/import-map.json" onerror="errors.push('error event')"></script>
+      `);
+
+      await loaded;
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      assert.deepEqual(window.errors, ["error event"]);
+    }, { skip: !modulesSupported });
+
+    it("should reject invalid importMap options", () => {
+      assert.throws(() => new JSDOM(``, { importMap: "{" }), SyntaxError);
+      assert.throws(() => new JSDOM(``, { importMap: { imports: "lit" } }), TypeError);
+      assert.throws(() => new JSDOM(``, { importMap: { scopes: { "/": [] } } }), TypeError);
+    });
+  });
+});
@@ -0,0 +1,376 @@
+"use strict";
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+const { createServer, delay } = require("../util.js");
+
+const { JSDOM, VirtualConsole } = require("../..");
+
+describe("API: navigation", { skipIfBrowser: true }, () => {
+  it("should not navigate with the default resources setting", async () => {
+    const virtualConsole = new VirtualConsole();
+    const errorPromise = new Promise(resolve => virtualConsole.on("jsdomError", resolve));
+    const dom = new JSDOM(``, { url: "https://example.com/", virtualConsole });
+
+    dom.window.location.href = "https://example.com/other";
+
+    const error = await errorPromise;
+    assert.strictEqual(error.message, "Not implemented: navigation (except hash changes)");
+    assert.strictEqual(dom.window.location.href, "https://example.com/");
+  });
+
+  it("should navigate to a new document when following a link", async () => {
+    const { url, server } = await pagesServer();
+    const dom = await JSDOM.fromURL(url + "one", { resources: "usable" });
+    const originalDocument = dom.window.document;
+
+    await loaded(dom.window);
+    dom.window.document.querySelector("a").click();
+    await loaded(dom.window);
+
+    assert.strictEqual(dom.window.location.href, url + "two");
+    assert.strictEqual(dom.window.document.title, "/two");
+    assert.notStrictEqual(dom.window.document, originalDocument);
+    assert.strictEqual(dom.window.history.length, 2);
+
+    await server.destroy();
+  });
+
+  it("should navigate when calling location.assign()", async () => {
+    const { url, server } = await pagesServer();
+    const dom = await JSDOM.fromURL(url + "one", { resources: "usable" });
+
+    await loaded(dom.window);
+    dom.window.location.assign("/two#hash");
+    await loaded(dom.window);
+
+    assert.strictEqual(dom.window.location.href, url + "two#hash");
+    assert.strictEqual(dom.window.document.title, "/two");
+    assert.strictEqual(dom.window.history.length, 2);
+
+    await server.destroy();
+  });
+
+  it("should replace the current session history entry when calling location.replace()", async () => {
+    const { url, server } = await pagesServer();
+    const dom = await JSDOM.fromURL(url + "one", { resources: "usable" });
+
+    await loaded(dom.window);
+    dom.window.location.replace("/two");
+    await loaded(dom.window);
+
+    assert.strictEqual(dom.window.document.title, "/two");
+    assert.strictEqual(dom.window.history.length, 1);
+
+    await server.destroy();
+  });
+
+  it("should run the scripts of the new document in the same window", async () => {
+    const { url, server } = await pagesServer();
+    const dom = await JSDOM.fromURL(url + "one", { resources: "usable", runScripts: "dangerously" });
+
+    await loaded(dom.window);
+    assert.strictEqual(dom.window.page, "/one");
+
+    dom.window.location.href = "/two";
+    await loaded(dom.window);
+
+    assert.strictEqual(dom.window.page, "/two");
+    assert.strictEqual(dom.window.pageDocument, dom.window.document);
+
+    await server.destroy();
+  });
+
+  it("should fire beforeunload, pagehide and unload at the old document", async () => {
+    const { url, server } = await pagesServer();
+    const dom = await JSDOM.fromURL(url + "one", { resources: "usable" });
+
+    await loaded(dom.window);
+    const originalDocument = dom.window.document;
+
+    const events = [];
+    for (const type of ["beforeunload", "pagehide", "unload"]) {
+      dom.window.addEventListener(type, event => {
+        events.push(type);
+        assert.strictEqual(event.target, originalDocument);
+      });
+    }
+
+    dom.window.location.href = "/two";
+    await loaded(dom.window);
+
+    assert.deepEqual(events, ["beforeunload", "pagehide", "unload"]);
+
+    await server.destroy();
+  });
+
+  it("should drop the animation frame callbacks of the old document", async () => {
+    const { url, server } = await pagesServer();
+    const dom = await JSDOM.fromURL(url + "one", { resources: "usable", pretendToBeVisual: true });
+
+    await loaded(dom.window);
+    const titles = [];
+    dom.window.requestAnimationFrame(() => titles.push(`old ${dom.window.document.title}`));
+
+    dom.window.location.href = "/two";
+    await loaded(dom.window);
+
+    await new Promise(resolve => {
+      dom.window.requestAnimationFrame(() => {
+        titles.push(`new ${dom.window.document.title}`);
+        resolve();
+      });
+    });
+    await delay(50);
+
+    assert.deepEqual(titles, ["new /two"]);
+
+    dom.window.close();
+    await server.destroy();
+  });
+
+  it("should not navigate if beforeunload is canceled", async () => {
+    const { url, server, requests } = await pagesServer();
+    const dom = await JSDOM.fromURL(url + "one", { resources: "usable" });
+
+    await loaded(dom.window);
+    dom.window.addEventListener("beforeunload", event => event.preventDefault());
+
+    dom.window.location.href = "/two";
+
+    assert.strictEqual(dom.window.location.href, url + "one");
+    assert.deepEqual(requests.map(request => request.url), ["/one"]);
+
+    await server.destroy();
+  });
+
+  it("should go back to the previous document with history.back()", async () => {
+    const { url, server } = await pagesServer();
+    const dom = await JSDOM.fromURL(url + "one", { resources: "usable" });
+
+    await loaded(dom.window);
+    const originalDocument = dom.window.document;
+
+    dom.window.location.href = "/two";
+    await loaded(dom.window);
+
+    const pageshowPromise = new Promise(resolve => dom.window.addEventListener("pageshow", resolve));
+    dom.window.history.back();
+    const event = await pageshowPromise;
+
+    assert.isTrue(event.persisted);
+    assert.strictEqual(dom.window.document, originalDocument);
+    assert.strictEqual(dom.window.location.href, url + "one");
+    assert.strictEqual(dom.window.history.length, 2);
+
+    await server.destroy();
+  });
+
+  it("should report failed navigations to the virtual console and stay on the current document", async () => {
+    const { url, server } = await pagesServer();
+    const virtualConsole = new VirtualConsole();
+    const errorPromise = new Promise(resolve => virtualConsole.on("jsdomError", resolve));
+    const dom = await JSDOM.fromURL(url + "one", { resources: "usable", virtualConsole });
+
+    await loaded(dom.window);
+    dom.window.location.href = "/404";
+
+    const error = await errorPromise;
+    assert.strictEqual(error.type, "resource loading");
+    assert.strictEqual(dom.window.location.href, url + "one");
+
+    await server.destroy();
+  });
+
+  describe("form submission", () => {
+    it("should update the URL and history for GET forms with the default resources setting", async () => {
+      const dom = new JSDOM(`<form action="/search"><input name="q" value="a b"></form>`, {
+        url: "https://example.com/"
+      });
+
+      dom.window.document.querySelector("form").submit();
+      await delay(0);
+
+      assert.strictEqual(dom.window.location.href, "https://example.com/search?q=a+b");
+      assert.strictEqual(dom.window.history.length, 2);
+    });
+
+    it("should not fire submit when calling form.submit(), but should for form.requestSubmit()", () => {
+      const dom = new JSDOM(`<form action="/search"></form>`, { url: "https://example.com/" });
+      const form = dom.window.document.querySelector("form");
+
+      let submitEvents = 0;
+      form.addEventListener("submit", event => {
+        ++submitEvents;
+        event.preventDefault();
+      });
+
+      form.submit();
+      assert.strictEqual(submitEvents, 0);
+
+      form.requestSubmit();
+      assert.strictEqual(submitEvents, 1);
+    });
+
+    it("should fire a SubmitEvent whose submitter is the button that submitted the form", () => {
+      const dom = new JSDOM(`<form action="/search"><button>Go</button></form>`, { url: "https://example.com/" });
+      const form = dom.window.document.querySelector("form");
+      const button = form.querySelector("button");
+
+      const submitters = [];
+      form.addEventListener("submit", event => {
+        assert.instanceOf(event, dom.window.SubmitEvent);
+        submitters.push(event.submitter);
+        event.preventDefault();
+      });
+
+      button.click();
+      form.requestSubmit(button);
+      form.requestSubmit();
+      assert.deepEqual(submitters, [button, button, null]);
+    });
+
+    it("should plan the navigation on the window's clock", () => {
+      const dom = new JSDOM(`<form action="/search"><input name="q" value="a"></form>`, {
+        url: "https://example.com/",
+        clock: "virtual"
+      });
+
+      dom.window.document.querySelector("form").submit();
+      assert.strictEqual(dom.window.location.href, "https://example.com/");
+
+      dom.clock.runAll();
+      assert.strictEqual(dom.window.location.href, "https://example.com/search?q=a");
+    });
+
+    it("should not submit invalid forms when calling form.requestSubmit()", async () => {
+      const dom = new JSDOM(`<form action="/search"><input name="q" required></form>`, {
+        url: "https://example.com/"
+      });
+      const form = dom.window.document.querySelector("form");
+
+      let invalidEvents = 0;
+      form.querySelector("input").addEventListener("invalid", () => ++invalidEvents);
+      form.addEventListener("submit", () => assert.fail("submit must not be fired"));
+
+      form.requestSubmit();
+      await delay(0);
+
+      assert.strictEqual(invalidEvents, 1);
+      assert.strictEqual(dom.window.location.href, "https://example.com/");
+    });
+
+    it("should POST application/x-www-form-urlencoded bodies and navigate to the response", async () => {
+      const { url, server, requests } = await pagesServer();
+      const dom = new JSDOM(`<form method="post" action="/login">
+        <input name="user" value="jsdom">
+        <input name="password" value="p&ss word">
+        <button>Log in</button>
+      </form>`, { url, resources: "usable" });
+
+      await loaded(dom.window);
+      dom.window.document.querySelector("button").click();
+      await loaded(dom.window);
+
+      assert.strictEqual(dom.window.document.title, "/login");
+      assert.deepEqual(requests[0], {
+        method: "POST",
+        url: "/login",
+        contentType: "application/x-www-form-urlencoded",
+        body: "user=jsdom&password=p%26ss+word"
+      });
+
+      await server.destroy();
+    });
+
+    it("should POST multipart/form-data bodies", async () => {
+      const { url, server, requests } = await pagesServer();
+      const dom = new JSDOM(`<form method="post" enctype="multipart/form-data" action="/upload">
+        <input name="text" value="hello">
+      </form>`, { url, resources: "usable" });
+
+      await loaded(dom.window);
+      dom.window.document.querySelector("form").submit();
+      await loaded(dom.window);
+
+      const [{ contentType, body }] = requests;
+      const boundary = /^multipart\/form-data; boundary=(.+)$/.exec(contentType)[1];
+      assert.strictEqual(
+        body,
+        `--${boundary}\r\nContent-Disposition: form-data; name="text"\r\n\r\nhello\r\n--${boundary}--\r\n`
+      );
+
+      await server.destroy();
+    });
+
+    it("should POST text/plain bodies", async () => {
+      const { url, server, requests } = await pagesServer();
+      const dom = new JSDOM(`<form method="post" enctype="text/plain" action="/text">
+        <input name="a" value="1"><input name="b" value="2">
+      </form>`, { url, resources: "usable" });
+
+      await loaded(dom.window);
+      dom.window.document.querySelector("form").submit();
+      await loaded(dom.window);
+
+      assert.strictEqual(requests[0].contentType, "text/plain");
+      assert.strictEqual(requests[0].body, "a=1\r\nb=2\r\n");
+
+      await server.destroy();
+    });
+
+    it("should honor formaction and formmethod on the submitter", async () => {
+      const { url, server, requests } = await pagesServer();
+      const dom = new JSDOM(`<form method="post" action="/post">
+        <input name="a" value="1">
+        <button name="go" value="yes" formmethod="get" formaction="/get">Go</button>
+      </form>`, { url, resources: "usable" });
+
+      await loaded(dom.window);
+      dom.window.document.querySelector("button").click();
+      await loaded(dom.window);
+
+      assert.strictEqual(requests[0].method, "GET");
+      assert.strictEqual(requests[0].url, "/get?a=1&go=yes");
+      assert.strictEqual(dom.window.location.href, url + "get?a=1&go=yes");
+
+      await server.destroy();
+    });
+  });
+});
+
+function loaded(window) {
+  return new Promise(resolve => {
+    window.addEventListener("load", resolve, { once: true });
+  });
+}
+
+async function pagesServer() {
+  const requests = [];
+  const server = await createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf-8");
+    req.on("data", chunk => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, contentType: req.headers["content-type"], body });
+
+      if (req.url === "/404") {
+        res.writeHead(404, { "Content-Type": "text/html" });
+        res.end("Not found");
+        return;
+      }
+
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end(`<!DOCTYPE html>
+        <title>${req.url}</title>
+        <a href="/two">Two</a>
+        <script>
+          window.page = ${JSON.stringify(req.url)};
+          window.pageDocument = document;
+        </script>`);
+    });
+  });
+
+  return { url: `http://127.0.0.1:${server.address().port}/`, server, requests };
+}
@@ -321,4 +321,81 @@ describe("API: constructor options", () => {
       });
     });
   });
+
+  describe("viewport", () => {
+    it("should default to 1024x768", () => {
+      const { window } = new JSDOM(``);
+
+      assert.strictEqual(window.innerWidth, 1024);
+      assert.strictEqual(window.innerHeight, 768);
+      assert.strictEqual(window.matchMedia("(width: 1024px) and (height: 768px)").matches, true);
+    });
+
+    it("should set the window size that media queries are evaluated against", () => {
+      const { window } = new JSDOM(`<style>
+        p { color: red; }
+        @media (max-width: 480px) { p { color: green; } }
+      </style><p>Text</p>`, { viewport: { width: 375, height: 667 } });
+
+      assert.strictEqual(window.innerWidth, 375);
+      assert.strictEqual(window.innerHeight, 667);
+      assert.strictEqual(window.matchMedia("(orientation: portrait)").matches, true);
+      assert.strictEqual(window.getComputedStyle(window.document.querySelector("p")).color, "rgb(0, 128, 0)");
+    });
+
+    it("should let the window size attributes be replaced from inside and outside the page", () => {
+      const { window } = new JSDOM(`<script>
+        innerWidth = 100;
+        window.outerHeight = "tall";
+      </script>`, { runScripts: "dangerously" });
+
+      assert.strictEqual(window.innerWidth, 100);
+      assert.strictEqual(window.outerHeight, "tall");
+      assert.strictEqual(window.eval("innerWidth"), 100);
+
+      window.innerHeight = 200;
+      window.outerWidth = undefined;
+
+      assert.strictEqual(window.innerHeight, 200);
+      assert.strictEqual(window.eval("innerHeight"), 200);
+      assert.isUndefined(window.outerWidth);
+      assert.deepEqual(Object.getOwnPropertyDescriptor(window, "innerHeight"), {
+        value: 200,
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+
+      assert.strictEqual(window.matchMedia("(width: 1024px) and (height: 768px)").matches, true);
+      const div = window.document.createElement("div");
+      div.style.width = "50vw";
+      window.document.body.append(div);
+      assert.strictEqual(window.getComputedStyle(div).width, "512px");
+    });
+
+    it("should throw for invalid sizes", () => {
+      assert.throws(() => new JSDOM(``, { viewport: { width: -1, height: 100 } }), RangeError);
+      assert.throws(() => new JSDOM(``, { viewport: { width: 100 } }), RangeError);
+    });
+  });
+
+  describe("colorScheme", () => {
+    it("should default to light", () => {
+      const { window } = new JSDOM(``);
+
+      assert.strictEqual(window.matchMedia("(prefers-color-scheme: light)").matches, true);
+      assert.strictEqual(window.matchMedia("(prefers-color-scheme: dark)").matches, false);
+    });
+
+    it("should be used for prefers-color-scheme, including in child frames", () => {
+      const { window } = new JSDOM(`<iframe></iframe>`, { colorScheme: "dark" });
+
+      assert.strictEqual(window.matchMedia("(prefers-color-scheme: dark)").matches, true);
+      assert.strictEqual(window.frames[0].matchMedia("(prefers-color-scheme: dark)").matches, true);
+    });
+
+    it("should throw for values other than light and dark", () => {
+      assert.throws(() => new JSDOM(``, { colorScheme: "blue" }), RangeError);
+    });
+  });
 });
@@ -0,0 +1,329 @@
+"use strict";
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+
+const { JSDOM, ResourceLoader, VirtualConsole } = require("../..");
+
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function assertThrowsDOMException(window, fn, name) {
+  let thrown = null;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error;
+  }
+  assert.instanceOf(thrown, window.DOMException);
+  assert.strictEqual(thrown.name, name);
+}
+
+function createDOM(html, options = {}) {
+  const dom = new JSDOM(html, { url: "https://example.com/", runScripts: "dangerously", ...options });
+  const loaded = new Promise(resolve => dom.window.addEventListener("load", resolve));
+  return { window: dom.window, loaded };
+}
+
+describe("API: performance timeline", () => {
+  describe("user timing", () => {
+    it("should record marks and measures", () => {
+      const { window } = createDOM(``, { clock: "virtual" });
+      const { performance } = window;
+
+      const start = performance.mark("start", { detail: { step: 1 } });
+      assert.instanceOf(start, window.PerformanceMark);
+      assert.strictEqual(start.entryType, "mark");
+      assert.strictEqual(start.duration, 0);
+      assert.deepEqual(start.detail, { step: 1 });
+      assert.instanceOf(start.detail, window.Object);
+
+      window.eval(`performance.mark("end", { startTime: 25 });`);
+      const measure = performance.measure("between", "start", "end");
+      assert.instanceOf(measure, window.PerformanceMeasure);
+      assert.strictEqual(measure.startTime, start.startTime);
+      assert.strictEqual(measure.duration, 25 - start.startTime);
+      assert.isNull(measure.detail);
+
+      const fromOptions = performance.measure("options", { start: 10, duration: 5, detail: "detail" });
+      assert.strictEqual(fromOptions.startTime, 10);
+      assert.strictEqual(fromOptions.duration, 5);
+      assert.strictEqual(fromOptions.detail, "detail");
+
+      assert.deepEqual(performance.getEntriesByType("mark").map(entry => entry.name), ["start", "end"]);
+      assert.deepEqual(performance.getEntriesByName("between").map(entry => entry.entryType), ["measure"]);
+      assert.deepEqual(performance.getEntries().map(entry => entry.name), ["start", "between", "options", "end"]);
+      assert.deepEqual(measure.toJSON(), {
+        name: "between",
+        entryType: "measure",
+        startTime: measure.startTime,
+        duration: measure.duration
+      });
+
+      performance.clearMarks("start");
+      assert.deepEqual(performance.getEntriesByType("mark").map(entry => entry.name), ["end"]);
+      performance.clearMeasures();
+      assert.lengthOf(performance.getEntriesByType("measure"), 0);
+    });
+
+    it("should reject invalid marks and measures", () => {
+      const { window } = createDOM(``);
+      const { performance } = window;
+
+      assert.throws(() => performance.mark("mark", { startTime: -1 }), TypeError);
+      assertThrowsDOMException(window, () => new window.PerformanceMark("loadEventEnd"), "SyntaxError");
+      assertThrowsDOMException(window, () => performance.measure("measure", "missing"), "SyntaxError");
+      assert.throws(() => performance.measure("measure", { duration: 1 }), TypeError);
+      assert.throws(() => performance.measure("measure", { start: 1, duration: 1, end: 2 }), TypeError);
+      assert.throws(() => performance.measure("measure", { start: 1 }, "end"), TypeError);
+      assertThrowsDOMException(window, () => performance.mark("mark", { detail: () => {} }), "DataCloneError");
+    });
+  });
+
+  describe("PerformanceObserver", () => {
+    it("should deliver entries of the observed types in a task", async () => {
+      const { window } = createDOM(``);
+      const calls = [];
+      const observer = new window.PerformanceObserver(function (list, observerArgument) {
+        calls.push({ names: list.getEntries().map(entry => entry.name), thisValue: this, observerArgument });
+      });
+      observer.observe({ entryTypes: ["mark", "unsupported"] });
+
+      window.performance.mark("first");
+      window.performance.measure("ignored");
+      window.performance.mark("second");
+      assert.lengthOf(calls, 0);
+
+      await nextTask();
+      assert.lengthOf(calls, 1);
+      assert.deepEqual(calls[0].names, ["first", "second"]);
+      assert.strictEqual(calls[0].thisValue, observer);
+      assert.strictEqual(calls[0].observerArgument, observer);
+
+      window.performance.mark("taken");
+      assert.deepEqual(observer.takeRecords().map(entry => entry.name), ["taken"]);
+      observer.disconnect();
+      window.performance.mark("after disconnect");
+      await nextTask();
+      assert.lengthOf(calls, 1);
+    });
+
+    it("should deliver buffered entries when observing a single type with buffered: true", async () => {
+      const { window } = createDOM(``);
+      window.performance.mark("earlier");
+
+      const names = [];
+      const observer = new window.PerformanceObserver(list => {
+        names.push(...list.getEntriesByType("mark").map(entry => entry.name));
+      });
+      observer.observe({ type: "mark", buffered: true });
+      window.performance.mark("later");
+
+      await nextTask();
+      assert.deepEqual(names, ["earlier", "later"]);
+    });
+
+    it("should validate the options given to observe()", () => {
+      const { window } = createDOM(``);
+      const observer = new window.PerformanceObserver(() => {});
+
+      assert.throws(() => observer.observe(), TypeError);
+      assert.throws(() => observer.observe({ type: "mark", entryTypes: ["mark"] }), TypeError);
+      observer.observe({ type: "mark" });
+      assertThrowsDOMException(window, () => {
+        observer.observe({ entryTypes: ["measure"] });
+      }, "InvalidModificationError");
+      assert.throws(() => new window.PerformanceObserver(), TypeError);
+
+      const { supportedEntryTypes } = window.PerformanceObserver;
+      assert.deepEqual([...supportedEntryTypes], ["mark", "measure", "navigation", "resource"]);
+    });
+
+    it("should report exceptions from callbacks", async () => {
+      const virtualConsole = new VirtualConsole();
+      const errors = [];
+      virtualConsole.on("jsdomError", error => errors.push(error));
+      const { window } = createDOM(``, { virtualConsole });
+
+      new window.PerformanceObserver(() => {
+        throw new Error("thrown");
+      }).observe({ type: "mark" });
+      window.performance.mark("mark");
+
+      await nextTask();
+      assert.lengthOf(errors, 1);
+      assert.strictEqual(errors[0].detail.message, "thrown");
+    });
+  });
+
+  describe("resource timing", () => {
+    function createResources() {
+      const resources = new ResourceLoader();
+      resources.route("*", ({ url }) => {
+        const { origin, pathname } = new URL(url);
+        if (pathname === "/missing.js") {
+          return { status: 404, body: "" };
+        }
+        const headers = { "Content-Type": "text/javascript" };
+        if (pathname.startsWith("/tao/")) {
+          headers["Timing-Allow-Origin"] = "https://example.com";
+        }
+        return { headers, body: `// ${origin}${pathname}` };
+      });
+      return resources;
+    }
+
+    it("should record scripts, XMLHttpRequests and fetch() calls, whatever their status", async () => {
+      const { window, loaded } = createDOM(`
+        <script src="/script.js"></script>
+        <script src="/missing.js"></script>
+        <script>
+          const xhr = new XMLHttpRequest();
+          xhr.open("GET", "/data.json");
+          window.requested = new Promise(resolve => {
+            xhr.onloadend = resolve;
+          });
+          xhr.send();
+          window.fetched = fetch("/fetched.json").then(response => response.text());
+        </script>
+      `, { resources: createResources(), virtualConsole: new VirtualConsole() });
+
+      await loaded;
+      await window.requested;
+      await window.fetched;
+
+      const entries = window.performance.getEntriesByType("resource");
+      const byName = {};
+      for (const entry of entries) {
+        byName[new URL(entry.name).pathname] = entry;
+      }
+      assert.hasAllKeys(byName, ["/script.js", "/missing.js", "/data.json", "/fetched.json"]);
+
+      assert.instanceOf(byName["/script.js"], window.PerformanceResourceTiming);
+      assert.strictEqual(byName["/script.js"].initiatorType, "script");
+      assert.strictEqual(byName["/missing.js"].initiatorType, "script");
+      assert.strictEqual(byName["/data.json"].initiatorType, "xmlhttprequest");
+      assert.strictEqual(byName["/fetched.json"].initiatorType, "fetch");
+
+      const script = byName["/script.js"];
+      const body = `// https://example.com/script.js`;
+      assert.strictEqual(script.fetchStart, script.startTime);
+      assert.isAtLeast(script.responseEnd, script.responseStart);
+      assert.isAtLeast(script.responseStart, script.fetchStart);
+      assert.strictEqual(script.duration, script.responseEnd - script.startTime);
+      assert.strictEqual(script.decodedBodySize, body.length);
+      assert.strictEqual(script.transferSize, body.length + 300);
+      assert.strictEqual(script.toJSON().initiatorType, "script");
+    });
+
+    it("should only expose the details of cross-origin resources that allow it with Timing-Allow-Origin", async () => {
+      const { window, loaded } = createDOM(`
+        <script src="https://cdn.example/opaque.js"></script>
+        <script src="https://cdn.example/tao/allowed.js"></script>
+      `, { resources: createResources() });
+
+      await loaded;
+
+      const [opaque] = window.performance.getEntriesByName("https://cdn.example/opaque.js");
+      assert.strictEqual(opaque.requestStart, 0);
+      assert.strictEqual(opaque.responseStart, 0);
+      assert.strictEqual(opaque.decodedBodySize, 0);
+      assert.isAbove(opaque.responseEnd, 0);
+
+      const [allowed] = window.performance.getEntriesByName("https://cdn.example/tao/allowed.js");
+      assert.isAbove(allowed.responseStart, 0);
+      assert.isAbove(allowed.decodedBodySize, 0);
+    });
+
+    it("should fire resourcetimingbufferfull when the buffer is full", async () => {
+      const { window, loaded } = createDOM(`
+        <script>
+          performance.setResourceTimingBufferSize(1);
+          window.fullEvents = 0;
+          performance.onresourcetimingbufferfull = () => {
+            fullEvents++;
+            if (fullEvents === 1) {
+              performance.clearResourceTimings();
+            }
+          };
+        </script>
+        <script src="/first.js"></script>
+        <script src="/second.js"></script>
+        <script src="/third.js"></script>
+      `, { resources: createResources() });
+
+      await loaded;
+
+      assert.strictEqual(window.fullEvents, 2);
+      const names = window.performance.getEntriesByType("resource").map(entry => entry.name);
+      assert.deepEqual(names, ["https://example.com/second.js"]);
+    });
+  });
+
+  describe("navigation timing", () => {
+    it("should record the loading of the document once its load event has finished", async () => {
+      const { window, loaded } = createDOM(`
+        <script>
+          window.entriesDuringLoad = performance.getEntriesByType("navigation").length;
+          window.observed = new Promise(resolve => {
+            new PerformanceObserver(list => resolve(list.getEntries()[0])).observe({ type: "navigation" });
+          });
+        </script>
+      `);
+
+      await loaded;
+      const observed = await window.observed;
+      const [entry] = window.performance.getEntriesByType("navigation");
+
+      assert.strictEqual(window.entriesDuringLoad, 0);
+      assert.strictEqual(observed, entry);
+      assert.instanceOf(entry, window.PerformanceNavigationTiming);
+      assert.strictEqual(entry.name, "https://example.com/");
+      assert.strictEqual(entry.type, "navigate");
+      assert.strictEqual(entry.startTime, 0);
+
+      assert.isAbove(entry.domInteractive, 0);
+      const milestones = [
+        "domInteractive",
+        "domContentLoadedEventStart",
+        "domContentLoadedEventEnd",
+        "domComplete",
+        "loadEventStart",
+        "loadEventEnd"
+      ];
+      for (let i = 1; i < milestones.length; ++i) {
+        assert.isAtLeast(entry[milestones[i]], entry[milestones[i - 1]], milestones[i]);
+      }
+      assert.strictEqual(entry.duration, entry.loadEventEnd);
+      assert.strictEqual(entry.toJSON().domComplete, entry.domComplete);
+
+      const loading = window.performance.measure("loading", "navigationStart", "loadEventEnd");
+      assert.strictEqual(loading.duration, entry.loadEventEnd);
+    });
+
+    it("should only record the milestones and queue the entry once", async () => {
+      const { window, loaded } = createDOM(`
+        <script>
+          window.observedEntries = 0;
+          new PerformanceObserver(list => {
+            window.observedEntries += list.getEntries().length;
+          }).observe({ type: "navigation" });
+        </script>
+      `);
+
+      await loaded;
+      const [entry] = window.performance.getEntriesByType("navigation");
+      const recorded = entry.toJSON();
+
+      window.document.close();
+      await nextTask();
+
+      assert.lengthOf(window.performance.getEntriesByType("navigation"), 1);
+      assert.strictEqual(window.observedEntries, 1);
+      assert.deepEqual(entry.toJSON(), recorded);
+
+      window.close();
+      assert.deepEqual(entry.toJSON(), recorded);
+    });
+  });
+});
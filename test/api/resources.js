@@ -150,9 +150,7 @@ describe("API: resource loading configuration", { skipIfBrowser: true }, () => {
 
       await assertLoaded(element);
 
-      // I think this should actually be "rgb(0, 0, 255)" per spec. It's fine to change the test in the future if we
-      // fix that.
-      assert.strictEqual(dom.window.getComputedStyle(dom.window.document.body).color, "blue");
+      assert.strictEqual(dom.window.getComputedStyle(dom.window.document.body).color, "rgb(0, 0, 255)");
     });
 
     it("should download and run scripts, if runScripts: \"dangerously\" is also set", { slow: 500 }, async () => {
@@ -749,6 +747,380 @@ describe("API: resource loading configuration", { skipIfBrowser: true }, () => {
     });
   });
 
+  describe("With routes", () => {
+    it("should answer scripts, stylesheets and iframes from route handlers, without a server", async () => {
+      const resourceLoader = new ResourceLoader();
+      const requests = [];
+      resourceLoader.route("https://example.com/*", ({ url, method, element }) => {
+        requests.push([url, method, element && element.localName]);
+        return undefined;
+      });
+      resourceLoader.route("https://example.com/script.js", () => {
+        return { body: "window.fromScript = 'script';" };
+      });
+      resourceLoader.route(/\.css$/, () => {
+        return { headers: { "Content-Type": "text/css" }, body: "p { color: green; }" };
+      });
+      resourceLoader.route(url => url.endsWith("/frame.html"), () => {
+        return { headers: { "Content-Type": "text/html" }, body: Buffer.from("<p>In the frame</p>") };
+      });
+
+      const dom = new JSDOM(``, {
+        url: "https://example.com/",
+        runScripts: "dangerously",
+        resources: resourceLoader
+      });
+      const { document } = dom.window;
+
+      const script = document.createElement("script");
+      setUpLoadingAsserts(script);
+      script.src = "script.js";
+      document.body.appendChild(script);
+
+      const link = document.createElement("link");
+      setUpLoadingAsserts(link);
+      link.rel = "stylesheet";
+      link.href = "style.css";
+      document.body.appendChild(link);
+
+      const iframe = document.createElement("iframe");
+      setUpLoadingAsserts(iframe);
+      iframe.src = "frame.html";
+      document.body.appendChild(iframe);
+
+      await Promise.all([assertLoaded(script), assertLoaded(link), assertLoaded(iframe)]);
+      assert.strictEqual(dom.window.fromScript, "script");
+      assert.strictEqual(document.styleSheets[0].cssRules[0].cssText, "p {color: green;}");
+      assert.strictEqual(dom.window.frames[0].document.body.textContent, "In the frame");
+      assert.sameDeepMembers(requests, [
+        ["https://example.com/script.js", "GET", "script"],
+        ["https://example.com/style.css", "GET", "link"],
+        ["https://example.com/frame.html", "GET", "iframe"]
+      ]);
+    });
+
+    if (canvas) {
+      it("should answer images from route handlers [canvas is installed]", async () => {
+        const pngBytes = fs.readFileSync(path.resolve(__dirname, "fixtures/resources/transparent.png"));
+        const resourceLoader = new ResourceLoader().route("https://example.com/image.png", () => {
+          return { headers: { "Content-Type": "image/png" }, body: pngBytes };
+        });
+
+        const dom = new JSDOM(``, { url: "https://example.com/", resources: resourceLoader });
+        const element = dom.window.document.createElement("img");
+        setUpLoadingAsserts(element);
+        element.src = "image.png";
+        dom.window.document.body.appendChild(element);
+
+        await assertLoaded(element);
+        assert.strictEqual(element.naturalWidth, 1);
+      });
+    }
+
+    it("should fire error events for failed and non-2xx responses", async () => {
+      const resourceLoader = new ResourceLoader()
+        .route("https://example.com/missing.js", () => ({ status: 404, body: "Not found" }))
+        .route("https://example.com/failing.js", () => {
+          throw new Error("Connection refused");
+        });
+
+      const virtualConsole = new VirtualConsole();
+      const errors = [];
+      virtualConsole.on("jsdomError", error => errors.push(error));
+
+      const dom = new JSDOM(``, {
+        url: "https://example.com/",
+        runScripts: "dangerously",
+        resources: resourceLoader,
+        virtualConsole
+      });
+
+      const elements = ["missing.js", "failing.js"].map(src => {
+        const script = dom.window.document.createElement("script");
+        setUpLoadingAsserts(script);
+        script.src = src;
+        dom.window.document.body.appendChild(script);
+        return script;
+      });
+
+      await Promise.all(elements.map(assertError));
+      assert.lengthOf(errors, 2);
+      assert.strictEqual(errors[0].type, "resource loading");
+      assert.strictEqual(errors[0].detail.statusCode, 404);
+      assert.strictEqual(errors[1].detail.message, "Connection refused");
+    });
+
+    it("should delay responses and pass unhandled requests through", async () => {
+      const url = await htmlServer("From the server");
+      const resourceLoader = new ResourceLoader()
+        .route("*/delayed", async () => {
+          await delay(5);
+          return { body: "delayed", delay: 50 };
+        })
+        .route(url, () => undefined);
+
+      const dom = new JSDOM(``, { url, resources: resourceLoader });
+
+      const start = Date.now();
+      const delayed = await dom.window.fetch("/delayed");
+      assert.isAtLeast(Date.now() - start, 50);
+      assert.strictEqual(await delayed.text(), "delayed");
+
+      const passedThrough = await dom.window.fetch(url);
+      assert.strictEqual(await passedThrough.text(), "From the server");
+    });
+
+    it("should be able to stop routing with unroute()", async () => {
+      const url = await htmlServer("From the server");
+      const resourceLoader = new ResourceLoader().route(url, () => ({ body: "mocked" }));
+      const dom = new JSDOM(``, { url, resources: resourceLoader });
+
+      assert.strictEqual(await (await dom.window.fetch(url)).text(), "mocked");
+
+      resourceLoader.unroute(url);
+      assert.strictEqual(await (await dom.window.fetch(url)).text(), "From the server");
+    });
+
+    it("should give fetch() the status, headers and request body", async () => {
+      const resourceLoader = new ResourceLoader().route("https://example.com/api", ({ method, headers, body }) => {
+        return {
+          status: 201,
+          headers: { "Content-Type": "application/json", "X-Custom": ["a", "b"] },
+          body: JSON.stringify({ method, contentType: headers["content-type"], body: body.toString() })
+        };
+      });
+      const dom = new JSDOM(``, { url: "https://example.com/", resources: resourceLoader });
+
+      const response = await dom.window.fetch("/api", {
+        method: "POST",
+        headers: { "Content-Type": "text/plain" },
+        body: "hello"
+      });
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(response.statusText, "Created");
+      assert.strictEqual(response.headers.get("X-Custom"), "a, b");
+      assert.deepEqual(await response.json(), { method: "POST", contentType: "text/plain", body: "hello" });
+    });
+
+    it("should answer asynchronous and synchronous XMLHttpRequests from route handlers", async () => {
+      const resourceLoader = new ResourceLoader().route("https://example.com/data", ({ method, headers }) => {
+        return {
+          status: 202,
+          headers: { "Content-Type": "text/plain" },
+          body: `${method} ${headers["x-requested-with"]}`
+        };
+      });
+      const dom = new JSDOM(``, { url: "https://example.com/", resources: resourceLoader });
+
+      const xhr = new dom.window.XMLHttpRequest();
+      xhr.open("PUT", "/data");
+      xhr.setRequestHeader("X-Requested-With", "test");
+      xhr.send("body");
+      await new Promise(resolve => {
+        xhr.onloadend = resolve;
+      });
+      assert.strictEqual(xhr.status, 202);
+      assert.strictEqual(xhr.statusText, "Accepted");
+      assert.strictEqual(xhr.getResponseHeader("Content-Type"), "text/plain");
+      assert.strictEqual(xhr.responseText, "PUT test");
+      assert.strictEqual(xhr.responseURL, "https://example.com/data");
+
+      const syncXHR = new dom.window.XMLHttpRequest();
+      syncXHR.open("GET", "/data", false);
+      syncXHR.setRequestHeader("X-Requested-With", "sync");
+      syncXHR.send();
+      assert.strictEqual(syncXHR.status, 202);
+      assert.strictEqual(syncXHR.responseText, "GET sync");
+    });
+
+    it("should fail XMLHttpRequests whose route handlers throw", async () => {
+      const resourceLoader = new ResourceLoader().route("https://example.com/*", () => {
+        throw new Error("Connection refused");
+      });
+      const dom = new JSDOM(``, {
+        url: "https://example.com/",
+        resources: resourceLoader,
+        virtualConsole: ignoreResourceLoadingErrorsVC()
+      });
+
+      const xhr = new dom.window.XMLHttpRequest();
+      xhr.open("GET", "/data");
+      xhr.send();
+      await new Promise(resolve => {
+        xhr.onerror = resolve;
+      });
+      assert.strictEqual(xhr.status, 0);
+
+      const syncXHR = new dom.window.XMLHttpRequest();
+      syncXHR.open("GET", "/data", false);
+      let thrown = null;
+      try {
+        syncXHR.send();
+      } catch (e) {
+        thrown = e;
+      }
+      assert.instanceOf(thrown, dom.window.DOMException);
+      assert.strictEqual(thrown.name, "NetworkError");
+    });
+
+    it("should reject invalid patterns and handlers", () => {
+      const resourceLoader = new ResourceLoader();
+      assert.throws(() => resourceLoader.route(5, () => {}), TypeError);
+      assert.throws(() => resourceLoader.route("https://example.com/", null), TypeError);
+    });
+  });
+
+  describe("HAR recording and replay", () => {
+    function harServer() {
+      const contentTypes = {
+        "/": "text/html",
+        "/script.js": "text/javascript",
+        "/api?q=1": "application/json"
+      };
+      const routes = {
+        "/": `<!DOCTYPE html><script src="/script.js"></script>`,
+        "/script.js": `const xhr = new XMLHttpRequest();
+                       xhr.open("POST", "/api?q=1");
+                       xhr.onload = () => {
+                         window.apiResponse = xhr.responseText;
+                         window.done();
+                       };
+                       xhr.send("request body");`,
+        "/api?q=1": `{"answer":42}`
+      };
+
+      return createServer((req, res) => {
+        res.writeHead(200, { "Content-Type": contentTypes[req.url], "X-Served-By": "test" });
+        res.end(routes[req.url]);
+      });
+    }
+
+    function loadPage(url, resources) {
+      return new Promise((resolve, reject) => {
+        JSDOM.fromURL(url, {
+          runScripts: "dangerously",
+          resources,
+          beforeParse(window) {
+            window.done = () => resolve(window);
+          }
+        }).catch(reject);
+      });
+    }
+
+    it("should record a page, its subresources and XMLHttpRequests, then replay them offline", async () => {
+      const server = await harServer();
+      const url = `http://127.0.0.1:${server.address().port}/`;
+
+      const recordingLoader = new ResourceLoader({ recordHAR: true });
+      const recordedWindow = await loadPage(url, recordingLoader);
+      assert.strictEqual(recordedWindow.apiResponse, `{"answer":42}`);
+      await server.destroy();
+
+      const har = JSON.parse(JSON.stringify(recordingLoader.getHAR()));
+      assert.strictEqual(har.log.version, "1.2");
+      assert.strictEqual(har.log.creator.name, "jsdom");
+      assert.deepEqual(har.log.entries.map(e => [e.request.method, e.request.url]), [
+        ["GET", url],
+        ["GET", `${url}script.js`],
+        ["POST", `${url}api?q=1`]
+      ]);
+
+      const apiEntry = har.log.entries[2];
+      assert.strictEqual(apiEntry.request.postData.text, "request body");
+      assert.deepEqual(apiEntry.request.queryString, [{ name: "q", value: "1" }]);
+      assert.strictEqual(apiEntry.response.status, 200);
+      assert.strictEqual(apiEntry.response.statusText, "OK");
+      assert.strictEqual(apiEntry.response.httpVersion, "HTTP/1.1");
+      assert.deepInclude(apiEntry.response.headers, { name: "X-Served-By", value: "test" });
+      assert.deepEqual(apiEntry.response.content, {
+        size: 13,
+        mimeType: "application/json",
+        text: `{"answer":42}`
+      });
+      for (const entry of har.log.entries) {
+        assert.isAtLeast(entry.time, 0);
+        assert.isAtLeast(entry.timings.wait, 0);
+        assert.isFalse(Number.isNaN(Date.parse(entry.startedDateTime)));
+      }
+
+      const replayingLoader = new ResourceLoader({ replayHAR: har });
+      const replayedWindow = await loadPage(url, replayingLoader);
+      assert.strictEqual(replayedWindow.apiResponse, `{"answer":42}`);
+
+      const syncXHR = new replayedWindow.XMLHttpRequest();
+      syncXHR.open("POST", "/api?q=1", false);
+      syncXHR.send("request body");
+      assert.strictEqual(syncXHR.responseText, `{"answer":42}`);
+      assert.strictEqual(syncXHR.getResponseHeader("X-Served-By"), "test");
+    });
+
+    it("should fail requests that no entry matches when replaying", async () => {
+      const har = {
+        log: {
+          version: "1.2",
+          entries: [
+            {
+              request: { method: "GET", url: "https://example.com/data" },
+              response: {
+                status: 200,
+                statusText: "OK",
+                headers: [{ name: "Content-Type", value: "text/plain" }],
+                content: { size: 5, mimeType: "text/plain", text: "aGVsbG8=", encoding: "base64" }
+              }
+            }
+          ]
+        }
+      };
+      const dom = new JSDOM(``, {
+        url: "https://example.com/",
+        resources: new ResourceLoader({ replayHAR: har }),
+        virtualConsole: ignoreResourceLoadingErrorsVC()
+      });
+
+      const response = await dom.window.fetch("/data");
+      assert.strictEqual(await response.text(), "hello");
+
+      let rejected = null;
+      try {
+        await dom.window.fetch("/other");
+      } catch (e) {
+        rejected = e;
+      }
+      assert.instanceOf(rejected, dom.window.TypeError);
+
+      try {
+        await new ResourceLoader({ replayHAR: har }).fetch("https://example.com/other");
+        assert.fail("The request must fail");
+      } catch (e) {
+        assert.strictEqual(
+          e.message,
+          "No entry in the HAR being replayed matches the request GET https://example.com/other"
+        );
+      }
+    });
+
+    it("should record failed requests", async () => {
+      const resourceLoader = new ResourceLoader({ recordHAR: true }).route("https://example.com/*", () => {
+        throw new Error("Connection refused");
+      });
+      try {
+        await resourceLoader.fetch("https://example.com/");
+        assert.fail("The request must fail");
+      } catch (e) {
+        assert.strictEqual(e.message, "Connection refused");
+      }
+
+      const [entry] = resourceLoader.getHAR().log.entries;
+      assert.strictEqual(entry.response.status, 0);
+      assert.strictEqual(entry.response._error, "Connection refused");
+    });
+
+    it("should validate its options", () => {
+      assert.throws(() => new ResourceLoader().getHAR(), /recordHAR/);
+      assert.throws(() => new ResourceLoader({ replayHAR: {} }), TypeError);
+    });
+  });
+
   for (const resources of [undefined, "usable"]) {
     describe(`User agent (resources set to ${resources})`, () => {
       const expected = `Mozilla/5.0 (${process.platform || "unknown OS"}) AppleWebKit/537.36 ` +
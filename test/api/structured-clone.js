@@ -0,0 +1,203 @@
+"use strict";
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+
+const { JSDOM } = require("../..");
+
+// chai's assert.throws() does not recognize the window's DOMException as an error constructor, since its prototype
+// chain leads to the window's Error.prototype instead of ours.
+function assertThrowsDataCloneError(window, fn) {
+  let thrown = null;
+  try {
+    fn();
+  } catch (e) {
+    thrown = e;
+  }
+  assert.instanceOf(thrown, window.DOMException);
+  assert.strictEqual(thrown.name, "DataCloneError");
+}
+
+describe("API: structured cloning", () => {
+  describe("window.structuredClone()", () => {
+    it("should clone primitives, wrapper objects, dates and regular expressions into the window's realm", () => {
+      const { window } = new JSDOM(``, { runScripts: "outside-only" });
+
+      assert.strictEqual(window.structuredClone("string"), "string");
+      assert.isNaN(window.structuredClone(NaN));
+      assert.strictEqual(window.structuredClone(null), null);
+      assert.strictEqual(window.structuredClone(undefined), undefined);
+
+      const wrapper = window.structuredClone(Object(5));
+      assert.instanceOf(wrapper, window.Number);
+      assert.strictEqual(wrapper.valueOf(), 5);
+
+      const date = window.structuredClone(new Date(1234));
+      assert.instanceOf(date, window.Date);
+      assert.strictEqual(date.getTime(), 1234);
+
+      const regExp = window.structuredClone(/ab+c/gi);
+      assert.instanceOf(regExp, window.RegExp);
+      assert.strictEqual(regExp.source, "ab+c");
+      assert.strictEqual(regExp.flags, "gi");
+    });
+
+    it("should clone objects, arrays, maps and sets, preserving cycles and shared references", () => {
+      const { window } = new JSDOM(``, { runScripts: "outside-only" });
+
+      const shared = { value: 1 };
+      const original = { shared, list: [shared, 2], map: new Map([["key", shared]]), set: new Set([shared]) };
+      original.self = original;
+
+      const clone = window.structuredClone(original);
+      assert.notStrictEqual(clone, original);
+      assert.instanceOf(clone, window.Object);
+      assert.instanceOf(clone.list, window.Array);
+      assert.instanceOf(clone.map, window.Map);
+      assert.instanceOf(clone.set, window.Set);
+      assert.strictEqual(clone.self, clone);
+      assert.deepEqual(clone.shared, { value: 1 });
+      assert.notStrictEqual(clone.shared, shared);
+      assert.strictEqual(clone.list[0], clone.shared);
+      assert.strictEqual(clone.list[1], 2);
+      assert.strictEqual(clone.map.get("key"), clone.shared);
+      assert.strictEqual([...clone.set][0], clone.shared);
+    });
+
+    it("should clone __proto__ keys as own properties", () => {
+      const { window } = new JSDOM(``, { runScripts: "outside-only" });
+
+      const clone = window.structuredClone(JSON.parse(`{"__proto__":{"x":1}}`));
+      assert.strictEqual(Object.getPrototypeOf(clone), window.Object.prototype);
+      assert.isUndefined(clone.x);
+      assert.deepEqual(Object.keys(clone), ["__proto__"]);
+      assert.deepEqual(Object.getOwnPropertyDescriptor(clone, "__proto__").value, { x: 1 });
+
+      const array = [1];
+      Object.defineProperty(array, "__proto__", { value: 2, enumerable: true });
+      assert.strictEqual(Object.getOwnPropertyDescriptor(window.structuredClone(array), "__proto__").value, 2);
+    });
+
+    it("should clone ArrayBuffers and views over them", () => {
+      const { window } = new JSDOM(``, { runScripts: "outside-only" });
+
+      const buffer = new ArrayBuffer(8);
+      const original = { bytes: new Uint8Array(buffer, 2, 4), view: new DataView(buffer) };
+      original.bytes.set([1, 2, 3, 4]);
+
+      const clone = window.structuredClone(original);
+      assert.instanceOf(clone.bytes, window.Uint8Array);
+      assert.instanceOf(clone.view, window.DataView);
+      assert.strictEqual(clone.bytes.buffer, clone.view.buffer);
+      assert.strictEqual(clone.bytes.byteOffset, 2);
+      assert.deepEqual([...clone.bytes], [1, 2, 3, 4]);
+      assert.strictEqual(clone.view.byteLength, 8);
+
+      original.bytes[0] = 10;
+      assert.strictEqual(clone.bytes[0], 1);
+    });
+
+    it("should clone Blobs, Files and errors", async () => {
+      const { window } = new JSDOM(``, { runScripts: "outside-only" });
+
+      const blob = new window.Blob(["blob"], { type: "text/plain" });
+      const file = new window.File(["file"], "name.txt", { type: "text/plain", lastModified: 42 });
+      const clone = window.structuredClone({ blob, file, error: new RangeError("oops") });
+
+      assert.instanceOf(clone.blob, window.Blob);
+      assert.notStrictEqual(clone.blob, blob);
+      assert.strictEqual(clone.blob.type, "text/plain");
+      assert.strictEqual(await new window.Response(clone.blob).text(), "blob");
+
+      assert.instanceOf(clone.file, window.File);
+      assert.strictEqual(clone.file.name, "name.txt");
+      assert.strictEqual(clone.file.lastModified, 42);
+      assert.strictEqual(await new window.Response(clone.file).text(), "file");
+
+      assert.instanceOf(clone.error, window.RangeError);
+      assert.strictEqual(clone.error.message, "oops");
+    });
+
+    it("should throw a DataCloneError for functions, symbols, WeakMaps and DOM nodes", () => {
+      const { window } = new JSDOM(`<p>text</p>`, { runScripts: "outside-only" });
+
+      const uncloneables = [() => {}, Symbol("symbol"), new WeakMap(), window.document.querySelector("p")];
+      for (const uncloneable of uncloneables) {
+        assertThrowsDataCloneError(window, () => window.structuredClone({ uncloneable }));
+      }
+    });
+
+    it("should transfer ArrayBuffers given in the transfer option", () => {
+      const { window } = new JSDOM(``, { runScripts: "outside-only" });
+
+      const { buffer } = new Uint8Array([1, 2, 3, 4]);
+      const clone = window.structuredClone({ buffer }, { transfer: [buffer] });
+      assert.instanceOf(clone.buffer, window.ArrayBuffer);
+      assert.deepEqual([...new Uint8Array(clone.buffer)], [1, 2, 3, 4]);
+
+      assertThrowsDataCloneError(window, () => window.structuredClone(buffer, { transfer: [buffer, buffer] }));
+      assertThrowsDataCloneError(window, () => window.structuredClone({}, { transfer: [{}] }));
+      assert.throws(() => window.structuredClone(), TypeError);
+    });
+  });
+
+  describe("history", () => {
+    it("should store a clone of the state passed to pushState() and replaceState()", () => {
+      const { window } = new JSDOM(``, { url: "https://example.com/", runScripts: "outside-only" });
+
+      const state = { when: new Date(0), tags: new Set(["a"]) };
+      window.history.pushState(state, "", "/pushed");
+      state.tags.add("b");
+
+      assert.notStrictEqual(window.history.state, state);
+      assert.strictEqual(window.history.state, window.history.state);
+      assert.instanceOf(window.history.state.when, window.Date);
+      assert.deepEqual([...window.history.state.tags], ["a"]);
+
+      window.history.replaceState({ replaced: true }, "");
+      assert.deepEqual(window.history.state, { replaced: true });
+
+      assertThrowsDataCloneError(window, () => window.history.pushState({ fn() {} }, ""));
+      assert.deepEqual(window.history.state, { replaced: true });
+      assert.strictEqual(window.location.pathname, "/pushed");
+    });
+
+    it("should give popstate events a fresh copy of the entry's state", async () => {
+      const { window } = new JSDOM(``, { url: "https://example.com/", runScripts: "outside-only" });
+
+      window.history.pushState({ page: 1 }, "", "/1");
+      window.history.pushState({ page: 2 }, "", "/2");
+      const first = window.history.state;
+
+      window.history.back();
+      const event = await new Promise(resolve => window.addEventListener("popstate", resolve));
+      assert.deepEqual(event.state, { page: 1 });
+      assert.deepEqual(window.history.state, { page: 1 });
+
+      window.history.forward();
+      await new Promise(resolve => window.addEventListener("popstate", resolve));
+      assert.deepEqual(window.history.state, { page: 2 });
+      assert.notStrictEqual(window.history.state, first);
+    });
+  });
+
+  describe("postMessage()", () => {
+    it("should deliver a clone of the message", async () => {
+      const { window } = new JSDOM(``, { runScripts: "outside-only" });
+
+      const message = { nested: { value: 1 }, when: new Date(5) };
+      window.postMessage(message, "*");
+      message.nested.value = 2;
+
+      const event = await new Promise(resolve => window.addEventListener("message", resolve));
+      assert.notStrictEqual(event.data, message);
+      assert.strictEqual(event.data.nested.value, 1);
+      assert.instanceOf(event.data.when, window.Date);
+    });
+
+    it("should throw a DataCloneError for messages that cannot be cloned", () => {
+      const { window } = new JSDOM(``, { runScripts: "outside-only" });
+
+      assertThrowsDataCloneError(window, () => window.postMessage({ node: window.document.body }, "*"));
+    });
+  });
+});
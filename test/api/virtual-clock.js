@@ -0,0 +1,283 @@
+"use strict";
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+
+const WebSocket = require("ws");
+
+const { JSDOM } = require("../..");
+const { delay } = require("../util.js");
+
+// Waits for real I/O to happen, until the condition holds or a second has passed.
+function waitUntil(condition, attempts = 100) {
+  if (condition() || attempts === 0) {
+    return Promise.resolve();
+  }
+  return delay(10).then(() => waitUntil(condition, attempts - 1));
+}
+
+describe("API: virtual clock", () => {
+  it("should only have a clock controller with clock: \"virtual\"", () => {
+    assert.isNull(new JSDOM().clock);
+    assert.isNull(new JSDOM(``, { clock: "real" }).clock);
+    assert.isObject(new JSDOM(``, { clock: "virtual" }).clock);
+    assert.throws(() => new JSDOM(``, { clock: "fake" }), RangeError);
+  });
+
+  it("should run timers in order, only as the clock is ticked", () => {
+    const dom = new JSDOM(``, { clock: "virtual" });
+    const { window, clock } = dom;
+    const log = [];
+
+    window.setTimeout(() => log.push("timeout 100"), 100);
+    window.setTimeout(() => {
+      log.push("timeout 50");
+      window.setTimeout(() => log.push("nested timeout 50"), 50);
+    }, 50);
+    const interval = window.setInterval(() => log.push("interval 40"), 40);
+    const canceled = window.setTimeout(() => log.push("canceled"), 10);
+    window.clearTimeout(canceled);
+
+    clock.tick(39);
+    assert.deepEqual(log, []);
+
+    clock.tick(61);
+    assert.deepEqual(log, ["interval 40", "timeout 50", "interval 40", "timeout 100", "nested timeout 50"]);
+
+    window.clearInterval(interval);
+    clock.tick(1000);
+    assert.lengthOf(log, 5);
+  });
+
+  it("should run all timers with runAll(), and the ones scheduled so far with runToLastTimer()", () => {
+    const { window, clock } = new JSDOM(``, { clock: "virtual" });
+    const log = [];
+
+    window.setTimeout(() => {
+      log.push("first");
+      window.setTimeout(() => log.push("scheduled later"), 500);
+    }, 100);
+    window.setTimeout(() => log.push("last"), 200);
+
+    clock.runToLastTimer();
+    assert.deepEqual(log, ["first", "last"]);
+    assert.strictEqual(window.performance.now(), 200);
+
+    clock.runAll();
+    assert.deepEqual(log, ["first", "last", "scheduled later"]);
+    assert.strictEqual(window.performance.now(), 600);
+
+    window.setInterval(() => {}, 10);
+    assert.throws(() => clock.runAll(), /infinite loop/);
+  });
+
+  it("should drive Date and performance.now() inside the window's realm", () => {
+    const dom = new JSDOM(``, { clock: "virtual", runScripts: "dangerously" });
+    const { window, clock } = dom;
+
+    clock.setSystemTime(new Date(2020, 0, 1));
+    assert.strictEqual(window.eval("Date.now()"), new Date(2020, 0, 1).getTime());
+    assert.strictEqual(window.eval("new Date().getFullYear()"), 2020);
+    assert.isTrue(window.eval("new Date() instanceof Date"));
+    assert.isTrue(window.eval("new Date().constructor === Date"));
+    assert.isTrue(window.eval("typeof Date() === 'string'"));
+    assert.strictEqual(window.eval("new Date(0).getTime()"), 0);
+    assert.strictEqual(window.eval("Date.UTC(2000, 0)"), Date.UTC(2000, 0));
+
+    const startedAt = window.performance.now();
+    clock.tick(1500);
+    assert.strictEqual(window.eval("Date.now()"), new Date(2020, 0, 1).getTime() + 1500);
+    assert.strictEqual(window.performance.now() - startedAt, 1500);
+
+    // setSystemTime() does not affect the monotonic clock.
+    clock.setSystemTime(0);
+    assert.strictEqual(window.eval("Date.now()"), 0);
+    assert.strictEqual(window.performance.now() - startedAt, 1500);
+
+    assert.strictEqual(Date, global.Date, "The Node.js Date must be left untouched");
+  });
+
+  it("should give windows whose scripts are not run a Date that follows the clock", () => {
+    const { window, clock } = new JSDOM(``, { clock: "virtual" });
+
+    clock.setSystemTime(1000);
+    assert.strictEqual(window.Date.now(), 1000);
+    assert.instanceOf(new window.Date(), Date);
+    assert.strictEqual(new window.Date().getTime(), 1000);
+    assert.strictEqual(Date.prototype.constructor, Date, "The Node.js Date.prototype must be left untouched");
+  });
+
+  it("should schedule animation frames on the clock", () => {
+    const { window, clock } = new JSDOM(``, { clock: "virtual", pretendToBeVisual: true });
+    const timestamps = [];
+
+    window.requestAnimationFrame(timestamp => {
+      timestamps.push(timestamp);
+      window.requestAnimationFrame(nextTimestamp => timestamps.push(nextTimestamp));
+    });
+
+    clock.tick(16);
+    assert.deepEqual(timestamps, []);
+
+    clock.tick(1);
+    assert.lengthOf(timestamps, 1);
+    assert.closeTo(timestamps[0], 1000 / 60, 0.001);
+
+    clock.tick(17);
+    assert.lengthOf(timestamps, 2);
+    assert.closeTo(timestamps[1], 2000 / 60, 0.001);
+
+    const canceled = window.requestAnimationFrame(() => timestamps.push("canceled"));
+    window.cancelAnimationFrame(canceled);
+    clock.runAll();
+    assert.lengthOf(timestamps, 2);
+  });
+
+  it("should drive history traversal", () => {
+    const { window, clock } = new JSDOM(``, { url: "https://example.com/", clock: "virtual" });
+    let popped = false;
+    window.onpopstate = () => {
+      popped = true;
+    };
+
+    window.history.pushState(null, "", "/page");
+    window.history.back();
+    assert.isFalse(popped);
+
+    clock.tick(0);
+    assert.isTrue(popped);
+    assert.strictEqual(window.location.pathname, "/");
+  });
+
+  it("should drive media playback", async () => {
+    const dom = new JSDOM(`<audio src="song.mp3" data-duration="1"></audio>`, {
+      url: "https://example.com/",
+      clock: "virtual"
+    });
+    const { window, clock } = dom;
+    const audio = window.document.querySelector("audio");
+
+    // The metadata is looked up asynchronously, after which its events are queued on the clock.
+    await new Promise(resolve => setImmediate(resolve));
+    clock.tick(0);
+    assert.strictEqual(audio.duration, 1);
+
+    const playing = audio.play();
+    clock.tick(0);
+    await playing;
+
+    clock.tick(500);
+    assert.strictEqual(audio.currentTime, 0.5);
+    assert.isFalse(audio.ended);
+
+    clock.tick(1000);
+    assert.strictEqual(audio.currentTime, 1);
+    assert.isTrue(audio.ended);
+  });
+
+  it("should drive the events that jsdom queues itself", () => {
+    const { window, clock } = new JSDOM(`<details></details><dialog open></dialog>`, {
+      url: "https://example.com/",
+      clock: "virtual",
+      runScripts: "dangerously"
+    });
+    const log = [];
+
+    window.addEventListener("message", event => log.push(`window ${event.data}`));
+    window.postMessage("posted", "*");
+
+    const { port1, port2 } = new window.MessageChannel();
+    port2.onmessage = event => log.push(`port ${event.data}`);
+    port1.postMessage("sent");
+
+    const receiver = new window.BroadcastChannel("channel");
+    receiver.onmessage = event => log.push(`channel ${event.data}`);
+    new window.BroadcastChannel("channel").postMessage("broadcast");
+
+    const details = window.document.querySelector("details");
+    details.ontoggle = () => log.push("toggle");
+    details.open = true;
+
+    const dialog = window.document.querySelector("dialog");
+    dialog.onclose = () => log.push("close");
+    dialog.close();
+
+    assert.deepEqual(log, []);
+    clock.runAll();
+    assert.sameMembers(log, ["window posted", "port sent", "channel broadcast", "toggle", "close"]);
+  });
+
+  it("should drop the tasks that jsdom queued itself when the window is closed", () => {
+    const { window, clock } = new JSDOM(``, { clock: "virtual" });
+    let received = false;
+
+    window.addEventListener("message", () => {
+      received = true;
+    });
+    window.postMessage("posted", "*");
+    window.close();
+    clock.runAll();
+    assert.isFalse(received);
+  });
+
+  it("should deliver WebSocket events on the clock", async () => {
+    const server = new WebSocket.Server({ port: 0 });
+    server.on("connection", socket => socket.send("hello"));
+    await new Promise(resolve => server.once("listening", resolve));
+
+    try {
+      const { window, clock } = new JSDOM(``, { clock: "virtual" });
+      const log = [];
+      const socket = new window.WebSocket(`ws://127.0.0.1:${server.address().port}/`);
+      socket.onopen = () => log.push("open");
+      socket.onmessage = event => log.push(`message ${event.data}`);
+
+      await waitUntil(() => socket.readyState === window.WebSocket.OPEN);
+      assert.deepEqual(log, []);
+
+      await waitUntil(() => {
+        clock.runAll();
+        return log.length === 2;
+      });
+      assert.deepEqual(log, ["open", "message hello"]);
+
+      window.close();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it("should share the clock with frames", () => {
+    const { window, clock } = new JSDOM(`<iframe></iframe>`, { clock: "virtual", runScripts: "dangerously" });
+    const frame = window.frames[0];
+    let ran = false;
+
+    frame.setTimeout(() => {
+      ran = true;
+    }, 100);
+    clock.tick(100);
+    assert.isTrue(ran);
+
+    clock.setSystemTime(5000);
+    assert.strictEqual(frame.eval("Date.now()"), 5000);
+  });
+
+  it("should stop the window's timers when it is closed", () => {
+    const { window, clock } = new JSDOM(``, { clock: "virtual" });
+    let ran = false;
+
+    window.setTimeout(() => {
+      ran = true;
+    }, 10);
+    window.close();
+    clock.runAll();
+    assert.isFalse(ran);
+  });
+
+  it("should validate the arguments to tick() and setSystemTime()", () => {
+    const { clock } = new JSDOM(``, { clock: "virtual" });
+
+    assert.throws(() => clock.tick(-1), TypeError);
+    assert.throws(() => clock.tick(NaN), TypeError);
+    assert.throws(() => clock.setSystemTime("tomorrow"), TypeError);
+  });
+});
@@ -0,0 +1,235 @@
+"use strict";
+const { assert } = require("chai");
+const { describe, it } = require("mocha-sugar-free");
+
+const { JSDOM, VirtualConsole, ResourceLoader } = require("../..");
+
+function nextEvent(target, type) {
+  return new Promise(resolve => target.addEventListener(type, resolve, { once: true }));
+}
+
+function dataURL(source) {
+  return "data:text/javascript," + encodeURIComponent(source);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe("API: workers", { skipIfBrowser: true }, () => {
+  it("should only expose Worker when scripts are run", () => {
+    assert.isUndefined(new JSDOM().window.Worker);
+    assert.isUndefined(new JSDOM(``, { runScripts: "outside-only" }).window.Worker);
+    assert.isFunction(new JSDOM(``, { runScripts: "dangerously" }).window.Worker);
+  });
+
+  it("should fetch the script through the resource loader and exchange messages with it", async () => {
+    const urls = [];
+    class WorkerResourceLoader extends ResourceLoader {
+      fetch(url) {
+        urls.push(url);
+        return Promise.resolve(Buffer.from(`
+          self.onmessage = event => {
+            postMessage({
+              doubled: event.data * 2,
+              href: location.href,
+              name,
+              globalScope: String(self)
+            });
+          };
+        `));
+      }
+    }
+
+    const { window } = new JSDOM(``, {
+      url: "https://example.com/",
+      runScripts: "dangerously",
+      resources: new WorkerResourceLoader()
+    });
+
+    const worker = new window.Worker("/worker.js", { name: "parser" });
+    assert.instanceOf(worker, window.EventTarget);
+    worker.postMessage(21);
+
+    const event = await nextEvent(worker, "message");
+    assert.instanceOf(event, window.MessageEvent);
+    assert.deepEqual(event.data, {
+      doubled: 42,
+      href: "https://example.com/worker.js",
+      name: "parser",
+      globalScope: "[object DedicatedWorkerGlobalScope]"
+    });
+    assert.deepEqual(urls, ["https://example.com/worker.js"]);
+
+    worker.terminate();
+  });
+
+  it("should provide importScripts(), timers, fetch() and structured cloning inside the worker", async () => {
+    const { window } = new JSDOM(``, { runScripts: "dangerously" });
+
+    const worker = new window.Worker(dataURL(`
+      importScripts(${JSON.stringify(dataURL("self.imported = 'imported';"))});
+
+      let importError;
+      try {
+        importScripts("data:text/javascript,%", "https://[");
+      } catch (e) {
+        importError = e instanceof DOMException ? e.name : e;
+      }
+
+      setTimeout(async () => {
+        const response = await fetch("data:text/plain,fetched");
+        const cloned = structuredClone(new Map([["a", 1]]));
+        postMessage([imported, importError, await response.text(), cloned.get("a")]);
+      }, 0);
+    `));
+
+    const event = await nextEvent(worker, "message");
+    assert.deepEqual(event.data, ["imported", "SyntaxError", "fetched", 1]);
+
+    worker.terminate();
+  });
+
+  it("should transfer ports to and from the worker", async () => {
+    const { window } = new JSDOM(``, { runScripts: "dangerously" });
+
+    const worker = new window.Worker(dataURL(`
+      onmessage = event => {
+        const [port] = event.ports;
+        port.onmessage = e => port.postMessage(e.data.toUpperCase());
+      };
+    `));
+
+    const { port1, port2 } = new window.MessageChannel();
+    worker.postMessage("connect", [port2]);
+    port1.postMessage("hello");
+
+    const reply = await new Promise(resolve => {
+      port1.onmessage = resolve;
+    });
+    assert.strictEqual(reply.data, "HELLO");
+
+    worker.terminate();
+  });
+
+  it("should fire an ErrorEvent at the Worker for uncaught errors, then report them to the window", async () => {
+    const virtualConsole = new VirtualConsole();
+    const jsdomErrors = [];
+    virtualConsole.on("jsdomError", error => jsdomErrors.push(error));
+
+    const { window } = new JSDOM(``, { runScripts: "dangerously", virtualConsole });
+    const worker = new window.Worker(dataURL(`
+      onmessage = event => {
+        throw new Error(event.data);
+      };
+    `));
+
+    worker.postMessage("first");
+    const first = await nextEvent(worker, "error");
+    assert.instanceOf(first, window.ErrorEvent);
+    assert.strictEqual(first.message, "first");
+    assert.isNull(first.error);
+    assert.isTrue(first.cancelable);
+
+    await delay(0);
+    assert.lengthOf(jsdomErrors, 1);
+    assert.strictEqual(jsdomErrors[0].type, "unhandled exception");
+    assert.strictEqual(jsdomErrors[0].message, "Uncaught [Error: first]");
+
+    worker.onerror = event => event.preventDefault();
+    worker.postMessage("second");
+    await nextEvent(worker, "error");
+    await delay(0);
+    assert.lengthOf(jsdomErrors, 1, "canceling the event at the Worker keeps the error from being reported");
+
+    worker.terminate();
+  });
+
+  it("should not propagate errors that the worker's onerror handles", async () => {
+    const { window } = new JSDOM(``, { runScripts: "dangerously" });
+    const worker = new window.Worker(dataURL(`
+      onerror = (message, filename, lineno, colno, error) => {
+        postMessage("handled " + message + " " + (error instanceof Error));
+        return true;
+      };
+      setTimeout(() => {
+        throw new Error("in timer");
+      }, 0);
+    `));
+
+    let errorFired = false;
+    worker.onerror = () => {
+      errorFired = true;
+    };
+
+    const event = await nextEvent(worker, "message");
+    assert.strictEqual(event.data, "handled in timer true");
+    await delay(10);
+    assert.isFalse(errorFired);
+
+    worker.terminate();
+  });
+
+  it("should fire an error event at the Worker when the script fails to load", async () => {
+    class FailingResourceLoader extends ResourceLoader {
+      fetch() {
+        return Promise.reject(new Error("not found"));
+      }
+    }
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("jsdomError", () => {});
+    const { window } = new JSDOM(``, {
+      url: "https://example.com/",
+      runScripts: "dangerously",
+      resources: new FailingResourceLoader(),
+      virtualConsole
+    });
+
+    const event = await nextEvent(new window.Worker("worker.js"), "error");
+    assert.notInstanceOf(event, window.ErrorEvent);
+    assert.instanceOf(event, window.Event);
+  });
+
+  it("should throw a SyntaxError for URLs that cannot be parsed", () => {
+    const { window } = new JSDOM(``, { runScripts: "dangerously" });
+
+    let thrown = null;
+    try {
+      new window.Worker("https://["); // eslint-disable-line no-new
+    } catch (e) {
+      thrown = e;
+    }
+    assert.instanceOf(thrown, window.DOMException);
+    assert.strictEqual(thrown.name, "SyntaxError");
+  });
+
+  it("should stop running the worker after terminate() or window.close()", async () => {
+    const { window } = new JSDOM(``, { runScripts: "dangerously" });
+    const source = dataURL(`
+      let count = 0;
+      setInterval(() => postMessage(++count), 1);
+    `);
+
+    const first = new window.Worker(source);
+    await nextEvent(first, "message");
+    first.terminate();
+
+    let received = 0;
+    first.onmessage = () => {
+      ++received;
+    };
+    await delay(20);
+    assert.strictEqual(received, 0);
+
+    const second = new window.Worker(source);
+    await nextEvent(second, "message");
+    window.close();
+
+    second.onmessage = () => {
+      ++received;
+    };
+    await delay(20);
+    assert.strictEqual(received, 0);
+  });
+});
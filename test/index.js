@@ -4,17 +4,29 @@
 
 require("./api/basics.js");
 require("./api/cookies.js");
+require("./api/editing-commands.js");
 require("./api/encoding.js");
+require("./api/fetch.js");
 require("./api/fragment.js");
 require("./api/from-file.js");
 require("./api/from-outside.js");
 require("./api/from-url.js");
+require("./api/input-driver.js");
 require("./api/jsdom-errors.js");
+require("./api/layout.js");
+require("./api/media.js");
+require("./api/messaging.js");
 require("./api/methods.js");
+require("./api/module-scripts.js");
+require("./api/navigation.js");
 require("./api/options.js");
 require("./api/options-run-scripts.js");
+require("./api/performance.js");
 require("./api/resources.js");
+require("./api/structured-clone.js");
+require("./api/virtual-clock.js");
 require("./api/virtual-console.js");
+require("./api/workers.js");
 
 require("./helper-unit-tests/named-properties-tracker.js");
 require("./helper-unit-tests/utils.js");
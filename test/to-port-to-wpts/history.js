@@ -185,7 +185,7 @@ describe("history", () => {
       window.addEventListener("popstate", event => {
         assert.strictEqual(event.bubbles, false);
         assert.strictEqual(event.cancelable, false);
-        assert.strictEqual(event.state, state);
+        assert.deepEqual(event.state, state);
 
         t.done();
       });